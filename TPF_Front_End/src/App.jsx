@@ -10,10 +10,12 @@
  * 
  * Route Organization:
  * - Auth routes: Login
- * - Planning routes: Dashboard, All Tasks, Daily Tasks, Add Task, Task Tree, Task Configuration
+ * - Planning routes: Dashboard, All Tasks, Daily Tasks, Add Task, Task Tree, Task Configuration,
+ *   RP Forecast, RP Analytics, Estimate Calibration, Focus Mode, Recurring Tasks, Overdue Tasks,
+ *   Weekly Planning, Daily Rituals, Calendar, Timeline
  * - Observations routes: Current, Waiting for Analysis, All, Analysis
  * - Diamond System routes: Diagram, Add Entity, All Entities
- * - Settings routes: Color Settings, Emergency Settings
+ * - Settings routes: Color Settings, Emergency Settings, Availability, Backup & Restore
  * 
  * Route Protection:
  * - The Layout component is wrapped in ProtectedRoute, which redirects
@@ -36,6 +38,16 @@ import DailyTasks from './pages/planning/DailyTasks';
 import AddTask from './pages/planning/AddTask';
 import TaskTreeView from './pages/planning/TaskTreeView';
 import TaskConfiguration from './pages/planning/TaskConfiguration';
+import RPForecast from './pages/planning/RPForecast';
+import RPAnalytics from './pages/planning/RPAnalytics';
+import Calibration from './pages/planning/Calibration';
+import FocusMode from './pages/planning/FocusMode';
+import RecurringTasks from './pages/planning/RecurringTasks';
+import OverdueTasks from './pages/planning/OverdueTasks';
+import WeeklyPlanning from './pages/planning/WeeklyPlanning';
+import DailyRituals from './pages/planning/DailyRituals';
+import Calendar from './pages/planning/Calendar';
+import Timeline from './pages/planning/Timeline';
 
 // Observations pages
 import CurrentObservations from './pages/observations/CurrentObservations';
@@ -51,6 +63,8 @@ import AllEntities from './pages/diamond/AllEntities';
 // Settings pages
 import ColorSettings from './pages/settings/ColorSettings';
 import EmergencySettings from './pages/settings/EmergencySettings';
+import AvailabilitySettings from './pages/settings/AvailabilitySettings';
+import BackupSettings from './pages/settings/BackupSettings';
 
 import { ROUTES } from './config/routes';
 
@@ -89,6 +103,16 @@ function App() {
           <Route path={ROUTES.PLANNING.ADD_TASK} element={<AddTask />} />
           <Route path={ROUTES.PLANNING.TASK_TREE} element={<TaskTreeView />} />
           <Route path={ROUTES.PLANNING.TASK_CONFIGURATION} element={<TaskConfiguration />} />
+          <Route path={ROUTES.PLANNING.RP_FORECAST} element={<RPForecast />} />
+          <Route path={ROUTES.PLANNING.RP_ANALYTICS} element={<RPAnalytics />} />
+          <Route path={ROUTES.PLANNING.CALIBRATION} element={<Calibration />} />
+          <Route path={ROUTES.PLANNING.FOCUS} element={<FocusMode />} />
+          <Route path={ROUTES.PLANNING.RECURRING} element={<RecurringTasks />} />
+          <Route path={ROUTES.PLANNING.OVERDUE} element={<OverdueTasks />} />
+          <Route path={ROUTES.PLANNING.WEEKLY_PLANNING} element={<WeeklyPlanning />} />
+          <Route path={ROUTES.PLANNING.DAILY_RITUALS} element={<DailyRituals />} />
+          <Route path={ROUTES.PLANNING.CALENDAR} element={<Calendar />} />
+          <Route path={ROUTES.PLANNING.TIMELINE} element={<Timeline />} />
           
           {/* Observations routes */}
           <Route path={ROUTES.OBSERVATIONS.CURRENT} element={<CurrentObservations />} />
@@ -104,6 +128,8 @@ function App() {
           {/* Settings routes */}
           <Route path={ROUTES.SETTINGS.COLOR} element={<ColorSettings />} />
           <Route path={ROUTES.SETTINGS.EMERGENCY} element={<EmergencySettings />} />
+          <Route path={ROUTES.SETTINGS.AVAILABILITY} element={<AvailabilitySettings />} />
+          <Route path={ROUTES.SETTINGS.BACKUP} element={<BackupSettings />} />
         </Route>
         
         {/* Catch-all route - redirect unknown paths to login */}
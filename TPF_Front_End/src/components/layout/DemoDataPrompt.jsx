@@ -0,0 +1,79 @@
+/**
+ * DemoDataPrompt - First-run "load demo data" banner
+ *
+ * Shown above the page content when the workspace is completely empty
+ * (no tasks, entities or observations in storage) and the user has not
+ * dismissed it yet.
+ *
+ * Options:
+ * - Load demo data: Fills tasks, entities and observations from src/examples
+ * - Start empty: Hides the banner for good
+ *
+ * The dismissal is stored in the settings store, so the banner does not come
+ * back on reload once the user made a choice.
+ *
+ * The component uses the Planning, Diamond and Observations contexts to:
+ * - Check whether storage has been loaded and is empty (isLoaded)
+ * - Load the example data via loadDemoData()
+ *
+ * @returns {JSX.Element|null} Banner, or null when it should not be shown
+ */
+
+import { usePlanning } from '../../features/planing/PlanningContext';
+import { useDiamond } from '../../features/diamond/DiamondContext';
+import { useObservations } from '../../features/observations/ObservationsContext';
+import { usePersistentSetting } from '../../services/storage';
+
+export default function DemoDataPrompt() {
+  const planning = usePlanning();
+  const diamond = useDiamond();
+  const observations = useObservations();
+
+  const [dismissed, setDismissed, dismissedLoaded] = usePersistentSetting(
+    'demoDataPromptDismissed',
+    false
+  );
+
+  const isLoaded =
+    planning.isLoaded && diamond.isLoaded && observations.isLoaded && dismissedLoaded;
+  const isEmpty =
+    planning.tasks.length === 0 &&
+    diamond.entities.length === 0 &&
+    observations.observations.length === 0;
+
+  if (!isLoaded || !isEmpty || dismissed) {
+    return null;
+  }
+
+  /**
+   * Fill every context with the example data and hide the banner
+   */
+  const handleLoadDemoData = () => {
+    planning.loadDemoData();
+    diamond.loadDemoData();
+    observations.loadDemoData();
+    setDismissed(true);
+  };
+
+  return (
+    <div className="demo-data-prompt card mb-6" role="region" aria-label="Welcome">
+      <div className="flex justify-between items-center gap-4">
+        <div>
+          <h2 className="card__title mb-2">👋 Welcome to TPF</h2>
+          <p className="text-sm text--gray-600">
+            Your workspace is empty. Load the demo data to explore the app with example
+            tasks, entities and observations, or start with a clean slate.
+          </p>
+        </div>
+        <div className="demo-data-prompt__actions flex gap-2">
+          <button onClick={handleLoadDemoData} className="btn btn--primary">
+            Load demo data
+          </button>
+          <button onClick={() => setDismissed(true)} className="btn btn--secondary">
+            Start empty
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -21,11 +21,13 @@
  * - Mobile: Sidebar hidden, content full width
  * 
  * Uses React Router's <Outlet> to render child routes.
+ * On first run (empty storage) the DemoDataPrompt banner is shown above the page.
  */
 
 import { Outlet } from 'react-router-dom';
 import Navbar from './Navbar';
 import Sidebar from './Sidebar';
+import DemoDataPrompt from './DemoDataPrompt';
 
 export default function Layout() {
   return (
@@ -43,6 +45,7 @@ export default function Layout() {
       */}
       <main className="layout__main">
         <div className="layout__content">
+          <DemoDataPrompt />
           <Outlet />
         </div>
       </main>
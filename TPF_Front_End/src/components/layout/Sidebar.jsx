@@ -134,11 +134,21 @@ export default function Sidebar() {
       label: 'Planning',
       icon: <CalendarIcon />,
       items: [
+        { path: ROUTES.PLANNING.WEEKLY_PLANNING, label: 'Weekly Planning' },
+        { path: ROUTES.PLANNING.DAILY_RITUALS, label: 'Daily Rituals' },
         { path: ROUTES.PLANNING.ALL_TASKS, label: 'All Tasks' },
         { path: ROUTES.PLANNING.DAILY_TASKS, label: 'Daily Tasks' },
+        { path: ROUTES.PLANNING.CALENDAR, label: 'Calendar' },
+        { path: ROUTES.PLANNING.OVERDUE, label: 'Overdue Tasks' },
+        { path: ROUTES.PLANNING.FOCUS, label: 'Focus Mode' },
         { path: ROUTES.PLANNING.ADD_TASK, label: 'Add Task' },
+        { path: ROUTES.PLANNING.RECURRING, label: 'Recurring Tasks' },
         { path: ROUTES.PLANNING.TASK_TREE, label: 'Task Tree View' },
+        { path: ROUTES.PLANNING.TIMELINE, label: 'Timeline' },
         { path: ROUTES.PLANNING.TASK_CONFIGURATION, label: 'Task Configuration' },
+        { path: ROUTES.PLANNING.RP_FORECAST, label: 'RP Forecast' },
+        { path: ROUTES.PLANNING.RP_ANALYTICS, label: 'RP Analytics' },
+        { path: ROUTES.PLANNING.CALIBRATION, label: 'Estimate Calibration' },
       ],
     },
     {
@@ -172,6 +182,8 @@ export default function Sidebar() {
       items: [
         { path: ROUTES.SETTINGS.COLOR, label: 'Color Settings' },
         { path: ROUTES.SETTINGS.EMERGENCY, label: 'Emergency Settings' },
+        { path: ROUTES.SETTINGS.AVAILABILITY, label: 'Availability' },
+        { path: ROUTES.SETTINGS.BACKUP, label: 'Backup & Restore' },
       ],
     },
   ];
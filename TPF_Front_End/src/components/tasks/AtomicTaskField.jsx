@@ -0,0 +1,40 @@
+/**
+ * AtomicTaskField - Atomic (non-dividable) checkbox with its explanation
+ *
+ * Used by AddTask and by the observation-to-task conversion in Observations
+ * Analysis, so both forms explain atomic tasks the same way.
+ *
+ * @example
+ * <AtomicTaskField
+ *   id="atomic"
+ *   checked={formData.atomic}
+ *   onChange={(atomic) => setFormData({ ...formData, atomic })}
+ * />
+ */
+
+/**
+ * @param {Object} props - Component props
+ * @param {string} props.id - ID of the checkbox
+ * @param {boolean} props.checked - True if the task is atomic
+ * @param {Function} props.onChange - Called with the new checked state
+ */
+export default function AtomicTaskField({ id, checked, onChange }) {
+  return (
+    <div className="form__group">
+      <label className="form__label mb-0 flex items-center gap-2">
+        <input
+          type="checkbox"
+          id={id}
+          checked={checked}
+          onChange={(e) => onChange(e.target.checked)}
+          className="form__checkbox"
+        />
+        <span>Atomic (non-dividable) task</span>
+      </label>
+      <p className="text-xs text--gray-500 mt-1">
+        Exams, meetings and other tasks that need one continuous time block on their deadline day.
+        Divisible tasks are spread across the days before their deadline.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+/**
+ * CriticalPathPanel - Critical path and deadline feasibility per root task
+ *
+ * Shows, for every root task of the task tree, which chain of work decides
+ * whether its IDL (Ideal Deadline) can be met.
+ *
+ * Features:
+ * - Longest RT chain (critical path) from the first task to the root task
+ * - Slack per task: hours a task can slip without delaying its root task
+ * - Feasibility: total remaining RT vs. available time until the IDL
+ * - Earliest feasible finish date with the current available time
+ *
+ * The network of a root task contains its subtasks and (recursively) all of
+ * their prerequisites, so links across trees are taken into account.
+ * Root tasks are ordered by importance, so Level 1 deadlines come first.
+ *
+ * The component uses PlanningContext to:
+ * - Read the critical path analysis via criticalPaths
+ * - Retrieve task details via getTaskById()
+ *
+ * @returns {JSX.Element} Critical path analysis panel
+ */
+
+import { useMemo } from 'react';
+import { usePlanning } from '../../features/planing/PlanningContext';
+import { getImportanceLabel, getImportanceColor } from '../../config/functions/importanceLevel';
+
+/**
+ * Format a number of hours for display (e.g. 1.5 → "1.5h")
+ *
+ * @param {number} hours - Hours to format
+ * @returns {string} Formatted hours
+ */
+const formatHours = (hours) => `${Number(hours.toFixed(2))}h`;
+
+/**
+ * CriticalPathPanel Component
+ *
+ * Renders one card per root task with its critical chain, slack list and
+ * IDL feasibility.
+ */
+export default function CriticalPathPanel() {
+  const { criticalPaths, getTaskById } = usePlanning();
+
+  /**
+   * Analyses with their root task, most important root tasks first
+   * (IL ascending, then IDL ascending). Completed root tasks are skipped.
+   */
+  const analyses = useMemo(() => {
+    return criticalPaths
+      .map((analysis) => ({ ...analysis, root: getTaskById(analysis.rootId) }))
+      .filter((analysis) => analysis.root && !analysis.root.completed)
+      .sort((a, b) => {
+        if (a.root.il !== b.root.il) {
+          return a.root.il - b.root.il;
+        }
+        return new Date(a.idl) - new Date(b.idl);
+      });
+  }, [criticalPaths, getTaskById]);
+
+  return (
+    <div className="critical-path-panel">
+      <div className="mb-6">
+        <h3 className="text-xl font-semibold text--gray-900 mb-2">Critical Path Analysis</h3>
+        <p className="text-sm text--gray-600">
+          The longest RT chain of each root task (subtasks and prerequisites) and whether its IDL
+          is reachable with your available time
+        </p>
+      </div>
+
+      {analyses.length === 0 ? (
+        <div className="text-center py-8 text--gray-500">
+          <p>No open root tasks to analyze.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {analyses.map((analysis) => {
+            const slackEntries = analysis.taskIds
+              .map((id) => getTaskById(id))
+              .filter((task) => task && !task.completed && analysis.slack[task.id] !== undefined)
+              .sort((a, b) => analysis.slack[a.id] - analysis.slack[b.id]);
+
+            return (
+              <div
+                key={analysis.rootId}
+                className={`card critical-path-panel__item ${
+                  analysis.reachable ? '' : 'critical-path-panel__item--unreachable'
+                }`}
+              >
+                <div className="flex justify-between items-start mb-3">
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <h4 className="font-semibold text--gray-900">{analysis.title}</h4>
+                      <span className={getImportanceColor(analysis.root.il)}>
+                        {getImportanceLabel(analysis.root.il)}
+                      </span>
+                    </div>
+                    <p className="text-sm text--gray-600">
+                      📅 IDL {new Date(analysis.idl).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <span className={`badge ${analysis.reachable ? 'badge--green' : 'badge--red'}`}>
+                    {analysis.reachable ? '✓ IDL reachable' : '✗ IDL not reachable'}
+                  </span>
+                </div>
+
+                <div className="grid grid--cols-2 grid--md-cols-4 grid--gap-4 text-sm mb-3">
+                  <div>
+                    <p className="text--gray-500">Longest chain</p>
+                    <p className="font-semibold text--gray-900">{formatHours(analysis.chainRT)}</p>
+                  </div>
+                  <div>
+                    <p className="text--gray-500">Remaining RT</p>
+                    <p className="font-semibold text--gray-900">{formatHours(analysis.totalRT)}</p>
+                  </div>
+                  <div>
+                    <p className="text--gray-500">Available until IDL</p>
+                    <p className="font-semibold text--gray-900">
+                      {formatHours(analysis.availableHours)}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text--gray-500">Earliest finish</p>
+                    <p className="font-semibold text--gray-900">
+                      {analysis.earliestFinish
+                        ? analysis.earliestFinish.toLocaleDateString()
+                        : 'Not within a year'}
+                    </p>
+                  </div>
+                </div>
+
+                {/* Critical chain */}
+                {analysis.criticalPath.length > 1 && (
+                  <p className="text-sm text--gray-700 mb-3">
+                    <span className="font-medium">Critical chain: </span>
+                    {analysis.criticalPath
+                      .map((id) => getTaskById(id)?.title || id)
+                      .join(' → ')}
+                  </p>
+                )}
+
+                {analysis.cycleTaskIds.length > 0 && (
+                  <p className="text-sm text--red-600 mb-3" role="alert">
+                    ⚠️ Skipped tasks that form a cycle:{' '}
+                    {analysis.cycleTaskIds.map((id) => getTaskById(id)?.title || id).join(', ')}
+                  </p>
+                )}
+
+                {/* Slack per task */}
+                {slackEntries.length > 1 && (
+                  <div className="space-y-2">
+                    {slackEntries.map((task) => (
+                      <div
+                        key={task.id}
+                        className="flex justify-between items-center text-sm critical-path-panel__slack"
+                      >
+                        <span className={analysis.slack[task.id] === 0 ? 'font-semibold' : ''}>
+                          {task.title}
+                        </span>
+                        <span
+                          className={
+                            analysis.slack[task.id] === 0 ? 'text--red-600' : 'text--gray-500'
+                          }
+                        >
+                          {analysis.slack[task.id] === 0
+                            ? 'Critical (0h slack)'
+                            : `${formatHours(analysis.slack[task.id])} slack`}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
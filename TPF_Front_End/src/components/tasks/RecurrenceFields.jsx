@@ -0,0 +1,167 @@
+/**
+ * RecurrenceFields - Form fields of a recurrence rule
+ *
+ * Used by AddTask (new recurring task) and Recurring Tasks (edit all future
+ * occurrences). The parent owns the form state (see createRecurrenceForm) and
+ * converts it with recurrenceFormToRule() on submit.
+ *
+ * Fields:
+ * - Frequency: Daily, weekly on weekdays, monthly on a day of the month, every N days
+ * - First occurrence
+ * - End: Never, on a date or after a number of occurrences
+ *
+ * @example
+ * const [recurrence, setRecurrence] = useState(() => createRecurrenceForm());
+ * <RecurrenceFields value={recurrence} onChange={setRecurrence} />
+ */
+
+import { RECURRENCE, AVAILABILITY } from '../../config/constants';
+
+/**
+ * @param {Object} props - Component props
+ * @param {Object} props.value - Form state (see createRecurrenceForm)
+ * @param {Function} props.onChange - Called with the next form state
+ */
+export default function RecurrenceFields({ value, onChange }) {
+  const { DAILY, WEEKLY, MONTHLY, INTERVAL } = RECURRENCE.FREQUENCIES;
+
+  /**
+   * Update one field of the form state
+   *
+   * @param {string} field - Field name
+   * @param {*} fieldValue - New value
+   */
+  const setField = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+
+  /**
+   * Add or remove a weekday of a weekly rule
+   *
+   * @param {number} weekday - Date.getDay() value
+   */
+  const toggleWeekday = (weekday) => {
+    setField(
+      'weekdays',
+      value.weekdays.includes(weekday)
+        ? value.weekdays.filter((day) => day !== weekday)
+        : [...value.weekdays, weekday]
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="form__group">
+        <label htmlFor="recurrence-frequency" className="form__label">Repeats</label>
+        <select
+          id="recurrence-frequency"
+          value={value.frequency}
+          onChange={(e) => setField('frequency', e.target.value)}
+          className="form__select"
+        >
+          <option value={DAILY}>Every day</option>
+          <option value={WEEKLY}>Weekly on…</option>
+          <option value={MONTHLY}>Monthly on day…</option>
+          <option value={INTERVAL}>Every N days</option>
+        </select>
+      </div>
+
+      {value.frequency === WEEKLY && (
+        <div className="flex gap-2" role="group" aria-label="Weekdays">
+          {AVAILABILITY.WEEK_ORDER.map((weekday) => (
+            <button
+              key={weekday}
+              type="button"
+              onClick={() => toggleWeekday(weekday)}
+              className={`btn ${value.weekdays.includes(weekday) ? 'btn--primary' : 'btn--secondary'}`}
+              aria-pressed={value.weekdays.includes(weekday)}
+            >
+              {AVAILABILITY.WEEKDAYS[weekday].slice(0, 3)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {value.frequency === MONTHLY && (
+        <div className="form__group">
+          <label htmlFor="recurrence-month-day" className="form__label">Day of the month</label>
+          <input
+            type="number"
+            id="recurrence-month-day"
+            value={value.monthDay}
+            onChange={(e) => setField('monthDay', e.target.value)}
+            className="form__input"
+            min="1"
+            max="31"
+          />
+          <p className="text-xs text--gray-500 mt-1">Months without this day use their last day.</p>
+        </div>
+      )}
+
+      {value.frequency === INTERVAL && (
+        <div className="form__group">
+          <label htmlFor="recurrence-interval" className="form__label">Every how many days</label>
+          <input
+            type="number"
+            id="recurrence-interval"
+            value={value.interval}
+            onChange={(e) => setField('interval', e.target.value)}
+            className="form__input"
+            min="1"
+            max={RECURRENCE.MAX_INTERVAL_DAYS}
+          />
+        </div>
+      )}
+
+      <div className="form__group">
+        <label htmlFor="recurrence-start" className="form__label">First occurrence</label>
+        <input
+          type="date"
+          id="recurrence-start"
+          value={value.startDate}
+          onChange={(e) => setField('startDate', e.target.value)}
+          className="form__input"
+        />
+      </div>
+
+      <div className="form__group">
+        <label htmlFor="recurrence-end" className="form__label">Ends</label>
+        <select
+          id="recurrence-end"
+          value={value.endType}
+          onChange={(e) => setField('endType', e.target.value)}
+          className="form__select"
+        >
+          <option value="never">Never</option>
+          <option value="date">On a date</option>
+          <option value="count">After a number of occurrences</option>
+        </select>
+      </div>
+
+      {value.endType === 'date' && (
+        <div className="form__group">
+          <label htmlFor="recurrence-end-date" className="form__label">Last occurrence on or before</label>
+          <input
+            type="date"
+            id="recurrence-end-date"
+            value={value.endDate}
+            onChange={(e) => setField('endDate', e.target.value)}
+            className="form__input"
+          />
+        </div>
+      )}
+
+      {value.endType === 'count' && (
+        <div className="form__group">
+          <label htmlFor="recurrence-count" className="form__label">Occurrences</label>
+          <input
+            type="number"
+            id="recurrence-count"
+            value={value.count}
+            onChange={(e) => setField('count', e.target.value)}
+            className="form__input"
+            min="1"
+          />
+        </div>
+      )}
+    </div>
+  );
+}
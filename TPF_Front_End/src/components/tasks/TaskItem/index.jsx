@@ -10,6 +10,11 @@
  * - Visual completion state: Strikethrough and muted styling for completed tasks
  * - Task metadata: Displays RT (Required Time), deadline, and importance level
  * - Recursive rendering: Automatically renders subtasks at deeper levels
+ * - Blocked state: Shows which incomplete prerequisites a task is waiting for
+ * - Time tracking: Start/stop button for work sessions, tracked time vs. RT
+ * - Recurrence: Occurrences of recurring tasks show their repeat rule
+ * - Status: Status badge and select (allowed transitions only), progress slider
+ *   for in-progress tasks with the remaining RT; cancelled and postponed tasks are muted
  * 
  * Visual Structure:
  * ☐ Task Title [Importance Badge]
@@ -18,7 +23,8 @@
  *   └─ ☐ Subtask 2
  * 
  * The component uses the PlanningContext to:
- * - Access task management functions (toggleTaskCompletion, getSubtasks)
+ * - Access task management functions (toggleTaskCompletion, getSubtasks, getBlockingTasks,
+ *   startTimeTracking, stopTimeTracking, setTaskStatus, setTaskProgress)
  * - Maintain task state and relationships
  * 
  * Usage:
@@ -32,7 +38,14 @@
  *   - idl: Ideal Deadline (Date object)
  *   - il: Importance Level (1-4)
  *   - completed: Boolean completion status
+ *   - status / progress: Status lifecycle value and percent of the work done
+ *   - atomic: Boolean non-dividable flag (shown as a 🔒 Atomic marker)
+ *   - tags: Optional array of tag strings
+ *   - timeSessions / actualTime: Tracked work sessions and their total hours
+ *   - recurrence: Optional { seriesId, date } for occurrences of a recurring task
  *   - parentTaskId: Optional parent task ID for subtasks
+ *   - allocation: Optional daily slice info from the Auto-Distribution Engine
+ *     (when present, rt is the day's slice and allocation.totalRT the full RT)
  * @param {number} [props.level=0] - Nesting level for indentation (0 = root, 1 = first level subtask, etc.)
  * @param {boolean} [props.showSubtasks=true] - Whether to recursively render subtasks
  * @returns {JSX.Element} Task item component with checkbox and metadata
@@ -40,6 +53,16 @@
 
 import { usePlanning } from '../../../features/planing/PlanningContext';
 import { getImportanceLabel, getImportanceColor } from '../../../config/functions/importanceLevel';
+import { getRunningSession } from '../../../config/functions/timeTracking';
+import { describeRecurrenceRule } from '../../../config/functions/recurrence';
+import {
+  getTaskStatus,
+  getStatusLabel,
+  getAllowedStatuses,
+  getTaskProgress,
+  getRemainingRT,
+} from '../../../config/functions/taskStatus';
+import { TASK_STATUS } from '../../../config/constants';
 import './TaskItem.scss';
 
 /**
@@ -50,11 +73,32 @@ import './TaskItem.scss';
  */
 export default function TaskItem({ task, level = 0, showSubtasks = true }) {
   // Get PlanningContext functions and state
-  const { toggleTaskCompletion, getSubtasks } = usePlanning();
+  const {
+    toggleTaskCompletion,
+    getSubtasks,
+    getBlockingTasks,
+    startTimeTracking,
+    stopTimeTracking,
+    setTaskStatus,
+    setTaskProgress,
+    recurringSeries,
+  } = usePlanning();
   
   // Get subtasks for this task (if showSubtasks is enabled)
   const subtasks = showSubtasks ? getSubtasks(task.id) : [];
 
+  // Incomplete prerequisites this task is waiting for (completed tasks are never blocked)
+  const blockingTasks = task.completed ? [] : getBlockingTasks(task.id);
+  const isBlocked = blockingTasks.length > 0;
+
+  const status = getTaskStatus(task);
+  const { IN_PROGRESS, COMPLETED, CANCELLED } = TASK_STATUS.VALUES;
+  // BEM modifier of the status (e.g., 'in-progress')
+  const statusModifier = status.toLowerCase().replace('_', '-');
+  const progress = getTaskProgress(task);
+  // Remaining RT of the whole task (daily slices carry the full RT in allocation.totalRT)
+  const remainingRT = getRemainingRT(task.allocation ? { ...task, rt: task.allocation.totalRT } : task);
+
   /**
    * Handles checkbox click to toggle task completion
    * 
@@ -71,6 +115,55 @@ export default function TaskItem({ task, level = 0, showSubtasks = true }) {
     toggleTaskCompletion(task.id);
   };
 
+  /**
+   * Moves the task to the selected status
+   * 
+   * @param {Event} e - Change event from the status select
+   */
+  const handleStatusChange = (e) => {
+    try {
+      setTaskStatus(task.id, e.target.value);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  /**
+   * Sets the progress of the task from the slider
+   * 
+   * @param {Event} e - Change event from the progress slider
+   */
+  const handleProgressChange = (e) => {
+    try {
+      setTaskProgress(task.id, Number(e.target.value));
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  // Running work session (null when time is not being tracked)
+  const runningSession = getRunningSession(task);
+
+  /**
+   * Starts or stops time tracking on this task
+   * 
+   * Starting stops the session running on any other task.
+   * 
+   * @param {Event} e - Click event from the timer button
+   */
+  const handleTimerClick = (e) => {
+    e.stopPropagation();
+    if (runningSession) {
+      stopTimeTracking(task.id);
+      return;
+    }
+    try {
+      startTimeTracking(task.id);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
   /**
    * Formats date for display in task metadata
    * 
@@ -87,8 +180,26 @@ export default function TaskItem({ task, level = 0, showSubtasks = true }) {
     });
   };
 
+  /**
+   * Formats hours for display, trimming floating point noise from 5-minute slices
+   * 
+   * @param {number} hours - Hours to format
+   * @returns {string} Formatted hours (e.g., "1.25")
+   */
+  const formatHours = (hours) => {
+    return String(Math.round(hours * 100) / 100);
+  };
+
+  // Series of a recurring task occurrence (null for normal tasks or stopped series)
+  const series = task.recurrence
+    ? recurringSeries.find((s) => s.id === task.recurrence.seriesId) || null
+    : null;
+
+  // Daily slice of a task split across several days by the Auto-Distribution Engine
+  const isSlice = task.allocation && task.allocation.sliceCount > 1;
+
   return (
-    <div className={`task-item task-item--level-${level} ${task.completed ? 'task-item--completed' : ''}`}>
+    <div className={`task-item task-item--level-${level} task-item--status-${statusModifier} ${task.completed ? 'task-item--completed' : ''} ${isBlocked ? 'task-item--blocked' : ''}`}>
       <div className="task-item__content">
         {/* Checkbox - positioned absolutely like TickTick */}
         <button
@@ -96,6 +207,7 @@ export default function TaskItem({ task, level = 0, showSubtasks = true }) {
           onClick={handleCheckboxClick}
           className={`task-item__checkbox ${task.completed ? 'task-item__checkbox--checked' : ''}`}
           aria-label={task.completed ? 'Mark as incomplete' : 'Mark as complete'}
+          disabled={status === CANCELLED}
         >
           <span className="task-item__checkbox-wrapper">
             {/* Default checkbox icon */}
@@ -117,17 +229,97 @@ export default function TaskItem({ task, level = 0, showSubtasks = true }) {
         {/* Task Info */}
         <div className="task-item__info">
           <div className="task-item__header">
-            <h3 className={`task-item__title ${task.completed ? 'task-item__title--completed' : ''}`}>
+            <h3 className={`task-item__title ${task.completed || status === CANCELLED ? 'task-item__title--completed' : ''}`}>
               {task.title}
             </h3>
             <span className={getImportanceColor(task.il)}>
               {getImportanceLabel(task.il)}
             </span>
+            <select
+              value={status}
+              onChange={handleStatusChange}
+              className={`task-item__status task-item__status--${statusModifier}`}
+              aria-label="Task status"
+              onClick={(e) => e.stopPropagation()}
+            >
+              {[status, ...getAllowedStatuses(task)].map((value) => (
+                <option key={value} value={value}>
+                  {getStatusLabel(value)}
+                </option>
+              ))}
+            </select>
+            {!task.completed && (
+              <button
+                type="button"
+                onClick={handleTimerClick}
+                className={`task-item__timer ${runningSession ? 'task-item__timer--running' : ''}`}
+                aria-label={runningSession ? 'Stop time tracking' : 'Start time tracking'}
+                title={runningSession ? 'Stop time tracking' : 'Start time tracking'}
+              >
+                {runningSession ? '⏸' : '▶'}
+              </button>
+            )}
           </div>
           
           <div className="task-item__meta">
-            <span className="task-item__meta-item">⏱️ {task.rt}h</span>
+            <span className="task-item__meta-item">
+              ⏱️ {formatHours(task.rt)}h
+              {isSlice && ` of ${formatHours(task.allocation.totalRT)}h`}
+            </span>
+            {task.atomic && (
+              <span className="task-item__meta-item" title="Non-dividable: reserves one continuous block">
+                🔒 Atomic
+              </span>
+            )}
+            {isSlice && (
+              <span className="task-item__meta-item" title="Daily slice from auto-distribution">
+                🧩 Slice {task.allocation.sliceIndex + 1}/{task.allocation.sliceCount}
+              </span>
+            )}
             <span className="task-item__meta-item">📅 {formatDate(task.idl)}</span>
+            {status === IN_PROGRESS && (
+              <span className="task-item__meta-item task-item__progress" title="Percent of the work done">
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  step={TASK_STATUS.PROGRESS_STEP}
+                  value={progress}
+                  onChange={handleProgressChange}
+                  onClick={(e) => e.stopPropagation()}
+                  aria-label="Progress"
+                />
+                {progress}% · {formatHours(remainingRT)}h left
+              </span>
+            )}
+            {status !== IN_PROGRESS && status !== COMPLETED && progress > 0 && (
+              <span className="task-item__meta-item">📈 {progress}% done</span>
+            )}
+            {task.recurrence && (
+              <span className="task-item__meta-item" title="Occurrence of a recurring task">
+                🔁 {series ? describeRecurrenceRule(series.rule) : 'Recurring'}
+              </span>
+            )}
+            {runningSession && (
+              <span className="task-item__meta-item task-item__meta-item--tracking">
+                ● Tracking since{' '}
+                {new Date(runningSession.start).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+              </span>
+            )}
+            {task.actualTime > 0 && (
+              <span className="task-item__meta-item" title="Tracked time vs. estimated RT">
+                ⏲️ {formatHours(task.actualTime)}h tracked
+                {task.allocation ? ` / ${formatHours(task.allocation.totalRT)}h` : ` / ${formatHours(task.rt)}h`}
+              </span>
+            )}
+            {(task.tags || []).map((tag) => (
+              <span key={tag} className="task-item__meta-item">#{tag}</span>
+            ))}
+            {isBlocked && (
+              <span className="task-item__meta-item task-item__meta-item--blocked" title="Complete the prerequisites first">
+                ⛔ Blocked by {blockingTasks.map((t) => t.title).join(', ')}
+              </span>
+            )}
             {subtasks.length > 0 && (
               <span className="task-item__meta-item">📋 {subtasks.length} subtask{subtasks.length !== 1 ? 's' : ''}</span>
             )}
@@ -2,13 +2,16 @@
  * TaskLinkManager - Component for managing task links
  * 
  * A comprehensive interface for creating and managing directional links between tasks.
- * Task links represent relationships and dependencies between tasks in the planning system.
+ * Task links are prerequisites: when Task A links to Task B, A must be completed
+ * before B can start (B is blocked until then).
  * 
  * Features:
  * - View all tasks that have links (either linking to or linked from other tasks)
  * - Create new directional links between tasks (Task A → Task B)
  * - Remove existing links
  * - Visual distinction between "links to" (outgoing) and "linked from" (incoming) relationships
+ * - Cycle detection: links that would make a task (indirectly) wait for itself are
+ *   rejected with an explanation of the cycle
  * 
  * Link Direction:
  * - Links are directional: Task A can link TO Task B
@@ -50,6 +53,7 @@ export default function TaskLinkManager() {
   const [fromTaskId, setFromTaskId] = useState('');
   const [toTaskId, setToTaskId] = useState('');
   const [showLinkForm, setShowLinkForm] = useState(false);
+  const [linkError, setLinkError] = useState(null);
 
   /**
    * Get all tasks that have links (either linking to or linked from other tasks)
@@ -65,23 +69,31 @@ export default function TaskLinkManager() {
    * Validates that:
    * - Both source and target tasks are selected
    * - A task cannot link to itself
+   * - The link does not create a cycle (validated by PlanningContext.linkTask)
    * 
    * Creates the link via PlanningContext and resets the form.
+   * Validation errors are shown inline in the form.
    */
   const handleCreateLink = () => {
     if (!fromTaskId || !toTaskId) {
-      alert('Please select both tasks');
+      setLinkError('Please select both tasks');
       return;
     }
     if (fromTaskId === toTaskId) {
-      alert('A task cannot link to itself');
+      setLinkError('A task cannot link to itself');
+      return;
+    }
+    try {
+      // Create the prerequisite link (fromTaskId must finish before toTaskId)
+      linkTask(parseFloat(fromTaskId), parseFloat(toTaskId));
+    } catch (error) {
+      setLinkError(error.message);
       return;
     }
-    // Create the directional link (fromTaskId → toTaskId)
-    linkTask(parseFloat(fromTaskId), parseFloat(toTaskId));
     // Reset form
     setFromTaskId('');
     setToTaskId('');
+    setLinkError(null);
     setShowLinkForm(false);
   };
 
@@ -105,11 +117,14 @@ export default function TaskLinkManager() {
         <div>
           <h3 className="text-xl font-semibold text--gray-900 mb-2">Task Links</h3>
           <p className="text-sm text--gray-600">
-            Manage directional relationships between tasks
+            Manage prerequisites: a task is blocked until every task linking to it is completed
           </p>
         </div>
         <button
-          onClick={() => setShowLinkForm(!showLinkForm)}
+          onClick={() => {
+            setShowLinkForm(!showLinkForm);
+            setLinkError(null);
+          }}
           className="btn btn--primary"
         >
           {showLinkForm ? 'Cancel' : '+ Create Link'}
@@ -122,10 +137,13 @@ export default function TaskLinkManager() {
           <h4 className="font-semibold text--gray-900 mb-4">Create New Link</h4>
           <div className="grid grid--cols-1 grid--md-cols-2 grid--gap-4 mb-4">
             <div className="form__group">
-              <label className="form__label">From Task</label>
+              <label className="form__label">From Task (prerequisite)</label>
               <select
                 value={fromTaskId}
-                onChange={(e) => setFromTaskId(e.target.value)}
+                onChange={(e) => {
+                  setFromTaskId(e.target.value);
+                  setLinkError(null);
+                }}
                 className="form__select"
               >
                 <option value="">Select a task...</option>
@@ -137,10 +155,13 @@ export default function TaskLinkManager() {
               </select>
             </div>
             <div className="form__group">
-              <label className="form__label">To Task</label>
+              <label className="form__label">To Task (waits for prerequisite)</label>
               <select
                 value={toTaskId}
-                onChange={(e) => setToTaskId(e.target.value)}
+                onChange={(e) => {
+                  setToTaskId(e.target.value);
+                  setLinkError(null);
+                }}
                 className="form__select"
               >
                 <option value="">Select a task...</option>
@@ -154,6 +175,11 @@ export default function TaskLinkManager() {
               </select>
             </div>
           </div>
+          {linkError && (
+            <p className="text-sm text--red-600 mb-4" role="alert">
+              ⚠️ {linkError}
+            </p>
+          )}
           <button onClick={handleCreateLink} className="btn btn--primary">
             Create Link
           </button>
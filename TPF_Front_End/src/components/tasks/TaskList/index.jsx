@@ -36,6 +36,8 @@
  *   - ReactNode: Same actions applied to all tasks
  * @param {string} [props.emptyMessage='No tasks found'] - Message to display when tasks array is empty
  * @param {ReactNode} [props.emptyAction] - Optional action button/link to show in empty state
+ * @param {boolean} [props.showSubtasks=true] - Whether each TaskItem renders its nested subtasks
+ *   (disable for day views, where subtasks already appear as their own daily slices)
  * @returns {JSX.Element} Task list component with optional actions and empty state handling
  */
 
@@ -48,7 +50,7 @@ import './TaskList.scss';
  * Renders a list of tasks with optional action buttons. Shows empty state
  * when no tasks are provided.
  */
-export default function TaskList({ tasks, actions, emptyMessage, emptyAction }) {
+export default function TaskList({ tasks, actions, emptyMessage, emptyAction, showSubtasks = true }) {
   if (tasks.length === 0) {
     return (
       <div className="task-list-empty">
@@ -66,7 +68,7 @@ export default function TaskList({ tasks, actions, emptyMessage, emptyAction })
     <div className="task-list">
       {tasks.map((task) => (
         <div key={task.id} className="task-list__item">
-          <TaskItem task={task} level={0} />
+          <TaskItem task={task} level={0} showSubtasks={showSubtasks} />
           {actions && (
             <div className="task-list__actions">
               {typeof actions === 'function' ? actions(task) : actions}
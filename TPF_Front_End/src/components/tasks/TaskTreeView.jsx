@@ -11,6 +11,8 @@
  * - Visual indicators: Shows which tasks have links (🔗 icon)
  * - Task selection: Click on tasks to select them (calls onTaskSelect callback)
  * - Importance level badges: Color-coded importance indicators
+ * - Critical path highlight: Zero-slack tasks (they decide when their root task
+ *   can finish) are marked with a red edge
  * 
  * Tree Structure:
  * ┌─ Task 1 [High] 🔗
@@ -22,6 +24,7 @@
  * The component uses PlanningContext to:
  * - Get task tree structure via getTaskTree()
  * - Retrieve task details via getTaskById()
+ * - Read zero-slack task IDs via zeroSlackTaskIds
  * 
  * Use Cases:
  * - Visualizing task hierarchies
@@ -47,7 +50,7 @@ import { getImportanceLabel, getImportanceColor } from '../../config/functions/i
  */
 export default function TaskTreeView({ onTaskSelect }) {
   // Get PlanningContext functions and state
-  const { tasks, getTaskTree, getTaskById } = usePlanning();
+  const { tasks, getTaskTree, getTaskById, zeroSlackTaskIds } = usePlanning();
   
   // State for managing expanded/collapsed nodes in the tree
   const [expandedNodes, setExpandedNodes] = useState(new Set());
@@ -99,13 +102,16 @@ export default function TaskTreeView({ onTaskSelect }) {
     const hasChildren = task.children && task.children.length > 0;
     const isExpanded = expandedNodes.has(task.id);
     const isSelected = selectedTaskId === task.id;
+    const isCritical = zeroSlackTaskIds.has(task.id);
     const hasLinks = (task.linksTo && task.linksTo.length > 0) || 
                      (task.linkedFrom && task.linkedFrom.length > 0);
 
     return (
       <div className="task-tree-node" style={{ marginLeft: `${level * 24}px` }}>
         <div
-          className={`task-tree-node__content ${isSelected ? 'task-tree-node__content--selected' : ''}`}
+          className={`task-tree-node__content ${isSelected ? 'task-tree-node__content--selected' : ''} ${
+            isCritical ? 'task-tree-node__content--critical' : ''
+          }`}
           onClick={() => handleTaskClick(task.id)}
         >
           <div className="flex items-center gap-2">
@@ -133,6 +139,11 @@ export default function TaskTreeView({ onTaskSelect }) {
                     🔗
                   </span>
                 )}
+                {isCritical && (
+                  <span className="task-tree-node__critical" title="Zero slack: on the critical path">
+                    🎯 Critical
+                  </span>
+                )}
               </div>
               <div className="text-xs text--gray-600 mt-1">
                 ⏱️ {task.rt}h | 📅 {new Date(task.idl).toLocaleDateString()}
@@ -187,6 +198,7 @@ export default function TaskTreeView({ onTaskSelect }) {
         <h3 className="text-xl font-semibold text--gray-900 mb-2">Task Tree View</h3>
         <p className="text-sm text--gray-600">
           Click on tasks to select them. Expand/collapse nodes to view subtasks.
+          Tasks marked 🎯 Critical have zero slack and decide when their root task can finish.
         </p>
       </div>
       <div className="task-tree-view__container">
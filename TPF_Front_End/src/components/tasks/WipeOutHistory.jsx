@@ -0,0 +1,88 @@
+/**
+ * WipeOutHistory - CWA (Catastrophic Wipe Out) history log with undo
+ *
+ * Lists every recorded wipe (newest first) with the affected tasks, the removal
+ * action, whether it was triggered automatically and the RP (Realism Point)
+ * before and after. Wipes inside their grace window
+ * (CWA.UNDO_WINDOW_HOURS) can be reverted; older ones are kept as a log only.
+ *
+ * The component uses PlanningContext to:
+ * - Read the log via cwaHistory
+ * - Revert a wipe via undoCatastrophicWipeOut()
+ *
+ * @param {Object} props - Component props
+ * @param {number} [props.limit] - Maximum number of entries to show (default: all)
+ * @returns {JSX.Element|null} History card, or null if no wipe was recorded
+ */
+
+import { usePlanning } from '../../features/planing/PlanningContext';
+import {
+  isWipeOutUndoable,
+  getUndoDeadline,
+  getRemovalActionLabel,
+} from '../../config/functions/cwa';
+import { formatRP } from '../../config/functions/realismPoint';
+
+export default function WipeOutHistory({ limit }) {
+  const { cwaHistory, undoCatastrophicWipeOut } = usePlanning();
+
+  if (cwaHistory.length === 0) {
+    return null;
+  }
+
+  const handleUndo = (entry) => {
+    try {
+      undoCatastrophicWipeOut(entry.id);
+      alert(`CWA undone. ${entry.removed.length} task(s) restored.`);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  return (
+    <div className="card wipe-out-history">
+      <h2 className="card__title">CWA History</h2>
+      <ul className="space-y-2">
+        {cwaHistory.slice(0, limit).map((entry) => {
+          const undoable = isWipeOutUndoable(entry);
+
+          return (
+            <li key={entry.id} className="wipe-out-history__entry">
+              <div className="flex justify-between items-start gap-2">
+                <div>
+                  <p className="font-semibold text--gray-900">
+                    {new Date(entry.executedAt).toLocaleString()}
+                    {entry.automatic && <span className="badge badge--orange wipe-out-history__badge">⚡ Auto</span>}
+                  </p>
+                  <p className="text-sm text--gray-600">
+                    {entry.removed.length} task(s){' '}
+                    {getRemovalActionLabel(entry.action, entry.postponeDays)} · RP{' '}
+                    {formatRP(entry.rpBefore)} → {formatRP(entry.rpAfter)}
+                  </p>
+                </div>
+                {entry.undoneAt && <span className="badge badge--green">Undone</span>}
+                {undoable && (
+                  <button onClick={() => handleUndo(entry)} className="btn btn--secondary">
+                    ↩ Undo
+                  </button>
+                )}
+                {!entry.undoneAt && !undoable && <span className="badge badge--gray">Final</span>}
+              </div>
+              {undoable && (
+                <p className="text-sm text--gray-500">
+                  Undo possible until {getUndoDeadline(entry).toLocaleString()}
+                </p>
+              )}
+              <details className="wipe-out-history__details">
+                <summary className="text-sm text--gray-600">Affected tasks</summary>
+                <p className="text-sm text--gray-600">
+                  {entry.removed.map((task) => task.title).join(', ')}
+                </p>
+              </details>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
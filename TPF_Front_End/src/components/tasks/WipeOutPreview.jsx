@@ -0,0 +1,103 @@
+/**
+ * WipeOutPreview - Confirmation step before a CWA (Catastrophic Wipe Out)
+ *
+ * Shows what the wipe would do before anything is removed:
+ * - Every task that will be deleted, archived or postponed (with IL and RT),
+ *   according to the CWA policy from Emergency Settings
+ * - Surviving subtasks that become root tasks because their parent is removed
+ * - Today's RP (Realism Point) before and after the wipe
+ *
+ * The wipe itself can be undone from the CWA history within the grace window.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.preview - Result of previewCatastrophicWipeOut()
+ * @param {Function} props.onConfirm - Called when the user executes the wipe
+ * @param {Function} props.onCancel - Called when the user cancels
+ * @returns {JSX.Element} CWA preview card
+ */
+
+import { CWA } from '../../config/constants';
+import { getRPStatus, formatRP } from '../../config/functions/realismPoint';
+import { getRemovalActionLabel } from '../../config/functions/cwa';
+import { getImportanceLabel, getImportanceColor } from '../../config/functions/importanceLevel';
+
+export default function WipeOutPreview({ preview, onConfirm, onCancel }) {
+  const rpBeforeStatus = getRPStatus(preview.rpBefore);
+  const rpAfterStatus = getRPStatus(preview.rpAfter);
+  const { survivingLevels, removalAction, postponeDays } = preview.policy;
+  const actionLabel = getRemovalActionLabel(removalAction, postponeDays);
+
+  return (
+    <div className="card wipe-out-preview" role="alertdialog" aria-labelledby="wipe-out-preview-title">
+      <h2 id="wipe-out-preview-title" className="card__title">
+        🚨 CWA Preview
+      </h2>
+      <p className="text--gray-600 mb-4">
+        {preview.removed.length} task(s) with {Number(preview.removedRT.toFixed(2))}h of open RT will
+        be {actionLabel}.{' '}
+        {survivingLevels.length > 0
+          ? `Surviving levels: ${survivingLevels.map(getImportanceLabel).join(', ')}.`
+          : 'No importance level survives.'}
+      </p>
+
+      <div className="grid grid--cols-2 grid--gap-4 mb-4">
+        <div>
+          <p className="text-sm text--gray-500">Today's RP now</p>
+          <p className={`text-2xl font-bold ${rpBeforeStatus.textColor}`}>
+            {formatRP(preview.rpBefore)} {rpBeforeStatus.emoji}
+          </p>
+        </div>
+        <div>
+          <p className="text-sm text--gray-500">Today's RP after CWA</p>
+          <p className={`text-2xl font-bold ${rpAfterStatus.textColor}`}>
+            {formatRP(preview.rpAfter)} {rpAfterStatus.emoji}
+          </p>
+        </div>
+      </div>
+
+      <h3 className="font-semibold text--gray-900 mb-2">Will be {actionLabel}</h3>
+      <ul className="wipe-out-preview__list mb-4">
+        {preview.removed.map((task) => (
+          <li key={task.id} className="wipe-out-preview__item">
+            <span className={task.completed ? 'wipe-out-preview__title--completed' : ''}>
+              {task.title}
+            </span>
+            <span className="flex items-center gap-2 text-sm">
+              <span className={getImportanceColor(task.il)}>{getImportanceLabel(task.il)}</span>
+              <span className="text--gray-500">{task.rt}h</span>
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {preview.promoted.length > 0 && (
+        <>
+          <h3 className="font-semibold text--gray-900 mb-2">Become root tasks (parent removed)</h3>
+          <ul className="wipe-out-preview__list mb-4">
+            {preview.promoted.map((task) => (
+              <li key={task.id} className="wipe-out-preview__item">
+                <span>{task.title}</span>
+                <span className={`text-sm ${getImportanceColor(task.il)}`}>
+                  {getImportanceLabel(task.il)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <p className="text-sm text--gray-500 mb-4">
+        You can undo this wipe from the CWA history for {CWA.UNDO_WINDOW_HOURS} hours.
+      </p>
+
+      <div className="flex gap-2">
+        <button onClick={onConfirm} className="btn btn--danger">
+          Execute CWA
+        </button>
+        <button onClick={onCancel} className="btn btn--secondary">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
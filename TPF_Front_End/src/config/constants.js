@@ -75,4 +75,371 @@ export const ENTITY_LEVELS = {
    * 2. Buffer Period: System holds for OBSERVATION_BUFFER_DAYS (2 days)
    * 3. Analysis: After buffer, user reviews and decides value
    */
-  export const OBSERVATION_BUFFER_DAYS = 2; // 2-day buffer rule
\ No newline at end of file
+  export const OBSERVATION_BUFFER_DAYS = 2; // 2-day buffer rule
+
+  // --- AUTO-DISTRIBUTION (SMOOTHING) ---
+  /**
+   * DEFAULT_AVAILABLE_TIME - Default available free time per day (hours)
+   * 
+   * Used for RP calculation and for spreading divisible tasks across days
+   * when the user has not configured their available time yet.
+   */
+  export const DEFAULT_AVAILABLE_TIME = 8;
+
+  /**
+   * MIN_ALLOCATION_MINUTES - Smallest chunk a divisible task is split into
+   * 
+   * The Smoothing Logic spreads a task's RT across the days before its IDL
+   * (Daily Allocation = RT / Available Days), but never creates slices
+   * shorter than this. Short tasks therefore use fewer days.
+   */
+  export const MIN_ALLOCATION_MINUTES = 5;
+
+  // --- PERSISTENT STORAGE ---
+  /**
+   * STORAGE - Repository layer configuration
+   * 
+   * DRIVER selects where tasks, entities and observations are stored:
+   * - 'indexeddb': Browser IndexedDB database (default, survives reloads)
+   * - 'memory': In-memory store (tests, throwaway sessions)
+   * - 'api': REST backend (see API_CONFIG), settings stay in IndexedDB
+   * Set VITE_STORAGE_DRIVER in the .env file to override the default.
+   * 
+   * STORES are the collections of the database. Every record is keyed by 'id';
+   * the settings store keeps { id: settingKey, value } records.
+   */
+  export const STORAGE = {
+    DRIVER: import.meta.env.VITE_STORAGE_DRIVER || 'indexeddb',
+    DB_NAME: 'tpf',
+    DB_VERSION: 1,
+    STORES: {
+      TASKS: 'tasks',
+      ENTITIES: 'entities',
+      OBSERVATIONS: 'observations',
+      SETTINGS: 'settings',
+    },
+  };
+
+  // --- REST API ---
+  /**
+   * API_CONFIG - REST API client configuration (used when STORAGE.DRIVER is 'api')
+   * 
+   * BASE_URL: Prefix of every endpoint (VITE_API_BASE_URL, default '/api')
+   * USE_MOCK_SERVER: Answer requests with the in-process mock server instead of
+   *   the network, so the UI runs offline (VITE_API_MOCK, default true;
+   *   set it to 'false' to talk to a real backend)
+   * MOCK_LATENCY_MS: Artificial delay of mock responses to mimic a network
+   */
+  export const API_CONFIG = {
+    BASE_URL: import.meta.env.VITE_API_BASE_URL || '/api',
+    USE_MOCK_SERVER: import.meta.env.VITE_API_MOCK !== 'false',
+    MOCK_LATENCY_MS: 150,
+  };
+
+  // --- BACKUP & RESTORE ---
+  /**
+   * BACKUP_FORMAT - Identifier and version of workspace backup files
+   * 
+   * Every backup document carries { format: NAME, version: VERSION }.
+   * Bump VERSION when the document layout changes; older versions are
+   * still accepted on import, newer ones are rejected.
+   */
+  export const BACKUP_FORMAT = {
+    NAME: 'tpf-backup',
+    VERSION: 1,
+  };
+
+  // --- CWA (CATASTROPHIC WIPE OUT) ---
+  /**
+   * CWA - Catastrophic Wipe Out safety net and default policy
+   * 
+   * Every wipe stores a snapshot of the task list before it ran.
+   * UNDO_WINDOW_HOURS: Grace window in which the wipe can be reverted
+   * HISTORY_LIMIT: Number of wipes kept in the CWA history log
+   * 
+   * REMOVAL_ACTIONS - What happens to tasks that do not survive:
+   * - DELETE: Tasks are deleted (undoable within the grace window)
+   * - ARCHIVE: Tasks move to the task archive and can be restored at any time
+   * - POSTPONE: Open tasks stay, their IDL moves postponeDays into the future
+   * 
+   * DEFAULT_POLICY - Policy used until the user changes it in Emergency Settings:
+   * - survivingLevels: IL values whose tasks survive
+   * - subtasksInheritSurvival: Subtasks of a surviving task survive with it
+   * - removalAction: One of REMOVAL_ACTIONS
+   * - postponeDays: Days added to the IDL with the POSTPONE action
+   * - autoTrigger: Run CWA automatically after an Overload streak
+   * - overloadDays: Consecutive Overload days (RP ≥ 1.0) that trigger the auto CWA
+   */
+  export const CWA = {
+    UNDO_WINDOW_HOURS: 24,
+    HISTORY_LIMIT: 20,
+    REMOVAL_ACTIONS: {
+      DELETE: 'delete',
+      ARCHIVE: 'archive',
+      POSTPONE: 'postpone',
+    },
+    DEFAULT_POLICY: {
+      survivingLevels: [IMPORTANCE.MUST],
+      subtasksInheritSurvival: true,
+      removalAction: 'delete',
+      postponeDays: 3,
+      autoTrigger: false,
+      overloadDays: 3,
+    },
+  };
+
+  // --- COLOR PALETTE ---
+  /**
+   * DEFAULT_PALETTE - Default colors of the user palette (Color Settings)
+   * 
+   * Groups:
+   * - importance: One color per IL (1-4), used by getImportanceColor()
+   * - rpZones: One color per RP zone (safe, risky, overload), used by getRPStatus()
+   * - entityLevels: One color per Diamond System level (1-5), used by getEntityLevelColor()
+   * 
+   * ThemeContext applies the palette as CSS variables (--palette-<group>-<key>),
+   * which the palette classes in _components.scss read.
+   */
+  export const DEFAULT_PALETTE = {
+    importance: { 1: '#dc2626', 2: '#ea580c', 3: '#ca8a04', 4: '#6b7280' },
+    rpZones: { safe: '#16a34a', risky: '#ca8a04', overload: '#dc2626' },
+    entityLevels: { 1: '#dc2626', 2: '#ea580c', 3: '#ca8a04', 4: '#6b7280', 5: '#111827' },
+  };
+
+  // --- AVAILABILITY ---
+  /**
+   * AVAILABILITY - Per-day available time (weekly template + date overrides)
+   * 
+   * The weekly template holds the available hours per weekday, indexed like
+   * Date.getDay() (0 = Sunday ... 6 = Saturday). Overrides replace the template
+   * for single dates ('YYYY-MM-DD' → hours), e.g., holidays or travel days.
+   * 
+   * - MAX_HOURS_PER_DAY: Upper limit for any day
+   * - WEEKDAYS: Weekday labels indexed like Date.getDay()
+   * - WEEK_ORDER: Display order of the weekdays (Monday first)
+   */
+  export const AVAILABILITY = {
+    MAX_HOURS_PER_DAY: 24,
+    WEEKDAYS: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    WEEK_ORDER: [1, 2, 3, 4, 5, 6, 0],
+  };
+
+  // --- RP FORECAST ---
+  /**
+   * RP_FORECAST - Multi-day Realism Point forecast
+   * 
+   * - RANGES: Forecast lengths the user can choose (days, starting today)
+   * - MIN_STREAK_DAYS: Consecutive Overload days flagged as an overload streak
+   *   (a crunch period rather than a single bad day)
+   */
+  export const RP_FORECAST = {
+    RANGES: [7, 14, 30],
+    MIN_STREAK_DAYS: 2,
+  };
+
+  // --- RP HISTORY ---
+  /**
+   * RP_HISTORY - Daily Realism Point log for trend analytics
+   * 
+   * Today's RP, total RT, available time and completed RT are recorded while the
+   * app is open; the last snapshot of a day is its day-end value.
+   * 
+   * - RETENTION_DAYS: Snapshots older than this are dropped
+   * - RANGES: Analysis periods the user can choose (days, ending today)
+   */
+  export const RP_HISTORY = {
+    RETENTION_DAYS: 365,
+    RANGES: [30, 90, 365],
+  };
+
+  // --- TIME TRACKING ---
+  /**
+   * TIME_TRACKING - Actual time per task and RT estimate calibration
+   * 
+   * Tasks record work sessions ({ start, end }); actualTime is the sum of the
+   * finished sessions in hours. Completed tasks with tracked time are compared
+   * with their RT to measure the estimation error.
+   * 
+   * - MIN_CALIBRATION_TASKS: Tracked tasks needed before the correction factor
+   *   (actual / estimated RT) is applied to RP
+   */
+  export const TIME_TRACKING = {
+    MIN_CALIBRATION_TASKS: 5,
+  };
+
+  // --- FOCUS MODE ---
+  /**
+   * FOCUS - Focus timer (pomodoro-style countdown on the current task)
+   * 
+   * A focus session tracks time on one task (see TIME_TRACKING) while a
+   * countdown runs. Divisible tasks are worked in blocks; atomic tasks are
+   * focused for their whole remaining RT, because they cannot be split.
+   * 
+   * - BLOCK_MINUTES: Block lengths the user can choose for divisible tasks
+   * - DEFAULT_BLOCK_MINUTES: Preselected block length
+   * - EXTEND_MINUTES: Minutes added by "Extend" when the countdown ends
+   * - MIN_MINUTES: Shortest session (e.g., when little RT is left)
+   */
+  export const FOCUS = {
+    BLOCK_MINUTES: [15, 25, 50],
+    DEFAULT_BLOCK_MINUTES: 25,
+    EXTEND_MINUTES: 10,
+    MIN_MINUTES: 5,
+  };
+
+  // --- RECURRING TASKS ---
+  /**
+   * RECURRENCE - Recurrence rules of repeating tasks
+   * 
+   * A recurring series (e.g., "Gym every Mon/Wed/Fri, 1.5h") generates one
+   * concrete task per occurrence, HORIZON_DAYS ahead, so the Smoothing Logic
+   * and RP see them like any other task.
+   * 
+   * - FREQUENCIES: Rule types (daily, weekly on weekdays, monthly on a day of
+   *   the month, every N days)
+   * - HORIZON_DAYS: Days ahead (from today) for which occurrences are generated
+   * - MAX_INTERVAL_DAYS: Largest N for "every N days"
+   */
+  export const RECURRENCE = {
+    FREQUENCIES: {
+      DAILY: 'daily',
+      WEEKLY: 'weekly',
+      MONTHLY: 'monthly',
+      INTERVAL: 'interval',
+    },
+    HORIZON_DAYS: 14,
+    MAX_INTERVAL_DAYS: 365,
+  };
+
+  // --- TASK STATUS ---
+  /**
+   * TASK_STATUS - Task status lifecycle (matches tasks.status in the database)
+   * 
+   * The database knows PENDING, IN_PROGRESS and COMPLETED; BLOCKED (waiting on
+   * something outside the app), POSTPONED (put on hold) and CANCELLED are
+   * optional extra states. task.completed mirrors COMPLETED for older code.
+   * 
+   * - VALUES: Status values
+   * - LABELS: Display label per status
+   * - TRANSITIONS: Allowed next statuses per status (the state machine)
+   * - CLOSED: Statuses whose work is over (no remaining RT)
+   * - UNSCHEDULED: Statuses the Smoothing Logic does not distribute
+   * - PROGRESS_STEP: Step of the progress percentage input
+   */
+  export const TASK_STATUS = {
+    VALUES: {
+      PENDING: 'PENDING',
+      IN_PROGRESS: 'IN_PROGRESS',
+      BLOCKED: 'BLOCKED',
+      POSTPONED: 'POSTPONED',
+      COMPLETED: 'COMPLETED',
+      CANCELLED: 'CANCELLED',
+    },
+    LABELS: {
+      PENDING: 'Pending',
+      IN_PROGRESS: 'In Progress',
+      BLOCKED: 'Blocked',
+      POSTPONED: 'Postponed',
+      COMPLETED: 'Completed',
+      CANCELLED: 'Cancelled',
+    },
+    TRANSITIONS: {
+      PENDING: ['IN_PROGRESS', 'BLOCKED', 'POSTPONED', 'COMPLETED', 'CANCELLED'],
+      IN_PROGRESS: ['PENDING', 'BLOCKED', 'POSTPONED', 'COMPLETED', 'CANCELLED'],
+      BLOCKED: ['PENDING', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'],
+      POSTPONED: ['PENDING', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'],
+      COMPLETED: ['PENDING', 'IN_PROGRESS'],
+      CANCELLED: ['PENDING'],
+    },
+    CLOSED: ['COMPLETED', 'CANCELLED'],
+    UNSCHEDULED: ['POSTPONED', 'COMPLETED', 'CANCELLED'],
+    PROGRESS_STEP: 10,
+  };
+
+  // --- OVERDUE TASKS ---
+  /**
+   * OVERDUE - Rescheduling of tasks whose IDL has passed
+   * 
+   * Overdue tasks are no longer distributed by the Smoothing Logic, so they are
+   * collected in the overdue queue and moved to days with spare capacity.
+   * 
+   * - SEARCH_DAYS: Days ahead (from today) searched for spare capacity
+   * - MIN_SPLIT_DAYS: Fewest days a task is split across (one day is a move)
+   */
+  export const OVERDUE = {
+    SEARCH_DAYS: 30,
+    MIN_SPLIT_DAYS: 2,
+  };
+
+  // --- WEEKLY PLANNING ---
+  /**
+   * WEEK_PLAN - Weekly planning wizard and the week plan
+   * 
+   * The wizard reviews the past DAYS days and plans the next DAYS days (from
+   * today); the confirmed plan is what the Dashboard follows.
+   * 
+   * - DAYS: Length of the reviewed and the planned week
+   */
+  export const WEEK_PLAN = {
+    DAYS: 7,
+  };
+
+  // --- DAILY RITUALS ---
+  /**
+   * RITUALS - Morning check-in and evening shutdown
+   * 
+   * Each ritual is recorded once per day with a timestamp; the RP Analytics
+   * show how consistently they are done.
+   * 
+   * - TYPES: Ritual keys (also the keys of a day in the ritual log)
+   * - EVENING_HOUR: From this hour on the evening shutdown is due, before it
+   *   the morning check-in
+   * - TOP_TASKS: Tasks chosen as the day's top tasks in the check-in
+   * - RETENTION_DAYS: Days kept in the ritual log
+   */
+  export const RITUALS = {
+    TYPES: {
+      MORNING: 'morning',
+      EVENING: 'evening',
+    },
+    EVENING_HOUR: 17,
+    TOP_TASKS: 3,
+    RETENTION_DAYS: 365,
+  };
+
+  // --- CALENDAR ---
+  /**
+   * CALENDAR - Month and week views of the tasks
+   * 
+   * Tasks are placed on their IDL day; each day also shows the RT the Smoothing
+   * Logic planned for it and its RP color.
+   * 
+   * - VIEWS: View keys
+   * - WEEK_START: First day of a calendar week (index = Date.getDay(), 1 = Monday)
+   * - MONTH_DAY_TASKS: Tasks listed per day in the month view (the rest as '+N more')
+   */
+  export const CALENDAR = {
+    VIEWS: {
+      MONTH: 'month',
+      WEEK: 'week',
+    },
+    WEEK_START: 1,
+    MONTH_DAY_TASKS: 3,
+  };
+
+  // --- TIMELINE ---
+  /**
+   * TIMELINE - Gantt view of the task tree and its dependencies
+   * 
+   * Each task is a bar from its planned start (first day the Smoothing Logic
+   * gives it work) to its IDL; dragging the end of a bar moves the IDL.
+   * 
+   * - DAY_WIDTH: Width of one day in pixels
+   * - ROW_HEIGHT: Height of one task row in pixels
+   * - PADDING_DAYS: Days shown before the first and after the last bar
+   */
+  export const TIMELINE = {
+    DAY_WIDTH: 28,
+    ROW_HEIGHT: 36,
+    PADDING_DAYS: 3,
+  };
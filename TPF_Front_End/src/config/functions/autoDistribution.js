@@ -0,0 +1,271 @@
+/**
+ * Auto-Distribution Engine - "The Smoothing Logic"
+ *
+ * This module spreads the Required Time (RT) of open tasks across the days
+ * leading up to their Ideal Deadline (IDL), so that a 6-hour task due on Friday
+ * shows up as a small daily slice instead of landing entirely on Friday.
+ *
+ * Smoothing Formula (as defined in the TPF documentation):
+ * Daily Allocation = RT / Available Days
+ *
+ * Atomic vs. Divisible:
+ * - Divisible (default): RT is split into daily slices as described below
+ * - Atomic (task.atomic === true, e.g. exams, meetings): RT is reserved as one
+ *   continuous block on the IDL day and is never split. Atomic blocks are reserved
+ *   first, so divisible tasks only use the time that is left on each day.
+ * 
+ * Rules:
+ * - Available Days: every day from the start date up to and including the IDL day
+ *   that has available free time (> 0 hours). Tasks with an earliestStart (e.g.,
+ *   occurrences of recurring tasks) are not scheduled before that day
+ * - Minimum Chunk: slices are never shorter than MIN_ALLOCATION_MINUTES (5 minutes);
+ *   short tasks are spread over fewer days instead
+ * - Leftover minutes that do not fill a whole chunk are added to the first slice,
+ *   so the slices of a task always add up to exactly its RT
+ * - Only the remaining RT is distributed: in-progress tasks count RT minus their
+ *   progress (see getRemainingRT)
+ * - Parents only distribute the RT not covered by their subtasks (see getOwnRT),
+ *   so the subtasks' hours are not planned twice
+ * - Completed, cancelled and postponed tasks are not distributed
+ * - Tasks whose IDL is before the start date cannot be distributed and are
+ *   reported as unscheduled
+ *
+ * The result is a per-day allocation map that the PlanningContext uses to answer
+ * "what should I work on today?" for the Dashboard and Daily Tasks pages.
+ */
+
+import { DEFAULT_AVAILABLE_TIME, MIN_ALLOCATION_MINUTES } from '../constants';
+import { startOfDay, toDateKey, getDateRange } from './dateHelpers';
+import { getRemainingRT, isTaskScheduled } from './taskStatus';
+import { getOwnRT } from './rtCalculations';
+
+/**
+ * Get the days a task can be worked on
+ *
+ * Returns every day from startDate (or the task's earliestStart, if later) to the
+ * task's IDL day (inclusive) that has available time. If no day in the window has
+ * available time, the IDL day itself is returned so the task is never silently dropped.
+ *
+ * @param {Object} task - Task object with 'idl' property (Ideal Deadline) and an
+ *   optional 'earliestStart' (first day work may be scheduled)
+ * @param {Date|string} startDate - First day that can receive work (usually today)
+ * @param {Function} getAvailableTime - Function (date) => available hours for that day
+ * @returns {Array<Date>} Array of days (local midnight), empty if IDL is before startDate
+ *
+ * @example
+ * // Today is Dec 18, IDL is Dec 20, 8h available every day
+ * getAvailableDays(task, new Date(), () => 8); // [Dec 18, Dec 19, Dec 20]
+ */
+export function getAvailableDays(task, startDate, getAvailableTime) {
+  const deadline = startOfDay(task.idl);
+  if (deadline < startOfDay(startDate)) {
+    return [];
+  }
+
+  const earliestStart = task.earliestStart ? startOfDay(task.earliestStart) : null;
+  const start =
+    earliestStart && earliestStart > startOfDay(startDate) && earliestStart <= deadline
+      ? earliestStart
+      : startOfDay(startDate);
+  const window = getDateRange(start, deadline);
+  const days = window.filter((day) => (getAvailableTime(day) || 0) > 0);
+  return days.length > 0 ? days : [deadline];
+}
+
+/**
+ * Split a task's RT into daily slices using the Smoothing Logic
+ *
+ * Divides RT evenly across the given days in MIN_ALLOCATION_MINUTES chunks.
+ * When there are fewer chunks than days, only the earliest days are used
+ * (finishing early is preferred over finishing late).
+ *
+ * @param {number} rt - Required Time in hours
+ * @param {Array<Date>} days - Days available for this task (from getAvailableDays)
+ * @returns {Array<Object>} Array of slices, each with:
+ *   - date: 'YYYY-MM-DD' day key
+ *   - hours: Hours allocated to that day
+ *
+ * @example
+ * splitRequiredTime(3, [dec18, dec19, dec20]);
+ * // Returns: [
+ * //   { date: '2024-12-18', hours: 1 },
+ * //   { date: '2024-12-19', hours: 1 },
+ * //   { date: '2024-12-20', hours: 1 }
+ * // ]
+ */
+export function splitRequiredTime(rt, days) {
+  if (!rt || rt <= 0 || !days || days.length === 0) {
+    return [];
+  }
+
+  const totalMinutes = rt * 60;
+  const chunkCount = Math.floor(totalMinutes / MIN_ALLOCATION_MINUTES);
+
+  // Task shorter than one chunk: keep it in a single slice on the first day
+  if (chunkCount === 0) {
+    return [{ date: toDateKey(days[0]), hours: rt }];
+  }
+
+  const dayCount = Math.min(days.length, chunkCount);
+  const chunksPerDay = Math.floor(chunkCount / dayCount);
+  const extraChunks = chunkCount % dayCount;
+  const leftoverMinutes = totalMinutes - chunkCount * MIN_ALLOCATION_MINUTES;
+
+  return days.slice(0, dayCount).map((day, index) => {
+    const chunks = chunksPerDay + (index < extraChunks ? 1 : 0);
+    const minutes = chunks * MIN_ALLOCATION_MINUTES + (index === 0 ? leftoverMinutes : 0);
+    return {
+      date: toDateKey(day),
+      hours: minutes / 60,
+    };
+  });
+}
+
+/**
+ * Reserve an atomic task as one continuous block
+ *
+ * Atomic tasks (exams, meetings) cannot be split, so their full RT is placed on
+ * the IDL day as a single slice.
+ *
+ * @param {Object} task - Task object with 'rt' and 'idl' properties
+ * @param {Date|string} startDate - First day that can receive work (usually today)
+ * @returns {Array<Object>} Single-element array with { date, hours }, or empty array
+ *   if the IDL is before startDate
+ *
+ * @example
+ * reserveAtomicBlock({ rt: 3, idl: '2024-12-20T09:00' }, '2024-12-18');
+ * // Returns: [{ date: '2024-12-20', hours: 3 }]
+ */
+export function reserveAtomicBlock(task, startDate) {
+  const deadline = startOfDay(task.idl);
+  if (deadline < startOfDay(startDate)) {
+    return [];
+  }
+  return [{ date: toDateKey(deadline), hours: task.rt }];
+}
+
+/**
+ * Distribute all open tasks across days (the Auto-Distribution Engine)
+ *
+ * Runs the Smoothing Logic for every scheduled task and groups the resulting
+ * slices by day. Each allocation keeps a reference to its task and its position
+ * in the series, so the UI can show "slice 2 of 4".
+ * 
+ * Atomic tasks are reserved first as single blocks on their IDL day. Divisible
+ * tasks are then spread over the days that still have free time after those
+ * reservations.
+ *
+ * @param {Array} tasks - Array of task objects with 'id', 'rt', 'idl', 'status' and 'progress' properties
+ * @param {Object} [options] - Distribution options
+ * @param {Date|string} [options.startDate=new Date()] - First day that can receive work
+ * @param {Function} [options.getAvailableTime] - Function (date) => available hours for that day
+ *   (defaults to DEFAULT_AVAILABLE_TIME for every day)
+ * @returns {Object} Distribution result containing:
+ *   - allocations: Object keyed by 'YYYY-MM-DD' with arrays of allocation objects:
+ *     * taskId: ID of the allocated task
+ *     * date: Day key of the allocation
+ *     * hours: Hours allocated on that day
+ *     * totalRT: Full RT of the task (without the RT of its subtasks)
+ *     * remainingRT: RT still to be done (the sum of the task's slices)
+ *     * sliceIndex: Position of this slice (0-based)
+ *     * sliceCount: Number of slices the task was split into
+ *     * atomic: True if this is a continuous block of an atomic task
+ *   - unscheduled: Array of task IDs that could not be distributed (IDL in the past)
+ *   - oversizedAtomic: Array of atomic task IDs whose block is longer than the
+ *     available time of its day (the block cannot fit continuously)
+ *
+ * @example
+ * const { allocations } = distributeTasks(tasks, { getAvailableTime: () => 8 });
+ * allocations['2024-12-18']; // [{ taskId: 1001, hours: 1.5, sliceIndex: 0, sliceCount: 3, ... }]
+ */
+export function distributeTasks(tasks, options = {}) {
+  const {
+    startDate = new Date(),
+    getAvailableTime = () => DEFAULT_AVAILABLE_TIME,
+  } = options;
+
+  const allocations = {};
+  const unscheduled = [];
+  const oversizedAtomic = [];
+
+  if (!tasks || !Array.isArray(tasks)) {
+    return { allocations, unscheduled, oversizedAtomic };
+  }
+
+  // Own RT of every task (a parent's RT without its subtasks' RT)
+  const ownRT = new Map(tasks.map((task) => [task.id, getOwnRT(task, tasks)]));
+
+  // Open tasks with rt set to the own RT that is still to be done
+  const openTasks = tasks
+    .filter(isTaskScheduled)
+    .map((task) => ({ ...task, rt: getRemainingRT({ ...task, rt: ownRT.get(task.id) }) }))
+    .filter((task) => task.rt > 0);
+
+  // Hours already reserved per day by atomic blocks
+  const reserved = {};
+
+  const addSlices = (task, slices) => {
+    slices.forEach((slice, index) => {
+      if (!allocations[slice.date]) {
+        allocations[slice.date] = [];
+      }
+      allocations[slice.date].push({
+        taskId: task.id,
+        date: slice.date,
+        hours: slice.hours,
+        totalRT: ownRT.get(task.id),
+        remainingRT: task.rt,
+        sliceIndex: index,
+        sliceCount: slices.length,
+        atomic: Boolean(task.atomic),
+      });
+    });
+  };
+
+  // Pass 1: reserve continuous blocks for atomic tasks
+  openTasks
+    .filter((task) => task.atomic)
+    .forEach((task) => {
+      const block = reserveAtomicBlock(task, startDate);
+      if (block.length === 0) {
+        unscheduled.push(task.id);
+        return;
+      }
+      const { date, hours } = block[0];
+      reserved[date] = (reserved[date] || 0) + hours;
+      if (hours > (getAvailableTime(startOfDay(date)) || 0)) {
+        oversizedAtomic.push(task.id);
+      }
+      addSlices(task, block);
+    });
+
+  // Pass 2: smooth divisible tasks over the time left after atomic reservations
+  const getFreeTime = (day) => (getAvailableTime(day) || 0) - (reserved[toDateKey(day)] || 0);
+
+  openTasks
+    .filter((task) => !task.atomic)
+    .forEach((task) => {
+      const days = getAvailableDays(task, startDate, getFreeTime);
+      if (days.length === 0) {
+        unscheduled.push(task.id);
+        return;
+      }
+      addSlices(task, splitRequiredTime(task.rt, days));
+    });
+
+  return { allocations, unscheduled, oversizedAtomic };
+}
+
+/**
+ * Get the allocations of a distribution result for one day
+ *
+ * @param {Object} distribution - Result of distributeTasks()
+ * @param {Date|string} date - Target day
+ * @returns {Array<Object>} Allocation objects for that day (empty array if none)
+ */
+export function getAllocationsForDate(distribution, date) {
+  if (!distribution || !distribution.allocations) {
+    return [];
+  }
+  return distribution.allocations[toDateKey(date)] || [];
+}
@@ -0,0 +1,161 @@
+/**
+ * Availability Functions - Available free time per calendar day
+ *
+ * The available time (denominator of RP = Total RT / Available Time) depends on
+ * the day. It is stored as:
+ *
+ * {
+ *   weekly: [0, 8, 8, 8, 8, 8, 4],          // hours per weekday, index = Date.getDay()
+ *   overrides: { '2024-12-24': 2, ... }      // hours for single dates
+ * }
+ *
+ * An override wins over the weekly template for its date. All functions are
+ * pure and return new objects; PlanningContext persists the result.
+ */
+
+import { AVAILABILITY, DEFAULT_AVAILABLE_TIME } from '../constants';
+import { startOfDay, toDateKey } from './dateHelpers';
+
+/**
+ * Check whether a value is a valid number of available hours for one day
+ *
+ * @param {*} hours - Value to check
+ * @returns {boolean} True for numbers from 0 to AVAILABILITY.MAX_HOURS_PER_DAY
+ */
+export function isValidAvailableHours(hours) {
+  return (
+    typeof hours === 'number' &&
+    Number.isFinite(hours) &&
+    hours >= 0 &&
+    hours <= AVAILABILITY.MAX_HOURS_PER_DAY
+  );
+}
+
+/**
+ * Build a weekly template with the same hours on every weekday
+ *
+ * @param {number} [hours=DEFAULT_AVAILABLE_TIME] - Hours per day
+ * @returns {Array<number>} Hours per weekday (index = Date.getDay())
+ *
+ * @example
+ * createWeeklyTemplate(6); // Returns: [6, 6, 6, 6, 6, 6, 6]
+ */
+export function createWeeklyTemplate(hours = DEFAULT_AVAILABLE_TIME) {
+  return AVAILABILITY.WEEKDAYS.map(() => hours);
+}
+
+/**
+ * Complete a stored availability with the defaults
+ *
+ * Invalid weekday hours fall back to `fallbackHours`, invalid overrides are
+ * dropped. Used to read availability saved by older versions, where only one
+ * global available time existed (pass it as `fallbackHours`).
+ *
+ * @param {Object} [availability] - Stored availability (may be partial or null)
+ * @param {number} [fallbackHours=DEFAULT_AVAILABLE_TIME] - Hours for missing weekdays
+ * @returns {Object} Availability { weekly, overrides }
+ *
+ * @example
+ * normalizeAvailability(null, 6); // { weekly: [6, 6, 6, 6, 6, 6, 6], overrides: {} }
+ */
+export function normalizeAvailability(availability, fallbackHours = DEFAULT_AVAILABLE_TIME) {
+  const fallback = isValidAvailableHours(fallbackHours) ? fallbackHours : DEFAULT_AVAILABLE_TIME;
+  const weekly = createWeeklyTemplate(fallback).map((hours, weekday) => {
+    const stored = availability?.weekly?.[weekday];
+    return isValidAvailableHours(stored) ? stored : hours;
+  });
+
+  const overrides = Object.fromEntries(
+    Object.entries(availability?.overrides || {}).filter(
+      ([dateKey, hours]) => /^\d{4}-\d{2}-\d{2}$/.test(dateKey) && isValidAvailableHours(hours)
+    )
+  );
+
+  return { weekly, overrides };
+}
+
+/**
+ * Get the available time of one day with its source
+ *
+ * @param {Object} availability - Availability { weekly, overrides }
+ * @param {Date|string} date - Day to look up
+ * @returns {Object} Availability of the day:
+ *   - hours: Available hours (override if set, weekly template otherwise)
+ *   - templateHours: Hours from the weekly template
+ *   - isOverride: True if an override is set for this date
+ *
+ * @example
+ * getAvailabilityForDate({ weekly: [0, 8, 8, 8, 8, 8, 4], overrides: { '2024-12-24': 2 } }, '2024-12-24');
+ * // Returns: { hours: 2, templateHours: 8, isOverride: true }
+ */
+export function getAvailabilityForDate(availability, date) {
+  const dateKey = toDateKey(date);
+  const templateHours = availability.weekly[startOfDay(date).getDay()];
+  const isOverride = availability.overrides[dateKey] !== undefined;
+
+  return {
+    hours: isOverride ? availability.overrides[dateKey] : templateHours,
+    templateHours,
+    isOverride,
+  };
+}
+
+/**
+ * Get the available hours of one day
+ *
+ * @param {Object} availability - Availability { weekly, overrides }
+ * @param {Date|string} date - Day to look up
+ * @returns {number} Available hours (override if set, weekly template otherwise)
+ */
+export function getAvailableHoursForDate(availability, date) {
+  return getAvailabilityForDate(availability, date).hours;
+}
+
+/**
+ * Set or remove the override of one date
+ *
+ * @param {Object} availability - Availability { weekly, overrides }
+ * @param {Date|string} date - Day to change
+ * @param {number|null} hours - Hours for that day, or null to use the weekly template again
+ * @returns {Object} New availability
+ * @throws {Error} If hours is neither null nor a valid number of hours
+ *
+ * @example
+ * setAvailabilityOverride(availability, '2024-12-24', 2);    // Christmas Eve: 2h
+ * setAvailabilityOverride(availability, '2024-12-24', null); // back to the template
+ */
+export function setAvailabilityOverride(availability, date, hours) {
+  const dateKey = toDateKey(date);
+  const { [dateKey]: _previous, ...overrides } = availability.overrides;
+
+  if (hours === null) {
+    return { ...availability, overrides };
+  }
+  if (!isValidAvailableHours(hours)) {
+    throw new Error(`Available time must be between 0 and ${AVAILABILITY.MAX_HOURS_PER_DAY} hours.`);
+  }
+
+  return { ...availability, overrides: { ...overrides, [dateKey]: hours } };
+}
+
+/**
+ * Replace the weekly template
+ *
+ * @param {Object} availability - Availability { weekly, overrides }
+ * @param {Array<number>} weekly - Hours per weekday (index = Date.getDay())
+ * @returns {Object} New availability
+ * @throws {Error} If the template does not have 7 valid values
+ */
+export function setWeeklyAvailability(availability, weekly) {
+  if (!Array.isArray(weekly) || weekly.length !== AVAILABILITY.WEEKDAYS.length) {
+    throw new Error('The weekly template needs hours for all 7 weekdays.');
+  }
+  const invalidDay = weekly.findIndex((hours) => !isValidAvailableHours(hours));
+  if (invalidDay !== -1) {
+    throw new Error(
+      `${AVAILABILITY.WEEKDAYS[invalidDay]}: available time must be between 0 and ${AVAILABILITY.MAX_HOURS_PER_DAY} hours.`
+    );
+  }
+
+  return { ...availability, weekly: [...weekly] };
+}
@@ -0,0 +1,580 @@
+/**
+ * Backup Functions - Versioned export and validated import of the whole workspace
+ *
+ * A backup is one JSON document that bundles every collection and the settings:
+ *
+ * {
+ *   "format": "tpf-backup",
+ *   "version": 1,
+ *   "exportedAt": "2024-12-18T09:00:00.000Z",
+ *   "data": { "tasks": [...], "entities": [...], "observations": [...] },
+ *   "settings": {
+ *     "theme": "dark",
+ *     "availability": { "weekly": [0, 8, 8, 8, 8, 8, 4], "overrides": { "2024-12-24": 2 } },
+ *     "palette": { "importance": {...}, ... },
+ *     "recurringSeries": [{ "id": 1, "title": "Gym", "rule": {...}, ... }],
+ *     "taskTemplates": [{ "id": 2, "name": "Exam prep", "nodes": [...] }],
+ *     "cwaPolicy": { "survivingLevels": [1], "removalAction": "archive", ... },
+ *     "taskArchive": [{ "id": 3, "title": "Side project", ..., "archivedAt": "..." }],
+ *     "cwaHistory": [{ "id": 4, "executedAt": "...", "action": "archive", "snapshot": [...], ... }],
+ *     "rpHistory": { "2024-12-17": { "date": "2024-12-17", "rp": 0.94, ... } },
+ *     "ritualLog": { "2024-12-17": { "morning": { "completedAt": "..." } } },
+ *     "weekPlan": { "startDate": "2024-12-16", "days": [...] },
+ *     "rtCorrectionEnabled": true,
+ *     "autoCompleteParents": false
+ *   }
+ * }
+ *
+ * Backups of older versions carry "availableTime" (one number for every day)
+ * instead of "availability"; it is still accepted on import.
+ *
+ * Records use the field conventions documented in src/examples/README.md
+ * (ISO 8601 dates, numbers as numbers, null for empty optional values, arrays
+ * never null). Tasks keep their subtasks, linksTo and linkedFrom arrays, so the
+ * hierarchy and the prerequisite graph survive a round trip.
+ *
+ * Import Workflow:
+ * 1. parseBackup(): JSON text → document
+ * 2. validateBackup(): checks the document and every record against the schema;
+ *    invalid records are reported (collection, index, id, messages) and skipped
+ * 3. mergeBackupData(): combines the valid records with the current workspace
+ *    ('merge' keeps existing records, 'replace' discards them) and removes
+ *    references to tasks that do not exist in the result
+ */
+
+import { BACKUP_FORMAT, IMPORTANCE, TASK_STATUS, CWA } from '../constants';
+import { isHexColor } from './palette';
+import { isValidAvailableHours } from './availability';
+import { normalizeRecurrenceRule } from './recurrence';
+import { repairTaskLinks } from './taskGraph';
+
+// --- Field checks ---
+
+const isId = (value) =>
+  (typeof value === 'number' && Number.isFinite(value)) ||
+  (typeof value === 'string' && value.trim() !== '');
+const isDate = (value) =>
+  (typeof value === 'string' || value instanceof Date) && !Number.isNaN(new Date(value).getTime());
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+const isNumberBetween = (min, max) => (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+const isIntegerBetween = (min, max) => (value) =>
+  Number.isInteger(value) && value >= min && value <= max;
+const isBoolean = (value) => typeof value === 'boolean';
+const isIdArray = (value) => Array.isArray(value) && value.every(isId);
+const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+const isOneOf = (options) => (value) => options.includes(value);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && isDate(value);
+const isDayLog = (checkDay) => (value) =>
+  isPlainObject(value) && Object.entries(value).every(([key, day]) => isDateKey(key) && checkDay(day));
+const isAvailability = (value) =>
+  isPlainObject(value) &&
+  Array.isArray(value.weekly) &&
+  value.weekly.length === 7 &&
+  value.weekly.every(isValidAvailableHours) &&
+  isPlainObject(value.overrides) &&
+  Object.values(value.overrides).every(isValidAvailableHours);
+const isPalette = (value) =>
+  isPlainObject(value) &&
+  Object.values(value).every((colors) => isPlainObject(colors) && Object.values(colors).every(isHexColor));
+const orNull = (check) => (value) => value === null || check(value);
+const isOccurrence = (value) =>
+  isPlainObject(value) && isId(value.seriesId) && typeof value.date === 'string' && isDate(value.date);
+const isRecurrenceRule = (value) => {
+  try {
+    normalizeRecurrenceRule(value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+const isRecurringSeriesArray = (value) =>
+  Array.isArray(value) &&
+  value.every(
+    (series) =>
+      isPlainObject(series) &&
+      isId(series.id) &&
+      isNonEmptyString(series.title) &&
+      isNumberBetween(0, Infinity)(series.rt) &&
+      isIntegerBetween(IMPORTANCE.MUST, IMPORTANCE.OPTIONAL)(series.il) &&
+      isRecurrenceRule(series.rule)
+  );
+const isTemplateNode = (node) =>
+  isPlainObject(node) &&
+  Number.isInteger(node.key) &&
+  orNull(Number.isInteger)(node.parentKey) &&
+  isNonEmptyString(node.title) &&
+  isNumberBetween(0, Infinity)(node.rt) &&
+  isIntegerBetween(IMPORTANCE.MUST, IMPORTANCE.OPTIONAL)(node.il) &&
+  Number.isInteger(node.idlOffsetDays) &&
+  (node.idlMinuteOfDay === undefined || isIntegerBetween(0, 24 * 60 - 1)(node.idlMinuteOfDay)) &&
+  Array.isArray(node.linksTo) &&
+  node.linksTo.every(Number.isInteger);
+const isTemplateArray = (value) =>
+  Array.isArray(value) &&
+  value.every(
+    (template) =>
+      isPlainObject(template) &&
+      isId(template.id) &&
+      isNonEmptyString(template.name) &&
+      Array.isArray(template.nodes) &&
+      template.nodes.length > 0 &&
+      template.nodes.every(isTemplateNode)
+  );
+const isSessionArray = (value) =>
+  Array.isArray(value) &&
+  value.every((session) => isPlainObject(session) && isDate(session.start) && orNull(isDate)(session.end ?? null));
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+/**
+ * Record schemas
+ *
+ * Each field has:
+ * - required: Field must be present (not undefined)
+ * - check: Validation function for present values
+ * - message: Error text when the check fails
+ * - normalize: Optional conversion after a successful check
+ * - fallback: Value used when an optional field is missing
+ */
+const SCHEMAS = {
+  tasks: {
+    id: { required: true, check: isId, message: 'id must be a number or a non-empty string' },
+    title: { required: true, check: isNonEmptyString, message: 'title must be a non-empty string' },
+    rt: { required: true, check: isNumberBetween(0, Infinity), message: 'rt must be a non-negative number (hours)' },
+    idl: { required: true, check: isDate, message: 'idl must be an ISO 8601 date', normalize: toDate },
+    il: {
+      required: true,
+      check: isIntegerBetween(IMPORTANCE.MUST, IMPORTANCE.OPTIONAL),
+      message: 'il must be an integer from 1 to 4',
+    },
+    atomic: { check: isBoolean, message: 'atomic must be a boolean', fallback: false },
+    createdAt: { check: isDate, message: 'createdAt must be an ISO 8601 date', normalize: toDate, fallback: null },
+    parentTaskId: { check: orNull(isId), message: 'parentTaskId must be null or a task ID', fallback: null },
+    subtasks: { check: isIdArray, message: 'subtasks must be an array of task IDs', fallback: [] },
+    linksTo: { check: isIdArray, message: 'linksTo must be an array of task IDs', fallback: [] },
+    linkedFrom: { check: isIdArray, message: 'linkedFrom must be an array of task IDs', fallback: [] },
+    completed: { check: isBoolean, message: 'completed must be a boolean', fallback: false },
+    status: {
+      check: orNull(isOneOf(Object.values(TASK_STATUS.VALUES))),
+      message: `status must be null or one of ${Object.values(TASK_STATUS.VALUES).join(', ')}`,
+      fallback: null,
+    },
+    progress: { check: isNumberBetween(0, 100), message: 'progress must be a number from 0 to 100 (percent)', fallback: 0 },
+    completedAt: {
+      check: orNull(isDate),
+      message: 'completedAt must be null or an ISO 8601 date',
+      normalize: toDate,
+      fallback: null,
+    },
+    tags: { check: isStringArray, message: 'tags must be an array of strings', fallback: [] },
+    timeSessions: {
+      check: isSessionArray,
+      message: 'timeSessions must be an array of { start, end } with ISO 8601 dates (end may be null)',
+      normalize: (sessions) => sessions.map((session) => ({ start: toDate(session.start), end: toDate(session.end) })),
+      fallback: [],
+    },
+    actualTime: { check: isNumberBetween(0, Infinity), message: 'actualTime must be a non-negative number (hours)', fallback: 0 },
+    earliestStart: {
+      check: orNull(isDate),
+      message: 'earliestStart must be null or an ISO 8601 date',
+      normalize: toDate,
+      fallback: null,
+    },
+    recurrence: {
+      check: orNull(isOccurrence),
+      message: 'recurrence must be null or { seriesId, date: "YYYY-MM-DD" }',
+      fallback: null,
+    },
+  },
+  entities: {
+    id: { required: true, check: isId, message: 'id must be a number or a non-empty string' },
+    name: { required: true, check: isNonEmptyString, message: 'name must be a non-empty string' },
+    type: { check: isOneOf(['person', 'institution']), message: 'type must be "person" or "institution"', fallback: 'person' },
+    ep: { required: true, check: isNumberBetween(0, 100), message: 'ep must be a number from 0 to 100' },
+    level: { check: isIntegerBetween(1, 5), message: 'level must be an integer from 1 to 5' },
+    notes: { check: orNull((value) => typeof value === 'string'), message: 'notes must be a string or null', fallback: '' },
+    createdAt: { check: isDate, message: 'createdAt must be an ISO 8601 date', normalize: toDate, fallback: null },
+    updatedAt: { check: isDate, message: 'updatedAt must be an ISO 8601 date', normalize: toDate, fallback: null },
+  },
+  observations: {
+    id: { required: true, check: isId, message: 'id must be a number or a non-empty string' },
+    content: { required: true, check: isNonEmptyString, message: 'content must be a non-empty string' },
+    createdAt: { required: true, check: isDate, message: 'createdAt must be an ISO 8601 date', normalize: toDate },
+    status: {
+      required: true,
+      check: isOneOf(['buffer', 'ready_for_analysis', 'analyzed', 'deleted']),
+      message: 'status must be "buffer", "ready_for_analysis", "analyzed" or "deleted"',
+    },
+    tags: { check: isStringArray, message: 'tags must be an array of strings', fallback: [] },
+    lessonIdentified: {
+      check: orNull((value) => typeof value === 'string'),
+      message: 'lessonIdentified must be a string or null',
+      fallback: null,
+    },
+    ep: { check: orNull(isNumberBetween(0, 100)), message: 'ep must be null or a number from 0 to 100', fallback: null },
+    convertedToTask: { check: isBoolean, message: 'convertedToTask must be a boolean', fallback: false },
+    taskId: { check: orNull(isId), message: 'taskId must be null or a task ID', fallback: null },
+  },
+};
+
+// --- Planning state checks ---
+
+const isTaskRecord = (value) => validateRecord(value, SCHEMAS.tasks).messages.length === 0;
+const toTaskRecords = (tasks) => tasks.map((task) => validateRecord(task, SCHEMAS.tasks).record);
+// JSON writes an RP of Infinity (RT but no available time) as null
+const toRP = (rp) => rp ?? Infinity;
+const isCwaPolicy = (value) =>
+  isPlainObject(value) &&
+  (value.survivingLevels === undefined ||
+    (Array.isArray(value.survivingLevels) &&
+      value.survivingLevels.every(isIntegerBetween(IMPORTANCE.MUST, IMPORTANCE.OPTIONAL)))) &&
+  (value.subtasksInheritSurvival === undefined || isBoolean(value.subtasksInheritSurvival)) &&
+  (value.removalAction === undefined || isOneOf(Object.values(CWA.REMOVAL_ACTIONS))(value.removalAction)) &&
+  (value.postponeDays === undefined || isIntegerBetween(1, Infinity)(value.postponeDays)) &&
+  (value.autoTrigger === undefined || isBoolean(value.autoTrigger)) &&
+  (value.overloadDays === undefined || isIntegerBetween(1, Infinity)(value.overloadDays));
+const isTaskArchive = (value) =>
+  Array.isArray(value) && value.every((task) => isTaskRecord(task) && orNull(isDate)(task.archivedAt ?? null));
+const isCwaHistory = (value) =>
+  Array.isArray(value) &&
+  value.every(
+    (entry) =>
+      isPlainObject(entry) &&
+      isId(entry.id) &&
+      isDate(entry.executedAt) &&
+      isOneOf(Object.values(CWA.REMOVAL_ACTIONS))(entry.action) &&
+      isIdArray(entry.removedTaskIds) &&
+      orNull((snapshot) => Array.isArray(snapshot) && snapshot.every(isTaskRecord))(entry.snapshot ?? null) &&
+      orNull(isDate)(entry.undoneAt ?? null)
+  );
+const isRPSnapshot = (day) =>
+  isPlainObject(day) &&
+  isDateKey(day.date) &&
+  isNumberBetween(0, Infinity)(day.totalRT) &&
+  isNumberBetween(0, 24)(day.availableTime) &&
+  (typeof day.rp === 'number' || day.rp === null);
+const isRitualDay = (day) =>
+  isPlainObject(day) &&
+  [day.morning, day.evening].every(
+    (ritual) => ritual === undefined || (isPlainObject(ritual) && isDate(ritual.completedAt))
+  );
+const isWeekPlan = (value) =>
+  isPlainObject(value) &&
+  isDateKey(value.startDate) &&
+  Array.isArray(value.days) &&
+  value.days.every(
+    (day) =>
+      isPlainObject(day) &&
+      isDateKey(day.date) &&
+      (typeof day.rp === 'number' || day.rp === null) &&
+      Array.isArray(day.slices)
+  );
+
+// Settings fields (invalid values are reported and ignored; normalize converts valid ones)
+const SETTINGS_SCHEMA = {
+  theme: { check: isOneOf(['light', 'dark']), message: 'theme must be "light" or "dark"' },
+  availableTime: { check: isNumberBetween(0, 24), message: 'availableTime must be a number of hours from 0 to 24' },
+  availability: {
+    check: isAvailability,
+    message: 'availability must be { weekly: [7 × hours], overrides: { "YYYY-MM-DD": hours } } with 0-24 hours',
+  },
+  palette: { check: isPalette, message: 'palette must group hex colors like { importance: { 1: "#dc2626" } }' },
+  recurringSeries: {
+    check: isRecurringSeriesArray,
+    message: 'recurringSeries must be an array of { id, title, rt, il, rule } with valid recurrence rules',
+  },
+  taskTemplates: {
+    check: isTemplateArray,
+    message: 'taskTemplates must be an array of { id, name, nodes } with valid template nodes',
+  },
+  cwaPolicy: {
+    check: isCwaPolicy,
+    message: 'cwaPolicy must hold ILs from 1 to 4, a known removal action and day counts of at least 1',
+  },
+  taskArchive: {
+    check: isTaskArchive,
+    message: 'taskArchive must be an array of valid tasks',
+    normalize: (tasks) =>
+      toTaskRecords(tasks).map((task) => ({ ...task, archivedAt: toDate(task.archivedAt) })),
+  },
+  cwaHistory: {
+    check: isCwaHistory,
+    message: 'cwaHistory must be an array of { id, executedAt, action, removedTaskIds } entries with valid task snapshots',
+    normalize: (history) =>
+      history.map((entry) => ({ ...entry, snapshot: entry.snapshot ? toTaskRecords(entry.snapshot) : null })),
+  },
+  rpHistory: {
+    check: isDayLog(isRPSnapshot),
+    message: 'rpHistory must map "YYYY-MM-DD" days to RP snapshots',
+    normalize: (history) =>
+      Object.fromEntries(Object.entries(history).map(([key, day]) => [key, { ...day, rp: toRP(day.rp) }])),
+  },
+  ritualLog: {
+    check: isDayLog(isRitualDay),
+    message: 'ritualLog must map "YYYY-MM-DD" days to { morning, evening } rituals with a completedAt date',
+  },
+  weekPlan: {
+    check: orNull(isWeekPlan),
+    message: 'weekPlan must be null or { startDate, days } with "YYYY-MM-DD" dates',
+    normalize: (plan) => plan && { ...plan, days: plan.days.map((day) => ({ ...day, rp: toRP(day.rp) })) },
+  },
+  rtCorrectionEnabled: { check: isBoolean, message: 'rtCorrectionEnabled must be a boolean' },
+  autoCompleteParents: { check: isBoolean, message: 'autoCompleteParents must be a boolean' },
+};
+
+/**
+ * Collections included in a backup, in restore order
+ */
+export const BACKUP_COLLECTIONS = Object.keys(SCHEMAS);
+
+/**
+ * Build a backup document from the current workspace
+ *
+ * @param {Object} workspace - Current workspace
+ * @param {Array} workspace.tasks - All tasks (including subtasks and links)
+ * @param {Array} workspace.entities - All entities
+ * @param {Array} workspace.observations - All observations
+ * @param {Object} workspace.settings - Settings (theme, availability, palette, planning state; see module header)
+ * @returns {Object} Backup document (Date objects become ISO strings when serialized)
+ *
+ * @example
+ * const backup = createBackup({ tasks, entities, observations, settings: { theme, availability, palette } });
+ * const json = JSON.stringify(backup, null, 2);
+ */
+export function createBackup({ tasks = [], entities = [], observations = [], settings = {} }) {
+  return {
+    format: BACKUP_FORMAT.NAME,
+    version: BACKUP_FORMAT.VERSION,
+    exportedAt: new Date().toISOString(),
+    data: { tasks, entities, observations },
+    settings,
+  };
+}
+
+/**
+ * Parse the text of a backup file
+ *
+ * @param {string} text - File content
+ * @returns {Object} Parsed document
+ * @throws {Error} If the text is not valid JSON
+ */
+export function parseBackup(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+}
+
+/**
+ * Validate one record against a schema
+ *
+ * @param {Object} record - Record from the backup
+ * @param {Object} schema - Field schema
+ * @returns {Object} { record: normalized record, messages: error messages }
+ */
+function validateRecord(record, schema) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { record: null, messages: ['record must be an object'] };
+  }
+
+  const messages = [];
+  const normalized = { ...record };
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = record[field];
+    if (value === undefined) {
+      if (rule.required) {
+        messages.push(`${field} is required`);
+      } else if (rule.fallback !== undefined) {
+        normalized[field] = Array.isArray(rule.fallback) ? [] : rule.fallback;
+      }
+      return;
+    }
+    if (!rule.check(value)) {
+      messages.push(rule.message);
+      return;
+    }
+    if (rule.normalize) {
+      normalized[field] = rule.normalize(value);
+    }
+  });
+
+  return { record: normalized, messages };
+}
+
+/**
+ * Validate a backup document
+ *
+ * Document errors (wrong format, unsupported version, missing data) make the
+ * whole backup unusable. Record errors only exclude the affected records.
+ *
+ * @param {Object} document - Parsed backup document
+ * @returns {Object} Validation result:
+ *   - valid: True if the document can be restored (no document errors)
+ *   - documentErrors: Array of messages about the document itself
+ *   - recordErrors: Array of { collection, index, id, messages } for invalid records
+ *     and settings (collection 'settings')
+ *   - data: { tasks, entities, observations } with the valid, normalized records
+ *   - settings: Valid settings
+ *   - counts: { [collection]: { total, valid } }
+ *
+ * @example
+ * const result = validateBackup(parseBackup(text));
+ * result.recordErrors; // [{ collection: 'tasks', index: 3, id: 1004, messages: ['il must be ...'] }]
+ */
+export function validateBackup(document) {
+  const result = {
+    valid: false,
+    documentErrors: [],
+    recordErrors: [],
+    data: Object.fromEntries(BACKUP_COLLECTIONS.map((collection) => [collection, []])),
+    settings: {},
+    counts: Object.fromEntries(BACKUP_COLLECTIONS.map((collection) => [collection, { total: 0, valid: 0 }])),
+  };
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    result.documentErrors.push('The backup must be a JSON object.');
+    return result;
+  }
+  if (document.format !== BACKUP_FORMAT.NAME) {
+    result.documentErrors.push(`This is not a TPF backup (format must be "${BACKUP_FORMAT.NAME}").`);
+  }
+  if (!Number.isInteger(document.version) || document.version < 1) {
+    result.documentErrors.push('The backup has no valid version number.');
+  } else if (document.version > BACKUP_FORMAT.VERSION) {
+    result.documentErrors.push(
+      `The backup was created by a newer version of TPF (version ${document.version}, supported up to ${BACKUP_FORMAT.VERSION}).`
+    );
+  }
+  if (!document.data || typeof document.data !== 'object') {
+    result.documentErrors.push('The backup has no "data" section.');
+  }
+  if (result.documentErrors.length > 0) {
+    return result;
+  }
+
+  BACKUP_COLLECTIONS.forEach((collection) => {
+    const records = document.data[collection] ?? [];
+    if (!Array.isArray(records)) {
+      result.documentErrors.push(`data.${collection} must be an array.`);
+      return;
+    }
+
+    const seenIds = new Set();
+    result.counts[collection].total = records.length;
+
+    records.forEach((raw, index) => {
+      const { record, messages } = validateRecord(raw, SCHEMAS[collection]);
+      if (record && seenIds.has(record.id)) {
+        messages.push(`id ${record.id} appears more than once`);
+      }
+      if (messages.length > 0) {
+        result.recordErrors.push({ collection, index, id: raw?.id ?? null, messages });
+        return;
+      }
+      seenIds.add(record.id);
+      result.data[collection].push(record);
+    });
+
+    result.counts[collection].valid = result.data[collection].length;
+  });
+
+  const settings = document.settings && typeof document.settings === 'object' ? document.settings : {};
+  Object.entries(SETTINGS_SCHEMA).forEach(([key, rule]) => {
+    if (settings[key] === undefined) {
+      return;
+    }
+    if (rule.check(settings[key])) {
+      result.settings[key] = rule.normalize ? rule.normalize(settings[key]) : settings[key];
+    } else {
+      result.recordErrors.push({ collection: 'settings', index: null, id: key, messages: [rule.message] });
+    }
+  });
+
+  result.valid = result.documentErrors.length === 0;
+  return result;
+}
+
+/**
+ * Remove task references that point to tasks missing from the collection
+ *
+ * Cleans parentTaskId, subtasks, linksTo and linkedFrom, so skipped or
+ * unknown tasks never leave dangling links behind. Links that would make a
+ * task (indirectly) wait for itself are dropped as well, and linkedFrom is
+ * rebuilt from linksTo, so links between imported and existing tasks show on
+ * both sides (see repairTaskLinks).
+ *
+ * @param {Array} tasks - Tasks to clean
+ * @returns {Object} { tasks: cleaned tasks, warnings: messages about removed references }
+ */
+export function cleanTaskReferences(tasks) {
+  const ids = new Set(tasks.map((task) => task.id));
+  const warnings = [];
+
+  const cleaned = tasks.map((task) => {
+    const keep = (field) => {
+      const list = task[field] || [];
+      const kept = list.filter((id) => ids.has(id));
+      if (kept.length !== list.length) {
+        warnings.push(`"${task.title}": removed ${list.length - kept.length} unknown task reference(s) from ${field}`);
+      }
+      return kept;
+    };
+
+    const parentMissing = task.parentTaskId != null && !ids.has(task.parentTaskId);
+    if (parentMissing) {
+      warnings.push(`"${task.title}": parent task ${task.parentTaskId} not found, restored as a root task`);
+    }
+
+    return {
+      ...task,
+      parentTaskId: parentMissing ? null : task.parentTaskId,
+      subtasks: keep('subtasks'),
+      linksTo: keep('linksTo'),
+      linkedFrom: keep('linkedFrom'),
+    };
+  });
+
+  const repaired = repairTaskLinks(cleaned);
+  const titleOf = (id) => cleaned.find((task) => task.id === id).title;
+  repaired.removed.forEach((link) => {
+    warnings.push(`"${titleOf(link.fromId)}" → "${titleOf(link.toId)}": link removed. ${link.error}`);
+  });
+
+  return { tasks: repaired.tasks, warnings };
+}
+
+/**
+ * Combine validated backup data with the current workspace
+ *
+ * Modes:
+ * - 'replace': The backup becomes the whole workspace
+ * - 'merge': Records from the backup are added; records with an ID that already
+ *   exists overwrite the current version, all other current records are kept
+ *
+ * @param {Object} current - Current { tasks, entities, observations }
+ * @param {Object} incoming - Valid data from validateBackup()
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Object} { tasks, entities, observations, warnings }
+ */
+export function mergeBackupData(current, incoming, mode) {
+  const combine = (existing, imported) => {
+    if (mode === 'replace') {
+      return imported;
+    }
+    const importedIds = new Set(imported.map((record) => record.id));
+    return [...existing.filter((record) => !importedIds.has(record.id)), ...imported];
+  };
+
+  const { tasks, warnings } = cleanTaskReferences(combine(current.tasks || [], incoming.tasks || []));
+
+  return {
+    tasks,
+    entities: combine(current.entities || [], incoming.entities || []),
+    observations: combine(current.observations || [], incoming.observations || []),
+    warnings,
+  };
+}
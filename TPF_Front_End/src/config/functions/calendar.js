@@ -0,0 +1,129 @@
+/**
+ * Calendar Functions - Month and week grids and moving tasks between days
+ *
+ * The calendar places every task on the day of its Ideal Deadline (IDL).
+ * Dragging a task to another day moves its IDL to that day and keeps the time
+ * of day; the Smoothing Logic then plans its RT up to the new deadline.
+ */
+
+import { CALENDAR } from '../constants';
+import { addDays, startOfDay, toDateKey, isSameDay } from './dateHelpers';
+import { sortTasksByPriority } from './taskSorting';
+import { getRescheduledIDL } from './overdue';
+
+/**
+ * Get the first day of the calendar week containing a date
+ *
+ * @param {Date|string} date - Any day of the week
+ * @param {number} [weekStart=CALENDAR.WEEK_START] - First weekday (0 = Sunday)
+ * @returns {Date} Local midnight of the week's first day
+ */
+function getWeekStart(date, weekStart = CALENDAR.WEEK_START) {
+  const day = startOfDay(date);
+  return addDays(day, -((day.getDay() - weekStart + 7) % 7));
+}
+
+/**
+ * Get the days shown by a calendar view
+ *
+ * The month view covers whole weeks, from the week of the 1st to the week of
+ * the last day of the month; the week view is the week containing `date`.
+ *
+ * @param {Date|string} date - Day the view is showing
+ * @param {string} view - CALENDAR.VIEWS value
+ * @param {number} [weekStart=CALENDAR.WEEK_START] - First weekday (0 = Sunday)
+ * @returns {Array<Date>} Days at local midnight (a multiple of 7)
+ *
+ * @example
+ * getCalendarDays('2024-12-18', CALENDAR.VIEWS.WEEK); // [Mon Dec 16, ..., Sun Dec 22]
+ * getCalendarDays('2024-12-18', CALENDAR.VIEWS.MONTH).length; // 42 (Nov 25 - Jan 5)
+ */
+export function getCalendarDays(date, view, weekStart = CALENDAR.WEEK_START) {
+  const day = startOfDay(date);
+
+  if (view === CALENDAR.VIEWS.WEEK) {
+    const start = getWeekStart(day, weekStart);
+    return Array.from({ length: 7 }, (_, offset) => addDays(start, offset));
+  }
+
+  const start = getWeekStart(new Date(day.getFullYear(), day.getMonth(), 1), weekStart);
+  const end = addDays(getWeekStart(new Date(day.getFullYear(), day.getMonth() + 1, 0), weekStart), 6);
+  const days = [];
+  for (let current = start; current <= end; current = addDays(current, 1)) {
+    days.push(current);
+  }
+  return days;
+}
+
+/**
+ * Move a calendar view back or forward
+ *
+ * @param {Date|string} date - Day the view is showing
+ * @param {string} view - CALENDAR.VIEWS value
+ * @param {number} step - Months (month view) or weeks (week view) to move, can be negative
+ * @returns {Date} Day the moved view shows
+ *
+ * @example
+ * shiftCalendarDate('2024-12-18', CALENDAR.VIEWS.MONTH, 1); // Jan 1 2025
+ * shiftCalendarDate('2024-12-18', CALENDAR.VIEWS.WEEK, -1); // Dec 11 2024
+ */
+export function shiftCalendarDate(date, view, step) {
+  const day = startOfDay(date);
+  if (view === CALENDAR.VIEWS.WEEK) {
+    return addDays(day, step * 7);
+  }
+  return new Date(day.getFullYear(), day.getMonth() + step, 1);
+}
+
+/**
+ * Group tasks by the day of their IDL
+ *
+ * @param {Array} tasks - Tasks to group
+ * @returns {Object} 'YYYY-MM-DD' → tasks due that day, sorted by priority
+ *   (see sortTasksByPriority)
+ */
+export function groupTasksByIDLDay(tasks) {
+  const groups = {};
+  tasks.forEach((task) => {
+    const dateKey = toDateKey(task.idl);
+    groups[dateKey] = [...(groups[dateKey] || []), task];
+  });
+  Object.keys(groups).forEach((dateKey) => {
+    groups[dateKey] = sortTasksByPriority(groups[dateKey]);
+  });
+  return groups;
+}
+
+/**
+ * Get the updates that move a task's IDL to another day
+ *
+ * The IDL keeps its time of day; if that time has already passed (moving to
+ * today), the IDL is the end of the day (see getRescheduledIDL). An
+ * earliestStart pinned to the old IDL day (recurring occurrences, moved
+ * overdue tasks) or falling after the new IDL moves to the new day as well, so
+ * the task stays schedulable.
+ *
+ * @param {Object} task - Task to move
+ * @param {Date|string} day - New IDL day
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} Updates for updateTask ({ idl } and, if needed, earliestStart)
+ *
+ * @example
+ * getMoveToDayUpdates({ idl: new Date('2024-12-18T17:00'), earliestStart: null }, '2024-12-20');
+ * // Returns: { idl: Dec 20 2024 17:00 }
+ * getMoveToDayUpdates({ idl: new Date('2024-12-18T09:00') }, '2024-12-20', new Date('2024-12-20T14:00'));
+ * // Returns: { idl: Dec 20 2024 23:59 }
+ */
+export function getMoveToDayUpdates(task, day, now = new Date()) {
+  const oldIDL = new Date(task.idl);
+  const idl = getRescheduledIDL(task, startOfDay(day), now);
+
+  const updates = { idl };
+  if (
+    task.earliestStart &&
+    (isSameDay(task.earliestStart, oldIDL) || startOfDay(task.earliestStart) > startOfDay(day))
+  ) {
+    updates.earliestStart = startOfDay(day);
+  }
+  return updates;
+}
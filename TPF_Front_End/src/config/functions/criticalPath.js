@@ -0,0 +1,310 @@
+/**
+ * Critical Path Functions - Longest RT chain and deadline feasibility per task tree
+ *
+ * This module answers "which chain of work decides whether this deadline is met?"
+ * for every root task of the task tree.
+ *
+ * Network of a Root Task:
+ * - The root task itself
+ * - Its subtasks (recursively): a parent is only done when its children are done
+ * - Its prerequisites (recursively, via linksTo): a task cannot start before its
+ *   prerequisites are completed, even if they live in another tree
+ *
+ * Edges therefore run child → parent and prerequisite → dependent, and every task
+ * in the network leads to the root.
+ *
+ * Critical Path Method (in work hours):
+ * - Duration: remaining own RT of a task (progress subtracted, 0 for completed or
+ *   cancelled tasks); a parent's RT includes its subtasks' RT, so only the part
+ *   not covered by them is the parent's own work (see getOwnRT)
+ * - Earliest Start (ES) / Earliest Finish (EF) from a forward pass
+ * - Latest Start (LS) / Latest Finish (LF) from a backward pass, with LF(root) = longest chain
+ * - Slack = LS - ES: how many hours a task can slip without delaying the root
+ * - Critical tasks have zero slack; they form the longest RT chain
+ *
+ * Deadline Feasibility:
+ * Since one person works through the whole network, the IDL is reachable when the
+ * total remaining RT of the network fits in the available time from today up to and
+ * including the root's IDL day. The earliest feasible finish is the first day on which
+ * the accumulated available time covers that RT.
+ */
+
+import { DEFAULT_AVAILABLE_TIME } from '../constants';
+import { startOfDay, addDays, getDateRange } from './dateHelpers';
+import { getRemainingRT, isTaskClosed } from './taskStatus';
+import { getOwnRT } from './rtCalculations';
+
+// Floating point tolerance when comparing hour values
+const EPSILON = 1e-9;
+
+// Maximum number of days searched for the earliest feasible finish
+const MAX_FORECAST_DAYS = 365;
+
+/**
+ * Get the remaining work duration of a task in hours
+ *
+ * Subtasks are their own nodes in the network, so a parent only counts the RT
+ * its subtasks do not cover.
+ *
+ * @param {Object} task - Task object with 'rt', 'status' and 'progress' properties
+ * @param {Array} tasks - All tasks (to find the subtasks)
+ * @returns {number} Remaining own RT (0 for closed tasks or missing RT, see getRemainingRT)
+ */
+function getDuration(task, tasks) {
+  if (!task) {
+    return 0;
+  }
+  return Math.max(0, getRemainingRT({ ...task, rt: getOwnRT(task, tasks) }));
+}
+
+/**
+ * Collect the predecessors of every task (subtasks and prerequisites)
+ *
+ * @param {Array} tasks - Array of all task objects
+ * @returns {Map} Map of taskId → Array of predecessor task IDs
+ */
+function buildPredecessorMap(tasks) {
+  const predecessors = new Map(tasks.map((task) => [task.id, []]));
+
+  tasks.forEach((task) => {
+    if (task.parentTaskId != null && predecessors.has(task.parentTaskId)) {
+      predecessors.get(task.parentTaskId).push(task.id);
+    }
+    (task.linksTo || []).forEach((dependentId) => {
+      if (predecessors.has(dependentId)) {
+        predecessors.get(dependentId).push(task.id);
+      }
+    });
+  });
+
+  return predecessors;
+}
+
+/**
+ * Sum the available time of every day from startDate to the deadline (inclusive)
+ *
+ * @param {Date|string} startDate - First day that can receive work
+ * @param {Date|string} deadline - Last day that can receive work
+ * @param {Function} getAvailableTime - Function (date) => available hours for that day
+ * @returns {number} Total available hours (0 if the deadline is before startDate)
+ */
+function getAvailableHoursUntil(startDate, deadline, getAvailableTime) {
+  return getDateRange(startDate, deadline).reduce(
+    (sum, day) => sum + (getAvailableTime(day) || 0),
+    0
+  );
+}
+
+/**
+ * Find the first day on which the accumulated available time covers the work
+ *
+ * @param {number} hours - Work to complete
+ * @param {Date|string} startDate - First day that can receive work
+ * @param {Function} getAvailableTime - Function (date) => available hours for that day
+ * @returns {Date|null} Day the work can be finished, or null if not within MAX_FORECAST_DAYS
+ */
+function getEarliestFinishDate(hours, startDate, getAvailableTime) {
+  const start = startOfDay(startDate);
+  if (hours <= EPSILON) {
+    return start;
+  }
+
+  let accumulated = 0;
+  for (let offset = 0; offset < MAX_FORECAST_DAYS; offset++) {
+    const day = addDays(start, offset);
+    accumulated += getAvailableTime(day) || 0;
+    if (accumulated + EPSILON >= hours) {
+      return day;
+    }
+  }
+  return null;
+}
+
+/**
+ * Run the critical path analysis for one root task
+ *
+ * @param {Array} tasks - Array of all task objects
+ * @param {number|string} rootId - ID of the root task to analyze
+ * @param {Object} [options] - Analysis options
+ * @param {Date|string} [options.startDate=new Date()] - First day that can receive work
+ * @param {Function} [options.getAvailableTime] - Function (date) => available hours for that day
+ *   (defaults to DEFAULT_AVAILABLE_TIME for every day)
+ * @returns {Object|null} Analysis result (null if the root task does not exist):
+ *   - rootId: ID of the analyzed root task
+ *   - title: Title of the root task
+ *   - idl: IDL of the root task
+ *   - taskIds: IDs of every task in the network
+ *   - chainRT: RT of the longest chain (critical path length in hours)
+ *   - criticalPath: Task IDs of the longest chain, first task to root
+ *   - slack: Object keyed by task ID with slack hours
+ *   - totalRT: Total remaining RT of the network
+ *   - availableHours: Available hours from startDate to the IDL day
+ *   - earliestFinish: Earliest feasible finish day (null if beyond the forecast window)
+ *   - reachable: True if the IDL can be met with the available time
+ *   - cycleTaskIds: IDs of tasks skipped because they are part of a cycle
+ *
+ * @example
+ * // A (2h) linksTo B (3h), B is a subtask of Root (4h, so 1h of its own)
+ * analyzeCriticalPath(tasks, rootId, { getAvailableTime: () => 8 });
+ * // Returns: { chainRT: 6, criticalPath: [A, B, Root], slack: { A: 0, B: 0, Root: 0 }, ... }
+ */
+export function analyzeCriticalPath(tasks, rootId, options = {}) {
+  const {
+    startDate = new Date(),
+    getAvailableTime = () => DEFAULT_AVAILABLE_TIME,
+  } = options;
+
+  if (!tasks || !Array.isArray(tasks)) {
+    return null;
+  }
+  const taskById = new Map(tasks.map((task) => [task.id, task]));
+  const root = taskById.get(rootId);
+  if (!root) {
+    return null;
+  }
+
+  const predecessors = buildPredecessorMap(tasks);
+
+  // Collect the network by walking backwards from the root
+  const network = new Set([rootId]);
+  const stack = [rootId];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    (predecessors.get(current) || []).forEach((predecessorId) => {
+      if (!network.has(predecessorId)) {
+        network.add(predecessorId);
+        stack.push(predecessorId);
+      }
+    });
+  }
+
+  // Successors inside the network (reverse of the predecessor edges)
+  const successors = new Map([...network].map((id) => [id, []]));
+  network.forEach((id) => {
+    (predecessors.get(id) || []).forEach((predecessorId) => {
+      successors.get(predecessorId).push(id);
+    });
+  });
+
+  // Topological order (Kahn's algorithm); tasks left over are part of a cycle
+  const inDegree = new Map([...network].map((id) => [id, predecessors.get(id).length]));
+  const queue = [...network].filter((id) => inDegree.get(id) === 0);
+  const order = [];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    order.push(current);
+    successors.get(current).forEach((successorId) => {
+      inDegree.set(successorId, inDegree.get(successorId) - 1);
+      if (inDegree.get(successorId) === 0) {
+        queue.push(successorId);
+      }
+    });
+  }
+  const ordered = new Set(order);
+  const cycleTaskIds = [...network].filter((id) => !ordered.has(id));
+
+  // Remaining own RT of every task in the network
+  const duration = new Map([...network].map((id) => [id, getDuration(taskById.get(id), tasks)]));
+
+  // Forward pass: earliest start / finish
+  const earliestStart = new Map();
+  const earliestFinish = new Map();
+  order.forEach((id) => {
+    const start = predecessors
+      .get(id)
+      .filter((predecessorId) => ordered.has(predecessorId))
+      .reduce((max, predecessorId) => Math.max(max, earliestFinish.get(predecessorId)), 0);
+    earliestStart.set(id, start);
+    earliestFinish.set(id, start + duration.get(id));
+  });
+
+  const chainRT = earliestFinish.get(rootId) ?? getDuration(root, tasks);
+
+  // Backward pass: latest start, then slack
+  const latestStart = new Map();
+  const slack = {};
+  [...order].reverse().forEach((id) => {
+    const finish = successors
+      .get(id)
+      .filter((successorId) => latestStart.has(successorId))
+      .reduce((min, successorId) => Math.min(min, latestStart.get(successorId)), chainRT);
+    latestStart.set(id, finish - duration.get(id));
+    const taskSlack = latestStart.get(id) - earliestStart.get(id);
+    slack[id] = taskSlack < EPSILON ? 0 : taskSlack;
+  });
+
+  // Walk back from the root along zero-slack predecessors that finish right before it
+  const criticalPath = [];
+  let current = ordered.has(rootId) ? rootId : null;
+  while (current != null) {
+    criticalPath.unshift(current);
+    const start = earliestStart.get(current);
+    current = predecessors
+      .get(current)
+      .find(
+        (predecessorId) =>
+          slack[predecessorId] === 0 &&
+          Math.abs(earliestFinish.get(predecessorId) - start) < EPSILON
+      ) ?? null;
+  }
+
+  const totalRT = [...network].reduce((sum, id) => sum + duration.get(id), 0);
+  const availableHours = getAvailableHoursUntil(startDate, root.idl, getAvailableTime);
+
+  return {
+    rootId,
+    title: root.title,
+    idl: root.idl,
+    taskIds: [...network],
+    chainRT,
+    criticalPath,
+    slack,
+    totalRT,
+    availableHours,
+    earliestFinish: getEarliestFinishDate(totalRT, startDate, getAvailableTime),
+    reachable: totalRT <= availableHours + EPSILON,
+    cycleTaskIds,
+  };
+}
+
+/**
+ * Run the critical path analysis for every root task of a task tree
+ *
+ * @param {Array} tasks - Array of all task objects
+ * @param {Array} rootTasks - Root tasks to analyze (e.g., result of getTaskTree())
+ * @param {Object} [options] - Same options as analyzeCriticalPath()
+ * @returns {Array<Object>} Array of analysis results, one per root task
+ *
+ * @example
+ * analyzeTaskTree(tasks, getTaskTree(), { getAvailableTime: () => availableTime });
+ */
+export function analyzeTaskTree(tasks, rootTasks, options = {}) {
+  return (rootTasks || [])
+    .map((rootTask) => analyzeCriticalPath(tasks, rootTask.id, options))
+    .filter(Boolean);
+}
+
+/**
+ * Collect the IDs of all open tasks with zero slack
+ *
+ * A task is reported if it has zero slack in the network of at least one root task,
+ * i.e. it lies on a longest RT chain (there can be several of equal length).
+ * Completed and cancelled tasks are ignored since they no longer delay anything.
+ *
+ * @param {Array} analyses - Result of analyzeTaskTree()
+ * @param {Array} tasks - Array of all task objects
+ * @returns {Set} Set of task IDs with zero slack
+ */
+export function getZeroSlackTaskIds(analyses, tasks) {
+  const completedIds = new Set((tasks || []).filter(isTaskClosed).map((task) => task.id));
+  const ids = new Set();
+  (analyses || []).forEach((analysis) => {
+    Object.entries(analysis.slack).forEach(([key, value]) => {
+      const id = analysis.taskIds.find((taskId) => String(taskId) === key);
+      if (value === 0 && id != null && !completedIds.has(id)) {
+        ids.add(id);
+      }
+    });
+  });
+  return ids;
+}
@@ -0,0 +1,321 @@
+/**
+ * CWA Functions - Catastrophic Wipe Out planning, history and undo
+ *
+ * CWA is the fail-safe protocol for an overloaded plan: every task that does not
+ * survive is removed at once, forcing a Manual Analysis (MA) of what is left.
+ * What survives and what happens to the rest is configured by the CWA policy
+ * (Emergency Settings, defaults in CWA.DEFAULT_POLICY).
+ *
+ * Survival Rules:
+ * - A task survives if its IL is one of policy.survivingLevels
+ * - With policy.subtasksInheritSurvival, subtasks of a surviving task survive
+ *   with it, whatever their own IL
+ * - A surviving subtask whose parent is removed becomes a root task
+ *   (parentTaskId = null) instead of pointing at a task that no longer exists
+ * - subtasks, linksTo and linkedFrom never reference removed tasks
+ *
+ * Removal Actions:
+ * - delete: Tasks are removed from the task list
+ * - archive: Tasks are removed from the task list and returned as archived copies
+ * - postpone: Open tasks stay in place, their IDL moves policy.postponeDays ahead
+ *
+ * Safety Net:
+ * Each wipe is recorded in the CWA history with a snapshot of the task list
+ * before it ran. Within CWA.UNDO_WINDOW_HOURS the wipe can be reverted with
+ * restoreWipeOut(); after that, the snapshot is dropped and only the log remains.
+ */
+
+import { CWA } from '../constants';
+import { cleanTaskReferences } from './backup';
+import { addDays, toDateKey } from './dateHelpers';
+
+/**
+ * Plan a Catastrophic Wipe Out without changing anything
+ *
+ * @param {Array} tasks - All tasks
+ * @param {Object} [policy=CWA.DEFAULT_POLICY] - CWA policy
+ * @param {Date} [now=new Date()] - Time of the wipe (archive timestamp)
+ * @returns {Object} Wipe plan:
+ *   - tasks: Task list after the wipe (references cleaned)
+ *   - removed: Tasks affected by the removal action (deleted, archived or postponed)
+ *   - promoted: Surviving subtasks that become root tasks because their parent is removed
+ *   - archived: Archived copies of the removed tasks (archive action only)
+ *
+ * @example
+ * const plan = planWipeOut(tasks, { ...CWA.DEFAULT_POLICY, survivingLevels: [1, 2] });
+ * plan.removed.length;  // 5
+ * plan.promoted;        // [{ id: 12, title: 'Book exam room', il: 1, ... }]
+ */
+export function planWipeOut(tasks, policy = CWA.DEFAULT_POLICY, now = new Date()) {
+  const { survivingLevels, subtasksInheritSurvival, removalAction, postponeDays } = {
+    ...CWA.DEFAULT_POLICY,
+    ...policy,
+  };
+  const byId = new Map(tasks.map((task) => [task.id, task]));
+  const survivorCache = new Map();
+
+  // A task survives on its own or (if inherited) through any of its ancestors
+  const isSurvivor = (task, visited = new Set()) => {
+    if (survivorCache.has(task.id)) {
+      return survivorCache.get(task.id);
+    }
+    visited.add(task.id);
+    const parent = byId.get(task.parentTaskId);
+    const result =
+      survivingLevels.includes(task.il) ||
+      (subtasksInheritSurvival && parent && !visited.has(parent.id) ? isSurvivor(parent, visited) : false);
+    survivorCache.set(task.id, result);
+    return result;
+  };
+
+  if (removalAction === CWA.REMOVAL_ACTIONS.POSTPONE) {
+    const postponed = tasks.filter((task) => !task.completed && !isSurvivor(task));
+    const postponedIds = new Set(postponed.map((task) => task.id));
+    return {
+      tasks: tasks.map((task) => {
+        if (!postponedIds.has(task.id)) {
+          return task;
+        }
+        const idl = new Date(task.idl);
+        idl.setDate(idl.getDate() + postponeDays);
+        return { ...task, idl };
+      }),
+      removed: postponed,
+      promoted: [],
+      archived: [],
+    };
+  }
+
+  const kept = tasks.filter((task) => isSurvivor(task));
+  const removed = tasks.filter((task) => !isSurvivor(task));
+  const keptIds = new Set(kept.map((task) => task.id));
+
+  const promoted = kept.filter(
+    (task) => task.parentTaskId != null && byId.has(task.parentTaskId) && !keptIds.has(task.parentTaskId)
+  );
+
+  const { tasks: cleaned } = cleanTaskReferences(
+    kept.map((task) => (promoted.includes(task) ? { ...task, parentTaskId: null } : task))
+  );
+
+  // Keep object identity of untouched tasks, so only changed tasks are written to storage
+  const nextTasks = cleaned.map((task) => {
+    const original = byId.get(task.id);
+    const unchanged =
+      task.parentTaskId === original.parentTaskId &&
+      task.subtasks.length === (original.subtasks || []).length &&
+      task.linksTo.length === (original.linksTo || []).length &&
+      task.linkedFrom.length === (original.linkedFrom || []).length;
+    return unchanged ? original : task;
+  });
+
+  return {
+    tasks: nextTasks,
+    removed,
+    promoted,
+    archived:
+      removalAction === CWA.REMOVAL_ACTIONS.ARCHIVE
+        ? removed.map((task) => ({ ...task, archivedAt: now }))
+        : [],
+  };
+}
+
+/**
+ * Describe what a removal action does to the affected tasks
+ *
+ * @param {string} action - One of CWA.REMOVAL_ACTIONS
+ * @param {number} [postponeDays] - Days added to the IDL (postpone action)
+ * @returns {string} Past participle for UI text (e.g., 'deleted', 'postponed by 3 days')
+ *
+ * @example
+ * getRemovalActionLabel('postpone', 3); // Returns: 'postponed by 3 days'
+ */
+export function getRemovalActionLabel(action, postponeDays) {
+  switch (action) {
+    case CWA.REMOVAL_ACTIONS.ARCHIVE:
+      return 'archived';
+    case CWA.REMOVAL_ACTIONS.POSTPONE:
+      return `postponed by ${postponeDays} day${postponeDays === 1 ? '' : 's'}`;
+    default:
+      return 'deleted';
+  }
+}
+
+/**
+ * Record whether a day was in Overload and get the current Overload streak
+ *
+ * The log keeps one boolean per day ('YYYY-MM-DD' → RP ≥ 1.0) for the last
+ * 31 days. The streak counts consecutive Overload days ending on the given day.
+ *
+ * @param {Object} log - Overload log from previous calls ({} initially)
+ * @param {Date} date - Day to record
+ * @param {boolean} isOverload - True if the day's RP is in the Overload zone
+ * @returns {Object} { log: updated log, streak: consecutive Overload days up to date }
+ *
+ * @example
+ * recordOverloadDay({ '2024-12-18': true, '2024-12-19': true }, new Date(2024, 11, 20), true);
+ * // Returns: { log: {...}, streak: 3 }
+ */
+export function recordOverloadDay(log, date, isOverload) {
+  const cutoff = toDateKey(addDays(date, -30));
+  const nextLog = Object.fromEntries(
+    Object.entries({ ...log, [toDateKey(date)]: isOverload }).filter(([key]) => key >= cutoff)
+  );
+
+  return { log: nextLog, streak: getOverloadStreak(nextLog, date) };
+}
+
+/**
+ * Count consecutive Overload days ending on a given day
+ *
+ * @param {Object} log - Overload log ('YYYY-MM-DD' → boolean)
+ * @param {Date} [date=new Date()] - Last day of the streak
+ * @returns {number} Number of consecutive Overload days (0 if the day is not in Overload)
+ */
+export function getOverloadStreak(log, date = new Date()) {
+  let streak = 0;
+  while (log[toDateKey(addDays(date, -streak))]) {
+    streak += 1;
+  }
+  return streak;
+}
+
+/**
+ * Check whether a CWA history entry can still be undone
+ *
+ * @param {Object} entry - CWA history entry
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {boolean} True if the entry has a snapshot, was not undone and is inside the grace window
+ */
+export function isWipeOutUndoable(entry, now = new Date()) {
+  if (!entry || !entry.snapshot || entry.undoneAt) {
+    return false;
+  }
+  return now.getTime() < getUndoDeadline(entry).getTime();
+}
+
+/**
+ * Get the end of the grace window of a CWA history entry
+ *
+ * @param {Object} entry - CWA history entry
+ * @returns {Date} Time after which the wipe can no longer be undone
+ */
+export function getUndoDeadline(entry) {
+  return new Date(new Date(entry.executedAt).getTime() + CWA.UNDO_WINDOW_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Revert a Catastrophic Wipe Out
+ *
+ * Removed tasks come back from the snapshot, and surviving tasks get back the
+ * references the wipe removed (to removed tasks: parent, subtasks and links).
+ * Changes made after the wipe are kept: new tasks stay, edits to surviving
+ * tasks stay, links removed since the wipe stay removed, and references to
+ * tasks deleted in the meantime are dropped. The links are then validated
+ * again, so a restored link that would close a cycle with a link added since
+ * the wipe is dropped (see cleanTaskReferences). Postponed tasks get their
+ * IDL back.
+ *
+ * @param {Array} currentTasks - Current tasks
+ * @param {Object} entry - CWA history entry with action, snapshot and removedTaskIds
+ * @returns {Array} Tasks after the undo
+ */
+export function restoreWipeOut(currentTasks, entry) {
+  const snapshotById = new Map(entry.snapshot.map((task) => [task.id, task]));
+  const currentIds = new Set(currentTasks.map((task) => task.id));
+  const removedIds = new Set(entry.removedTaskIds);
+
+  if (entry.action === CWA.REMOVAL_ACTIONS.POSTPONE) {
+    return currentTasks.map((task) =>
+      removedIds.has(task.id) && snapshotById.has(task.id)
+        ? { ...task, idl: snapshotById.get(task.id).idl }
+        : task
+    );
+  }
+
+  const restored = entry.snapshot.filter((task) => removedIds.has(task.id) && !currentIds.has(task.id));
+
+  // Current references plus the ones to removed tasks the wipe took away
+  const restoreReferences = (current = [], before = []) => [
+    ...new Set([...current, ...before.filter((id) => removedIds.has(id))]),
+  ];
+
+  const updated = currentTasks.map((task) => {
+    const before = snapshotById.get(task.id);
+    if (!before) {
+      return task;
+    }
+    return {
+      ...task,
+      parentTaskId: task.parentTaskId ?? (removedIds.has(before.parentTaskId) ? before.parentTaskId : null),
+      subtasks: restoreReferences(task.subtasks, before.subtasks),
+      linksTo: restoreReferences(task.linksTo, before.linksTo),
+      linkedFrom: restoreReferences(task.linkedFrom, before.linkedFrom),
+    };
+  });
+
+  return cleanTaskReferences([...updated, ...restored]).tasks;
+}
+
+/**
+ * Move an archived task back into the task list
+ *
+ * References to tasks that no longer exist are dropped; a missing parent makes
+ * the task a root task. The other side of every remaining reference (parent's
+ * subtasks, linkedFrom of dependents, linksTo of prerequisites) is restored too.
+ *
+ * @param {Array} tasks - Current tasks
+ * @param {Object} archivedTask - Task from the archive (with archivedAt)
+ * @returns {Array} Tasks with the restored task appended
+ */
+export function restoreArchivedTask(tasks, archivedTask) {
+  const { archivedAt: _archivedAt, ...task } = archivedTask;
+  const ids = new Set(tasks.map((t) => t.id));
+  const addId = (list = [], id) => (list.includes(id) ? list : [...list, id]);
+
+  const restored = {
+    ...task,
+    parentTaskId: ids.has(task.parentTaskId) ? task.parentTaskId : null,
+    subtasks: (task.subtasks || []).filter((id) =>
+      tasks.some((t) => t.id === id && t.parentTaskId === task.id)
+    ),
+    linksTo: (task.linksTo || []).filter((id) => ids.has(id)),
+    linkedFrom: (task.linkedFrom || []).filter((id) => ids.has(id)),
+  };
+
+  const updated = tasks.map((t) => {
+    const isParent = t.id === restored.parentTaskId;
+    const isDependent = restored.linksTo.includes(t.id);
+    const isPrerequisite = restored.linkedFrom.includes(t.id);
+    if (!isParent && !isDependent && !isPrerequisite) {
+      return t;
+    }
+    return {
+      ...t,
+      subtasks: isParent ? addId(t.subtasks, restored.id) : t.subtasks,
+      linkedFrom: isDependent ? addId(t.linkedFrom, restored.id) : t.linkedFrom,
+      linksTo: isPrerequisite ? addId(t.linksTo, restored.id) : t.linksTo,
+    };
+  });
+
+  return [...updated, restored];
+}
+
+/**
+ * Add a new entry to the CWA history
+ *
+ * The newest entry comes first. Snapshots of entries outside their grace window
+ * are dropped, and the log is limited to CWA.HISTORY_LIMIT entries.
+ *
+ * @param {Array} history - Current CWA history
+ * @param {Object} [entry] - New entry (omit to only prune)
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Array} New CWA history
+ */
+export function pruneWipeOutHistory(history, entry, now = new Date()) {
+  return [...(entry ? [entry] : []), ...history]
+    .slice(0, CWA.HISTORY_LIMIT)
+    .map((item) =>
+      item.snapshot && !isWipeOutUndoable(item, now) ? { ...item, snapshot: null } : item
+    );
+}
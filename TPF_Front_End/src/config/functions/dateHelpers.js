@@ -0,0 +1,121 @@
+/**
+ * Date Helpers - Calendar-day utility functions
+ *
+ * This module provides small helpers for working with calendar days rather than
+ * exact timestamps. Most planning logic (RP, daily allocations, IDL matching) only
+ * cares about which day something falls on, so these helpers normalize dates to
+ * local midnight and produce stable day keys.
+ *
+ * Purpose:
+ * - Normalize Date objects and date strings to the start of the local day
+ * - Build 'YYYY-MM-DD' keys for grouping data per day
+ * - Enumerate and compare days without time-of-day noise
+ *
+ * Date-only strings ('YYYY-MM-DD', as produced by <input type="date">) are parsed
+ * as LOCAL dates. The native Date parser treats them as UTC, which shifts the day
+ * for users west of Greenwich.
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Normalize a date to the start of its local day (00:00:00.000)
+ *
+ * @param {Date|string|number} date - Date object, ISO string, 'YYYY-MM-DD' string or timestamp
+ * @returns {Date} New Date object set to local midnight of the given day
+ *
+ * @example
+ * startOfDay('2024-12-20');              // Dec 20 2024 00:00 local time
+ * startOfDay(new Date(2024, 11, 20, 15)); // Dec 20 2024 00:00 local time
+ */
+export function startOfDay(date) {
+  if (typeof date === 'string') {
+    const match = DATE_ONLY_PATTERN.exec(date);
+    if (match) {
+      return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+  }
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+}
+
+/**
+ * Build a 'YYYY-MM-DD' key for the local day of a date
+ *
+ * Used as the key for per-day maps (allocations, availability overrides, history).
+ *
+ * @param {Date|string|number} date - Date to convert
+ * @returns {string} Local day key (e.g., '2024-12-20')
+ *
+ * @example
+ * toDateKey(new Date(2024, 11, 5)); // Returns: '2024-12-05'
+ */
+export function toDateKey(date) {
+  const day = startOfDay(date);
+  const month = String(day.getMonth() + 1).padStart(2, '0');
+  const dayOfMonth = String(day.getDate()).padStart(2, '0');
+  return `${day.getFullYear()}-${month}-${dayOfMonth}`;
+}
+
+/**
+ * Add a number of days to a date (calendar-aware, DST safe)
+ *
+ * @param {Date|string|number} date - Start date
+ * @param {number} days - Number of days to add (can be negative)
+ * @returns {Date} New Date object at local midnight of the resulting day
+ *
+ * @example
+ * addDays('2024-12-30', 3); // Jan 2 2025 00:00 local time
+ */
+export function addDays(date, days) {
+  const result = startOfDay(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Count whole calendar days from one date to another
+ *
+ * @param {Date|string|number} from - Start date
+ * @param {Date|string|number} to - End date
+ * @returns {number} Number of days from `from` to `to` (negative if `to` is earlier)
+ *
+ * @example
+ * daysBetween('2024-12-18', '2024-12-20'); // Returns: 2
+ * daysBetween('2024-12-20', '2024-12-18'); // Returns: -2
+ */
+export function daysBetween(from, to) {
+  return Math.round((startOfDay(to) - startOfDay(from)) / MS_PER_DAY);
+}
+
+/**
+ * Check whether two dates fall on the same local day
+ *
+ * @param {Date|string|number} a - First date
+ * @param {Date|string|number} b - Second date
+ * @returns {boolean} True if both dates are on the same calendar day
+ */
+export function isSameDay(a, b) {
+  return toDateKey(a) === toDateKey(b);
+}
+
+/**
+ * List every calendar day from start to end (both inclusive)
+ *
+ * @param {Date|string|number} start - First day of the range
+ * @param {Date|string|number} end - Last day of the range
+ * @returns {Array<Date>} Array of Date objects at local midnight (empty if end < start)
+ *
+ * @example
+ * getDateRange('2024-12-18', '2024-12-20'); // [Dec 18, Dec 19, Dec 20]
+ */
+export function getDateRange(start, end) {
+  const days = [];
+  const totalDays = daysBetween(start, end);
+  for (let offset = 0; offset <= totalDays; offset++) {
+    days.push(addDays(start, offset));
+  }
+  return days;
+}
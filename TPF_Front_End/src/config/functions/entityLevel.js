@@ -0,0 +1,72 @@
+/**
+ * Entity Level Functions - Diamond System level utility functions
+ *
+ * This module provides utility functions for working with the levels (1-5) of
+ * entities in the Diamond System:
+ *
+ * - Level 1 (Critical): Family, life-savers
+ * - Level 2 (Very Important): Close friends, partner
+ * - Level 3 (Positive): Good colleagues, acquaintances
+ * - Level 4 (Neutral): Indifferent, minor conflicts
+ * - Level 5 (Hostile): Enemies, irreversible damage
+ *
+ * The color helpers return classes that read the entity level colors of the
+ * user palette (--palette-entityLevels-N CSS variables, see Color Settings).
+ *
+ * All functions handle invalid input gracefully by returning default values.
+ */
+
+import { ENTITY_LEVELS } from '../constants';
+
+const LEVEL_IDS = Object.values(ENTITY_LEVELS).map((level) => level.id);
+
+/**
+ * Get human-readable label for an entity level
+ *
+ * @param {number} level - Entity level (1-5)
+ * @returns {string} Label from ENTITY_LEVELS, or 'Unknown' for invalid input
+ *
+ * @example
+ * getEntityLevelLabel(1) // Returns: 'Critical'
+ */
+export function getEntityLevelLabel(level) {
+  const info = Object.values(ENTITY_LEVELS).find((item) => item.id === level);
+  return info ? info.label : 'Unknown';
+}
+
+/**
+ * Get CSS class for entity level badge styling
+ *
+ * @param {number} level - Entity level (1-5)
+ * @returns {string} CSS class string (e.g., 'badge badge--level-1')
+ *
+ * @example
+ * getEntityLevelColor(2) // Returns: 'badge badge--level-2'
+ * getEntityLevelColor(7) // Returns: 'badge badge--gray'
+ */
+export function getEntityLevelColor(level) {
+  return LEVEL_IDS.includes(level) ? `badge badge--level-${level}` : 'badge badge--gray';
+}
+
+/**
+ * Get CSS class for a tinted surface in the color of an entity level
+ *
+ * Used for the level sections of the Diamond System (background, border and
+ * text in the level color).
+ *
+ * @param {number} level - Entity level (1-5)
+ * @returns {string} CSS class string (e.g., 'level-surface level-surface--1')
+ */
+export function getEntityLevelSurfaceColor(level) {
+  return `level-surface level-surface--${LEVEL_IDS.includes(level) ? level : 4}`;
+}
+
+/**
+ * Get CSS class for a solid marker (e.g., the round level number) of an entity level
+ *
+ * @param {number} level - Entity level (1-5)
+ * @returns {string} CSS class string (e.g., 'level-marker level-marker--1')
+ */
+export function getEntityLevelMarkerColor(level) {
+  return `level-marker level-marker--${LEVEL_IDS.includes(level) ? level : 4}`;
+}
@@ -0,0 +1,133 @@
+/**
+ * Focus Functions - Focus timer sessions on the current task
+ *
+ * Focus mode picks the top task of today (IL then IDL, see sortTasksByPriority),
+ * tracks time on it and runs a countdown:
+ *
+ * {
+ *   taskId: 1001,
+ *   startedAt: Date,   // countdown start
+ *   endsAt: Date,      // countdown end (moved by "Extend")
+ *   minutes: 25,       // planned length including extensions
+ *   atomic: false,     // atomic tasks are focused for their whole remaining RT
+ * }
+ *
+ * Blocked tasks (incomplete prerequisites) cannot be focused on.
+ */
+
+import { FOCUS } from '../constants';
+import { sortTasksByPriority } from './taskSorting';
+import { isTaskClosed } from './taskStatus';
+
+const MS_PER_MINUTE = 1000 * 60;
+
+/**
+ * Pick the task to focus on
+ *
+ * @param {Array} tasks - Today's tasks (slices from getTodayTasks)
+ * @param {Object} blockedMap - Result of getBlockedTaskMap() for all tasks
+ * @param {Array} [excludeIds=[]] - Task IDs to skip (e.g., the task just switched away from)
+ * @returns {Object|null} Highest-priority open, unblocked task, or null if there is none
+ *
+ * @example
+ * const next = pickFocusTask(getTodayTasks(), blockedTaskMap);
+ */
+export function pickFocusTask(tasks, blockedMap, excludeIds = []) {
+  const candidates = (tasks || []).filter(
+    (task) => !isTaskClosed(task) && !(blockedMap && blockedMap[task.id]) && !excludeIds.includes(task.id)
+  );
+  return sortTasksByPriority(candidates)[0] || null;
+}
+
+/**
+ * Check whether a focus session can start on a task
+ *
+ * @param {Object|null} task - Task to focus on
+ * @param {Array} blockingTasks - Incomplete prerequisites of the task (see getBlockingTasks)
+ * @returns {Object} { valid: boolean, error: string|null }
+ */
+export function validateFocusTask(task, blockingTasks) {
+  if (!task) {
+    return { valid: false, error: 'Task not found.' };
+  }
+  if (isTaskClosed(task)) {
+    return { valid: false, error: `"${task.title}" is already ${task.completed ? 'completed' : 'cancelled'}.` };
+  }
+  if (blockingTasks.length > 0) {
+    const titles = blockingTasks.map((blocker) => `"${blocker.title}"`).join(', ');
+    return { valid: false, error: `"${task.title}" is blocked. Complete ${titles} first.` };
+  }
+  return { valid: true, error: null };
+}
+
+/**
+ * Get the length of a focus session on a task
+ *
+ * Atomic tasks cannot be split, so their session covers the whole remaining RT
+ * (RT minus tracked time). Divisible tasks get the chosen block, shortened to
+ * the RT planned for today.
+ *
+ * @param {Object} task - Task or daily slice (slices carry allocation.totalRT)
+ * @param {number} [blockMinutes=FOCUS.DEFAULT_BLOCK_MINUTES] - Chosen block length
+ * @returns {number} Minutes (at least FOCUS.MIN_MINUTES)
+ *
+ * @example
+ * getFocusMinutes({ rt: 3, atomic: false }, 25); // Returns: 25
+ * getFocusMinutes({ rt: 1.5, atomic: true, actualTime: 0.5 }); // Returns: 60
+ */
+export function getFocusMinutes(task, blockMinutes = FOCUS.DEFAULT_BLOCK_MINUTES) {
+  const plannedMinutes = task.atomic
+    ? ((task.allocation ? task.allocation.totalRT : task.rt) - (task.actualTime || 0)) * 60
+    : Math.min(blockMinutes, task.rt * 60);
+
+  return Math.max(FOCUS.MIN_MINUTES, Math.round(plannedMinutes));
+}
+
+/**
+ * Create a focus session
+ *
+ * @param {Object} task - Task to focus on
+ * @param {number} minutes - Countdown length (see getFocusMinutes)
+ * @param {Date} [now=new Date()] - Start time
+ * @returns {Object} Focus session
+ */
+export function createFocusSession(task, minutes, now = new Date()) {
+  return {
+    taskId: task.id,
+    startedAt: now,
+    endsAt: new Date(now.getTime() + minutes * MS_PER_MINUTE),
+    minutes,
+    atomic: Boolean(task.atomic),
+  };
+}
+
+/**
+ * Extend a focus session
+ *
+ * An expired countdown restarts from now, so the extension is not eaten up by
+ * the time the session was left finished.
+ *
+ * @param {Object} session - Focus session
+ * @param {number} [minutes=FOCUS.EXTEND_MINUTES] - Minutes to add
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} New focus session with a later endsAt
+ */
+export function extendFocusSession(session, minutes = FOCUS.EXTEND_MINUTES, now = new Date()) {
+  const from = Math.max(new Date(session.endsAt).getTime(), now.getTime());
+  return {
+    ...session,
+    endsAt: new Date(from + minutes * MS_PER_MINUTE),
+    minutes: session.minutes + minutes,
+  };
+}
+
+/**
+ * Get the time left in a focus session
+ *
+ * @param {Object} session - Focus session
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {number} Seconds left (0 once the countdown has ended)
+ */
+export function getFocusSecondsLeft(session, now = new Date()) {
+  return Math.max(0, Math.ceil((new Date(session.endsAt) - now) / 1000));
+}
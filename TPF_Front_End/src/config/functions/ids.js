@@ -0,0 +1,29 @@
+/**
+ * ID Functions - Integer record IDs that fit the backend schema
+ *
+ * Tables.sql declares every id as BIGSERIAL and task_dependencies references
+ * tasks through BIGINT columns, so records created in the browser need whole
+ * numbers as IDs (not Date.now() + Math.random() floats).
+ *
+ * IDs are the current time in microseconds (Date.now() * 1000), counted up
+ * when several records are created in the same millisecond. They stay below
+ * Number.MAX_SAFE_INTEGER until the year 2255 and keep increasing across page
+ * loads.
+ */
+
+// Last ID handed out in this page
+let lastId = 0;
+
+/**
+ * Create a new record ID
+ *
+ * @returns {number} Safe integer, larger than every ID created before in this page
+ *
+ * @example
+ * createRecordId(); // Returns: 1734508800000000
+ * createRecordId(); // Returns: 1734508800000001 (same millisecond)
+ */
+export function createRecordId() {
+  lastId = Math.max(lastId + 1, Date.now() * 1000);
+  return lastId;
+}
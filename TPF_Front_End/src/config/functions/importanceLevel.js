@@ -47,27 +47,28 @@ export function getImportanceLabel(il) {
  * Get CSS class for Importance Level badge styling
  * 
  * Returns the appropriate CSS class string for styling importance level badges.
- * Each level has a distinct color scheme to provide visual differentiation:
+ * Each level has its own color from the user palette (Color Settings); the
+ * defaults provide visual differentiation:
  * - Red for critical (MUST)
  * - Orange for high priority
  * - Yellow for medium priority
  * - Gray for optional tasks
  * 
+ * The badge--il-N classes read the --palette-importance-N CSS variables that
+ * ThemeContext sets from the palette.
+ * 
  * @param {number} il - Importance Level (1-4)
- * @returns {string} CSS class string for badge styling (e.g., 'badge badge--red')
+ * @returns {string} CSS class string for badge styling (e.g., 'badge badge--il-1')
  * 
  * @example
- * getImportanceColor(1) // Returns: 'badge badge--red'
- * getImportanceColor(4) // Returns: 'badge badge--gray'
+ * getImportanceColor(1) // Returns: 'badge badge--il-1'
+ * getImportanceColor(9) // Returns: 'badge badge--gray'
  */
 export function getImportanceColor(il) {
-  const colors = {
-    [IMPORTANCE.MUST]: 'badge badge--red',      // Red for critical
-    [IMPORTANCE.HIGH]: 'badge badge--orange',   // Orange for high priority
-    [IMPORTANCE.MEDIUM]: 'badge badge--yellow', // Yellow for medium
-    [IMPORTANCE.OPTIONAL]: 'badge badge--gray', // Gray for optional
-  };
-  return colors[il] || 'badge badge--gray';
+  if (!Object.values(IMPORTANCE).includes(il)) {
+    return 'badge badge--gray';
+  }
+  return `badge badge--il-${il}`;
 }
 
 /**
@@ -85,7 +86,7 @@ export function getImportanceColor(il) {
  * 
  * @example
  * getImportanceInfo(1)
- * // Returns: { label: 'Must', color: 'badge badge--red', value: 1 }
+ * // Returns: { label: 'Must', color: 'badge badge--il-1', value: 1 }
  */
 export function getImportanceInfo(il) {
   return {
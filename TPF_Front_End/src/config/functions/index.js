@@ -16,9 +16,27 @@
  * Categories:
  * - RT Calculations: Functions for calculating Required Time statistics
  * - Realism Point Calculations: Functions for calculating RP metrics and status
+ * - RP History: Daily RP snapshots and trend analytics
  * - Importance Level Functions: Functions for working with IL (1-4)
  * - Task Filtering Functions: Functions for filtering tasks by various criteria
+ * - Task Status: Status lifecycle (PENDING → IN_PROGRESS → COMPLETED, ...) and progress
+ * - Task Hierarchy: Parent/subtask RT roll-up, deadline rules and parent auto-completion
  * - Task Sorting Functions: Functions for sorting tasks by priority, deadline, RT, etc.
+ * - Date Helpers: Functions for normalizing and comparing calendar days
+ * - Availability: Available time per day (weekly template + date overrides)
+ * - Auto-Distribution: Smoothing Logic that spreads task RT across available days
+ * - Task Graph: Prerequisite links, cycle detection and blocked-task state
+ * - Critical Path: Longest RT chain, slack and deadline feasibility per task tree
+ * - Time Tracking: Work sessions, actual time and RT estimate calibration
+ * - Focus: Focus timer sessions on the current task
+ * - Recurrence: Recurring task series, rules and their occurrences
+ * - Templates: Task templates (subtask trees with relative IDLs) and their instantiation
+ * - Overdue: Tasks whose IDL has passed and finding new days for them
+ * - Week Plan: Weekly review and the week plan the Dashboard follows
+ * - Rituals: Morning check-in, evening shutdown and their consistency
+ * - Calendar: Month and week grids, tasks per IDL day and moving a task's IDL
+ * - Timeline: Gantt rows of the task tree, dependency arrows and prerequisite order
+ * - IDs: Integer record IDs that fit the backend schema
  */
 
 // RT Calculations
@@ -28,15 +46,30 @@ export {
   calculateMaxRT,
   calculateMinRT,
   calculateRTStats,
+  getOwnRT,
+  calculateRemainingRT,
 } from './rtCalculations';
 
 // Realism Point Calculations
 export {
   calculateRealismPoint,
+  calculateRemainingRealismPoint,
+  formatRP,
   getRPStatus,
   calculateRPStats,
+  findOverloadStreaks,
+  calculateRPForecast,
 } from './realismPoint';
 
+// RP History
+export {
+  createRPSnapshot,
+  recordRPSnapshot,
+  getRPHistoryEntries,
+  getCompletionRate,
+  analyzeRPHistory,
+} from './rpHistory';
+
 // Importance Level Functions
 export {
   getImportanceLabel,
@@ -44,6 +77,22 @@ export {
   getImportanceInfo,
 } from './importanceLevel';
 
+// Entity Level Functions (Diamond System)
+export {
+  getEntityLevelLabel,
+  getEntityLevelColor,
+  getEntityLevelSurfaceColor,
+  getEntityLevelMarkerColor,
+} from './entityLevel';
+
+// Color Palette
+export {
+  isHexColor,
+  normalizePalette,
+  getPaletteVariableName,
+  getPaletteVariables,
+} from './palette';
+
 // Task Filtering Functions
 export {
   filterTasksByDate,
@@ -51,6 +100,8 @@ export {
   filterTasksByImportance,
   filterRootTasks,
   filterSubtasks,
+  filterTasksByStatus,
+  filterOpenTasks,
 } from './taskFilters';
 
 // Task Sorting Functions
@@ -61,3 +112,188 @@ export {
   sortTasksByRTDesc,
 } from './taskSorting';
 
+
+// Date Helpers
+export {
+  startOfDay,
+  toDateKey,
+  addDays,
+  daysBetween,
+  isSameDay,
+  getDateRange,
+} from './dateHelpers';
+
+// Availability
+export {
+  isValidAvailableHours,
+  createWeeklyTemplate,
+  normalizeAvailability,
+  getAvailabilityForDate,
+  getAvailableHoursForDate,
+  setAvailabilityOverride,
+  setWeeklyAvailability,
+} from './availability';
+
+// Auto-Distribution (Smoothing Logic)
+export {
+  getAvailableDays,
+  splitRequiredTime,
+  reserveAtomicBlock,
+  distributeTasks,
+  getAllocationsForDate,
+} from './autoDistribution';
+
+// Task Graph (Prerequisites)
+export {
+  getPrerequisiteIds,
+  hasPath,
+  findCyclePath,
+  validateLink,
+  getBlockingTasks,
+  getBlockedTaskMap,
+  partitionByBlocked,
+  repairTaskLinks,
+} from './taskGraph';
+
+// Critical Path
+export {
+  analyzeCriticalPath,
+  analyzeTaskTree,
+  getZeroSlackTaskIds,
+} from './criticalPath';
+
+// Backup & Restore
+export {
+  BACKUP_COLLECTIONS,
+  createBackup,
+  parseBackup,
+  validateBackup,
+  cleanTaskReferences,
+  mergeBackupData,
+} from './backup';
+
+// CWA (Catastrophic Wipe Out)
+export {
+  planWipeOut,
+  getRemovalActionLabel,
+  recordOverloadDay,
+  getOverloadStreak,
+  isWipeOutUndoable,
+  getUndoDeadline,
+  restoreWipeOut,
+  restoreArchivedTask,
+  pruneWipeOutHistory,
+} from './cwa';
+
+// Time Tracking
+export {
+  getRunningSession,
+  isTracking,
+  getSessionHours,
+  calculateActualTime,
+  getTrackedHoursForDate,
+  startSession,
+  stopSession,
+  logSession,
+  calculateCalibration,
+  getCorrectionFactor,
+} from './timeTracking';
+
+// Focus
+export {
+  pickFocusTask,
+  validateFocusTask,
+  getFocusMinutes,
+  createFocusSession,
+  extendFocusSession,
+  getFocusSecondsLeft,
+} from './focus';
+
+// Recurrence
+export {
+  normalizeRecurrenceRule,
+  matchesRecurrenceRule,
+  getOccurrenceDates,
+  getPendingOccurrences,
+  buildOccurrenceTask,
+  describeRecurrenceRule,
+  createRecurrenceForm,
+  recurrenceFormToRule,
+} from './recurrence';
+
+// Templates
+export {
+  createTemplateFromTree,
+  getTemplateSummary,
+  instantiateTemplate,
+} from './templates';
+
+// Task Status
+export {
+  getTaskStatus,
+  getStatusLabel,
+  getAllowedStatuses,
+  canChangeStatus,
+  isTaskClosed,
+  isTaskScheduled,
+  getTaskProgress,
+  getRemainingRT,
+  applyStatusChange,
+  applyProgressChange,
+} from './taskStatus';
+
+// Task Hierarchy
+export {
+  getSubtasksRT,
+  checkTaskHierarchy,
+  getSubtaskDeadlineWarning,
+  getParentsToComplete,
+} from './taskHierarchy';
+
+// Overdue
+export {
+  getOverdueTasks,
+  formatOverdue,
+  findMoveDay,
+  findSplitDays,
+  getRescheduledIDL,
+} from './overdue';
+
+// Week Plan
+export {
+  getWeekReview,
+  getOpenTasksForDate,
+  createWeekPlan,
+  isWeekPlanCurrent,
+  getWeekPlanDay,
+  comparePlanDay,
+} from './weekPlan';
+
+// Rituals
+export {
+  getRitualDay,
+  getDueRitual,
+  recordRitual,
+  getTopTaskSuggestions,
+  analyzeRituals,
+} from './rituals';
+
+// Calendar
+export {
+  getCalendarDays,
+  shiftCalendarDate,
+  groupTasksByIDLDay,
+  getMoveToDayUpdates,
+} from './calendar';
+
+// Timeline
+export {
+  getPlannedStarts,
+  buildTimelineRows,
+  getTimelineRange,
+  getDependencyEdges,
+  checkPrerequisiteOrder,
+} from './timeline';
+
+// IDs
+export { createRecordId } from './ids';
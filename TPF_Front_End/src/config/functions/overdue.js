@@ -0,0 +1,158 @@
+/**
+ * Overdue Functions - Detection and rescheduling of tasks whose IDL has passed
+ *
+ * The Smoothing Logic only plans days from today on, so an open task whose IDL
+ * is in the past has no slice on any day and drops out of the Daily Tasks and
+ * the Dashboard. These functions collect such tasks and find new days for them:
+ *
+ * - Move: The first day whose RP stays out of the Overload zone with the task's
+ *   remaining RT added; the task is pinned to that day (earliestStart = IDL day)
+ * - Split: The shortest run of upcoming days (at least OVERDUE.MIN_SPLIT_DAYS)
+ *   where every slice of the Smoothing Logic fits; the task's IDL moves to the
+ *   last of those days
+ *
+ * Postponed tasks are parked on purpose and are not overdue.
+ */
+
+import { OVERDUE, RP_LIMITS } from '../constants';
+import { startOfDay, addDays, toDateKey } from './dateHelpers';
+import { isTaskScheduled } from './taskStatus';
+import { splitRequiredTime } from './autoDistribution';
+
+/**
+ * Get the open tasks whose IDL has passed
+ *
+ * @param {Array} tasks - All tasks
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Array} Overdue tasks, the longest overdue first
+ *
+ * @example
+ * getOverdueTasks(tasks); // [{ id: 3, title: 'Report', idl: Dec 15, ... }]
+ */
+export function getOverdueTasks(tasks, now = new Date()) {
+  if (!tasks || !Array.isArray(tasks)) {
+    return [];
+  }
+  return tasks
+    .filter((task) => isTaskScheduled(task) && new Date(task.idl) < now)
+    .sort((a, b) => new Date(a.idl) - new Date(b.idl));
+}
+
+/**
+ * Describe how late a task is
+ *
+ * @param {Object} task - Overdue task
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string} Lateness (e.g., '5h late', '3 days late')
+ *
+ * @example
+ * formatOverdue({ idl: '2024-12-15T09:00' }, new Date('2024-12-18T10:00')); // Returns: '3 days late'
+ */
+export function formatOverdue(task, now = new Date()) {
+  const hours = Math.max(0, (now - new Date(task.idl)) / (60 * 60 * 1000));
+  if (hours < 24) {
+    return `${Math.max(1, Math.round(hours))}h late`;
+  }
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} late`;
+}
+
+/**
+ * Check whether extra hours fit on a day without an Overload RP
+ *
+ * @param {number} hours - Hours to add
+ * @param {Date} day - The day
+ * @param {Object} options - See findMoveDay
+ * @returns {boolean} True if the day's RP stays below RP_LIMITS.OVERLOAD
+ */
+function fitsDay(hours, day, { getPlannedRT, getAvailableTime, correctionFactor = 1 }) {
+  const availableTime = getAvailableTime(day) || 0;
+  if (availableTime <= 0) {
+    return false;
+  }
+  return ((getPlannedRT(day) + hours) * correctionFactor) / availableTime < RP_LIMITS.OVERLOAD;
+}
+
+/**
+ * Find the first day with spare capacity for a task
+ *
+ * @param {number} hours - Remaining RT of the task
+ * @param {Object} options - Search options
+ * @param {Function} options.getPlannedRT - Function (date) => hours already planned that day
+ * @param {Function} options.getAvailableTime - Function (date) => available hours that day
+ * @param {number} [options.correctionFactor=1] - RT correction factor (see calibration)
+ * @param {Date} [options.startDate=new Date()] - First day to try
+ * @returns {Date|null} The day (local midnight), or null if no day within
+ *   OVERDUE.SEARCH_DAYS has room
+ *
+ * @example
+ * // Today is full, tomorrow has 3h left
+ * findMoveDay(2, { getPlannedRT, getAvailableTime }); // Returns: tomorrow
+ */
+export function findMoveDay(hours, options) {
+  const start = startOfDay(options.startDate || new Date());
+  for (let offset = 0; offset < OVERDUE.SEARCH_DAYS; offset++) {
+    const day = addDays(start, offset);
+    if (fitsDay(hours, day, options)) {
+      return day;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the shortest run of upcoming days a task can be split across
+ *
+ * The task is split with the Smoothing Logic (splitRequiredTime) over the days
+ * that have available time; every slice must fit its day (see findMoveDay).
+ *
+ * @param {number} hours - Remaining RT of the task
+ * @param {Object} options - Search options (see findMoveDay)
+ * @returns {Object|null} { lastDay: Date (new IDL day), slices: [{ date, hours }] },
+ *   or null if the task does not fit within OVERDUE.SEARCH_DAYS
+ *
+ * @example
+ * findSplitDays(6, { getPlannedRT, getAvailableTime });
+ * // Returns: { lastDay: Dec 20, slices: [{ date: '2024-12-18', hours: 2 }, ...] }
+ */
+export function findSplitDays(hours, options) {
+  const start = startOfDay(options.startDate || new Date());
+  const days = [];
+
+  for (let offset = 0; offset < OVERDUE.SEARCH_DAYS; offset++) {
+    const day = addDays(start, offset);
+    if ((options.getAvailableTime(day) || 0) <= 0) {
+      continue;
+    }
+    days.push(day);
+    if (days.length < OVERDUE.MIN_SPLIT_DAYS) {
+      continue;
+    }
+
+    const slices = splitRequiredTime(hours, days);
+    const fits = slices.every((slice) =>
+      fitsDay(slice.hours, days.find((d) => toDateKey(d) === slice.date), options)
+    );
+    if (fits) {
+      return { lastDay: day, slices };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the new IDL of a rescheduled task on a day
+ *
+ * Keeps the task's time of day; if that time has already passed (rescheduling to
+ * today), the IDL is the end of the day.
+ *
+ * @param {Object} task - Task
+ * @param {Date} day - New IDL day
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Date} New IDL
+ */
+export function getRescheduledIDL(task, day, now = new Date()) {
+  const idl = new Date(task.idl);
+  const result = new Date(day.getFullYear(), day.getMonth(), day.getDate(), idl.getHours(), idl.getMinutes());
+  return result > now ? result : new Date(day.getFullYear(), day.getMonth(), day.getDate(), 23, 59);
+}
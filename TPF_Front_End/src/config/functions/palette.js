@@ -0,0 +1,81 @@
+/**
+ * Palette Functions - User color palette for IL, RP zones and Diamond levels
+ *
+ * The palette is a plain object of hex colors grouped like DEFAULT_PALETTE:
+ * { importance: { 1: '#dc2626', ... }, rpZones: { safe: ... }, entityLevels: { 1: ... } }
+ *
+ * It reaches the UI as CSS variables named --palette-<group>-<key>
+ * (e.g., --palette-importance-1, --palette-rpZones-safe). The color helpers
+ * (getImportanceColor, getRPStatus, getEntityLevelColor) return classes that
+ * read these variables, so every badge follows the palette without passing it
+ * around. Setting the variables on a container instead of the document root
+ * scopes a palette to that container (used for the live preview).
+ */
+
+import { DEFAULT_PALETTE } from '../constants';
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Check whether a value is a 6-digit hex color (the format of <input type="color">)
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for values like '#dc2626'
+ */
+export function isHexColor(value) {
+  return typeof value === 'string' && HEX_COLOR.test(value);
+}
+
+/**
+ * Complete a stored palette with the defaults
+ *
+ * Unknown groups and keys are dropped, and invalid colors fall back to the
+ * default, so a palette saved by an older version always has every color.
+ *
+ * @param {Object} [palette] - Stored palette (may be partial or null)
+ * @returns {Object} Full palette with the shape of DEFAULT_PALETTE
+ *
+ * @example
+ * normalizePalette({ importance: { 1: '#000000' } }).importance[2]; // Returns: '#ea580c'
+ */
+export function normalizePalette(palette) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_PALETTE).map(([group, defaults]) => [
+      group,
+      Object.fromEntries(
+        Object.entries(defaults).map(([key, color]) => {
+          const custom = palette?.[group]?.[key];
+          return [key, isHexColor(custom) ? custom : color];
+        })
+      ),
+    ])
+  );
+}
+
+/**
+ * Get the CSS variable name of one palette color
+ *
+ * @param {string} group - Palette group ('importance', 'rpZones', 'entityLevels')
+ * @param {string|number} key - Key within the group (IL, zone or level)
+ * @returns {string} CSS variable name (e.g., '--palette-importance-1')
+ */
+export function getPaletteVariableName(group, key) {
+  return `--palette-${group}-${key}`;
+}
+
+/**
+ * Convert a palette to CSS variables
+ *
+ * @param {Object} palette - Full palette
+ * @returns {Object} Map of CSS variable name → color, usable as a React style object
+ *
+ * @example
+ * <div style={getPaletteVariables(draftPalette)}>...</div>
+ */
+export function getPaletteVariables(palette) {
+  return Object.fromEntries(
+    Object.entries(palette).flatMap(([group, colors]) =>
+      Object.entries(colors).map(([key, color]) => [getPaletteVariableName(group, key), color])
+    )
+  );
+}
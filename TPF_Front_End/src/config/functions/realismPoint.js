@@ -17,12 +17,22 @@
  * - Overload (RP ≥ 1.0): Impossible to complete in available time
  *   → Red indicator, immediate action required (CWA, postpone tasks, or increase available time)
  * 
+ * A day with RT but no available time has RP = Infinity (Overload); formatRP
+ * shows it as '∞'.
+ * 
  * The RP metric is displayed prominently on the Dashboard to help users make informed
  * decisions about their daily task load and prevent overcommitment.
+ * 
+ * Planned RP uses the whole day's plan; remaining RP (calculateRemainingRealismPoint)
+ * only the work still open, so it falls as tasks get done during the day.
+ * 
+ * The RP forecast (calculateRPForecast) computes RP for each of the next days to
+ * spot overload streaks (crunch periods) and the peak day before they happen.
  */
 
-import { RP_LIMITS } from '../constants';
-import { calculateTotalRT } from './rtCalculations';
+import { RP_LIMITS, RP_FORECAST } from '../constants';
+import { calculateTotalRT, calculateRemainingRT } from './rtCalculations';
+import { addDays, toDateKey } from './dateHelpers';
 
 /**
  * Calculate Realism Point (RP) for given tasks and available time
@@ -31,12 +41,15 @@ import { calculateTotalRT } from './rtCalculations';
  * This metric indicates how much of the available time is allocated to tasks.
  * 
  * Edge Cases:
- * - If availableTime is 0 or negative, returns 0 (to avoid division by zero)
- * - If tasks array is empty, returns 0 (totalRT would be 0)
+ * - If there is no RT (e.g., empty tasks array), returns 0
+ * - If availableTime is 0 or negative while there is RT, returns Infinity
+ *   (the work cannot fit: Overload)
  * 
  * @param {Array} tasks - Array of task objects with 'rt' property (Required Time in hours)
- * @param {number} availableTime - Available free time in hours (user-configurable, default 8)
- * @returns {number} Realism Point value (0 to infinity)
+ * @param {number} availableTime - Available free time of the day in hours (see getAvailableTimeForDate)
+ * @param {number} [correctionFactor=1] - RT correction factor from time tracking calibration
+ *   (actual / estimated hours); RT is multiplied by it before dividing
+ * @returns {number} Realism Point value (0 to Infinity)
  *   - < 0.8: Safe zone
  *   - 0.8 - 1.0: Risky zone
  *   - ≥ 1.0: Overload
@@ -46,14 +59,63 @@ import { calculateTotalRT } from './rtCalculations';
  * calculateRealismPoint(tasks, 10); // Returns: 0.8 (Risky zone)
  * calculateRealismPoint(tasks, 8);  // Returns: 1.0 (Overload threshold)
  * calculateRealismPoint(tasks, 12); // Returns: 0.67 (Safe zone)
+ * calculateRealismPoint(tasks, 10, 1.25); // Returns: 1.0 (tasks take 25% longer than estimated)
+ * calculateRealismPoint(tasks, 0);  // Returns: Infinity (Overload, no time at all)
  */
-export function calculateRealismPoint(tasks, availableTime) {
-  // Handle edge case: invalid available time
-  if (!availableTime || availableTime <= 0) {
+export function calculateRealismPoint(tasks, availableTime, correctionFactor = 1) {
+  return divideByAvailableTime(calculateTotalRT(tasks) * correctionFactor, availableTime);
+}
+
+/**
+ * Divide RT by the available time of a day
+ * 
+ * @param {number} rt - Required time in hours (already corrected)
+ * @param {number} availableTime - Available time in hours
+ * @returns {number} RP: 0 without RT, Infinity with RT but no available time
+ */
+function divideByAvailableTime(rt, availableTime) {
+  if (rt <= 0) {
     return 0;
   }
-  const totalRT = calculateTotalRT(tasks);
-  return totalRT / availableTime;
+  if (!availableTime || availableTime <= 0) {
+    return Infinity;
+  }
+  return rt / availableTime;
+}
+
+/**
+ * Format an RP value for display
+ * 
+ * @param {number} rp - Realism Point
+ * @returns {string} RP with two decimals, or '∞' for a day without available time
+ * 
+ * @example
+ * formatRP(0.875);    // Returns: '0.88'
+ * formatRP(Infinity); // Returns: '∞'
+ */
+export function formatRP(rp) {
+  return Number.isFinite(rp) ? rp.toFixed(2) : '∞';
+}
+
+/**
+ * Calculate the remaining Realism Point of a day
+ * 
+ * Like calculateRealismPoint, but only counts the RT still to be done (see
+ * calculateRemainingRT): completed and cancelled tasks drop out and time tracked
+ * that day is subtracted. The available time stays the whole day's.
+ * 
+ * @param {Array} tasks - The day's tasks (see getTasksForDate)
+ * @param {number} availableTime - Available free time of the day in hours
+ * @param {number} [correctionFactor=1] - RT correction factor from time tracking calibration
+ * @param {Date|string} [date=new Date()] - The day (for its tracked time)
+ * @returns {number} Remaining RP (0 to Infinity, same zones as RP)
+ * 
+ * @example
+ * // 8h planned, a 2h task completed and 1h tracked on another one
+ * calculateRemainingRealismPoint(tasks, 10); // Returns: 0.5 (planned RP: 0.8)
+ */
+export function calculateRemainingRealismPoint(tasks, availableTime, correctionFactor = 1, date = new Date()) {
+  return divideByAvailableTime(calculateRemainingRT(tasks, date) * correctionFactor, availableTime);
 }
 
 /**
@@ -64,9 +126,12 @@ export function calculateRealismPoint(tasks, availableTime) {
  * 
  * This function is used by the Dashboard and other components to:
  * - Display appropriate status labels and emojis
- * - Apply consistent color coding (green/yellow/red)
+ * - Apply consistent color coding (green/yellow/red by default)
  * - Provide CSS classes for styling status indicators
  * 
+ * The color classes (text--rp-*, bg--rp-*, border--rp-*, fill--rp-*) read the zone colors of
+ * the user palette (--palette-rpZones-* CSS variables, see Color Settings).
+ * 
  * @param {number} rp - Realism Point value (calculated from calculateRealismPoint)
  * @returns {Object} Status object with comprehensive styling information:
  *   - label: Human-readable status label ('Safe Zone', 'Risky Zone', 'Overload')
@@ -77,6 +142,7 @@ export function calculateRealismPoint(tasks, availableTime) {
  *   - borderColor: CSS class for border color
  *   - statusTextColor: CSS class for status text color
  *   - messageColor: CSS class for message/warning text color
+ *   - fillColor: CSS class for solid fills (chart bars, markers)
  *   - status: Short status string ('Safe', 'Risky', 'Overload')
  *   - color: Primary color class
  * 
@@ -92,13 +158,14 @@ export function getRPStatus(rp) {
       label: 'Safe Zone',
       emoji: '🟢',
       statusClass: 'status--safe',
-      textColor: 'text--green-600',
-      bgColor: 'bg--green-50',
-      borderColor: 'border--green-200',
-      statusTextColor: 'text--green-800',
-      messageColor: 'text--green-700',
+      textColor: 'text--rp-safe',
+      bgColor: 'bg--rp-safe',
+      borderColor: 'border--rp-safe',
+      statusTextColor: 'text--rp-safe',
+      messageColor: 'text--rp-safe',
+      fillColor: 'fill--rp-safe',
       status: 'Safe',
-      color: 'text--green-600',
+      color: 'text--rp-safe',
     };
   }
   // Risky Zone: 0.8 ≤ RP < 1.0 - Tight schedule, requires focus
@@ -107,13 +174,14 @@ export function getRPStatus(rp) {
       label: 'Risky Zone',
       emoji: '🟡',
       statusClass: 'status--risky',
-      textColor: 'text--yellow-600',
-      bgColor: 'bg--yellow-50',
-      borderColor: 'border--yellow-200',
-      statusTextColor: 'text--yellow-800',
-      messageColor: 'text--yellow-700',
+      textColor: 'text--rp-risky',
+      bgColor: 'bg--rp-risky',
+      borderColor: 'border--rp-risky',
+      statusTextColor: 'text--rp-risky',
+      messageColor: 'text--rp-risky',
+      fillColor: 'fill--rp-risky',
       status: 'Risky',
-      color: 'text--yellow-600',
+      color: 'text--rp-risky',
     };
   }
   // Overload: RP ≥ 1.0 - Impossible, immediate action required
@@ -122,13 +190,14 @@ export function getRPStatus(rp) {
       label: 'Overload',
       emoji: '🔴',
       statusClass: 'status--overload',
-      textColor: 'text--red-600',
-      bgColor: 'bg--red-50',
-      borderColor: 'border--red-200',
-      statusTextColor: 'text--red-800',
-      messageColor: 'text--red-700',
+      textColor: 'text--rp-overload',
+      bgColor: 'bg--rp-overload',
+      borderColor: 'border--rp-overload',
+      statusTextColor: 'text--rp-overload',
+      messageColor: 'text--rp-overload',
+      fillColor: 'fill--rp-overload',
       status: 'Overload',
-      color: 'text--red-600',
+      color: 'text--rp-overload',
     };
   }
 }
@@ -145,10 +214,12 @@ export function getRPStatus(rp) {
  * 
  * @param {Array} tasks - Array of task objects with 'rt' property (Required Time in hours)
  * @param {number} availableTime - Available free time in hours
+ * @param {number} [correctionFactor=1] - RT correction factor (see calculateRealismPoint)
  * @returns {Object} Comprehensive RP statistics object containing:
  *   - rp: Realism Point value (number)
- *   - totalRT: Total Required Time in hours (number)
+ *   - totalRT: Total Required Time in hours, as estimated (number)
  *   - availableTime: Available time in hours (number)
+ *   - correctionFactor: Correction factor applied to RT for rp (number)
  *   - ...status: All properties from getRPStatus() spread into the object:
  *     * label, emoji, statusClass, textColor, bgColor, borderColor, etc.
  * 
@@ -164,8 +235,8 @@ export function getRPStatus(rp) {
  * //   ... (other status properties)
  * // }
  */
-export function calculateRPStats(tasks, availableTime) {
-  const rp = calculateRealismPoint(tasks, availableTime);
+export function calculateRPStats(tasks, availableTime, correctionFactor = 1) {
+  const rp = calculateRealismPoint(tasks, availableTime, correctionFactor);
   const status = getRPStatus(rp);
   const totalRT = calculateTotalRT(tasks);
 
@@ -173,7 +244,109 @@ export function calculateRPStats(tasks, availableTime) {
     rp,
     totalRT,
     availableTime,
+    correctionFactor,
     ...status,
   };
 }
 
+
+/**
+ * Find overload streaks in a list of days
+ * 
+ * A streak is a run of consecutive days with RP in the Overload zone
+ * (RP ≥ 1.0) that lasts at least `minLength` days.
+ * 
+ * @param {Array<Object>} days - Consecutive days, each with { date, rp }
+ * @param {number} [minLength=RP_FORECAST.MIN_STREAK_DAYS] - Minimum streak length in days
+ * @returns {Array<Object>} Streaks in date order, each with:
+ *   - start: First day of the streak (Date)
+ *   - end: Last day of the streak (Date)
+ *   - length: Number of days
+ *   - peakRP: Highest RP within the streak
+ * 
+ * @example
+ * findOverloadStreaks([{ date: d1, rp: 1.2 }, { date: d2, rp: 1.1 }, { date: d3, rp: 0.5 }]);
+ * // Returns: [{ start: d1, end: d2, length: 2, peakRP: 1.2 }]
+ */
+export function findOverloadStreaks(days, minLength = RP_FORECAST.MIN_STREAK_DAYS) {
+  const streaks = [];
+  let current = null;
+
+  days.forEach((day) => {
+    if (day.rp >= RP_LIMITS.OVERLOAD) {
+      if (current) {
+        current.end = day.date;
+        current.length += 1;
+        current.peakRP = Math.max(current.peakRP, day.rp);
+      } else {
+        current = { start: day.date, end: day.date, length: 1, peakRP: day.rp };
+        streaks.push(current);
+      }
+    } else {
+      current = null;
+    }
+  });
+
+  return streaks.filter((streak) => streak.length >= minLength);
+}
+
+/**
+ * Calculate the RP forecast for the next days
+ * 
+ * Computes calculateRPStats() for each day from startDate on, using the day's
+ * scheduled tasks and its available time, then flags overload streaks and the
+ * peak day (highest RP). A day with RT but no available time (RP = Infinity)
+ * is an Overload day: it can be the peak day and part of a streak, but it is
+ * left out of the average.
+ * 
+ * @param {Object} options - Forecast options
+ * @param {Function} options.getTasksForDate - Function (date) => tasks (slices) of that day
+ * @param {Function} options.getAvailableTime - Function (date) => available hours of that day
+ * @param {Date} [options.startDate=new Date()] - First day of the forecast
+ * @param {number} [options.days=7] - Number of days to forecast
+ * @param {number} [options.correctionFactor=1] - RT correction factor (see calculateRealismPoint)
+ * @returns {Object} Forecast:
+ *   - days: One entry per day: { date, dateKey, taskCount, ...calculateRPStats() }
+ *   - peakDay: Day with the highest RP (null if no day has any load)
+ *   - overloadDays: Number of days in the Overload zone
+ *   - overloadStreaks: Result of findOverloadStreaks() for these days
+ *   - averageRP: Average RP over the days with a finite RP (0 if there are none)
+ * 
+ * @example
+ * const forecast = calculateRPForecast({ getTasksForDate, getAvailableTime: getAvailableTimeForDate, days: 14 });
+ * forecast.peakDay; // { date, rp: 1.35, label: 'Overload', ... }
+ */
+export function calculateRPForecast({
+  getTasksForDate,
+  getAvailableTime,
+  startDate = new Date(),
+  days = 7,
+  correctionFactor = 1,
+}) {
+  const forecastDays = Array.from({ length: days }, (_, offset) => {
+    const date = addDays(startDate, offset);
+    const tasks = getTasksForDate(date);
+
+    return {
+      date,
+      dateKey: toDateKey(date),
+      taskCount: tasks.length,
+      ...calculateRPStats(tasks, getAvailableTime(date), correctionFactor),
+    };
+  });
+
+  const peakDay = forecastDays.reduce(
+    (peak, day) => (day.rp > (peak ? peak.rp : 0) ? day : peak),
+    null
+  );
+  const finiteDays = forecastDays.filter((day) => Number.isFinite(day.rp));
+  const totalRP = finiteDays.reduce((sum, day) => sum + day.rp, 0);
+
+  return {
+    days: forecastDays,
+    peakDay,
+    overloadDays: forecastDays.filter((day) => day.rp >= RP_LIMITS.OVERLOAD).length,
+    overloadStreaks: findOverloadStreaks(forecastDays),
+    averageRP: finiteDays.length > 0 ? totalRP / finiteDays.length : 0,
+  };
+}
@@ -0,0 +1,315 @@
+/**
+ * Recurrence Functions - Recurring task series and their occurrences
+ *
+ * A recurring series is a task template plus a recurrence rule:
+ *
+ * {
+ *   id: 1700000000000,
+ *   title: 'Gym', rt: 1.5, il: 3, atomic: true, tags: ['health'],
+ *   rule: {
+ *     frequency: 'weekly',      // RECURRENCE.FREQUENCIES: daily, weekly, monthly, interval
+ *     weekdays: [1, 3, 5],      // weekly: Date.getDay() values
+ *     monthDay: null,           // monthly: day of the month (clamped to short months)
+ *     interval: null,           // interval: every N days, counted from startDate
+ *     startDate: '2024-12-16',  // first possible occurrence
+ *     endDate: null,            // last possible occurrence ('YYYY-MM-DD' or null)
+ *     count: null,              // number of occurrences (or null)
+ *   },
+ *   generatedUntil: '2024-12-30', // last day occurrences were generated for
+ *   skippedDates: ['2024-12-18'],
+ *   createdAt: Date,
+ * }
+ *
+ * Each occurrence becomes a concrete task with recurrence: { seriesId, date },
+ * pinned to its day (earliestStart at the start of the occurrence date, IDL at
+ * its end, 23:59). Completing, skipping, editing or deleting one occurrence
+ * leaves the series intact; occurrences are generated only once per day
+ * (generatedUntil), so removed ones do not return.
+ */
+
+import { RECURRENCE, AVAILABILITY, TASK_STATUS } from '../constants';
+import { addDays, daysBetween, getDateRange, startOfDay, toDateKey } from './dateHelpers';
+
+/**
+ * Get the number of days of a date's month
+ *
+ * @param {Date} date - Any day of the month
+ * @returns {number} 28-31
+ */
+function getDaysInMonth(date) {
+  return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+}
+
+/**
+ * Validate and clean a recurrence rule
+ *
+ * Only the fields used by the frequency are kept.
+ *
+ * @param {Object} rule - Rule from a form or a backup
+ * @returns {Object} Normalized rule
+ * @throws {Error} If the rule is incomplete or invalid
+ *
+ * @example
+ * normalizeRecurrenceRule({ frequency: 'weekly', weekdays: [5, 1], startDate: '2024-12-16' });
+ * // Returns: { frequency: 'weekly', weekdays: [1, 5], monthDay: null, interval: null,
+ * //            startDate: '2024-12-16', endDate: null, count: null }
+ */
+export function normalizeRecurrenceRule(rule) {
+  const { WEEKLY, MONTHLY, INTERVAL } = RECURRENCE.FREQUENCIES;
+
+  if (!rule || !Object.values(RECURRENCE.FREQUENCIES).includes(rule.frequency)) {
+    throw new Error('Choose how often the task repeats.');
+  }
+  if (!rule.startDate || Number.isNaN(startOfDay(rule.startDate).getTime())) {
+    throw new Error('Choose the date of the first occurrence.');
+  }
+
+  const normalized = {
+    frequency: rule.frequency,
+    weekdays: null,
+    monthDay: null,
+    interval: null,
+    startDate: toDateKey(rule.startDate),
+    endDate: rule.endDate ? toDateKey(rule.endDate) : null,
+    count: rule.count === null || rule.count === undefined ? null : Number(rule.count),
+  };
+
+  if (rule.frequency === WEEKLY) {
+    const weekdays = [...new Set(rule.weekdays || [])].map(Number).sort((a, b) => a - b);
+    if (weekdays.length === 0 || weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new Error('Choose at least one weekday.');
+    }
+    normalized.weekdays = weekdays;
+  }
+  if (rule.frequency === MONTHLY) {
+    const monthDay = Number(rule.monthDay);
+    if (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31) {
+      throw new Error('The day of the month must be between 1 and 31.');
+    }
+    normalized.monthDay = monthDay;
+  }
+  if (rule.frequency === INTERVAL) {
+    const interval = Number(rule.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > RECURRENCE.MAX_INTERVAL_DAYS) {
+      throw new Error(`Repeat every 1 to ${RECURRENCE.MAX_INTERVAL_DAYS} days.`);
+    }
+    normalized.interval = interval;
+  }
+  if (normalized.endDate && normalized.endDate < normalized.startDate) {
+    throw new Error('The end date must not be before the first occurrence.');
+  }
+  if (normalized.count !== null && (!Number.isInteger(normalized.count) || normalized.count < 1)) {
+    throw new Error('The number of occurrences must be a whole number of at least 1.');
+  }
+
+  return normalized;
+}
+
+/**
+ * Check whether a rule's pattern matches a day (ignoring start, end and count)
+ *
+ * @param {Object} rule - Normalized recurrence rule
+ * @param {Date|string} date - Day to check
+ * @returns {boolean} True if the pattern has an occurrence on that day
+ */
+export function matchesRecurrenceRule(rule, date) {
+  const day = startOfDay(date);
+
+  switch (rule.frequency) {
+    case RECURRENCE.FREQUENCIES.DAILY:
+      return true;
+    case RECURRENCE.FREQUENCIES.WEEKLY:
+      return rule.weekdays.includes(day.getDay());
+    case RECURRENCE.FREQUENCIES.MONTHLY:
+      return day.getDate() === Math.min(rule.monthDay, getDaysInMonth(day));
+    case RECURRENCE.FREQUENCIES.INTERVAL: {
+      const offset = daysBetween(rule.startDate, day);
+      return offset >= 0 && offset % rule.interval === 0;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * List the occurrences of a rule within a period
+ *
+ * Occurrences are counted from the rule's start date, so `count` limits the
+ * whole series, not only the period.
+ *
+ * @param {Object} rule - Normalized recurrence rule
+ * @param {Date|string} from - First day of the period
+ * @param {Date|string} to - Last day of the period
+ * @returns {Array<string>} Occurrence day keys ('YYYY-MM-DD') in date order
+ *
+ * @example
+ * getOccurrenceDates({ frequency: 'interval', interval: 2, startDate: '2024-12-16', ... },
+ *   '2024-12-17', '2024-12-21');
+ * // Returns: ['2024-12-18', '2024-12-20']
+ */
+export function getOccurrenceDates(rule, from, to) {
+  const fromKey = toDateKey(from);
+  const lastKey = rule.endDate && rule.endDate < toDateKey(to) ? rule.endDate : toDateKey(to);
+  const dates = [];
+  let occurrences = 0;
+
+  for (const day of getDateRange(rule.startDate, lastKey)) {
+    if (rule.count !== null && occurrences >= rule.count) break;
+    if (!matchesRecurrenceRule(rule, day)) continue;
+
+    occurrences += 1;
+    const key = toDateKey(day);
+    if (key >= fromKey) {
+      dates.push(key);
+    }
+  }
+
+  return dates;
+}
+
+/**
+ * Get the occurrences of a series that still need a task
+ *
+ * Covers the days after `generatedUntil` up to HORIZON_DAYS ahead. Past days are
+ * never generated (a missed gym session is not turned into an overdue task), and
+ * skipped dates stay skipped.
+ *
+ * @param {Object} series - Recurring series
+ * @param {Date|string} [today=new Date()] - Current day (Date or 'YYYY-MM-DD' key)
+ * @param {number} [horizonDays=RECURRENCE.HORIZON_DAYS] - Days ahead to generate
+ * @returns {Object} { dates: Array<string>, generatedUntil: string } — day keys to
+ *   create tasks for, and the new generatedUntil of the series
+ */
+export function getPendingOccurrences(series, today = new Date(), horizonDays = RECURRENCE.HORIZON_DAYS) {
+  const horizon = toDateKey(addDays(today, horizonDays));
+  const candidates = [toDateKey(today), series.rule.startDate];
+  if (series.generatedUntil) {
+    candidates.push(toDateKey(addDays(series.generatedUntil, 1)));
+  }
+  const from = candidates.sort().pop();
+
+  if (from > horizon) {
+    return { dates: [], generatedUntil: series.generatedUntil };
+  }
+
+  const skipped = series.skippedDates || [];
+  return {
+    dates: getOccurrenceDates(series.rule, from, horizon).filter((date) => !skipped.includes(date)),
+    generatedUntil: horizon,
+  };
+}
+
+/**
+ * Build the task of one occurrence
+ *
+ * @param {Object} series - Recurring series (task template)
+ * @param {string} date - Occurrence day key
+ * @param {number|string} id - ID of the new task
+ * @returns {Object} Task pinned to its day (earliestStart at 00:00, IDL at 23:59 of the
+ *   occurrence date, so it is not overdue before the day is over)
+ */
+export function buildOccurrenceTask(series, date, id) {
+  const day = startOfDay(date);
+  const idl = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 23, 59);
+
+  return {
+    id,
+    title: series.title,
+    rt: series.rt,
+    idl,
+    il: series.il,
+    atomic: Boolean(series.atomic),
+    tags: series.tags || [],
+    earliestStart: day,
+    recurrence: { seriesId: series.id, date },
+    timeSessions: [],
+    actualTime: 0,
+    createdAt: new Date(),
+    parentTaskId: null,
+    subtasks: [],
+    linksTo: [],
+    linkedFrom: [],
+    status: TASK_STATUS.VALUES.PENDING,
+    progress: 0,
+    completed: false,
+    completedAt: null,
+  };
+}
+
+/**
+ * Describe a recurrence rule in words
+ *
+ * @param {Object} rule - Normalized recurrence rule
+ * @returns {string} Description (e.g., 'Every Mon, Wed, Fri until Mar 1, 2025')
+ *
+ * @example
+ * describeRecurrenceRule({ frequency: 'monthly', monthDay: 15, count: 6, ... });
+ * // Returns: 'Monthly on day 15, 6 times'
+ */
+export function describeRecurrenceRule(rule) {
+  const { DAILY, WEEKLY, MONTHLY } = RECURRENCE.FREQUENCIES;
+  let text;
+
+  if (rule.frequency === DAILY) {
+    text = 'Every day';
+  } else if (rule.frequency === WEEKLY) {
+    text = `Every ${rule.weekdays.map((day) => AVAILABILITY.WEEKDAYS[day].slice(0, 3)).join(', ')}`;
+  } else if (rule.frequency === MONTHLY) {
+    text = `Monthly on day ${rule.monthDay}`;
+  } else {
+    text = rule.interval === 1 ? 'Every day' : `Every ${rule.interval} days`;
+  }
+
+  if (rule.endDate) {
+    text += ` until ${startOfDay(rule.endDate).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  }
+  if (rule.count) {
+    text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+  }
+  return text;
+}
+
+/**
+ * Build the form state of a recurrence rule editor
+ *
+ * @param {Object|null} [rule=null] - Rule to edit (null for a new rule)
+ * @param {Date|string} [startDate=new Date()] - First occurrence of a new rule
+ * @returns {Object} Form state { frequency, weekdays, monthDay, interval, startDate,
+ *   endType ('never', 'date' or 'count'), endDate, count } with string inputs
+ */
+export function createRecurrenceForm(rule = null, startDate = new Date()) {
+  const start = rule ? rule.startDate : toDateKey(startDate);
+  const startDay = startOfDay(start);
+  let endType = 'never';
+  if (rule && rule.endDate) endType = 'date';
+  if (rule && rule.count) endType = 'count';
+
+  return {
+    frequency: rule ? rule.frequency : RECURRENCE.FREQUENCIES.WEEKLY,
+    weekdays: rule && rule.weekdays ? rule.weekdays : [startDay.getDay()],
+    monthDay: String(rule && rule.monthDay ? rule.monthDay : startDay.getDate()),
+    interval: String(rule && rule.interval ? rule.interval : 2),
+    startDate: start,
+    endType,
+    endDate: rule && rule.endDate ? rule.endDate : '',
+    count: String(rule && rule.count ? rule.count : 10),
+  };
+}
+
+/**
+ * Convert the form state of a rule editor to a rule
+ *
+ * @param {Object} form - Form state (see createRecurrenceForm)
+ * @returns {Object} Rule ready for normalizeRecurrenceRule()
+ */
+export function recurrenceFormToRule(form) {
+  return {
+    frequency: form.frequency,
+    weekdays: form.weekdays,
+    monthDay: form.monthDay === '' ? NaN : Number(form.monthDay),
+    interval: form.interval === '' ? NaN : Number(form.interval),
+    startDate: form.startDate,
+    endDate: form.endType === 'date' ? form.endDate || null : null,
+    count: form.endType === 'count' ? (form.count === '' ? NaN : Number(form.count)) : null,
+  };
+}
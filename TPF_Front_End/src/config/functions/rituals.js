@@ -0,0 +1,144 @@
+/**
+ * Ritual Functions - Morning check-in, evening shutdown and their consistency
+ *
+ * Two short rituals frame the day:
+ * - Morning check-in: Confirm today's available time, choose the top tasks and
+ *   look at what is blocked
+ * - Evening shutdown: Mark completions, log actual time, move unfinished tasks
+ *   and catch an observation
+ *
+ * Each ritual is recorded once per day in the ritual log:
+ *
+ * {
+ *   '2024-12-18': {
+ *     morning: { completedAt: Date, availableTime: 6, topTaskIds: [1001, 1004, 1010] },
+ *     evening: { completedAt: Date, completedCount: 3, movedCount: 1, observationCaught: true },
+ *   },
+ *   ...
+ * }
+ */
+
+import { RITUALS } from '../constants';
+import { addDays, toDateKey } from './dateHelpers';
+import { sortTasksByPriority } from './taskSorting';
+import { isTaskClosed } from './taskStatus';
+
+/**
+ * Get the rituals recorded on a day
+ *
+ * @param {Object} log - Ritual log ('YYYY-MM-DD' → { morning, evening })
+ * @param {Date|string} [date=new Date()] - Day
+ * @returns {Object} { morning, evening } (missing rituals are undefined)
+ */
+export function getRitualDay(log, date = new Date()) {
+  return (log && log[toDateKey(date)]) || {};
+}
+
+/**
+ * Get the ritual that is due now
+ *
+ * Before RITUALS.EVENING_HOUR the morning check-in is due, from then on the
+ * evening shutdown; a ritual done today is not due again.
+ *
+ * @param {Object} log - Ritual log
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string|null} RITUALS.TYPES value, or null if nothing is due
+ *
+ * @example
+ * getDueRitual({}, new Date('2024-12-18T08:00')); // Returns: 'morning'
+ * getDueRitual({}, new Date('2024-12-18T21:00')); // Returns: 'evening'
+ */
+export function getDueRitual(log, now = new Date()) {
+  const day = getRitualDay(log, now);
+  if (now.getHours() < RITUALS.EVENING_HOUR) {
+    return day.morning ? null : RITUALS.TYPES.MORNING;
+  }
+  return day.evening ? null : RITUALS.TYPES.EVENING;
+}
+
+/**
+ * Record a ritual in the log
+ *
+ * Doing a ritual again on the same day replaces its entry. Days older than
+ * RITUALS.RETENTION_DAYS are dropped.
+ *
+ * @param {Object} log - Ritual log
+ * @param {string} type - RITUALS.TYPES value
+ * @param {Object} [details={}] - What was done (see module header)
+ * @param {Date} [now=new Date()] - Time of the ritual
+ * @returns {Object} New ritual log
+ */
+export function recordRitual(log, type, details = {}, now = new Date()) {
+  const dateKey = toDateKey(now);
+  const cutoff = toDateKey(addDays(now, -RITUALS.RETENTION_DAYS));
+
+  return Object.fromEntries(
+    Object.entries({
+      ...log,
+      [dateKey]: { ...getRitualDay(log, now), [type]: { ...details, completedAt: now } },
+    }).filter(([key]) => key >= cutoff)
+  );
+}
+
+/**
+ * Suggest the day's top tasks
+ *
+ * @param {Array} tasks - Today's task slices (see getTasksForDate)
+ * @param {number} [count=RITUALS.TOP_TASKS] - Number of tasks
+ * @returns {Array} The open tasks with the highest priority (see sortTasksByPriority)
+ */
+export function getTopTaskSuggestions(tasks, count = RITUALS.TOP_TASKS) {
+  return sortTasksByPriority(tasks.filter((task) => !isTaskClosed(task))).slice(0, count);
+}
+
+/**
+ * Analyze how consistently the rituals are done
+ *
+ * @param {Object} log - Ritual log
+ * @param {number} days - Number of days, ending with `endDate`
+ * @param {Date} [endDate=new Date()] - Last day of the period
+ * @returns {Object} { morning, evening }, each with:
+ *   - count: Days the ritual was done
+ *   - rate: count / days (0-1)
+ *   - streak: Consecutive days up to endDate (a ritual not done yet on
+ *     endDate does not break the streak)
+ *   - averageTime: Average time of day it was done ('HH:MM', null without data)
+ *
+ * @example
+ * analyzeRituals(ritualLog, 30).morning; // { count: 24, rate: 0.8, streak: 6, averageTime: '08:15' }
+ */
+export function analyzeRituals(log, days, endDate = new Date()) {
+  const dayKeys = Array.from({ length: days }, (_, offset) => toDateKey(addDays(endDate, -offset)));
+
+  const analyze = (type) => {
+    const entries = dayKeys.map((key) => (log[key] || {})[type]).filter(Boolean);
+
+    let streak = 0;
+    for (let index = (log[dayKeys[0]] || {})[type] ? 0 : 1; index < dayKeys.length; index++) {
+      if (!(log[dayKeys[index]] || {})[type]) break;
+      streak += 1;
+    }
+
+    const minutes = entries.map((entry) => {
+      const time = new Date(entry.completedAt);
+      return time.getHours() * 60 + time.getMinutes();
+    });
+    const averageMinutes =
+      minutes.length > 0 ? Math.round(minutes.reduce((sum, value) => sum + value, 0) / minutes.length) : null;
+
+    return {
+      count: entries.length,
+      rate: days > 0 ? entries.length / days : 0,
+      streak,
+      averageTime:
+        averageMinutes === null
+          ? null
+          : `${String(Math.floor(averageMinutes / 60)).padStart(2, '0')}:${String(averageMinutes % 60).padStart(2, '0')}`,
+    };
+  };
+
+  return {
+    morning: analyze(RITUALS.TYPES.MORNING),
+    evening: analyze(RITUALS.TYPES.EVENING),
+  };
+}
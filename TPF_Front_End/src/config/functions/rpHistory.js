@@ -0,0 +1,229 @@
+/**
+ * RP History Functions - Daily Realism Point log and trend analytics
+ *
+ * RP (Realism Point) is computed on the fly for the current plan. To see
+ * whether the plan is chronically overloaded, one snapshot per day is kept:
+ *
+ * {
+ *   '2024-12-18': {
+ *     date: '2024-12-18',
+ *     rp: 0.94,              // RP = totalRT / availableTime (Infinity with RT but no time)
+ *     totalRT: 7.5,          // RT planned that day (slices + work on tasks completed that day)
+ *     availableTime: 8,      // available time of that day
+ *     completedRT: 6,        // RT of the tasks completed that day
+ *     taskCount: 5,
+ *     completedCount: 4,
+ *   },
+ *   ...
+ * }
+ *
+ * Today's snapshot is overwritten while the day goes on, so each past day
+ * keeps its day-end values. The analytics (averages, RP zones, weekdays and
+ * RP vs. completion) are computed from these snapshots.
+ */
+
+import { RP_LIMITS, RP_HISTORY, AVAILABILITY } from '../constants';
+import { calculateRealismPoint } from './realismPoint';
+import { calculateTotalRT } from './rtCalculations';
+import { addDays, startOfDay, toDateKey } from './dateHelpers';
+
+/**
+ * Build the RP snapshot of one day
+ *
+ * @param {Array} tasks - Tasks of the day (slices from getTasksForDate)
+ * @param {number} availableTime - Available hours of the day
+ * @param {Date|string} date - Day of the snapshot
+ * @param {number} [correctionFactor=1] - RT correction factor applied to rp (see calculateRealismPoint)
+ * @returns {Object} Snapshot { date, rp, totalRT, availableTime, completedRT, taskCount, completedCount }
+ */
+export function createRPSnapshot(tasks, availableTime, date, correctionFactor = 1) {
+  const completedTasks = tasks.filter((task) => task.completed);
+
+  return {
+    date: toDateKey(date),
+    rp: calculateRealismPoint(tasks, availableTime, correctionFactor),
+    totalRT: calculateTotalRT(tasks),
+    availableTime,
+    completedRT: calculateTotalRT(completedTasks),
+    taskCount: tasks.length,
+    completedCount: completedTasks.length,
+  };
+}
+
+/**
+ * Store a snapshot in the history and drop snapshots past the retention period
+ *
+ * @param {Object} history - RP history ('YYYY-MM-DD' → snapshot)
+ * @param {Object} snapshot - Snapshot from createRPSnapshot()
+ * @param {number} [retentionDays=RP_HISTORY.RETENTION_DAYS] - Days to keep
+ * @returns {Object} Updated history (the same object if nothing changed)
+ *
+ * @example
+ * const next = recordRPSnapshot(rpHistory, createRPSnapshot(todayTasks, 8, new Date()));
+ * if (next !== rpHistory) setRpHistory(next);
+ */
+export function recordRPSnapshot(history, snapshot, retentionDays = RP_HISTORY.RETENTION_DAYS) {
+  const cutoff = toDateKey(addDays(snapshot.date, -retentionDays));
+  const previous = history[snapshot.date];
+  const unchanged =
+    previous &&
+    Object.keys(snapshot).every((key) => previous[key] === snapshot[key]) &&
+    Object.keys(history).every((key) => key >= cutoff);
+
+  if (unchanged) {
+    return history;
+  }
+
+  return Object.fromEntries(
+    Object.entries({ ...history, [snapshot.date]: snapshot }).filter(([key]) => key >= cutoff)
+  );
+}
+
+/**
+ * Get the snapshots of the last days in date order
+ *
+ * @param {Object} history - RP history ('YYYY-MM-DD' → snapshot)
+ * @param {number} days - Number of days, ending with `endDate`
+ * @param {Date} [endDate=new Date()] - Last day of the period
+ * @returns {Array<Object>} Snapshots of the recorded days (days without a snapshot are skipped)
+ */
+export function getRPHistoryEntries(history, days, endDate = new Date()) {
+  const from = toDateKey(addDays(endDate, -(days - 1)));
+  const to = toDateKey(endDate);
+
+  return Object.values(history)
+    .filter((snapshot) => snapshot.date >= from && snapshot.date <= to)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Get the completion rate of a snapshot
+ *
+ * @param {Object} snapshot - RP snapshot
+ * @returns {number|null} Completed RT / total RT (0-1), or null if nothing was planned
+ */
+export function getCompletionRate(snapshot) {
+  return snapshot.totalRT > 0 ? snapshot.completedRT / snapshot.totalRT : null;
+}
+
+/**
+ * Get the RP zone key of an RP value (same limits as getRPStatus)
+ *
+ * @param {number} rp - Realism Point
+ * @returns {string} 'safe', 'risky' or 'overload'
+ */
+function getRPZone(rp) {
+  if (rp < RP_LIMITS.SAFE) return 'safe';
+  if (rp < RP_LIMITS.RISKY) return 'risky';
+  return 'overload';
+}
+
+/**
+ * Average of a list of numbers
+ *
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Average, or null for an empty list
+ */
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Pearson correlation coefficient of two equally long lists
+ *
+ * @param {Array<number>} xs - First values
+ * @param {Array<number>} ys - Second values
+ * @returns {number|null} Coefficient from -1 to 1, or null if it is undefined
+ *   (fewer than 3 pairs or no variation)
+ */
+function correlate(xs, ys) {
+  if (xs.length < 3) return null;
+
+  const meanX = average(xs);
+  const meanY = average(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, index) => {
+    covariance += (x - meanX) * (ys[index] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[index] - meanY) ** 2;
+  });
+
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+/**
+ * Analyze RP snapshots
+ *
+ * @param {Array<Object>} entries - Snapshots in date order (see getRPHistoryEntries)
+ * @returns {Object} Analysis:
+ *   - days: Number of recorded days
+ *   - averageRP: Average RP (null without data)
+ *   - averageCompletionRate: Average completion rate of days with planned RT (null without data)
+ *   - zoneCounts: Days per RP zone { safe, risky, overload }
+ *   - weekdays: One entry per weekday (Monday first): { weekday, label, days, averageRP }
+ *   - zoneCompletion: Average completion rate per RP zone { safe, risky, overload } (null without data)
+ *   - correlation: Correlation of RP and completion rate (-1 to 1, null with too little data)
+ *   - trend: Average RP of the last 7 recorded days minus the 7 before (null with fewer than 14 days)
+ *
+ * Days with RT but no available time (rp = Infinity) count as Overload days,
+ * but are left out of the averages, the trend and the correlation.
+ *
+ * @example
+ * const analysis = analyzeRPHistory(getRPHistoryEntries(rpHistory, 30));
+ * analysis.zoneCounts; // { safe: 18, risky: 8, overload: 4 }
+ */
+export function analyzeRPHistory(entries) {
+  const zoneCounts = { safe: 0, risky: 0, overload: 0 };
+  const zoneRates = { safe: [], risky: [], overload: [] };
+  const weekdayRPs = AVAILABILITY.WEEKDAYS.map(() => []);
+  const ratedEntries = [];
+
+  entries.forEach((snapshot) => {
+    const zone = getRPZone(snapshot.rp);
+    const rate = getCompletionRate(snapshot);
+    const finite = Number.isFinite(snapshot.rp);
+
+    zoneCounts[zone] += 1;
+    if (finite) {
+      weekdayRPs[startOfDay(snapshot.date).getDay()].push(snapshot.rp);
+    }
+    if (rate !== null) {
+      zoneRates[zone].push(rate);
+      if (finite) {
+        ratedEntries.push({ rp: snapshot.rp, rate });
+      }
+    }
+  });
+
+  const finiteRPs = (snapshots) => snapshots.map((snapshot) => snapshot.rp).filter(Number.isFinite);
+  const recentRPs = finiteRPs(entries.slice(-7));
+  const previousRPs = finiteRPs(entries.slice(-14, -7));
+
+  return {
+    days: entries.length,
+    averageRP: average(finiteRPs(entries)),
+    averageCompletionRate: average(ratedEntries.map((entry) => entry.rate)),
+    zoneCounts,
+    weekdays: AVAILABILITY.WEEK_ORDER.map((weekday) => ({
+      weekday,
+      label: AVAILABILITY.WEEKDAYS[weekday],
+      days: weekdayRPs[weekday].length,
+      averageRP: average(weekdayRPs[weekday]),
+    })),
+    zoneCompletion: {
+      safe: average(zoneRates.safe),
+      risky: average(zoneRates.risky),
+      overload: average(zoneRates.overload),
+    },
+    correlation: correlate(
+      ratedEntries.map((entry) => entry.rp),
+      ratedEntries.map((entry) => entry.rate)
+    ),
+    trend:
+      entries.length >= 14 && recentRPs.length > 0 && previousRPs.length > 0
+        ? average(recentRPs) - average(previousRPs)
+        : null,
+  };
+}
@@ -9,10 +9,24 @@
  * - Provide reliable calculations with proper null/empty handling
  * - Support Realism Point (RP) calculations and task analysis
  * 
+ * Planned vs. Remaining RT:
+ * - Planned RT: everything on a day's plan, including tasks already completed that day
+ *   (calculateTotalRT over getTasksForDate)
+ * - Remaining RT: only the work still open (calculateRemainingRT) - completed and
+ *   cancelled tasks drop out and time tracked that day is subtracted, so it falls
+ *   while the day's work gets done
+ * 
+ * Parents and subtasks: a parent's RT often includes the RT of its subtasks. Only
+ * the part not covered by the subtasks (getOwnRT) is planned, so the same hours are
+ * never counted twice.
+ * 
  * All RT calculations throughout the application should use functions from this module
  * to ensure consistency and proper handling of edge cases.
  */
 
+import { isTaskClosed } from './taskStatus';
+import { getTrackedHoursForDate } from './timeTracking';
+
 /**
  * Calculate total RT (Required Time) from an array of tasks
  * 
@@ -180,3 +194,51 @@ export function calculateRTStats(tasks) {
   };
 }
 
+
+/**
+ * Get the RT of a task that is not covered by its subtasks
+ * 
+ * A parent's RT is treated as including the RT of its direct subtasks, so only
+ * the rest is the parent's own work (e.g., "Project" 10h with subtasks of 4h + 4h
+ * has 2h of its own). Tasks without subtasks keep their full RT.
+ * 
+ * @param {Object} task - Task object with 'id' and 'rt' properties
+ * @param {Array} tasks - All tasks (to find the subtasks)
+ * @returns {number} Own RT in hours (never negative)
+ * 
+ * @example
+ * getOwnRT({ id: 1, rt: 10 }, [{ parentTaskId: 1, rt: 4 }, { parentTaskId: 1, rt: 4 }]); // Returns: 2
+ * getOwnRT({ id: 1, rt: 0 }, [{ parentTaskId: 1, rt: 4 }]); // Returns: 0 (RT lives in the subtasks)
+ */
+export function getOwnRT(task, tasks) {
+  const subtaskRT = calculateTotalRT((tasks || []).filter((t) => t.parentTaskId === task.id));
+  return Math.max(0, (task.rt || 0) - subtaskRT);
+}
+
+/**
+ * Calculate the RT still to be done from a day's tasks
+ * 
+ * Completed and cancelled tasks count 0; every other task counts its RT minus the
+ * hours tracked on it that day. Use with the entries of getTasksForDate, whose RT
+ * is already the day's slice of the remaining work.
+ * 
+ * @param {Array} tasks - Array of task objects (or daily slices) with 'rt' property
+ * @param {Date|string} [date=new Date()] - Day whose tracked time is subtracted
+ * @returns {number} Remaining RT in hours
+ * 
+ * @example
+ * const tasks = [
+ *   { rt: 2, completed: true },
+ *   { rt: 3, timeSessions: [{ start: '2024-12-18T09:00', end: '2024-12-18T10:00' }] },
+ *   { rt: 1 }
+ * ];
+ * calculateRemainingRT(tasks, '2024-12-18'); // Returns: 3 (0 + 2 + 1)
+ */
+export function calculateRemainingRT(tasks, date = new Date()) {
+  if (!tasks || !Array.isArray(tasks) || tasks.length === 0) {
+    return 0;
+  }
+  return tasks
+    .filter((task) => !isTaskClosed(task))
+    .reduce((sum, task) => sum + Math.max(0, (task.rt || 0) - getTrackedHoursForDate(task, date)), 0);
+}
@@ -3,7 +3,8 @@
  * 
  * This module provides utility functions for filtering tasks by various criteria.
  * These functions are used throughout the application to display filtered task lists
- * based on date, importance level, parent-child relationships, and link status.
+ * based on date, importance level, parent-child relationships, link status and
+ * task status (see Task Status Functions).
  * 
  * All filtering functions:
  * - Handle null/undefined/empty inputs gracefully (return empty array)
@@ -11,6 +12,8 @@
  * - Return new arrays suitable for React state updates
  */
 
+import { getTaskStatus, isTaskClosed } from './taskStatus';
+
 /**
  * Filter tasks for a specific date
  * 
@@ -209,3 +212,58 @@ export function filterSubtasks(tasks, parentTaskId = null) {
   });
 }
 
+
+/**
+ * Filter tasks by status
+ * 
+ * Returns tasks whose status is one of the given statuses. Tasks saved before
+ * statuses existed are matched by their derived status (see getTaskStatus).
+ * 
+ * Use Cases:
+ * - Status filter in All Tasks page
+ * - Listing in-progress or blocked tasks
+ * 
+ * @param {Array} tasks - Array of task objects
+ * @param {string|Array<string>} statuses - Status value(s) from TASK_STATUS.VALUES
+ * @returns {Array} Filtered array of tasks with one of the statuses
+ * 
+ * @example
+ * const tasks = [
+ *   { id: 1, status: 'IN_PROGRESS' },
+ *   { id: 2, status: 'BLOCKED' },
+ *   { id: 3, completed: true }    // Saved before statuses existed
+ * ];
+ * filterTasksByStatus(tasks, 'IN_PROGRESS');               // Returns task with id 1
+ * filterTasksByStatus(tasks, ['BLOCKED', 'COMPLETED']);    // Returns tasks with id 2 and 3
+ */
+export function filterTasksByStatus(tasks, statuses) {
+  if (!tasks || !Array.isArray(tasks)) {
+    return [];
+  }
+
+  const wanted = Array.isArray(statuses) ? statuses : [statuses];
+  return tasks.filter((task) => wanted.includes(getTaskStatus(task)));
+}
+
+/**
+ * Filter open tasks (neither completed nor cancelled)
+ * 
+ * @param {Array} tasks - Array of task objects
+ * @returns {Array} Filtered array of tasks whose work is not over
+ * 
+ * @example
+ * const tasks = [
+ *   { id: 1, status: 'PENDING' },
+ *   { id: 2, status: 'COMPLETED' },
+ *   { id: 3, status: 'CANCELLED' },
+ *   { id: 4, status: 'POSTPONED' }
+ * ];
+ * filterOpenTasks(tasks); // Returns tasks with id 1 and 4
+ */
+export function filterOpenTasks(tasks) {
+  if (!tasks || !Array.isArray(tasks)) {
+    return [];
+  }
+
+  return tasks.filter((task) => !isTaskClosed(task));
+}
@@ -0,0 +1,311 @@
+/**
+ * Task Graph Functions - Prerequisite-aware dependency graph utilities
+ *
+ * This module interprets task links as an N-to-N prerequisite graph, matching the
+ * task_dependencies(task_id, prerequisite_id) table in the database schema.
+ *
+ * Link Semantics:
+ * - Task A linksTo Task B  →  A is a prerequisite of B (B waits for A)
+ * - B.linkedFrom contains A's ID (the reverse side of the same edge)
+ * - Dependencies are level agnostic: a Level 3 task can block a Level 1 task
+ *
+ * Graph Rules:
+ * - The graph must stay acyclic. A link that would make a task (indirectly)
+ *   wait for itself is rejected.
+ * - A task is BLOCKED while at least one of its prerequisites is incomplete.
+ *   Cancelled prerequisites no longer block (their work will not happen).
+ *
+ * All functions derive edges from the linksTo arrays, so they keep working even if
+ * a linkedFrom array is stale. None of them mutate the tasks array.
+ */
+
+import { isTaskClosed } from './taskStatus';
+
+/**
+ * Build an adjacency map of the prerequisite graph
+ *
+ * @param {Array} tasks - Array of task objects with 'id' and 'linksTo' properties
+ * @returns {Map} Map of taskId → Array of task IDs that depend on it (its linksTo)
+ */
+function buildDependentsMap(tasks) {
+  const dependents = new Map();
+  (tasks || []).forEach((task) => {
+    dependents.set(task.id, [...(task.linksTo || [])]);
+  });
+  return dependents;
+}
+
+/**
+ * Get the prerequisite IDs of a task
+ *
+ * Returns the IDs of every task that links to the given task, i.e. every task
+ * that must be completed before this one can start.
+ *
+ * @param {Array} tasks - Array of all task objects
+ * @param {number|string} taskId - ID of the task to inspect
+ * @returns {Array} Array of prerequisite task IDs
+ *
+ * @example
+ * const tasks = [
+ *   { id: 1, linksTo: [3] },
+ *   { id: 2, linksTo: [3] },
+ *   { id: 3, linksTo: [] }
+ * ];
+ * getPrerequisiteIds(tasks, 3); // Returns: [1, 2]
+ */
+export function getPrerequisiteIds(tasks, taskId) {
+  if (!tasks || !Array.isArray(tasks)) {
+    return [];
+  }
+  return tasks
+    .filter((task) => (task.linksTo || []).includes(taskId))
+    .map((task) => task.id);
+}
+
+/**
+ * Check whether a task can reach another task by following links
+ *
+ * Performs a depth-first search along linksTo edges.
+ *
+ * @param {Array} tasks - Array of all task objects
+ * @param {number|string} startId - ID of the task to start from
+ * @param {number|string} targetId - ID of the task to look for
+ * @returns {boolean} True if targetId is reachable from startId
+ */
+export function hasPath(tasks, startId, targetId) {
+  const dependents = buildDependentsMap(tasks);
+  const visited = new Set();
+  const stack = [startId];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === targetId) {
+      return true;
+    }
+    if (visited.has(current)) {
+      continue;
+    }
+    visited.add(current);
+    stack.push(...(dependents.get(current) || []));
+  }
+  return false;
+}
+
+/**
+ * Find the chain of tasks that a new link would turn into a cycle
+ *
+ * Adding fromId → toId creates a cycle if fromId is already reachable from toId.
+ * Returns that existing path (toId ... fromId) so the UI can explain the cycle.
+ *
+ * @param {Array} tasks - Array of all task objects
+ * @param {number|string} fromId - ID of the prerequisite task (link source)
+ * @param {number|string} toId - ID of the dependent task (link target)
+ * @returns {Array|null} Array of task IDs forming the cycle path, or null if no cycle
+ *
+ * @example
+ * // 1 → 2 → 3 already exists
+ * findCyclePath(tasks, 3, 1); // Returns: [1, 2, 3] (adding 3 → 1 closes the loop)
+ * findCyclePath(tasks, 1, 3); // Returns: null
+ */
+export function findCyclePath(tasks, fromId, toId) {
+  if (fromId === toId) {
+    return [fromId];
+  }
+
+  const dependents = buildDependentsMap(tasks);
+  const visited = new Set();
+
+  const search = (currentId, path) => {
+    if (currentId === fromId) {
+      return path;
+    }
+    if (visited.has(currentId)) {
+      return null;
+    }
+    visited.add(currentId);
+    for (const nextId of dependents.get(currentId) || []) {
+      const result = search(nextId, [...path, nextId]);
+      if (result) {
+        return result;
+      }
+    }
+    return null;
+  };
+
+  return search(toId, [toId]);
+}
+
+/**
+ * Validate a new prerequisite link before it is created
+ *
+ * Rules:
+ * - Both tasks must exist
+ * - A task cannot be its own prerequisite
+ * - The link must not already exist
+ * - The link must not create a cycle
+ *
+ * @param {Array} tasks - Array of all task objects
+ * @param {number|string} fromId - ID of the prerequisite task (must finish first)
+ * @param {number|string} toId - ID of the dependent task (waits for fromId)
+ * @returns {Object} Validation result:
+ *   - valid: True if the link can be created
+ *   - error: Human-readable reason when invalid (null when valid)
+ *   - cyclePath: Array of task IDs forming the cycle (only for cycle errors)
+ *
+ * @example
+ * validateLink(tasks, 3, 1);
+ * // Returns: { valid: false, error: 'This link would create a cycle: ...', cyclePath: [1, 2, 3] }
+ */
+export function validateLink(tasks, fromId, toId) {
+  const fromTask = (tasks || []).find((task) => task.id === fromId);
+  const toTask = (tasks || []).find((task) => task.id === toId);
+
+  if (!fromTask || !toTask) {
+    return { valid: false, error: 'Both tasks must exist to create a link.', cyclePath: null };
+  }
+  if (fromId === toId) {
+    return { valid: false, error: 'A task cannot be its own prerequisite.', cyclePath: null };
+  }
+  if ((fromTask.linksTo || []).includes(toId)) {
+    return {
+      valid: false,
+      error: `"${fromTask.title}" is already a prerequisite of "${toTask.title}".`,
+      cyclePath: null,
+    };
+  }
+
+  const cyclePath = findCyclePath(tasks, fromId, toId);
+  if (cyclePath) {
+    const titles = [...cyclePath, toId]
+      .map((id) => tasks.find((task) => task.id === id)?.title || id)
+      .join(' → ');
+    return {
+      valid: false,
+      error: `This link would create a cycle: ${titles}. A task cannot (indirectly) wait for itself.`,
+      cyclePath,
+    };
+  }
+
+  return { valid: true, error: null, cyclePath: null };
+}
+
+/**
+ * Get the incomplete prerequisites that currently block a task
+ *
+ * @param {Array} tasks - Array of all task objects
+ * @param {number|string} taskId - ID of the task to inspect
+ * @returns {Array} Array of prerequisite task objects that are not completed yet
+ *
+ * @example
+ * // Task 1 (incomplete) and Task 2 (completed) are prerequisites of Task 3
+ * getBlockingTasks(tasks, 3); // Returns: [task 1]
+ */
+export function getBlockingTasks(tasks, taskId) {
+  if (!tasks || !Array.isArray(tasks)) {
+    return [];
+  }
+  return tasks.filter(
+    (task) => !isTaskClosed(task) && (task.linksTo || []).includes(taskId)
+  );
+}
+
+/**
+ * Compute the blocked state of every task at once
+ *
+ * Completed and cancelled tasks are never reported as blocked.
+ *
+ * @param {Array} tasks - Array of all task objects
+ * @returns {Object} Object keyed by task ID with arrays of blocking task IDs.
+ *   Only blocked tasks appear as keys.
+ *
+ * @example
+ * getBlockedTaskMap(tasks); // Returns: { 3: [1], 5: [1, 4] }
+ */
+export function getBlockedTaskMap(tasks) {
+  const blocked = {};
+  if (!tasks || !Array.isArray(tasks)) {
+    return blocked;
+  }
+
+  const closedById = new Map(tasks.map((task) => [task.id, isTaskClosed(task)]));
+
+  tasks.forEach((prerequisite) => {
+    if (closedById.get(prerequisite.id)) {
+      return;
+    }
+    (prerequisite.linksTo || []).forEach((dependentId) => {
+      if (!closedById.has(dependentId) || closedById.get(dependentId)) {
+        return;
+      }
+      if (!blocked[dependentId]) {
+        blocked[dependentId] = [];
+      }
+      blocked[dependentId].push(prerequisite.id);
+    });
+  });
+
+  return blocked;
+}
+
+/**
+ * Split tasks into doable and blocked groups
+ *
+ * @param {Array} tasks - Tasks to split (e.g., today's tasks)
+ * @param {Object} blockedMap - Result of getBlockedTaskMap() for all tasks
+ * @returns {Object} Object with:
+ *   - doable: Tasks without incomplete prerequisites
+ *   - blocked: Tasks waiting on at least one incomplete prerequisite
+ */
+export function partitionByBlocked(tasks, blockedMap) {
+  const doable = [];
+  const blocked = [];
+  (tasks || []).forEach((task) => {
+    if (blockedMap && blockedMap[task.id]) {
+      blocked.push(task);
+    } else {
+      doable.push(task);
+    }
+  });
+  return { doable, blocked };
+}
+
+/**
+ * Drop links that break the graph rules from a whole task list
+ *
+ * Used when links arrive from outside the link manager (backups, undo). Each
+ * task's linksTo are accepted in order with the same rules as validateLink;
+ * self-links, duplicates and links that would close a cycle are dropped.
+ * linkedFrom is then rebuilt from the accepted linksTo, so both sides of every
+ * link match again.
+ *
+ * @param {Array} tasks - Array of all task objects
+ * @returns {Object} Object with:
+ *   - tasks: Tasks with valid linksTo and matching linkedFrom
+ *   - removed: Dropped links as { fromId, toId, error }
+ *
+ * @example
+ * // 1 → 2 and 2 → 1
+ * repairTaskLinks(tasks);
+ * // Returns: { tasks: [...], removed: [{ fromId: 2, toId: 1, error: 'This link would create a cycle: ...' }] }
+ */
+export function repairTaskLinks(tasks) {
+  const accepted = (tasks || []).map((task) => ({ ...task, linksTo: [] }));
+  const byId = new Map(accepted.map((task) => [task.id, task]));
+  const removed = [];
+
+  (tasks || []).forEach((task) => {
+    (task.linksTo || []).forEach((toId) => {
+      const validation = validateLink(accepted, task.id, toId);
+      if (validation.valid) {
+        byId.get(task.id).linksTo.push(toId);
+      } else {
+        removed.push({ fromId: task.id, toId, error: validation.error });
+      }
+    });
+  });
+
+  return {
+    tasks: accepted.map((task) => ({ ...task, linkedFrom: getPrerequisiteIds(accepted, task.id) })),
+    removed,
+  };
+}
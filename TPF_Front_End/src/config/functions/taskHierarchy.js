@@ -0,0 +1,144 @@
+/**
+ * Task Hierarchy Functions - RT roll-up and deadline rules between parents and subtasks
+ *
+ * A parent task stands for the work of its subtasks plus its own (see getOwnRT):
+ * - RT roll-up: a parent's RT covers its direct subtasks' RT. A parent RT of 0
+ *   means "derived from the subtasks" (as in the SQL example data); a parent RT
+ *   between 0 and the subtasks' RT is inconsistent and flagged.
+ * - Deadlines: a parent is only done when its subtasks are done, so its IDL must
+ *   be no earlier than any subtask's IDL.
+ * - Completion: when the last open subtask is completed, the parent can be
+ *   completed automatically (optional, see getParentsToComplete).
+ *
+ * The checks only report issues; nothing is changed without the user.
+ */
+
+import { calculateTotalRT } from './rtCalculations';
+import { isTaskClosed } from './taskStatus';
+
+/**
+ * Get the direct subtasks of a task
+ *
+ * @param {Object} task - Parent task
+ * @param {Array} tasks - All tasks
+ * @returns {Array} Direct subtasks
+ */
+function getChildren(task, tasks) {
+  return tasks.filter((t) => t.parentTaskId === task.id);
+}
+
+/**
+ * Get the RT of a task's direct subtasks
+ *
+ * @param {Object} task - Parent task
+ * @param {Array} tasks - All tasks
+ * @returns {number} Sum of the subtasks' RT in hours (0 without subtasks)
+ */
+export function getSubtasksRT(task, tasks) {
+  return calculateTotalRT(getChildren(task, tasks || []));
+}
+
+/**
+ * Check the RT and IDL rules of every parent task
+ *
+ * @param {Array} tasks - All tasks
+ * @returns {Array<Object>} Issues, each with:
+ *   - type: 'rt' (parent RT below its subtasks' RT) or 'idl' (subtask due after its parent)
+ *   - taskId: ID of the parent
+ *   - subtaskId: ID of the late subtask ('idl' only)
+ *   - subtasksRT: RT of the subtasks in hours ('rt' only)
+ *   - message: Description for the UI
+ *
+ * @example
+ * checkTaskHierarchy([
+ *   { id: 1, title: 'Project', rt: 3, idl: '2024-12-20' },
+ *   { id: 2, title: 'Draft', rt: 4, idl: '2024-12-22', parentTaskId: 1 },
+ * ]);
+ * // Returns: [
+ * //   { type: 'rt', taskId: 1, subtasksRT: 4, message: '"Project" has 3h RT but its subtasks need 4h.' },
+ * //   { type: 'idl', taskId: 1, subtaskId: 2, message: '"Draft" is due after its parent "Project".' },
+ * // ]
+ */
+export function checkTaskHierarchy(tasks) {
+  if (!tasks || !Array.isArray(tasks)) {
+    return [];
+  }
+
+  const issues = [];
+  tasks.forEach((task) => {
+    const children = getChildren(task, tasks);
+    if (children.length === 0) {
+      return;
+    }
+
+    const subtasksRT = calculateTotalRT(children);
+    if (task.rt > 0 && task.rt < subtasksRT) {
+      issues.push({
+        type: 'rt',
+        taskId: task.id,
+        subtasksRT,
+        message: `"${task.title}" has ${task.rt}h RT but its subtasks need ${subtasksRT}h.`,
+      });
+    }
+
+    children
+      .filter((child) => !isTaskClosed(child) && new Date(child.idl) > new Date(task.idl))
+      .forEach((child) => {
+        issues.push({
+          type: 'idl',
+          taskId: task.id,
+          subtaskId: child.id,
+          message: `"${child.title}" is due after its parent "${task.title}".`,
+        });
+      });
+  });
+
+  return issues;
+}
+
+/**
+ * Check a new subtask's deadline against its parent
+ *
+ * @param {Object|null} parent - Parent task (null for root tasks)
+ * @param {Date|string} idl - IDL of the subtask
+ * @returns {string|null} Warning, or null if the deadline fits
+ */
+export function getSubtaskDeadlineWarning(parent, idl) {
+  if (!parent || !idl || !(new Date(idl) > new Date(parent.idl))) {
+    return null;
+  }
+  return `This deadline is after the parent's (${new Date(parent.idl).toLocaleString()}). The parent cannot be done before its subtasks.`;
+}
+
+/**
+ * Get the ancestors that are finished once a task is completed
+ *
+ * Walks up from the task: a parent is finished when all of its subtasks are
+ * closed (completed or cancelled). Stops at the first parent that still has open
+ * subtasks or is already closed.
+ *
+ * @param {Array} tasks - All tasks, with the task already completed
+ * @param {number|string} taskId - ID of the completed task
+ * @returns {Array} IDs of the parents to complete (nearest first)
+ *
+ * @example
+ * // Project (1) → Draft (2, completed), Review (3, completed just now)
+ * getParentsToComplete(tasks, 3); // Returns: [1]
+ */
+export function getParentsToComplete(tasks, taskId) {
+  const ids = [];
+  let task = tasks.find((t) => t.id === taskId);
+
+  while (task && task.parentTaskId) {
+    const parent = tasks.find((t) => t.id === task.parentTaskId);
+    if (!parent || isTaskClosed(parent)) break;
+
+    const children = getChildren(parent, tasks);
+    if (!children.every((child) => isTaskClosed(child) || ids.includes(child.id))) break;
+
+    ids.push(parent.id);
+    task = parent;
+  }
+
+  return ids;
+}
@@ -0,0 +1,194 @@
+/**
+ * Task Status Functions - Status lifecycle and progress of tasks
+ *
+ * Every task has a status (TASK_STATUS.VALUES), matching tasks.status in the
+ * database:
+ *
+ *   PENDING ──▶ IN_PROGRESS ──▶ COMPLETED
+ *      │  ▲         │  ▲
+ *      ▼  │         ▼  │
+ *    BLOCKED / POSTPONED ──▶ COMPLETED
+ *
+ *   (any open status) ──▶ CANCELLED ──▶ PENDING (restore)
+ *
+ * The allowed moves are listed in TASK_STATUS.TRANSITIONS. task.completed and
+ * task.completedAt are kept in sync with COMPLETED, so code that only knows the
+ * boolean keeps working. Tasks saved before statuses existed have no status;
+ * getTaskStatus() derives it from task.completed.
+ *
+ * Progress is a percentage (0-100) of the task's work that is done. RP and the
+ * Smoothing Logic only count the remaining RT (getRemainingRT), so a task that
+ * is 60% done adds 40% of its RT.
+ */
+
+import { TASK_STATUS } from '../constants';
+import { stopSession } from './timeTracking';
+
+const { PENDING, IN_PROGRESS, COMPLETED } = TASK_STATUS.VALUES;
+
+/**
+ * Get the status of a task
+ *
+ * @param {Object} task - Task (with or without a status field)
+ * @returns {string} Status value (e.g., 'IN_PROGRESS')
+ *
+ * @example
+ * getTaskStatus({ status: 'BLOCKED' }); // Returns: 'BLOCKED'
+ * getTaskStatus({ completed: true });   // Returns: 'COMPLETED' (saved before statuses existed)
+ */
+export function getTaskStatus(task) {
+  if (task.status && TASK_STATUS.TRANSITIONS[task.status]) {
+    return task.status;
+  }
+  return task.completed ? COMPLETED : PENDING;
+}
+
+/**
+ * Get the display label of a status
+ *
+ * @param {string} status - Status value
+ * @returns {string} Label (e.g., 'In Progress')
+ */
+export function getStatusLabel(status) {
+  return TASK_STATUS.LABELS[status] || status;
+}
+
+/**
+ * Get the statuses a task can move to
+ *
+ * @param {Object} task - Task
+ * @returns {Array<string>} Allowed next statuses
+ */
+export function getAllowedStatuses(task) {
+  return TASK_STATUS.TRANSITIONS[getTaskStatus(task)];
+}
+
+/**
+ * Check whether a task can move to a status
+ *
+ * @param {Object} task - Task
+ * @param {string} status - Target status
+ * @returns {boolean} True if the transition is allowed
+ */
+export function canChangeStatus(task, status) {
+  return getAllowedStatuses(task).includes(status);
+}
+
+/**
+ * Check whether a task's work is over (completed or cancelled)
+ *
+ * @param {Object} task - Task
+ * @returns {boolean} True for closed tasks
+ */
+export function isTaskClosed(task) {
+  return TASK_STATUS.CLOSED.includes(getTaskStatus(task));
+}
+
+/**
+ * Check whether the Smoothing Logic should distribute a task
+ *
+ * Postponed, completed and cancelled tasks are not scheduled.
+ *
+ * @param {Object} task - Task
+ * @returns {boolean} True if the task's remaining RT is planned
+ */
+export function isTaskScheduled(task) {
+  return !TASK_STATUS.UNSCHEDULED.includes(getTaskStatus(task));
+}
+
+/**
+ * Get the progress of a task in percent
+ *
+ * @param {Object} task - Task with an optional progress field
+ * @returns {number} 0-100 (always 100 for completed tasks)
+ */
+export function getTaskProgress(task) {
+  if (getTaskStatus(task) === COMPLETED) {
+    return 100;
+  }
+  return Math.min(100, Math.max(0, Number(task.progress) || 0));
+}
+
+/**
+ * Get the RT that is still to be done
+ *
+ * @param {Object} task - Task
+ * @returns {number} Remaining hours (0 for completed and cancelled tasks)
+ *
+ * @example
+ * getRemainingRT({ rt: 5, status: 'IN_PROGRESS', progress: 60 }); // Returns: 2
+ * getRemainingRT({ rt: 5, status: 'CANCELLED' });                 // Returns: 0
+ */
+export function getRemainingRT(task) {
+  if (isTaskClosed(task)) {
+    return 0;
+  }
+  return (Number(task.rt) || 0) * (1 - getTaskProgress(task) / 100);
+}
+
+/**
+ * Move a task to a new status
+ *
+ * - COMPLETED sets completed and completedAt
+ * - PENDING resets the progress (the work has not started)
+ * - Every status except IN_PROGRESS stops a running work session
+ *
+ * @param {Object} task - Task
+ * @param {string} status - Target status
+ * @param {Date} [now=new Date()] - Time of the change
+ * @returns {Object} Updated task
+ * @throws {Error} If the transition is not allowed
+ *
+ * @example
+ * applyStatusChange(task, 'IN_PROGRESS'); // { ...task, status: 'IN_PROGRESS', completed: false, ... }
+ */
+export function applyStatusChange(task, status, now = new Date()) {
+  if (!canChangeStatus(task, status)) {
+    throw new Error(
+      `A ${getStatusLabel(getTaskStatus(task)).toLowerCase()} task cannot be set to ${getStatusLabel(status).toLowerCase()}.`
+    );
+  }
+
+  const completed = status === COMPLETED;
+  return {
+    ...(status === IN_PROGRESS ? task : stopSession(task, now)),
+    status,
+    progress: status === PENDING ? 0 : Number(task.progress) || 0,
+    completed,
+    completedAt: completed ? now : null,
+  };
+}
+
+/**
+ * Set the progress of a task
+ *
+ * Progress on a pending task starts it (IN_PROGRESS); 100% completes it (the
+ * previous percentage is kept, so reopening the task continues from there).
+ *
+ * @param {Object} task - Open task
+ * @param {number|string} percent - Progress (0-100)
+ * @param {Date} [now=new Date()] - Time of the change
+ * @returns {Object} Updated task
+ * @throws {Error} If the task is closed or the percentage is invalid
+ *
+ * @example
+ * applyProgressChange({ rt: 4, status: 'PENDING', progress: 0 }, 50);
+ * // Returns: { rt: 4, status: 'IN_PROGRESS', progress: 50, ... }
+ */
+export function applyProgressChange(task, percent, now = new Date()) {
+  const progress = Number(percent);
+  if (isTaskClosed(task)) {
+    throw new Error('Progress cannot be changed on a completed or cancelled task.');
+  }
+  if (!Number.isFinite(progress) || progress < 0 || progress > 100) {
+    throw new Error('Progress must be between 0 and 100%.');
+  }
+
+  if (progress === 100) {
+    return applyStatusChange(task, COMPLETED, now);
+  }
+  const updated = { ...task, progress };
+  return getTaskStatus(task) === PENDING && progress > 0
+    ? applyStatusChange(updated, IN_PROGRESS, now)
+    : updated;
+}
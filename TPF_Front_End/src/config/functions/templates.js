@@ -0,0 +1,171 @@
+/**
+ * Template Functions - Task templates (project blueprints with subtask trees)
+ *
+ * A template captures a root task and all of its nested subtasks so the same
+ * hierarchy (e.g., "Exam prep" with reading, practice and review) can be
+ * created again for a new deadline:
+ *
+ * {
+ *   id: 1700000000000,
+ *   name: 'Exam prep',
+ *   createdAt: Date,
+ *   nodes: [
+ *     { key: 0, parentKey: null, title: 'Exam prep', rt: 10, il: 1, atomic: false,
+ *       tags: [], idlOffsetDays: 0, idlMinuteOfDay: 540, linksTo: [] },
+ *     { key: 1, parentKey: 0, title: 'Reading', rt: 4, il: 2, atomic: false,
+ *       tags: [], idlOffsetDays: -5, idlMinuteOfDay: 1080, linksTo: [2] },
+ *     ...
+ *   ],
+ * }
+ *
+ * - key / parentKey: Position in the tree (the root has key 0)
+ * - idlOffsetDays: Days from the root's IDL (-5 = five days before the deadline)
+ * - idlMinuteOfDay: Time of day of the IDL in minutes after midnight (1080 = 18:00);
+ *   templates saved before it existed give every subtask the root's time of day
+ * - linksTo: Prerequisite links to other nodes of the template (links to tasks
+ *   outside the tree are not captured)
+ */
+
+import { TASK_STATUS } from '../constants';
+import { addDays, daysBetween } from './dateHelpers';
+import { getOwnRT } from './rtCalculations';
+
+/**
+ * Collect a task and its descendants in tree order (parent before children)
+ *
+ * @param {Array} tasks - All tasks
+ * @param {number|string} rootId - ID of the root of the subtree
+ * @returns {Array} Tasks of the subtree
+ */
+function collectSubtree(tasks, rootId) {
+  const root = tasks.find((task) => task.id === rootId);
+  if (!root) {
+    return [];
+  }
+
+  const result = [root];
+  tasks
+    .filter((task) => task.parentTaskId === rootId)
+    .forEach((child) => result.push(...collectSubtree(tasks, child.id)));
+  return result;
+}
+
+/**
+ * Create a template from an existing task tree
+ *
+ * @param {Array} tasks - All tasks
+ * @param {number|string} rootId - ID of the task whose subtree becomes the template
+ * @param {string} name - Template name
+ * @returns {Object} Template without id and createdAt ({ name, nodes })
+ * @throws {Error} If the name is empty or the task does not exist
+ *
+ * @example
+ * const template = createTemplateFromTree(tasks, examTask.id, 'Exam prep');
+ * template.nodes.length; // 4 (root + 3 subtasks)
+ */
+export function createTemplateFromTree(tasks, rootId, name) {
+  if (!name || !name.trim()) {
+    throw new Error('Give the template a name.');
+  }
+
+  const subtree = collectSubtree(tasks, rootId);
+  if (subtree.length === 0) {
+    throw new Error('Task not found.');
+  }
+
+  const keys = new Map(subtree.map((task, index) => [task.id, index]));
+  const rootIdl = subtree[0].idl;
+
+  return {
+    name: name.trim(),
+    nodes: subtree.map((task, index) => ({
+      key: index,
+      parentKey: index === 0 ? null : keys.get(task.parentTaskId),
+      title: task.title,
+      rt: task.rt,
+      il: task.il,
+      atomic: Boolean(task.atomic),
+      tags: task.tags || [],
+      idlOffsetDays: daysBetween(rootIdl, task.idl),
+      idlMinuteOfDay: new Date(task.idl).getHours() * 60 + new Date(task.idl).getMinutes(),
+      linksTo: (task.linksTo || []).filter((id) => keys.has(id)).map((id) => keys.get(id)),
+    })),
+  };
+}
+
+/**
+ * Summarize a template for lists and previews
+ *
+ * @param {Object} template - Task template
+ * A parent's RT includes the RT of its subtasks (see getOwnRT), so totalRT adds
+ * up the own RT of every node instead of counting subtask hours twice.
+ *
+ * @param {Object} template - Task template
+ * @returns {Object} { taskCount, totalRT (hours of the whole tree), leadDays (days
+ *   from the earliest IDL to the root's IDL) }
+ *
+ * @example
+ * // 'Exam prep' 10h with subtasks of 4h and 3h
+ * getTemplateSummary(template).totalRT; // Returns: 10 (3h own + 4h + 3h)
+ */
+export function getTemplateSummary(template) {
+  const nodes = template.nodes.map((node) => ({ id: node.key, parentTaskId: node.parentKey, rt: node.rt }));
+
+  return {
+    taskCount: template.nodes.length,
+    totalRT: nodes.reduce((sum, node) => sum + getOwnRT(node, nodes), 0),
+    leadDays: Math.max(0, ...template.nodes.map((node) => -node.idlOffsetDays)),
+  };
+}
+
+/**
+ * Create the tasks of a template for a target deadline
+ *
+ * The root gets the target deadline; every other task keeps its IDL offset in
+ * days and its own time of day (idlMinuteOfDay, or the deadline's time for
+ * older templates). Subtask and link references are rebuilt with the new task IDs.
+ *
+ * @param {Object} template - Task template
+ * @param {Date|string} deadline - IDL of the root task
+ * @param {Function} createId - Returns a new unique task ID
+ * @returns {Array} New task objects (root first)
+ *
+ * @example
+ * const newTasks = instantiateTemplate(template, '2025-01-20T09:00', createRecordId);
+ */
+export function instantiateTemplate(template, deadline, createId) {
+  const rootIdl = new Date(deadline);
+  const ids = template.nodes.map(() => createId());
+  const idOf = (key) => ids[template.nodes.findIndex((node) => node.key === key)];
+  const now = new Date();
+
+  return template.nodes.map((node, index) => {
+    const day = addDays(rootIdl, node.idlOffsetDays);
+    const minuteOfDay = node.idlMinuteOfDay ?? rootIdl.getHours() * 60 + rootIdl.getMinutes();
+    const idl =
+      node.parentKey === null
+        ? rootIdl
+        : new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minuteOfDay);
+
+    return {
+      id: ids[index],
+      title: node.title,
+      rt: node.rt,
+      idl,
+      il: node.il,
+      atomic: node.atomic,
+      tags: node.tags,
+      timeSessions: [],
+      actualTime: 0,
+      createdAt: now,
+      parentTaskId: node.parentKey === null ? null : idOf(node.parentKey),
+      subtasks: template.nodes.filter((child) => child.parentKey === node.key).map((child) => idOf(child.key)),
+      linksTo: node.linksTo.map(idOf),
+      linkedFrom: template.nodes.filter((other) => other.linksTo.includes(node.key)).map((other) => idOf(other.key)),
+      status: TASK_STATUS.VALUES.PENDING,
+      progress: 0,
+      completed: false,
+      completedAt: null,
+    };
+  });
+}
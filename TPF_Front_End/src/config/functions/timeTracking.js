@@ -0,0 +1,247 @@
+/**
+ * Time Tracking Functions - Actual time per task and RT estimate calibration
+ *
+ * A task's RT (Required Time) is an estimate. Time tracking records what the
+ * task really took:
+ * - timeSessions: Work sessions [{ start: Date, end: Date|null }]; the session
+ *   with end === null is running (at most one per task)
+ * - actualTime: Hours of all finished sessions (kept on the task so lists and
+ *   the API do not have to sum the sessions)
+ *
+ * Calibration compares RT with actualTime for completed tasks (overall, per IL
+ * and per tag). Its correction factor (actual / estimated hours) can be applied
+ * to RT in RP calculations, so RP reflects how long tasks really take.
+ */
+
+import { IMPORTANCE, TIME_TRACKING } from '../constants';
+import { startOfDay, addDays } from './dateHelpers';
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+/**
+ * Get the running session of a task
+ *
+ * @param {Object} task - Task with timeSessions
+ * @returns {Object|null} Running session ({ start, end: null }) or null
+ */
+export function getRunningSession(task) {
+  return (task.timeSessions || []).find((session) => !session.end) || null;
+}
+
+/**
+ * Check whether time is being tracked for a task
+ *
+ * @param {Object} task - Task with timeSessions
+ * @returns {boolean} True if the task has a running session
+ */
+export function isTracking(task) {
+  return getRunningSession(task) !== null;
+}
+
+/**
+ * Get the duration of a session in hours
+ *
+ * @param {Object} session - { start, end } (end null = running)
+ * @param {Date} [now=new Date()] - End used for a running session
+ * @returns {number} Hours (0 for negative durations)
+ */
+export function getSessionHours(session, now = new Date()) {
+  const end = session.end ? new Date(session.end) : now;
+  return Math.max(0, (end - new Date(session.start)) / MS_PER_HOUR);
+}
+
+/**
+ * Sum the hours of work sessions
+ *
+ * @param {Array<Object>} sessions - Work sessions
+ * @param {Date|null} [now=null] - Include a running session up to this time (null = finished sessions only)
+ * @returns {number} Total hours
+ *
+ * @example
+ * calculateActualTime([{ start: '2024-12-18T09:00', end: '2024-12-18T10:30' }]); // Returns: 1.5
+ */
+export function calculateActualTime(sessions, now = null) {
+  return (sessions || [])
+    .filter((session) => session.end || now)
+    .reduce((sum, session) => sum + getSessionHours(session, now), 0);
+}
+
+/**
+ * Get the hours tracked on a task during one day
+ *
+ * Sessions crossing midnight only count with their part on that day; a running
+ * session counts up to now.
+ *
+ * @param {Object} task - Task with timeSessions
+ * @param {Date|string} date - Day
+ * @param {Date} [now=new Date()] - End used for a running session
+ * @returns {number} Hours tracked that day
+ *
+ * @example
+ * // Session 23:00 (Dec 17) - 01:00 (Dec 18)
+ * getTrackedHoursForDate(task, '2024-12-18'); // Returns: 1
+ */
+export function getTrackedHoursForDate(task, date, now = new Date()) {
+  const dayStart = startOfDay(date);
+  const dayEnd = addDays(dayStart, 1);
+
+  return (task.timeSessions || []).reduce((sum, session) => {
+    const start = Math.max(new Date(session.start).getTime(), dayStart.getTime());
+    const end = Math.min((session.end ? new Date(session.end) : now).getTime(), dayEnd.getTime());
+    return sum + Math.max(0, (end - start) / MS_PER_HOUR);
+  }, 0);
+}
+
+/**
+ * Start a work session on a task
+ *
+ * @param {Object} task - Task to track
+ * @param {Date} [now=new Date()] - Start time
+ * @returns {Object} New task object with a running session
+ * @throws {Error} If the task is completed or already tracked
+ */
+export function startSession(task, now = new Date()) {
+  if (task.completed) {
+    throw new Error('Completed tasks cannot be tracked.');
+  }
+  if (isTracking(task)) {
+    throw new Error(`Time is already being tracked for "${task.title}".`);
+  }
+
+  return {
+    ...task,
+    timeSessions: [...(task.timeSessions || []), { start: now, end: null }],
+  };
+}
+
+/**
+ * Stop the running work session of a task
+ *
+ * @param {Object} task - Tracked task
+ * @param {Date} [now=new Date()] - End time
+ * @returns {Object} New task object with the session closed and actualTime updated
+ *   (the same task if nothing was running)
+ */
+export function stopSession(task, now = new Date()) {
+  if (!isTracking(task)) {
+    return task;
+  }
+
+  const timeSessions = task.timeSessions.map((session) =>
+    session.end ? session : { ...session, end: now }
+  );
+
+  return {
+    ...task,
+    timeSessions,
+    actualTime: calculateActualTime(timeSessions),
+  };
+}
+
+/**
+ * Log work done without the timer as a finished session
+ *
+ * The session ends at `now` and starts `hours` earlier.
+ *
+ * @param {Object} task - Task (completed tasks can still get their time logged)
+ * @param {number|string} hours - Hours worked
+ * @param {Date} [now=new Date()] - End of the session
+ * @returns {Object} New task object with the session added and actualTime updated
+ * @throws {Error} If hours is not positive or a session is running
+ *
+ * @example
+ * logSession(task, 1.5); // adds { start: now - 1.5h, end: now }
+ */
+export function logSession(task, hours, now = new Date()) {
+  const value = Number(hours);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error('Logged time must be a positive number of hours.');
+  }
+  if (isTracking(task)) {
+    throw new Error(`Stop the running session of "${task.title}" before logging time.`);
+  }
+
+  const timeSessions = [
+    ...(task.timeSessions || []),
+    { start: new Date(now.getTime() - value * MS_PER_HOUR), end: now },
+  ];
+  return {
+    ...task,
+    timeSessions,
+    actualTime: calculateActualTime(timeSessions),
+  };
+}
+
+/**
+ * Summarize estimated vs. actual hours of a group of tasks
+ *
+ * @param {Array} tasks - Calibration samples (completed, tracked tasks)
+ * @returns {Object} Group statistics:
+ *   - count: Number of tasks
+ *   - estimatedRT: Sum of RT
+ *   - actualTime: Sum of actual hours
+ *   - factor: actualTime / estimatedRT (null without data)
+ *   - averageError: Average relative error per task, signed ((actual - RT) / RT;
+ *     0.25 = tasks take 25% longer than estimated; null without data)
+ */
+function summarizeSamples(tasks) {
+  const estimatedRT = tasks.reduce((sum, task) => sum + task.rt, 0);
+  const actualTime = tasks.reduce((sum, task) => sum + task.actualTime, 0);
+  const totalError = tasks.reduce((sum, task) => sum + (task.actualTime - task.rt) / task.rt, 0);
+
+  return {
+    count: tasks.length,
+    estimatedRT,
+    actualTime,
+    factor: estimatedRT > 0 ? actualTime / estimatedRT : null,
+    averageError: tasks.length > 0 ? totalError / tasks.length : null,
+  };
+}
+
+/**
+ * Calibration report: estimation error overall, per IL and per tag
+ *
+ * Only completed tasks with an RT and tracked time are used.
+ *
+ * @param {Array} tasks - All tasks
+ * @returns {Object} Report:
+ *   - overall: Group statistics of all samples (see summarizeSamples)
+ *   - byIL: Array of { il, ...statistics } for IL 1-4
+ *   - byTag: Array of { tag, ...statistics }, most samples first
+ *   - samples: Tasks used for the report
+ *
+ * @example
+ * const { overall } = calculateCalibration(tasks);
+ * overall.factor; // 1.3 → tasks take 30% longer than their RT
+ */
+export function calculateCalibration(tasks) {
+  const samples = tasks.filter((task) => task.completed && task.rt > 0 && task.actualTime > 0);
+  const tags = [...new Set(samples.flatMap((task) => task.tags || []))];
+
+  return {
+    overall: summarizeSamples(samples),
+    byIL: Object.values(IMPORTANCE).map((il) => ({
+      il,
+      ...summarizeSamples(samples.filter((task) => task.il === il)),
+    })),
+    byTag: tags
+      .map((tag) => ({
+        tag,
+        ...summarizeSamples(samples.filter((task) => (task.tags || []).includes(tag))),
+      }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)),
+    samples,
+  };
+}
+
+/**
+ * Get the RT correction factor from a calibration report
+ *
+ * @param {Object} calibration - Result of calculateCalibration()
+ * @param {number} [minTasks=TIME_TRACKING.MIN_CALIBRATION_TASKS] - Samples needed
+ * @returns {number} Overall factor, or 1 if there are too few samples
+ */
+export function getCorrectionFactor(calibration, minTasks = TIME_TRACKING.MIN_CALIBRATION_TASKS) {
+  const { count, factor } = calibration.overall;
+  return count >= minTasks && factor ? factor : 1;
+}
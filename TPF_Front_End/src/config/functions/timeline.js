@@ -0,0 +1,154 @@
+/**
+ * Timeline Functions - Gantt rows, dependency arrows and prerequisite order
+ *
+ * The timeline draws every task as a bar from its planned start to its IDL:
+ * - Planned start: First day the Smoothing Logic allocates work to the task;
+ *   a parent starts no later than its earliest subtask
+ * - Tasks without any allocation (closed, overdue or without RT left) show
+ *   only their IDL day
+ *
+ * Links are prerequisites (A linksTo B: B waits for A, see Task Graph), so a
+ * link is in order while the prerequisite is due no later than its dependent.
+ */
+
+import { TIMELINE } from '../constants';
+import { addDays, startOfDay, daysBetween } from './dateHelpers';
+import { getPrerequisiteIds } from './taskGraph';
+import { isTaskClosed } from './taskStatus';
+
+/**
+ * Get the first planned day of every scheduled task
+ *
+ * @param {Object} schedule - Result of distributeTasks()
+ * @returns {Map} Task ID → Date of its first allocation (local midnight)
+ */
+export function getPlannedStarts(schedule) {
+  const starts = new Map();
+  Object.keys((schedule && schedule.allocations) || {})
+    .sort()
+    .forEach((dateKey) => {
+      schedule.allocations[dateKey].forEach((allocation) => {
+        if (!starts.has(allocation.taskId)) {
+          starts.set(allocation.taskId, startOfDay(dateKey));
+        }
+      });
+    });
+  return starts;
+}
+
+/**
+ * Flatten a task tree into timeline rows
+ *
+ * @param {Array} taskTree - Root tasks with nested children (see getTaskTree)
+ * @param {Object} schedule - Result of distributeTasks()
+ * @param {Object} [options] - Row options
+ * @param {boolean} [options.showClosed=true] - Include completed and cancelled tasks
+ * @returns {Array} Rows in tree order, each { task, depth, start, end }
+ *   (start and end are local midnights, start ≤ end)
+ *
+ * @example
+ * buildTimelineRows(getTaskTree(), schedule);
+ * // [{ task: { id: 1, ... }, depth: 0, start: Dec 16, end: Dec 20 },
+ * //  { task: { id: 2, ... }, depth: 1, start: Dec 16, end: Dec 18 }, ...]
+ */
+export function buildTimelineRows(taskTree, schedule, { showClosed = true } = {}) {
+  const plannedStarts = getPlannedStarts(schedule);
+  const rows = [];
+
+  // Adds the rows of a task and its subtasks, returns the task's start
+  const addRows = (node, depth) => {
+    const end = startOfDay(node.idl);
+    const row = { task: node, depth, start: end, end };
+    const visible = showClosed || !isTaskClosed(node);
+    if (visible) {
+      rows.push(row);
+    }
+
+    const starts = [plannedStarts.get(node.id), ...node.children.map((child) => addRows(child, depth + 1))]
+      .filter(Boolean);
+    const start = starts.length > 0 ? new Date(Math.min(...starts)) : end;
+    row.start = start < end ? start : end;
+    return row.start;
+  };
+
+  taskTree.forEach((root) => addRows(root, 0));
+  return rows;
+}
+
+/**
+ * Get the days a timeline covers
+ *
+ * @param {Array} rows - Timeline rows (see buildTimelineRows)
+ * @param {Date} [now=new Date()] - Current time (today is always shown)
+ * @returns {Object} { start, days }: first day and number of days
+ */
+export function getTimelineRange(rows, now = new Date()) {
+  const today = startOfDay(now);
+  const first = new Date(Math.min(today, ...rows.map((row) => row.start)));
+  const last = new Date(Math.max(today, ...rows.map((row) => row.end)));
+  const start = addDays(first, -TIMELINE.PADDING_DAYS);
+
+  return { start, days: daysBetween(start, last) + TIMELINE.PADDING_DAYS + 1 };
+}
+
+/**
+ * Get the prerequisite links between tasks
+ *
+ * @param {Array} tasks - Tasks shown on the timeline
+ * @returns {Array} Edges { fromId, toId, outOfOrder }: `fromId` is the
+ *   prerequisite; outOfOrder is true while it is open and due after `toId`
+ */
+export function getDependencyEdges(tasks) {
+  const byId = new Map(tasks.map((task) => [task.id, task]));
+  return tasks.flatMap((task) =>
+    (task.linksTo || [])
+      .filter((toId) => byId.has(toId))
+      .map((toId) => ({
+        fromId: task.id,
+        toId,
+        outOfOrder: !isTaskClosed(task) && new Date(task.idl) > new Date(byId.get(toId).idl),
+      }))
+  );
+}
+
+/**
+ * Check whether a new IDL keeps a task in prerequisite order
+ *
+ * @param {Array} tasks - All tasks
+ * @param {number} taskId - Task whose IDL changes
+ * @param {Date} idl - New IDL
+ * @returns {Array<string>} Warnings, empty if every link stays in order
+ *   (completed and cancelled tasks are ignored)
+ *
+ * @example
+ * checkPrerequisiteOrder(tasks, 2, new Date('2024-12-17T17:00'));
+ * // ['"Draft" is due before its prerequisite "Research" (Dec 19).']
+ */
+export function checkPrerequisiteOrder(tasks, taskId, idl) {
+  const task = tasks.find((t) => t.id === taskId);
+  if (!task) {
+    return [];
+  }
+  const newIDL = new Date(idl);
+  const formatDay = (date) => new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+  const prerequisites = getPrerequisiteIds(tasks, taskId)
+    .map((id) => tasks.find((t) => t.id === id))
+    .filter((prerequisite) => prerequisite && !isTaskClosed(prerequisite) && new Date(prerequisite.idl) > newIDL)
+    .map(
+      (prerequisite) =>
+        `"${task.title}" is due before its prerequisite "${prerequisite.title}" (${formatDay(prerequisite.idl)}).`
+    );
+
+  const dependents = isTaskClosed(task)
+    ? []
+    : (task.linksTo || [])
+        .map((id) => tasks.find((t) => t.id === id))
+        .filter((dependent) => dependent && !isTaskClosed(dependent) && newIDL > new Date(dependent.idl))
+        .map(
+          (dependent) =>
+            `"${task.title}" is due after "${dependent.title}" (${formatDay(dependent.idl)}), which waits for it.`
+        );
+
+  return [...prerequisites, ...dependents];
+}
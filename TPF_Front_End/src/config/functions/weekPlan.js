@@ -0,0 +1,198 @@
+/**
+ * Week Plan Functions - Weekly review and the week plan the Dashboard follows
+ *
+ * The weekly planning wizard ends by saving a week plan: a snapshot of what the
+ * Smoothing Logic planned for each of the next WEEK_PLAN.DAYS days when the
+ * plan was confirmed:
+ *
+ * {
+ *   id: 1734508800000,
+ *   startDate: '2024-12-18',
+ *   createdAt: Date,
+ *   days: [
+ *     { date: '2024-12-18', availableTime: 8, rp: 0.75, totalRT: 6,
+ *       slices: [{ taskId: 1001, title: 'Report', hours: 2 }, ...] },
+ *     ...
+ *   ],
+ * }
+ *
+ * The live schedule keeps changing as tasks are added or completed; comparing
+ * a day with its plan (comparePlanDay) shows what was done, what is still open
+ * and what was added outside the plan.
+ */
+
+import { WEEK_PLAN } from '../constants';
+import { addDays, startOfDay, toDateKey, daysBetween } from './dateHelpers';
+import { calculateRPStats } from './realismPoint';
+import { calculateTotalRT } from './rtCalculations';
+import { getOverdueTasks } from './overdue';
+import { isTaskScheduled } from './taskStatus';
+import { createRecordId } from './ids';
+
+/**
+ * Review the past week
+ *
+ * @param {Array} tasks - All tasks
+ * @param {Object|null} previousPlan - Last saved week plan (null if none)
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} Review containing:
+ *   - completed: Tasks completed in the last WEEK_PLAN.DAYS days
+ *   - carriedOver: Overdue tasks (see getOverdueTasks), they move into the new week
+ *   - completionRate: Share (0-1) of last week's due tasks that were completed,
+ *     null if none were due. Only tasks without subtasks count (a parent's work
+ *     is counted through its subtasks), and only completed or still scheduled
+ *     ones: cancelled and postponed tasks were taken out of the week on purpose
+ *   - planned: { taskCount, doneCount } of the previous week plan (null without one)
+ *
+ * @example
+ * getWeekReview(tasks, weekPlan);
+ * // Returns: { completed: [...], carriedOver: [...], completionRate: 0.8, planned: { taskCount: 9, doneCount: 7 } }
+ */
+export function getWeekReview(tasks, previousPlan, now = new Date()) {
+  const weekStart = addDays(now, -WEEK_PLAN.DAYS);
+  const today = startOfDay(now);
+
+  const completed = tasks.filter(
+    (task) => task.completed && task.completedAt && new Date(task.completedAt) >= weekStart
+  );
+  const carriedOver = getOverdueTasks(tasks, now);
+
+  const dueLastWeek = tasks.filter((task) => {
+    const idl = new Date(task.idl);
+    return (
+      idl >= weekStart &&
+      idl < today &&
+      (task.completed || isTaskScheduled(task)) &&
+      !tasks.some((t) => t.parentTaskId === task.id)
+    );
+  });
+  const dueCompleted = dueLastWeek.filter((task) => task.completed).length;
+
+  let planned = null;
+  if (previousPlan) {
+    const plannedIds = new Set(previousPlan.days.flatMap((day) => day.slices.map((slice) => slice.taskId)));
+    planned = {
+      taskCount: plannedIds.size,
+      doneCount: tasks.filter((task) => plannedIds.has(task.id) && task.completed).length,
+    };
+  }
+
+  return {
+    completed,
+    carriedOver,
+    completionRate: dueLastWeek.length > 0 ? dueCompleted / dueLastWeek.length : null,
+    planned,
+  };
+}
+
+/**
+ * Get the open task slices of a day (the tasks a week plan holds)
+ *
+ * Tasks completed that day are left out. The wizard's preview uses the same
+ * list, so the numbers shown before confirming are the ones saved in the plan.
+ *
+ * @param {Function} getTasksForDate - Function (date) => task slices of that day
+ * @param {Date} date - Day
+ * @returns {Array} Slices of the day's open tasks
+ */
+export function getOpenTasksForDate(getTasksForDate, date) {
+  return getTasksForDate(date).filter((task) => !task.completed);
+}
+
+/**
+ * Create a week plan from the current schedule
+ *
+ * @param {Object} options - Plan options
+ * @param {Function} options.getTasksForDate - Function (date) => task slices of that day
+ * @param {Function} options.getAvailableTime - Function (date) => available hours of that day
+ * @param {number} [options.correctionFactor=1] - RT correction factor (see calibration)
+ * @param {Date} [options.startDate=new Date()] - First day of the week
+ * @returns {Object} Week plan (see module header)
+ *
+ * @example
+ * const plan = createWeekPlan({ getTasksForDate, getAvailableTime: getAvailableTimeForDate });
+ * plan.days.length; // 7
+ */
+export function createWeekPlan({ getTasksForDate, getAvailableTime, correctionFactor = 1, startDate = new Date() }) {
+  const start = startOfDay(startDate);
+
+  return {
+    id: createRecordId(),
+    startDate: toDateKey(start),
+    createdAt: new Date(),
+    days: Array.from({ length: WEEK_PLAN.DAYS }, (_, offset) => {
+      const date = addDays(start, offset);
+      const tasks = getOpenTasksForDate(getTasksForDate, date);
+      const { rp, totalRT, availableTime } = calculateRPStats(tasks, getAvailableTime(date), correctionFactor);
+
+      return {
+        date: toDateKey(date),
+        availableTime,
+        rp,
+        totalRT,
+        slices: tasks.map((task) => ({ taskId: task.id, title: task.title, hours: task.rt })),
+      };
+    }),
+  };
+}
+
+/**
+ * Check whether a week plan covers a date
+ *
+ * @param {Object|null} plan - Week plan
+ * @param {Date} [date=new Date()] - Day to check
+ * @returns {boolean} True if the date is one of the plan's days
+ */
+export function isWeekPlanCurrent(plan, date = new Date()) {
+  if (!plan) {
+    return false;
+  }
+  const offset = daysBetween(plan.startDate, date);
+  return offset >= 0 && offset < plan.days.length;
+}
+
+/**
+ * Get the plan of one day
+ *
+ * @param {Object|null} plan - Week plan
+ * @param {Date|string} date - Day
+ * @returns {Object|null} Plan day ({ date, availableTime, rp, totalRT, slices }), or null
+ */
+export function getWeekPlanDay(plan, date) {
+  if (!plan) {
+    return null;
+  }
+  const dateKey = toDateKey(date);
+  return plan.days.find((day) => day.date === dateKey) || null;
+}
+
+/**
+ * Compare a planned day with the current tasks
+ *
+ * @param {Object} planDay - Day of a week plan
+ * @param {Array} tasks - All tasks
+ * @param {Array} dayTasks - Current task slices of that day (see getTasksForDate)
+ * @returns {Object} Comparison containing:
+ *   - planned: Planned slices with { taskId, title, hours, task (null if deleted), done }
+ *   - unplanned: Current slices of tasks that were not in the plan
+ *   - doneRT: Planned hours of the completed tasks
+ *   - plannedRT: Planned hours of the day
+ *
+ * @example
+ * comparePlanDay(getWeekPlanDay(weekPlan, new Date()), tasks, getTodayTasks());
+ * // Returns: { planned: [...], unplanned: [{ id: 1042, title: 'Call bank', rt: 0.5, ... }], doneRT: 2, plannedRT: 6 }
+ */
+export function comparePlanDay(planDay, tasks, dayTasks) {
+  const planned = planDay.slices.map((slice) => {
+    const task = tasks.find((t) => t.id === slice.taskId) || null;
+    return { ...slice, task, done: Boolean(task && task.completed) };
+  });
+  const plannedIds = new Set(planDay.slices.map((slice) => slice.taskId));
+
+  return {
+    planned,
+    unplanned: dayTasks.filter((task) => !plannedIds.has(task.id) && !task.completed),
+    doneRT: calculateTotalRT(planned.filter((slice) => slice.done).map((slice) => ({ rt: slice.hours }))),
+    plannedRT: planDay.totalRT,
+  };
+}
@@ -27,6 +27,16 @@ export const ROUTES = {
       ADD_TASK: '/planning/add-task',
       TASK_TREE: '/planning/task-tree',
       TASK_CONFIGURATION: '/planning/task-configuration',
+      RP_FORECAST: '/planning/rp-forecast',
+      RP_ANALYTICS: '/planning/rp-analytics',
+      CALIBRATION: '/planning/calibration',
+      FOCUS: '/planning/focus',
+      RECURRING: '/planning/recurring',
+      OVERDUE: '/planning/overdue',
+      WEEKLY_PLANNING: '/planning/weekly',
+      DAILY_RITUALS: '/planning/rituals',
+      CALENDAR: '/planning/calendar',
+      TIMELINE: '/planning/timeline',
     },
     
     // Observations routes
@@ -49,6 +59,8 @@ export const ROUTES = {
     SETTINGS: {
       COLOR: '/settings/color',
       EMERGENCY: '/settings/emergency',
+      BACKUP: '/settings/backup',
+      AVAILABILITY: '/settings/availability',
     },
     
     // Legacy routes (for backward compatibility)
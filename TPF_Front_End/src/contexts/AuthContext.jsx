@@ -2,11 +2,14 @@
  * AuthContext - Authentication state management
  * 
  * Manages user authentication state and provides login/logout functionality.
- * Currently uses localStorage for persistence, but can be easily replaced
- * with backend API calls.
+ * The session is kept in localStorage. In API mode (STORAGE.DRIVER = 'api')
+ * login goes through the REST API client (POST /auth/login); otherwise a
+ * local mock user is created.
  */
 
 import { createContext, useContext, useState, useEffect } from 'react';
+import { STORAGE } from '../config/constants';
+import { getApiClient } from '../services/api';
 
 const AuthContext = createContext(null);
 
@@ -29,23 +32,19 @@ export function AuthProvider({ children }) {
   }, []);
 
   const login = async (email, password) => {
-    // TODO: Replace with actual backend API call
-    // For now, simple validation (in production, this should call your backend)
     if (!email || !password) {
       throw new Error('Email and password are required');
     }
 
-    // Simulate API call
-    // In production, replace this with:
-    // const response = await fetch('/api/auth/login', {
-    //   method: 'POST',
-    //   headers: { 'Content-Type': 'application/json' },
-    //   body: JSON.stringify({ email, password })
-    // });
-    // const data = await response.json();
-    // if (!response.ok) throw new Error(data.message);
-    
-    // Mock user data for now
+    // API mode: the backend (or its mock server) issues the user and token
+    if (STORAGE.DRIVER === 'api') {
+      const apiUser = await getApiClient().auth.login(email, password);
+      setUser(apiUser);
+      localStorage.setItem('user', JSON.stringify(apiUser));
+      return apiUser;
+    }
+
+    // Local mode: mock user data
     const mockUser = {
       id: 1,
       email: email,
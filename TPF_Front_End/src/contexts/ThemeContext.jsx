@@ -8,9 +8,13 @@
  * - Dark/Light mode toggle
  * - Persistent theme preference (localStorage)
  * - System preference detection
+ * - User color palette for IL, RP zones and Diamond levels (Color Settings),
+ *   persisted next to the theme and applied as --palette-* CSS variables
  */
 
 import { createContext, useContext, useState, useEffect } from 'react';
+import { DEFAULT_PALETTE } from '../config/constants';
+import { normalizePalette, getPaletteVariables } from '../config/functions/palette';
 
 const ThemeContext = createContext(null);
 
@@ -34,6 +38,17 @@ export function ThemeProvider({ children }) {
 
   const [theme, setTheme] = useState(getInitialTheme);
 
+  // Get initial palette from localStorage (missing or invalid colors use the defaults)
+  const getInitialPalette = () => {
+    try {
+      return normalizePalette(JSON.parse(localStorage.getItem('palette')));
+    } catch {
+      return normalizePalette(DEFAULT_PALETTE);
+    }
+  };
+
+  const [palette, setPaletteState] = useState(getInitialPalette);
+
   /**
    * Toggle between dark and light theme
    */
@@ -55,6 +70,34 @@ export function ThemeProvider({ children }) {
     }
   };
 
+  /**
+   * Replace the color palette
+   * 
+   * @param {Object} newPalette - Palette with the shape of DEFAULT_PALETTE
+   *   (missing or invalid colors fall back to the defaults)
+   */
+  const setPalette = (newPalette) => {
+    const normalized = normalizePalette(newPalette);
+    setPaletteState(normalized);
+    localStorage.setItem('palette', JSON.stringify(normalized));
+  };
+
+  /**
+   * Restore the default color palette
+   */
+  const resetPalette = () => {
+    setPaletteState(normalizePalette(DEFAULT_PALETTE));
+    localStorage.removeItem('palette');
+  };
+
+  // Apply palette colors to document root as CSS variables
+  useEffect(() => {
+    const root = document.documentElement;
+    Object.entries(getPaletteVariables(palette)).forEach(([name, color]) => {
+      root.style.setProperty(name, color);
+    });
+  }, [palette]);
+
   // Apply theme to document root
   useEffect(() => {
     const root = document.documentElement;
@@ -84,6 +127,9 @@ export function ThemeProvider({ children }) {
     toggleTheme,
     setTheme: setThemeExplicit,
     isDark: theme === 'dark',
+    palette,
+    setPalette,
+    resetPalette,
   };
 
   return (
@@ -100,7 +146,7 @@ export function ThemeProvider({ children }) {
  * @throws {Error} If used outside of ThemeProvider
  * 
  * Usage:
- * const { theme, toggleTheme, isDark } = useTheme();
+ * const { theme, toggleTheme, isDark, palette } = useTheme();
  */
 export function useTheme() {
   const context = useContext(ThemeContext);
@@ -14,10 +14,14 @@
  * Level Transition Rules:
  * - Level 2 entities can drop to Level 3 but CANNOT rise to Level 1
  * - Level 1 entities should rarely drop below 90
+ * 
+ * Entities are persisted through the repository layer (services/storage).
  */
 
-import { createContext, useContext, useState, useCallback, useMemo, useEffect, useRef } from 'react';
-import { ENTITY_LEVELS } from '../../config/constants';
+import { createContext, useContext, useCallback, useMemo } from 'react';
+import { ENTITY_LEVELS, STORAGE } from '../../config/constants';
+import { createRecordId } from '../../config/functions/ids';
+import { usePersistentCollection } from '../../services/storage';
 import exampleEntities from '../../examples/exampleEntities.json';
 
 const DiamondContext = createContext(null);
@@ -74,6 +78,22 @@ const getLevelInfo = (levelId) => {
   return levels.find((l) => l.id === levelId) || ENTITY_LEVELS.LEVEL_5;
 };
 
+/**
+ * Convert the example entities (demo data) to the entity model
+ * 
+ * @returns {Array} Array of entity objects ready to be stored
+ */
+const formatExampleEntities = () => {
+  return exampleEntities.map(entity => ({
+    ...entity,
+    createdAt: new Date(entity.createdAt), // Convert ISO string to Date object
+    updatedAt: new Date(entity.updatedAt), // Convert ISO string to Date object
+    ep: parseFloat(entity.ep), // Ensure EP is a number
+    level: parseInt(entity.level), // Ensure level is an integer
+    notes: entity.notes || '',
+  }));
+};
+
 /**
  * DiamondProvider - Context provider for entity management
  * 
@@ -83,29 +103,29 @@ const getLevelInfo = (levelId) => {
  * Manages all entities with EP scoring and enforces level transition rules.
  */
 export function DiamondProvider({ children }) {
-  // State: Array of all entities (people, institutions)
-  const [entities, setEntities] = useState([]);
+  // State: Array of all entities (people, institutions), loaded from and saved to storage
+  const [entities, setEntities, isLoaded] = usePersistentCollection(STORAGE.STORES.ENTITIES);
 
-  // Track if example data has been initialized
-  const initializedRef = useRef(false);
+  /**
+   * Load the example entities (first-run "load demo data" option)
+   * 
+   * Replaces the current entities with the demo entities from examples/exampleEntities.json.
+   */
+  const loadDemoData = useCallback(() => {
+    setEntities(formatExampleEntities());
+  }, [setEntities]);
 
-  // Initialize with example data (for development/testing)
-  useEffect(() => {
-    // Only initialize once on mount
-    if (!initializedRef.current) {
-      // Convert example entities from JSON format to proper format
-      const formattedEntities = exampleEntities.map(entity => ({
-        ...entity,
-        createdAt: new Date(entity.createdAt), // Convert ISO string to Date object
-        updatedAt: new Date(entity.updatedAt), // Convert ISO string to Date object
-        ep: parseFloat(entity.ep), // Ensure EP is a number
-        level: parseInt(entity.level), // Ensure level is an integer
-        notes: entity.notes || '',
-      }));
-      setEntities(formattedEntities);
-      initializedRef.current = true;
-    }
-  }, []); // Empty dependency array - only run once on mount
+  /**
+   * Replace all entities (restore from a backup)
+   * 
+   * The level is recalculated from EP, so a stale or missing level in the
+   * backup cannot contradict the Diamond System thresholds.
+   * 
+   * @param {Array} nextEntities - Validated entities
+   */
+  const replaceEntities = useCallback((nextEntities) => {
+    setEntities(nextEntities.map((entity) => ({ ...entity, level: calculateLevel(entity.ep) })));
+  }, [setEntities]);
 
   /**
    * Add a new entity to the Diamond System
@@ -125,7 +145,7 @@ export function DiamondProvider({ children }) {
     const level = calculateLevel(ep); // Calculate level from EP
 
     const newEntity = {
-      id: Date.now(), // Simple ID generation (will be replaced with backend)
+      id: createRecordId(), // Integer ID (matches the BIGSERIAL ids of the backend)
       name: entity.name.trim(), // Remove whitespace
       type: entity.type || 'person', // Default to 'person' if not specified
       ep: ep, // Evaluation Point score
@@ -137,7 +157,7 @@ export function DiamondProvider({ children }) {
 
     setEntities((prev) => [...prev, newEntity]);
     return newEntity;
-  }, []);
+  }, [setEntities]);
 
   /**
    * Update entity EP and recalculate level with rule enforcement
@@ -197,7 +217,7 @@ export function DiamondProvider({ children }) {
           : entity
       )
     );
-  }, []);
+  }, [setEntities]);
 
   /**
    * Update entity details (name, notes, type) without changing EP
@@ -223,7 +243,7 @@ export function DiamondProvider({ children }) {
           : entity
       )
     );
-  }, []);
+  }, [setEntities]);
 
   /**
    * Delete an entity from the system
@@ -234,7 +254,7 @@ export function DiamondProvider({ children }) {
    */
   const deleteEntity = useCallback((entityId) => {
     setEntities((prev) => prev.filter((entity) => entity.id !== entityId));
-  }, []);
+  }, [setEntities]);
 
   /**
    * Get all entities in a specific level
@@ -306,6 +326,9 @@ export function DiamondProvider({ children }) {
 
   const value = {
     entities,
+    isLoaded,
+    loadDemoData,
+    replaceEntities,
     addEntity,
     updateEntityEP,
     updateEntity,
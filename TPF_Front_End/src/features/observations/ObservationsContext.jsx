@@ -12,14 +12,35 @@
  * 
  * Status Flow:
  * 'buffer' -> 'ready_for_analysis' -> 'analyzed' or 'deleted'
+ * 
+ * Observations are persisted through the repository layer (services/storage).
  */
 
-import { createContext, useContext, useState, useCallback, useMemo, useEffect, useRef } from 'react';
-import { OBSERVATION_BUFFER_DAYS } from '../../config/constants';
+import { createContext, useContext, useCallback, useMemo } from 'react';
+import { OBSERVATION_BUFFER_DAYS, STORAGE } from '../../config/constants';
+import { createRecordId } from '../../config/functions/ids';
+import { usePersistentCollection } from '../../services/storage';
 import exampleObservations from '../../examples/exampleObservations.json';
 
 const ObservationsContext = createContext(null);
 
+/**
+ * Convert the example observations (demo data) to the observation model
+ * 
+ * @returns {Array} Array of observation objects ready to be stored
+ */
+const formatExampleObservations = () => {
+  return exampleObservations.map(obs => ({
+    ...obs,
+    createdAt: new Date(obs.createdAt), // Convert ISO string to Date object
+    tags: obs.tags || [],
+    lessonIdentified: obs.lessonIdentified || null,
+    ep: obs.ep !== null && obs.ep !== undefined ? parseFloat(obs.ep) : null,
+    convertedToTask: obs.convertedToTask || false,
+    taskId: obs.taskId || null,
+  }));
+};
+
 /**
  * ObservationsProvider - Context provider for observation management
  * 
@@ -29,30 +50,27 @@ const ObservationsContext = createContext(null);
  * Manages the complete observation lifecycle with 2-day buffer enforcement.
  */
 export function ObservationsProvider({ children }) {
-  // State: Array of all observations
-  const [observations, setObservations] = useState([]);
+  // State: Array of all observations (loaded from and saved to storage)
+  const [observations, setObservations, isLoaded] = usePersistentCollection(STORAGE.STORES.OBSERVATIONS);
 
-  // Track if example data has been initialized
-  const initializedRef = useRef(false);
+  /**
+   * Load the example observations (first-run "load demo data" option)
+   * 
+   * Replaces the current observations with the demo observations from
+   * examples/exampleObservations.json.
+   */
+  const loadDemoData = useCallback(() => {
+    setObservations(formatExampleObservations());
+  }, [setObservations]);
 
-  // Initialize with example data (for development/testing)
-  useEffect(() => {
-    // Only initialize once on mount
-    if (!initializedRef.current) {
-      // Convert example observations from JSON format to proper format
-      const formattedObservations = exampleObservations.map(obs => ({
-        ...obs,
-        createdAt: new Date(obs.createdAt), // Convert ISO string to Date object
-        tags: obs.tags || [],
-        lessonIdentified: obs.lessonIdentified || null,
-        ep: obs.ep !== null && obs.ep !== undefined ? parseFloat(obs.ep) : null,
-        convertedToTask: obs.convertedToTask || false,
-        taskId: obs.taskId || null,
-      }));
-      setObservations(formattedObservations);
-      initializedRef.current = true;
-    }
-  }, []); // Empty dependency array - only run once on mount
+  /**
+   * Replace all observations (restore from a backup)
+   * 
+   * @param {Array} nextObservations - Validated observations with Date fields
+   */
+  const replaceObservations = useCallback((nextObservations) => {
+    setObservations(nextObservations);
+  }, [setObservations]);
 
   /**
    * Add a new observation (OB Catch)
@@ -66,7 +84,7 @@ export function ObservationsProvider({ children }) {
    */
   const addObservation = useCallback((observation) => {
     const newObservation = {
-      id: Date.now(), // Simple ID generation (will be replaced with backend)
+      id: createRecordId(), // Integer ID (matches the BIGSERIAL ids of the backend)
       content: observation.content.trim(), // Remove leading/trailing whitespace
       createdAt: new Date(), // Track when observation was caught
       status: 'buffer', // Initial status: waiting for buffer period
@@ -78,7 +96,7 @@ export function ObservationsProvider({ children }) {
     };
     setObservations((prev) => [...prev, newObservation]);
     return newObservation;
-  }, []);
+  }, [setObservations]);
 
   /**
    * Check if observation has completed its 2-day buffer period
@@ -190,7 +208,7 @@ export function ObservationsProvider({ children }) {
           : obs
       )
     );
-  }, []);
+  }, [setObservations]);
 
   /**
    * Convert an observation to a task
@@ -216,7 +234,7 @@ export function ObservationsProvider({ children }) {
           : obs
       )
     );
-  }, []);
+  }, [setObservations]);
 
   /**
    * Delete an observation (DEL)
@@ -235,7 +253,7 @@ export function ObservationsProvider({ children }) {
         obs.id === observationId ? { ...obs, status: 'deleted' } : obs
       )
     );
-  }, []);
+  }, [setObservations]);
 
   /**
    * Permanently remove a deleted observation from the system
@@ -247,10 +265,13 @@ export function ObservationsProvider({ children }) {
    */
   const permanentlyDelete = useCallback((observationId) => {
     setObservations((prev) => prev.filter((obs) => obs.id !== observationId));
-  }, []);
+  }, [setObservations]);
 
   const value = {
     observations,
+    isLoaded,
+    loadDemoData,
+    replaceObservations,
     addObservation,
     isReadyForAnalysis,
     getObservationsByStatus,
@@ -8,14 +8,265 @@
  * - RT (Required Time): Estimated hours to complete (float)
  * - IDL (Ideal Deadline): Target date/time
  * - IL (Importance Level): Priority score (1-4)
+ * - Atomic: Non-dividable task (exam, meeting) that needs one continuous block
+ * - Tags: Free-text labels (used by the estimate calibration per tag)
+ * - Time sessions / actualTime: Tracked work time (see Time Tracking)
+ * - Status / progress: PENDING, IN_PROGRESS, COMPLETED (plus BLOCKED, POSTPONED,
+ *   CANCELLED) and the percentage of work done; only the remaining RT is
+ *   planned (see Task Status). completed mirrors the COMPLETED status.
+ * 
+ * Recurring tasks are series (template + recurrence rule) that generate one
+ * concrete task per occurrence, RECURRENCE.HORIZON_DAYS ahead (see Recurrence).
+ * 
+ * Task templates capture a task tree (subtasks, relative IDLs, internal links)
+ * and create it again for a new deadline (see Templates).
+ * 
+ * Focus mode runs a countdown on one task at a time (focusSession) while its
+ * time is tracked; blocked tasks cannot be focused on.
+ * 
+ * Parents and subtasks: a parent's RT covers its subtasks' RT and its IDL is
+ * no earlier than theirs; violations are reported in hierarchyIssues (see
+ * Task Hierarchy). Completing the last open subtask can complete the parent
+ * (autoCompleteParents).
+ * 
+ * Overdue tasks (IDL passed, still open) are no longer distributed; they are
+ * collected in overdueTasks and can be moved or split onto days with spare
+ * capacity, lowered in IL or sent to the CWA archive (see Overdue).
+ * 
+ * Weekly planning (wizard) ends by saving weekPlan: a snapshot of the next
+ * WEEK_PLAN.DAYS days of the schedule that the Dashboard follows (see Week Plan).
+ * 
+ * The day is framed by two rituals, recorded in ritualLog: the morning check-in
+ * (available time, top tasks, blocked tasks) and the evening shutdown
+ * (completions, actual time, unfinished tasks, an observation); see Rituals.
+ * 
+ * Task links form a prerequisite graph: if Task A links to Task B,
+ * A must be completed before B (B is blocked until then).
+ * 
+ * Daily planning uses the Auto-Distribution Engine (Smoothing Logic):
+ * open tasks are spread across the days before their IDL, and the
+ * date-based getters return each task's slice for that day.
+ * 
+ * The available time is set per day: a weekly template (hours per weekday)
+ * plus overrides for single dates (holidays, travel days). RP, the Smoothing
+ * Logic and the critical path read it through getAvailableTimeForDate(date).
+ * 
+ * Tasks and the available time are persisted through the repository layer
+ * (services/storage) and survive a page reload. The example tasks are only
+ * loaded on request via loadDemoData() (first-run "load demo data" option).
  */
 
-import { createContext, useContext, useState, useCallback, useEffect, useRef } from 'react';
-import { IMPORTANCE } from '../../config/constants';
+import { createContext, useContext, useCallback, useMemo, useEffect, useState } from 'react';
+import {
+  DEFAULT_AVAILABLE_TIME,
+  STORAGE,
+  CWA,
+  RP_LIMITS,
+  TASK_STATUS,
+  IMPORTANCE,
+  OVERDUE,
+} from '../../config/constants';
+import { distributeTasks, getAllocationsForDate } from '../../config/functions/autoDistribution';
+import { isSameDay, addDays, toDateKey } from '../../config/functions/dateHelpers';
+import { validateLink, getBlockedTaskMap } from '../../config/functions/taskGraph';
+import { analyzeTaskTree, getZeroSlackTaskIds } from '../../config/functions/criticalPath';
+import {
+  planWipeOut,
+  recordOverloadDay,
+  getOverloadStreak,
+  restoreWipeOut,
+  restoreArchivedTask,
+  isWipeOutUndoable,
+  pruneWipeOutHistory,
+} from '../../config/functions/cwa';
+import {
+  normalizeAvailability,
+  getAvailabilityForDate,
+  getAvailableHoursForDate,
+  setAvailabilityOverride,
+  setWeeklyAvailability,
+} from '../../config/functions/availability';
+import { calculateRealismPoint } from '../../config/functions/realismPoint';
+import { createRPSnapshot, recordRPSnapshot } from '../../config/functions/rpHistory';
+import {
+  isTracking,
+  startSession,
+  stopSession,
+  logSession,
+  calculateCalibration,
+  getCorrectionFactor,
+  getTrackedHoursForDate,
+} from '../../config/functions/timeTracking';
+import {
+  validateFocusTask,
+  createFocusSession,
+  extendFocusSession,
+} from '../../config/functions/focus';
+import {
+  normalizeRecurrenceRule,
+  getPendingOccurrences,
+  buildOccurrenceTask,
+} from '../../config/functions/recurrence';
+import { createTemplateFromTree, instantiateTemplate } from '../../config/functions/templates';
+import { getSubtasksRT, checkTaskHierarchy, getParentsToComplete } from '../../config/functions/taskHierarchy';
+import {
+  getTaskStatus,
+  canChangeStatus,
+  isTaskClosed,
+  isTaskScheduled,
+  applyStatusChange,
+  applyProgressChange,
+  getRemainingRT,
+} from '../../config/functions/taskStatus';
+import {
+  getOverdueTasks,
+  findMoveDay,
+  findSplitDays,
+  getRescheduledIDL,
+} from '../../config/functions/overdue';
+import { createWeekPlan } from '../../config/functions/weekPlan';
+import { recordRitual } from '../../config/functions/rituals';
+import { createRecordId } from '../../config/functions/ids';
+import { calculateTotalRT, getOwnRT } from '../../config/functions/rtCalculations';
+import { usePersistentCollection, usePersistentSetting } from '../../services/storage';
 import exampleTasks from '../../examples/exampleTasks.json';
 
 const PlanningContext = createContext(null);
 
+/**
+ * Convert the example tasks (demo data) to the task model
+ * 
+ * Dates in the JSON are relative to Dec 18, 2024. They are shifted to be
+ * relative to today so the demo tasks appear on the dashboard.
+ * 
+ * @returns {Array} Array of task objects ready to be stored
+ */
+const formatExampleTasks = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  
+  // Convert example tasks from JSON format to proper format
+  // Adjust dates to be relative to today so tasks appear in the dashboard
+  return exampleTasks.map((task, index) => {
+    // Parse the original date from JSON
+    const originalDate = new Date(task.idl);
+    const originalCreatedAt = new Date(task.createdAt);
+    
+    // Calculate days offset from the original date (Dec 18, 2024)
+    // We'll distribute tasks across today, tomorrow, and a few days ahead
+    const baseDate = new Date('2024-12-18T00:00:00.000Z');
+    const daysOffset = Math.floor((originalDate.getTime() - baseDate.getTime()) / (1000 * 60 * 60 * 24));
+    
+    // Create new dates relative to today
+    const newIdl = new Date(today);
+    newIdl.setDate(today.getDate() + daysOffset);
+    newIdl.setHours(originalDate.getHours(), originalDate.getMinutes(), 0, 0);
+    
+    const newCreatedAt = new Date(today);
+    newCreatedAt.setDate(today.getDate() - 7 + (index % 7)); // Created dates spread over past week
+    
+    return {
+      ...task,
+      idl: newIdl, // Date relative to today
+      createdAt: newCreatedAt, // Created date in past week
+      rt: parseFloat(task.rt), // Ensure RT is a float
+      il: parseInt(task.il), // Ensure IL is an integer
+      atomic: task.atomic || false, // Divisible by default
+      tags: task.tags || [],
+      timeSessions: [], // No tracked time in the demo data
+      actualTime: 0,
+      parentTaskId: task.parentTaskId || null,
+      subtasks: task.subtasks || [],
+      linksTo: task.linksTo || [],
+      linkedFrom: task.linkedFrom || [],
+      status: getTaskStatus(task), // Derived from completed when the JSON has no status
+      progress: task.progress || 0,
+      completed: task.completed || false, // Task completion status
+      completedAt: task.completedAt ? new Date(task.completedAt) : null, // Completion date
+    };
+  });
+};
+
+/**
+ * Get the IDs of all descendants of a task (subtasks, recursively)
+ * 
+ * @param {number} parentId - ID of the parent task
+ * @param {Array} allTasks - All tasks
+ * @returns {Array} Descendant task IDs
+ */
+const getDescendantIds = (parentId, allTasks) => {
+  const descendants = [];
+  const directChildren = allTasks.filter(t => t.parentTaskId === parentId);
+  directChildren.forEach(child => {
+    descendants.push(child.id);
+    descendants.push(...getDescendantIds(child.id, allTasks));
+  });
+  return descendants;
+};
+
+/**
+ * Complete or cancel a task together with its open descendants
+ * 
+ * Descendants that cannot take the status (e.g., already completed or
+ * cancelled) are left as they are. With completeParents, parents whose last
+ * open subtask was just completed are completed too (see getParentsToComplete).
+ * 
+ * @param {Array} allTasks - All tasks
+ * @param {number} taskId - ID of the task
+ * @param {string} status - TASK_STATUS.VALUES.COMPLETED or CANCELLED
+ * @param {Date} now - Time of the change
+ * @param {boolean} [completeParents=false] - Also complete finished parents (COMPLETED only)
+ * @returns {Array} Updated tasks
+ */
+const closeTaskTree = (allTasks, taskId, status, now, completeParents = false) => {
+  const ids = [taskId, ...getDescendantIds(taskId, allTasks)];
+  const closed = allTasks.map((t) =>
+    ids.includes(t.id) && canChangeStatus(t, status) ? applyStatusChange(t, status, now) : t
+  );
+  if (!completeParents || status !== TASK_STATUS.VALUES.COMPLETED) {
+    return closed;
+  }
+
+  const parentIds = getParentsToComplete(closed, taskId);
+  return closed.map((t) =>
+    parentIds.includes(t.id) && canChangeStatus(t, status) ? applyStatusChange(t, status, now) : t
+  );
+};
+
+/**
+ * Get the tasks of one day from a distribution schedule
+ * 
+ * Open tasks appear with the RT slice allocated to that day (task.rt is the
+ * slice, task.allocation the full allocation). Tasks completed that day are
+ * included with the work done on them that day: the hours tracked that day, or
+ * without tracked time the part of their own RT (a parent without its
+ * subtasks' RT, see getOwnRT) that was still open by their progress. Work
+ * planned on earlier days is not counted again.
+ * 
+ * @param {Array} tasks - All tasks
+ * @param {Object} schedule - Result of distributeTasks() for these tasks
+ * @param {Date} date - Day to get the tasks for
+ * @returns {Array} Tasks (slices) of that day
+ */
+const getTaskSlicesForDate = (tasks, schedule, date) => {
+  const slices = getAllocationsForDate(schedule, date)
+    .map((allocation) => {
+      const task = tasks.find((t) => t.id === allocation.taskId);
+      return task ? { ...task, rt: allocation.hours, allocation } : null;
+    })
+    .filter(Boolean);
+
+  const completedThatDay = tasks
+    .filter((task) => task.completed && isSameDay(task.completedAt || task.idl, date))
+    .map((task) => {
+      const tracked = getTrackedHoursForDate(task, date);
+      const openShare = 1 - Math.min(100, Math.max(0, Number(task.progress) || 0)) / 100;
+      return { ...task, rt: tracked > 0 ? tracked : getOwnRT(task, tasks) * openShare };
+    });
+
+  return [...slices, ...completedThatDay];
+};
+
 /**
  * PlanningProvider - Context provider for task management
  * 
@@ -24,66 +275,233 @@ const PlanningContext = createContext(null);
  * 
  * Provides global state and functions for:
  * - Task CRUD operations
- * - Available time management
- * - CWA (Catastrophic Wipe Out) functionality
+ * - Available time per day (weekly template + date overrides)
+ * - CWA (Catastrophic Wipe Out) with preview, history and undo
  * - Task filtering by date
+ * - Auto-distribution of task RT across available days
  */
 export function PlanningProvider({ children }) {
-  // State: Array of all tasks in the system
-  const [tasks, setTasks] = useState([]);
-  
-  // State: Available free time in hours (default 8 hours)
-  // Used for Realism Point (RP) calculation: RP = Total RT / Available Time
-  const [availableTime, setAvailableTime] = useState(8);
+  // State: Array of all tasks in the system (loaded from and saved to storage)
+  const [tasks, setTasks, tasksLoaded] = usePersistentCollection(STORAGE.STORES.TASKS);
 
-  // Track if example data has been initialized
-  const initializedRef = useRef(false);
+  // State: Current time, refreshed at midnight and when the next open task's IDL
+  // passes, so a tab left open keeps planning from today and sees new overdue tasks
+  const [now, setNow] = useState(() => new Date());
+  const todayKey = toDateKey(now);
 
-  // Initialize with example data (for development/testing)
   useEffect(() => {
-    // Only initialize once on mount
-    if (!initializedRef.current) {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      // Convert example tasks from JSON format to proper format
-      // Adjust dates to be relative to today so tasks appear in the dashboard
-      const formattedTasks = exampleTasks.map((task, index) => {
-        // Parse the original date from JSON
-        const originalDate = new Date(task.idl);
-        const originalCreatedAt = new Date(task.createdAt);
-        
-        // Calculate days offset from the original date (Dec 18, 2024)
-        // We'll distribute tasks across today, tomorrow, and a few days ahead
-        const baseDate = new Date('2024-12-18T00:00:00.000Z');
-        const daysOffset = Math.floor((originalDate.getTime() - baseDate.getTime()) / (1000 * 60 * 60 * 24));
-        
-        // Create new dates relative to today
-        const newIdl = new Date(today);
-        newIdl.setDate(today.getDate() + daysOffset);
-        newIdl.setHours(originalDate.getHours(), originalDate.getMinutes(), 0, 0);
-        
-        const newCreatedAt = new Date(today);
-        newCreatedAt.setDate(today.getDate() - 7 + (index % 7)); // Created dates spread over past week
-        
-        return {
-          ...task,
-          idl: newIdl, // Date relative to today
-          createdAt: newCreatedAt, // Created date in past week
-          rt: parseFloat(task.rt), // Ensure RT is a float
-          il: parseInt(task.il), // Ensure IL is an integer
-          parentTaskId: task.parentTaskId || null,
-          subtasks: task.subtasks || [],
-          linksTo: task.linksTo || [],
-          linkedFrom: task.linkedFrom || [],
-          completed: task.completed || false, // Task completion status
-          completedAt: task.completedAt ? new Date(task.completedAt) : null, // Completion date
-        };
-      });
-      setTasks(formattedTasks);
-      initializedRef.current = true;
+    const current = Date.now();
+    const nextIDL = Math.min(
+      ...tasks.filter(isTaskScheduled).map((task) => new Date(task.idl).getTime()).filter((time) => time > current)
+    );
+    const delay = Math.min(addDays(now, 1) - current, nextIDL - current);
+    const timer = setTimeout(() => setNow(new Date()), delay);
+    return () => clearTimeout(timer);
+  }, [tasks, now]);
+  
+  // State: Available time per day { weekly, overrides } (null until first changed), saved to storage
+  // Used for Realism Point (RP) calculation: RP = Total RT / Available Time of that day
+  const [storedAvailability, setStoredAvailability, availabilityLoaded] = usePersistentSetting(
+    'availability',
+    null
+  );
+
+  // Legacy: single global available time of older versions, seeds the weekly template
+  const [legacyAvailableTime, , legacyAvailableTimeLoaded] = usePersistentSetting(
+    'availableTime',
+    DEFAULT_AVAILABLE_TIME
+  );
+
+  // State: CWA history log (newest first), with undo snapshots inside the grace window
+  const [cwaHistory, setCwaHistory, cwaHistoryLoaded] = usePersistentSetting('cwaHistory', []);
+
+  // State: CWA policy configured in Emergency Settings
+  const [storedCwaPolicy, setStoredCwaPolicy, cwaPolicyLoaded] = usePersistentSetting(
+    'cwaPolicy',
+    CWA.DEFAULT_POLICY
+  );
+
+  // State: Tasks archived by CWA (removal action 'archive'), newest first
+  const [taskArchive, setTaskArchive, taskArchiveLoaded] = usePersistentSetting('taskArchive', []);
+
+  // State: Overload log per day ('YYYY-MM-DD' → RP ≥ 1.0) for the auto-trigger streak
+  const [overloadLog, setOverloadLog, overloadLogLoaded] = usePersistentSetting('overloadLog', {});
+
+  // State: Daily RP snapshots ('YYYY-MM-DD' → snapshot) for RP Analytics
+  const [rpHistory, setRpHistory, rpHistoryLoaded] = usePersistentSetting('rpHistory', {});
+
+  // State: Whether RP applies the RT correction factor from time tracking calibration
+  const [rtCorrectionEnabled, setRtCorrectionEnabled, rtCorrectionLoaded] = usePersistentSetting(
+    'rtCorrectionEnabled',
+    false
+  );
+
+  // State: Recurring task series (template + recurrence rule)
+  const [recurringSeries, setRecurringSeries, recurringSeriesLoaded] = usePersistentSetting(
+    'recurringSeries',
+    []
+  );
+
+  // State: Task templates (saved task trees)
+  const [taskTemplates, setTaskTemplates, taskTemplatesLoaded] = usePersistentSetting(
+    'taskTemplates',
+    []
+  );
+
+  // State: Whether completing the last open subtask also completes its parent
+  const [autoCompleteParents, setAutoCompleteParents, autoCompleteParentsLoaded] = usePersistentSetting(
+    'autoCompleteParents',
+    false
+  );
+
+  // State: Week plan confirmed in the weekly planning wizard (null before the first one)
+  const [weekPlan, setWeekPlan, weekPlanLoaded] = usePersistentSetting('weekPlan', null);
+
+  // State: Morning check-ins and evening shutdowns ('YYYY-MM-DD' → { morning, evening })
+  const [ritualLog, setRitualLog, ritualLogLoaded] = usePersistentSetting('ritualLog', {});
+
+  // State: Running focus session (countdown on one task), null when not focusing
+  const [focusSession, setFocusSession, focusSessionLoaded] = usePersistentSetting(
+    'focusSession',
+    null
+  );
+
+  // True once tasks and settings have been read from storage
+  const isLoaded =
+    tasksLoaded &&
+    availabilityLoaded &&
+    legacyAvailableTimeLoaded &&
+    cwaHistoryLoaded &&
+    cwaPolicyLoaded &&
+    taskArchiveLoaded &&
+    overloadLogLoaded &&
+    rpHistoryLoaded &&
+    rtCorrectionLoaded &&
+    focusSessionLoaded &&
+    recurringSeriesLoaded &&
+    taskTemplatesLoaded &&
+    autoCompleteParentsLoaded &&
+    weekPlanLoaded &&
+    ritualLogLoaded;
+
+  // Estimated RT vs. tracked time of completed tasks (overall, per IL, per tag)
+  const calibration = useMemo(() => calculateCalibration(tasks), [tasks]);
+
+  // Parents whose RT or IDL does not cover their subtasks
+  const hierarchyIssues = useMemo(() => checkTaskHierarchy(tasks), [tasks]);
+
+  // Factor applied to RT in RP calculations (1 when disabled or with too few tracked tasks)
+  const rtCorrectionFactor = rtCorrectionEnabled ? getCorrectionFactor(calibration) : 1;
+
+  // Stored availability completed with the defaults (weekly template from the legacy value)
+  const availability = useMemo(
+    () => normalizeAvailability(storedAvailability, legacyAvailableTime),
+    [storedAvailability, legacyAvailableTime]
+  );
+
+  /**
+   * Get the available time of a date
+   * 
+   * @param {Date|string} date - Day to look up
+   * @returns {number} Available hours (date override if set, weekly template otherwise)
+   */
+  const getAvailableTimeForDate = useCallback(
+    (date) => getAvailableHoursForDate(availability, date),
+    [availability]
+  );
+
+  /**
+   * Get the available time of a date with its source
+   * 
+   * @param {Date|string} date - Day to look up
+   * @returns {Object} { hours, templateHours, isOverride }
+   */
+  const getAvailabilityDetails = useCallback(
+    (date) => getAvailabilityForDate(availability, date),
+    [availability]
+  );
+
+  // Available time of today (Dashboard)
+  const availableTime = getAvailableTimeForDate(new Date());
+
+  /**
+   * Set the available time of one date (override of the weekly template)
+   * 
+   * @param {Date|string} date - Day to change
+   * @param {number|null} hours - Hours for that day, or null to use the weekly template again
+   * @throws {Error} If hours is out of range
+   */
+  const setAvailableTimeForDate = useCallback((date, hours) => {
+    setStoredAvailability(setAvailabilityOverride(availability, date, hours));
+  }, [availability, setStoredAvailability]);
+
+  /**
+   * Replace the weekly availability template
+   * 
+   * @param {Array<number>} weekly - Hours per weekday (index = Date.getDay(), 0 = Sunday)
+   * @throws {Error} If a value is out of range
+   */
+  const updateWeeklyAvailability = useCallback((weekly) => {
+    setStoredAvailability(setWeeklyAvailability(availability, weekly));
+  }, [availability, setStoredAvailability]);
+
+  /**
+   * Replace the whole availability (backup restore)
+   * 
+   * @param {Object} newAvailability - Availability { weekly, overrides }
+   */
+  const replaceAvailability = useCallback((newAvailability) => {
+    setStoredAvailability(normalizeAvailability(newAvailability, legacyAvailableTime));
+  }, [legacyAvailableTime, setStoredAvailability]);
+
+  // Stored policy on top of the defaults (keeps policies saved by older versions complete)
+  const cwaPolicy = useMemo(
+    () => ({ ...CWA.DEFAULT_POLICY, ...storedCwaPolicy }),
+    [storedCwaPolicy]
+  );
+
+  /**
+   * Update the CWA policy (Emergency Settings)
+   * 
+   * @param {Object} changes - Policy fields to change (see CWA.DEFAULT_POLICY)
+   * @throws {Error} If a value is out of range
+   */
+  const updateCwaPolicy = useCallback((changes) => {
+    const next = { ...cwaPolicy, ...changes };
+
+    if (!Object.values(CWA.REMOVAL_ACTIONS).includes(next.removalAction)) {
+      throw new Error(`Unknown removal action "${next.removalAction}".`);
+    }
+    if (!Number.isInteger(next.postponeDays) || next.postponeDays < 1) {
+      throw new Error('Tasks must be postponed by at least 1 day.');
     }
-  }, []); // Empty dependency array - only run once on mount
+    if (!Number.isInteger(next.overloadDays) || next.overloadDays < 1) {
+      throw new Error('The Overload streak must be at least 1 day.');
+    }
+
+    setStoredCwaPolicy({
+      ...next,
+      survivingLevels: [...new Set(next.survivingLevels)].sort((a, b) => a - b),
+    });
+  }, [cwaPolicy, setStoredCwaPolicy]);
+
+  /**
+   * Load the example tasks (first-run "load demo data" option)
+   * 
+   * Replaces the current tasks with the demo tasks from examples/exampleTasks.json.
+   */
+  const loadDemoData = useCallback(() => {
+    setTasks(formatExampleTasks());
+  }, [setTasks]);
+
+  /**
+   * Replace all tasks (restore from a backup)
+   * 
+   * @param {Array} nextTasks - Validated tasks with Date fields and consistent references
+   */
+  const replaceTasks = useCallback((nextTasks) => {
+    setTasks(nextTasks);
+  }, [setTasks]);
 
   /**
    * Add a new task to the system
@@ -93,21 +511,28 @@ export function PlanningProvider({ children }) {
    * @param {number|string} task.rt - Required Time in hours
    * @param {Date|string} task.idl - Ideal Deadline (date/time)
    * @param {number|string} task.il - Importance Level (1-4)
+   * @param {boolean} [task.atomic=false] - Non-dividable task (reserves one continuous block)
    * @param {number} [task.parentTaskId] - ID of parent task (for subtasks)
    * @returns {Object} The newly created task with generated ID
    */
   const addTask = useCallback((task) => {
     const newTask = {
-      id: Date.now() + Math.random(), // Simple ID generation (will be replaced with backend UUID)
+      id: createRecordId(), // Integer ID (matches the BIGSERIAL ids of the backend)
       title: task.title,
       rt: parseFloat(task.rt), // Convert to float for decimal hours (e.g., 1.5 hours)
       idl: new Date(task.idl), // Convert to Date object
       il: parseInt(task.il), // Convert to integer (1-4)
+      atomic: Boolean(task.atomic), // Atomic tasks are never split across days
+      tags: task.tags || [], // Free-text labels (e.g., 'study', 'work')
+      timeSessions: [], // Tracked work sessions [{ start, end }]
+      actualTime: 0, // Hours of finished work sessions
       createdAt: new Date(), // Track when task was created
       parentTaskId: task.parentTaskId || null, // Parent task ID for subtasks
       subtasks: [], // Array of subtask IDs
       linksTo: [], // Array of task IDs this task links to (directional)
       linkedFrom: [], // Array of task IDs that link to this task
+      status: TASK_STATUS.VALUES.PENDING, // Status lifecycle (see Task Status)
+      progress: 0, // Percent of the work done (0-100)
       completed: false, // Task completion status
       completedAt: null, // Date when task was completed
     };
@@ -124,7 +549,7 @@ export function PlanningProvider({ children }) {
       return updated;
     });
     return newTask;
-  }, []);
+  }, [setTasks]);
 
   /**
    * Update an existing task
@@ -135,6 +560,7 @@ export function PlanningProvider({ children }) {
    * @param {number|string} [updates.rt] - New Required Time
    * @param {Date|string} [updates.idl] - New Ideal Deadline
    * @param {number|string} [updates.il] - New Importance Level
+   * @param {boolean} [updates.atomic] - New atomic (non-dividable) flag
    * 
    * Automatically converts RT to float, IDL to Date, and IL to integer
    */
@@ -153,61 +579,151 @@ export function PlanningProvider({ children }) {
           : task
       )
     );
-  }, []);
+  }, [setTasks]);
+
+  /**
+   * Set a parent's RT to the RT of its direct subtasks
+   * 
+   * @param {number} taskId - ID of the parent task
+   */
+  const rollUpParentRT = useCallback((taskId) => {
+    setTasks((prev) =>
+      prev.map((task) => (task.id === taskId ? { ...task, rt: getSubtasksRT(task, prev) } : task))
+    );
+  }, [setTasks]);
 
   /**
    * Toggle task completion status
    * 
    * @param {number} taskId - ID of the task to toggle
    * 
-   * When marking a task as completed, also marks all subtasks as completed.
-   * When unmarking, does not affect subtasks (user can unmark individually).
+   * When marking a task as completed, also marks all subtasks as completed
+   * and stops their running time tracking sessions. With autoCompleteParents,
+   * completing the last open subtask also completes the parent.
+   * When unmarking, the task goes back to IN_PROGRESS if it has progress
+   * (otherwise PENDING); subtasks are not affected (user can unmark individually).
+   * Cancelled tasks cannot be completed (restore them first).
    */
   const toggleTaskCompletion = useCallback((taskId) => {
     setTasks((prev) => {
       const task = prev.find(t => t.id === taskId);
       if (!task) return prev;
 
-      const newCompleted = !task.completed;
-      const completionDate = newCompleted ? new Date() : null;
+      const now = new Date();
+      const { PENDING, IN_PROGRESS, COMPLETED } = TASK_STATUS.VALUES;
 
-      // Helper to recursively get all descendant task IDs
-      const getDescendantIds = (parentId, allTasks) => {
-        const descendants = [];
-        const directChildren = allTasks.filter(t => t.parentTaskId === parentId);
-        directChildren.forEach(child => {
-          descendants.push(child.id);
-          descendants.push(...getDescendantIds(child.id, allTasks));
-        });
-        return descendants;
-      };
+      if (!task.completed) {
+        return canChangeStatus(task, COMPLETED)
+          ? closeTaskTree(prev, taskId, COMPLETED, now, autoCompleteParents)
+          : prev;
+      }
 
-      return prev.map((t) => {
-        // Update the clicked task
-        if (t.id === taskId) {
-          return {
-            ...t,
-            completed: newCompleted,
-            completedAt: completionDate,
-          };
-        }
-        
-        // If marking as completed, also mark all subtasks
-        if (newCompleted) {
-          const descendantIds = getDescendantIds(taskId, prev);
-          if (descendantIds.includes(t.id)) {
-            return {
-              ...t,
-              completed: true,
-              completedAt: completionDate,
-            };
-          }
-        }
-        
-        return t;
-      });
+      const reopened = Number(task.progress) > 0 ? IN_PROGRESS : PENDING;
+      return prev.map((t) => (t.id === taskId ? applyStatusChange(t, reopened, now) : t));
     });
-  }, []);
+  }, [setTasks, autoCompleteParents]);
+
+  /**
+   * Change the status of a task
+   * 
+   * Completing or cancelling a task also completes or cancels its open subtasks.
+   * 
+   * @param {number} taskId - ID of the task
+   * @param {string} status - Target status (TASK_STATUS.VALUES)
+   * @throws {Error} If the task does not exist or the transition is not allowed
+   */
+  const setTaskStatus = useCallback((taskId, status) => {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task) {
+      throw new Error('Task not found.');
+    }
+
+    const now = new Date();
+    const updated = applyStatusChange(task, status, now);
+    if (TASK_STATUS.CLOSED.includes(status)) {
+      setTasks((prev) => closeTaskTree(prev, taskId, status, now, autoCompleteParents));
+      return;
+    }
+    setTasks((prev) => prev.map((t) => (t.id === taskId ? updated : t)));
+  }, [tasks, setTasks, autoCompleteParents]);
+
+  /**
+   * Set the progress of a task (percent of its work done)
+   * 
+   * Progress on a pending task starts it; 100% completes it (and its subtasks).
+   * 
+   * @param {number} taskId - ID of the task
+   * @param {number|string} percent - Progress (0-100)
+   * @throws {Error} If the task does not exist, is closed or the percentage is invalid
+   */
+  const setTaskProgress = useCallback((taskId, percent) => {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task) {
+      throw new Error('Task not found.');
+    }
+
+    const now = new Date();
+    const updated = applyProgressChange(task, percent, now);
+    if (updated.completed) {
+      setTasks((prev) => closeTaskTree(prev, taskId, TASK_STATUS.VALUES.COMPLETED, now, autoCompleteParents));
+      return;
+    }
+    setTasks((prev) => prev.map((t) => (t.id === taskId ? updated : t)));
+  }, [tasks, setTasks, autoCompleteParents]);
+
+  /**
+   * Start tracking time on a task
+   * 
+   * Only one task is tracked at a time: a running session on another task is
+   * stopped first. Tracking a pending, blocked or postponed task starts it
+   * (IN_PROGRESS).
+   * 
+   * @param {number} taskId - ID of the task to track
+   * @throws {Error} If the task does not exist, is completed or cancelled, or is already tracked
+   */
+  const startTimeTracking = useCallback((taskId) => {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task) {
+      throw new Error('Task not found.');
+    }
+    if (isTaskClosed(task)) {
+      throw new Error(`${task.completed ? 'Completed' : 'Cancelled'} tasks cannot be tracked.`);
+    }
+
+    const now = new Date();
+    const { IN_PROGRESS } = TASK_STATUS.VALUES;
+    const inProgress = getTaskStatus(task) === IN_PROGRESS ? task : applyStatusChange(task, IN_PROGRESS, now);
+    const started = startSession(inProgress, now);
+    setTasks((prev) =>
+      prev.map((t) => (t.id === taskId ? started : isTracking(t) ? stopSession(t, now) : t))
+    );
+  }, [tasks, setTasks]);
+
+  /**
+   * Stop tracking time on a task (closes the running session, updates actualTime)
+   * 
+   * @param {number} taskId - ID of the tracked task
+   */
+  const stopTimeTracking = useCallback((taskId) => {
+    const now = new Date();
+    setTasks((prev) => prev.map((t) => (t.id === taskId ? stopSession(t, now) : t)));
+  }, [setTasks]);
+
+  /**
+   * Log work done without the timer (a finished session ending now)
+   * 
+   * @param {number} taskId - ID of the task
+   * @param {number|string} hours - Hours worked
+   * @throws {Error} If the task does not exist, hours is not positive or a session is running
+   */
+  const logTaskTime = useCallback((taskId, hours) => {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task) {
+      throw new Error('Task not found.');
+    }
+    const logged = logSession(task, hours);
+    setTasks((prev) => prev.map((t) => (t.id === taskId ? logged : t)));
+  }, [tasks, setTasks]);
 
   /**
    * Delete a task from the system
@@ -249,50 +765,283 @@ export function PlanningProvider({ children }) {
       // Remove the task itself
       return updated.filter((task) => task.id !== taskId);
     });
-  }, []);
+  }, [setTasks]);
 
   /**
-   * CWA (Catastrophic Wipe Out) - Emergency task removal
+   * Add a recurring task series
    * 
-   * Removes all non-critical tasks (IL > MUST) to create a clean slate.
-   * Only keeps tasks with IL = MUST (Level 1 - emergencies, finals, interviews).
+   * Its occurrences are generated as tasks by the recurrence effect below.
    * 
-   * This is a fail-safe protocol for when the user is overwhelmed.
-   * Forces a Manual Analysis (MA) by wiping everything except critical tasks.
+   * @param {Object} task - Task template (title, rt, il, atomic, tags; see addTask)
+   * @param {Object} rule - Recurrence rule (see normalizeRecurrenceRule)
+   * @returns {Object} The new series
+   * @throws {Error} If the rule is invalid
+   */
+  const addRecurringTask = useCallback((task, rule) => {
+    const series = {
+      id: createRecordId(),
+      title: task.title,
+      rt: parseFloat(task.rt),
+      il: parseInt(task.il),
+      atomic: Boolean(task.atomic),
+      tags: task.tags || [],
+      rule: normalizeRecurrenceRule(rule),
+      generatedUntil: null,
+      skippedDates: [],
+      createdAt: new Date(),
+    };
+    setRecurringSeries((prev) => [...prev, series]);
+    return series;
+  }, [setRecurringSeries]);
+
+  /**
+   * Skip one occurrence of a recurring task
+   * 
+   * Removes the occurrence's task and records the date on the series; the
+   * other occurrences are not affected.
+   * 
+   * @param {number} taskId - ID of the occurrence task
+   * @throws {Error} If the task is not an occurrence of a recurring task
+   */
+  const skipOccurrence = useCallback((taskId) => {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task || !task.recurrence) {
+      throw new Error('Only occurrences of recurring tasks can be skipped.');
+    }
+
+    const { seriesId, date } = task.recurrence;
+    setRecurringSeries((prev) =>
+      prev.map((series) =>
+        series.id === seriesId
+          ? { ...series, skippedDates: [...new Set([...(series.skippedDates || []), date])].sort() }
+          : series
+      )
+    );
+    deleteTask(taskId);
+  }, [tasks, setRecurringSeries, deleteTask]);
+
+  /**
+   * Edit an occurrence of a recurring task
+   * 
+   * - 'this': Only this occurrence changes (like updateTask)
+   * - 'future': The series and every open occurrence from this one on change.
+   *   A new rule replaces those occurrences with ones generated from the rule.
+   * 
+   * @param {number} taskId - ID of the occurrence task
+   * @param {Object} updates - Fields to change (title, rt, il, atomic, tags) and,
+   *   for 'future', an optional new rule
+   * @param {string} scope - 'this' or 'future'
+   * @throws {Error} If the task is not an occurrence or the new rule is invalid
+   */
+  const updateOccurrence = useCallback((taskId, updates, scope) => {
+    const { rule, ...fields } = updates;
+    if (scope === 'this') {
+      updateTask(taskId, fields);
+      return;
+    }
+
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task || !task.recurrence) {
+      throw new Error('Only occurrences of recurring tasks can be edited as a series.');
+    }
+
+    const { seriesId, date } = task.recurrence;
+    const nextRule = rule ? normalizeRecurrenceRule(rule) : null;
+    const template = {
+      ...fields,
+      ...(fields.rt !== undefined && { rt: parseFloat(fields.rt) }),
+      ...(fields.il !== undefined && { il: parseInt(fields.il) }),
+    };
+    const isFutureOccurrence = (t) =>
+      t.recurrence && t.recurrence.seriesId === seriesId && !t.completed && t.recurrence.date >= date;
+
+    setRecurringSeries((prev) =>
+      prev.map((series) =>
+        series.id === seriesId
+          ? {
+              ...series,
+              ...template,
+              // A new rule regenerates the occurrences from this date on
+              ...(nextRule && { rule: nextRule, generatedUntil: toDateKey(addDays(date, -1)) }),
+            }
+          : series
+      )
+    );
+
+    if (nextRule) {
+      tasks.filter(isFutureOccurrence).forEach((t) => deleteTask(t.id));
+    } else {
+      setTasks((prev) => prev.map((t) => (isFutureOccurrence(t) ? { ...t, ...template } : t)));
+    }
+  }, [tasks, updateTask, deleteTask, setTasks, setRecurringSeries]);
+
+  /**
+   * Stop a recurring series
+   * 
+   * Open occurrences from today on are removed; completed and past occurrences
+   * stay as normal tasks.
+   * 
+   * @param {number} seriesId - ID of the series
+   */
+  const deleteRecurringSeries = useCallback((seriesId) => {
+    const todayKey = toDateKey(new Date());
+    tasks
+      .filter(
+        (t) =>
+          t.recurrence &&
+          t.recurrence.seriesId === seriesId &&
+          !t.completed &&
+          t.recurrence.date >= todayKey
+      )
+      .forEach((t) => deleteTask(t.id));
+    setRecurringSeries((prev) => prev.filter((series) => series.id !== seriesId));
+  }, [tasks, deleteTask, setRecurringSeries]);
+
+  /**
+   * Replace all recurring series (backup restore)
+   * 
+   * @param {Array} nextSeries - Validated series
+   */
+  const replaceRecurringSeries = useCallback((nextSeries) => {
+    setRecurringSeries(nextSeries);
+  }, [setRecurringSeries]);
+
+  /**
+   * Save a task and its subtasks as a template
+   * 
+   * @param {number} rootTaskId - ID of the task whose tree is saved
+   * @param {string} name - Template name
+   * @returns {Object} The new template
+   * @throws {Error} If the name is empty or the task does not exist
+   */
+  const saveTemplate = useCallback((rootTaskId, name) => {
+    const template = {
+      id: createRecordId(),
+      ...createTemplateFromTree(tasks, rootTaskId, name),
+      createdAt: new Date(),
+    };
+    setTaskTemplates((prev) => [...prev, template]);
+    return template;
+  }, [tasks, setTaskTemplates]);
+
+  /**
+   * Create the task tree of a template
+   * 
+   * @param {number} templateId - ID of the template
+   * @param {Date|string} deadline - IDL of the root task (subtask IDLs keep their offsets)
+   * @returns {Object} The new root task
+   * @throws {Error} If the template does not exist or the deadline is invalid
+   */
+  const createFromTemplate = useCallback((templateId, deadline) => {
+    const template = taskTemplates.find((t) => t.id === templateId);
+    if (!template) {
+      throw new Error('Template not found.');
+    }
+    if (!deadline || Number.isNaN(new Date(deadline).getTime())) {
+      throw new Error('Choose a deadline for the template.');
+    }
+
+    const newTasks = instantiateTemplate(template, deadline, createRecordId);
+    setTasks((prev) => [...prev, ...newTasks]);
+    return newTasks[0];
+  }, [taskTemplates, setTasks]);
+
+  /**
+   * Delete a template (tasks created from it are not affected)
+   * 
+   * @param {number} templateId - ID of the template
+   */
+  const deleteTemplate = useCallback((templateId) => {
+    setTaskTemplates((prev) => prev.filter((t) => t.id !== templateId));
+  }, [setTaskTemplates]);
+
+  /**
+   * Replace all templates (backup restore)
+   * 
+   * @param {Array} nextTemplates - Validated templates
    */
-  const catastrophicWipeOut = useCallback(() => {
-    setTasks((prev) => prev.filter((task) => task.il === IMPORTANCE.MUST));
-  }, []);
+  const replaceTemplates = useCallback((nextTemplates) => {
+    setTaskTemplates(nextTemplates);
+  }, [setTaskTemplates]);
 
   /**
-   * Get all tasks scheduled for a specific date
+   * Recurrence: generate the occurrences of every series up to HORIZON_DAYS ahead
+   * 
+   * Each day is generated once per series (generatedUntil), so completed,
+   * skipped or deleted occurrences are never created again. Runs again at
+   * midnight (todayKey), so the horizon moves forward in a tab left open.
+   */
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    const newTasks = [];
+    let changed = false;
+    const nextSeries = recurringSeries.map((series) => {
+      const { dates, generatedUntil } = getPendingOccurrences(series, todayKey);
+      if (generatedUntil === series.generatedUntil) {
+        return series;
+      }
+      changed = true;
+      dates.forEach((date) => {
+        newTasks.push(buildOccurrenceTask(series, date, createRecordId()));
+      });
+      return { ...series, generatedUntil };
+    });
+
+    if (!changed) return;
+
+    if (newTasks.length > 0) {
+      setTasks((prev) => {
+        const existing = new Set(
+          prev.filter((t) => t.recurrence).map((t) => `${t.recurrence.seriesId}:${t.recurrence.date}`)
+        );
+        return [
+          ...prev,
+          ...newTasks.filter((t) => !existing.has(`${t.recurrence.seriesId}:${t.recurrence.date}`)),
+        ];
+      });
+    }
+    setRecurringSeries(nextSeries);
+  }, [isLoaded, recurringSeries, setTasks, setRecurringSeries, todayKey]);
+
+  /**
+   * Auto-distribution of all open tasks (Smoothing Logic)
+   * 
+   * Spreads each incomplete task's RT across the days from today to its IDL,
+   * using the available time of each day. Recalculated whenever tasks or
+   * availability change, and at midnight (todayKey).
+   * 
+   * Structure: { allocations: { 'YYYY-MM-DD': [allocation, ...] }, unscheduled: [taskId, ...] }
+   */
+  const schedule = useMemo(() => {
+    return distributeTasks(tasks, {
+      startDate: todayKey,
+      getAvailableTime: getAvailableTimeForDate,
+    });
+  }, [tasks, getAvailableTimeForDate, todayKey]);
+
+  /**
+   * Get all task slices scheduled for a specific date
    * 
    * @param {Date|string} date - Target date to filter tasks
-   * @returns {Array} Array of tasks with IDL on the specified date
+   * @returns {Array} Array of task objects planned for that day
+   * 
+   * Returns one entry per task that has work allocated on the given day by the
+   * Auto-Distribution Engine. Each entry is a copy of the task where:
+   * - rt: Hours allocated on this day (the daily slice, not the full RT)
+   * - allocation: Slice details (totalRT, sliceIndex, sliceCount)
    * 
-   * Filters tasks where the Ideal Deadline (IDL) falls on the given date.
-   * Uses date comparison (ignoring time) to match tasks for the entire day.
+   * Completed tasks are listed on the day they were completed (with the work
+   * done on them that day), so finished work still shows up in the day's overview.
    */
   const getTasksForDate = useCallback((date) => {
-    // Normalize target date to start of day (00:00:00)
-    const targetDate = new Date(date);
-    targetDate.setHours(0, 0, 0, 0);
-    
-    // Calculate next day for range comparison
-    const nextDay = new Date(targetDate);
-    nextDay.setDate(nextDay.getDate() + 1);
-
-    // Filter tasks where IDL falls within the target date range
-    return tasks.filter((task) => {
-      const taskDate = new Date(task.idl);
-      return taskDate >= targetDate && taskDate < nextDay;
-    });
-  }, [tasks]);
+    return getTaskSlicesForDate(tasks, schedule, date);
+  }, [tasks, schedule]);
 
   /**
    * Get all tasks scheduled for today
    * 
-   * @returns {Array} Array of tasks with IDL set to today's date
+   * @returns {Array} Array of task slices planned for today
    * 
    * Convenience function that calls getTasksForDate with current date.
    */
@@ -301,13 +1050,441 @@ export function PlanningProvider({ children }) {
   }, [getTasksForDate]);
 
   /**
-   * Link a task to another task (directional relationship)
+   * Record a morning check-in or evening shutdown for today
    * 
-   * @param {number} fromTaskId - ID of the task that links
-   * @param {number} toTaskId - ID of the task being linked to
+   * @param {string} type - RITUALS.TYPES value
+   * @param {Object} [details] - What was done (see Rituals)
+   */
+  const completeRitual = useCallback((type, details) => {
+    setRitualLog((prev) => recordRitual(prev, type, details));
+  }, [setRitualLog]);
+
+  /**
+   * Replace the ritual log (backup restore)
+   * 
+   * @param {Object} nextLog - Validated ritual log
+   */
+  const replaceRitualLog = useCallback((nextLog) => {
+    setRitualLog(nextLog);
+  }, [setRitualLog]);
+
+  /**
+   * Save the current schedule of the next WEEK_PLAN.DAYS days as the week plan
+   * 
+   * Replaces the previous week plan (the last step of the weekly planning wizard).
+   * 
+   * @returns {Object} The new week plan
+   */
+  const confirmWeekPlan = useCallback(() => {
+    const plan = createWeekPlan({
+      getTasksForDate,
+      getAvailableTime: getAvailableTimeForDate,
+      correctionFactor: rtCorrectionFactor,
+    });
+    setWeekPlan(plan);
+    return plan;
+  }, [getTasksForDate, getAvailableTimeForDate, rtCorrectionFactor, setWeekPlan]);
+
+  /**
+   * Replace the week plan (backup restore)
+   * 
+   * @param {Object|null} nextPlan - Validated week plan
+   */
+  const replaceWeekPlan = useCallback((nextPlan) => {
+    setWeekPlan(nextPlan);
+  }, [setWeekPlan]);
+
+  // Open tasks whose IDL has passed (the Smoothing Logic no longer plans them)
+  const overdueTasks = useMemo(() => getOverdueTasks(tasks, now), [tasks, now]);
+
+  /**
+   * Get a task and the search options for rescheduling it
+   * 
+   * The planned RT of a day leaves out the task itself (a task due earlier
+   * today still has its slice today).
+   * 
+   * @param {number} taskId - ID of the task
+   * @returns {Object} { task, hours (remaining own RT), options (see findMoveDay) }
+   * @throws {Error} If the task does not exist
+   */
+  const getRescheduleInput = useCallback((taskId) => {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task) {
+      throw new Error('Task not found.');
+    }
+    return {
+      task,
+      hours: getRemainingRT({ ...task, rt: getOwnRT(task, tasks) }),
+      options: {
+        getPlannedRT: (date) => calculateTotalRT(getTasksForDate(date).filter((t) => t.id !== taskId)),
+        getAvailableTime: getAvailableTimeForDate,
+        correctionFactor: rtCorrectionFactor,
+      },
+    };
+  }, [tasks, getTasksForDate, getAvailableTimeForDate, rtCorrectionFactor]);
+
+  /**
+   * Move a task to the first day with spare capacity
+   * 
+   * The task is pinned to that day (earliestStart and IDL), so its whole
+   * remaining RT is planned there. Used for overdue tasks and, from tomorrow
+   * on, for tasks left unfinished in the evening shutdown.
+   * 
+   * @param {number} taskId - ID of the task
+   * @param {Date} [startDate=new Date()] - First day to try
+   * @returns {Date} New IDL
+   * @throws {Error} If no day within OVERDUE.SEARCH_DAYS has room
+   */
+  const moveOverdueTask = useCallback((taskId, startDate = new Date()) => {
+    const { task, hours, options } = getRescheduleInput(taskId);
+    const day = findMoveDay(hours, { ...options, startDate });
+    if (!day) {
+      throw new Error(
+        `No day in the next ${OVERDUE.SEARCH_DAYS} days has room for ${Number(hours.toFixed(2))}h. Split the task or lower its IL.`
+      );
+    }
+
+    const idl = getRescheduledIDL(task, day);
+    setTasks((prev) => prev.map((t) => (t.id === taskId ? { ...t, idl, earliestStart: day } : t)));
+    return idl;
+  }, [getRescheduleInput, setTasks]);
+
+  /**
+   * Split a task across the upcoming days with spare capacity
+   * 
+   * The IDL moves to the last day of the shortest run of days that can take the
+   * task's slices; the Smoothing Logic spreads it from today on.
+   * 
+   * @param {number} taskId - ID of the task
+   * @returns {Object} { lastDay, slices } (see findSplitDays)
+   * @throws {Error} If the task is atomic or does not fit within OVERDUE.SEARCH_DAYS
+   */
+  const splitOverdueTask = useCallback((taskId) => {
+    const { task, hours, options } = getRescheduleInput(taskId);
+    if (task.atomic) {
+      throw new Error('Atomic tasks cannot be split. Move them to one day instead.');
+    }
+    const split = findSplitDays(hours, options);
+    if (!split) {
+      throw new Error(
+        `${Number(hours.toFixed(2))}h do not fit into the next ${OVERDUE.SEARCH_DAYS} days. Lower the task's IL or send it to CWA.`
+      );
+    }
+
+    const idl = getRescheduledIDL(task, split.lastDay);
+    setTasks((prev) => prev.map((t) => (t.id === taskId ? { ...t, idl, earliestStart: null } : t)));
+    return split;
+  }, [getRescheduleInput, setTasks]);
+
+  /**
+   * Lower the Importance Level of a task by one level
+   * 
+   * @param {number} taskId - ID of the task
+   * @throws {Error} If the task does not exist or is already OPTIONAL (Level 4)
+   */
+  const lowerTaskImportance = useCallback((taskId) => {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task) {
+      throw new Error('Task not found.');
+    }
+    if (task.il >= IMPORTANCE.OPTIONAL) {
+      throw new Error('This task already has the lowest IL.');
+    }
+    setTasks((prev) => prev.map((t) => (t.id === taskId ? { ...t, il: t.il + 1 } : t)));
+  }, [tasks, setTasks]);
+
+  /**
+   * Preview a CWA (Catastrophic Wipe Out) without changing anything
+   * 
+   * What survives and what happens to the other tasks is set by the CWA
+   * policy (Emergency Settings).
+   * 
+   * @returns {Object} Wipe preview:
+   *   - tasks: Task list after the wipe
+   *   - removed: Tasks that would be deleted, archived or postponed
+   *   - promoted: Surviving subtasks that would become root tasks
+   *   - archived: Archived copies of the removed tasks (archive action)
+   *   - policy: CWA policy the preview was made with
+   *   - removedRT: Open RT (hours) that would be removed
+   *   - rpBefore: Today's RP now
+   *   - rpAfter: Today's RP after the wipe (tasks redistributed)
+   */
+  const previewCatastrophicWipeOut = useCallback(() => {
+    const today = new Date();
+    const plan = planWipeOut(tasks, cwaPolicy, today);
+    const scheduleAfter = distributeTasks(plan.tasks, {
+      startDate: today,
+      getAvailableTime: getAvailableTimeForDate,
+    });
+    const todayAvailableTime = getAvailableTimeForDate(today);
+
+    return {
+      ...plan,
+      policy: cwaPolicy,
+      removedRT: calculateTotalRT(plan.removed.filter((task) => !task.completed)),
+      rpBefore: calculateRealismPoint(getTasksForDate(today), todayAvailableTime, rtCorrectionFactor),
+      rpAfter: calculateRealismPoint(
+        getTaskSlicesForDate(plan.tasks, scheduleAfter, today),
+        todayAvailableTime,
+        rtCorrectionFactor
+      ),
+    };
+  }, [tasks, getAvailableTimeForDate, cwaPolicy, getTasksForDate, rtCorrectionFactor]);
+
+  /**
+   * CWA (Catastrophic Wipe Out) - Emergency task removal
+   * 
+   * Removes all tasks that do not survive the CWA policy to create a clean slate.
+   * By default only MUST tasks (Level 1 - emergencies, finals, interviews) survive
+   * with their subtasks, and the other tasks are deleted. The policy can instead
+   * archive them or postpone their IDL; see previewCatastrophicWipeOut().
+   * 
+   * This is a fail-safe protocol for when the user is overwhelmed.
+   * Forces a Manual Analysis (MA) by wiping everything except critical tasks.
+   * The task list before the wipe is stored in the CWA history, so the wipe can
+   * be reverted within CWA.UNDO_WINDOW_HOURS via undoCatastrophicWipeOut().
+   * 
+   * @param {Object} [options] - Wipe options
+   * @param {boolean} [options.automatic=false] - True if triggered by an Overload streak
+   * @returns {Object|null} The new CWA history entry, or null if nothing was removed
+   */
+  const catastrophicWipeOut = useCallback(({ automatic = false } = {}) => {
+    const preview = previewCatastrophicWipeOut();
+    if (preview.removed.length === 0) {
+      return null;
+    }
+
+    const entry = {
+      id: createRecordId(),
+      executedAt: new Date(),
+      automatic,
+      action: preview.policy.removalAction,
+      postponeDays: preview.policy.postponeDays,
+      survivingLevels: preview.policy.survivingLevels,
+      removedTaskIds: preview.removed.map((task) => task.id),
+      removed: preview.removed.map(({ id, title, il, rt }) => ({ id, title, il, rt })),
+      promotedCount: preview.promoted.length,
+      removedRT: preview.removedRT,
+      rpBefore: preview.rpBefore,
+      rpAfter: preview.rpAfter,
+      snapshot: tasks,
+      undoneAt: null,
+    };
+
+    setTasks(preview.tasks);
+    if (preview.archived.length > 0) {
+      setTaskArchive((prev) => [...preview.archived, ...prev]);
+    }
+    setCwaHistory((prev) => pruneWipeOutHistory(prev, entry));
+    return entry;
+  }, [tasks, setTasks, setCwaHistory, setTaskArchive, previewCatastrophicWipeOut]);
+
+  /**
+   * Revert a CWA from the history
+   * 
+   * Removed tasks come back and surviving tasks get their links back.
+   * Tasks added or edited after the wipe are kept.
+   * 
+   * @param {number} entryId - ID of the CWA history entry
+   * @throws {Error} If the entry does not exist or its grace window has passed
+   */
+  const undoCatastrophicWipeOut = useCallback((entryId) => {
+    const entry = cwaHistory.find((item) => item.id === entryId);
+    if (!entry) {
+      throw new Error('This wipe is not in the CWA history.');
+    }
+    if (!isWipeOutUndoable(entry)) {
+      throw new Error(
+        `This wipe can no longer be undone (grace window: ${CWA.UNDO_WINDOW_HOURS} hours).`
+      );
+    }
+
+    setTasks((prev) => restoreWipeOut(prev, entry));
+    if (entry.action === CWA.REMOVAL_ACTIONS.ARCHIVE) {
+      setTaskArchive((prev) => prev.filter((task) => !entry.removedTaskIds.includes(task.id)));
+    }
+    setCwaHistory((prev) =>
+      pruneWipeOutHistory(
+        prev.map((item) =>
+          item.id === entryId ? { ...item, snapshot: null, undoneAt: new Date() } : item
+        )
+      )
+    );
+  }, [cwaHistory, setTasks, setCwaHistory, setTaskArchive]);
+
+  /**
+   * Replace the CWA history (backup restore)
+   * 
+   * Snapshots of wipes outside their grace window are dropped.
+   * 
+   * @param {Array} nextHistory - Validated CWA history (newest first)
+   */
+  const replaceCwaHistory = useCallback((nextHistory) => {
+    setCwaHistory(pruneWipeOutHistory(nextHistory));
+  }, [setCwaHistory]);
+
+  /**
+   * Move an archived task back into the task list
+   * 
+   * @param {number} taskId - ID of the archived task
+   */
+  const restoreFromArchive = useCallback((taskId) => {
+    const archivedTask = taskArchive.find((task) => task.id === taskId);
+    if (!archivedTask) return;
+
+    setTasks((prev) =>
+      prev.some((task) => task.id === taskId) ? prev : restoreArchivedTask(prev, archivedTask)
+    );
+    setTaskArchive((prev) => prev.filter((task) => task.id !== taskId));
+  }, [taskArchive, setTasks, setTaskArchive]);
+
+  /**
+   * Permanently delete an archived task
+   * 
+   * @param {number} taskId - ID of the archived task
+   */
+  const deleteFromArchive = useCallback((taskId) => {
+    setTaskArchive((prev) => prev.filter((task) => task.id !== taskId));
+  }, [setTaskArchive]);
+
+  /**
+   * Replace the CWA archive (backup restore)
+   * 
+   * @param {Array} nextArchive - Validated archived tasks
+   */
+  const replaceTaskArchive = useCallback((nextArchive) => {
+    setTaskArchive(nextArchive);
+  }, [setTaskArchive]);
+
+  /**
+   * Send a single task and its subtasks to the CWA archive
+   * 
+   * Like a CWA with the archive action, but for one task tree: the tasks leave
+   * the task list (running sessions are stopped) and can be restored one by one
+   * from the Task Archive in the Emergency Settings.
+   * 
+   * @param {number} taskId - ID of the task
+   */
+  const archiveTask = useCallback((taskId) => {
+    const ids = [taskId, ...getDescendantIds(taskId, tasks)];
+    const now = new Date();
+    const archived = tasks
+      .filter((task) => ids.includes(task.id))
+      .map((task) => ({ ...stopSession(task, now), archivedAt: now }));
+    if (archived.length === 0) return;
+
+    const dropArchived = (list = []) => list.filter((id) => !ids.includes(id));
+    setTasks((prev) =>
+      prev
+        .filter((task) => !ids.includes(task.id))
+        .map((task) =>
+          [...(task.subtasks || []), ...(task.linksTo || []), ...(task.linkedFrom || [])].some((id) =>
+            ids.includes(id)
+          )
+            ? {
+                ...task,
+                subtasks: dropArchived(task.subtasks),
+                linksTo: dropArchived(task.linksTo),
+                linkedFrom: dropArchived(task.linkedFrom),
+              }
+            : task
+        )
+    );
+    setTaskArchive((prev) => [...archived, ...prev]);
+  }, [tasks, setTasks, setTaskArchive]);
+
+  /**
+   * Consecutive days (up to today) with RP in the Overload zone
+   */
+  const overloadStreak = useMemo(() => getOverloadStreak(overloadLog), [overloadLog]);
+
+  /**
+   * Overload streak and CWA auto-trigger
+   * 
+   * Records whether today's RP is in the Overload zone. When the policy enables
+   * the auto-trigger and the streak reaches policy.overloadDays, CWA runs once
+   * for that day (it shows up in the CWA history and can be undone).
+   */
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    const today = new Date();
+    const isOverload =
+      calculateRealismPoint(getTasksForDate(today), getAvailableTimeForDate(today), rtCorrectionFactor) >=
+      RP_LIMITS.OVERLOAD;
+    const { log, streak } = recordOverloadDay(overloadLog, today, isOverload);
+
+    const logChanged =
+      Object.keys(log).length !== Object.keys(overloadLog).length ||
+      Object.keys(log).some((key) => log[key] !== overloadLog[key]);
+    if (logChanged) {
+      setOverloadLog(log);
+    }
+
+    const alreadyTriggeredToday = cwaHistory.some(
+      (entry) => entry.automatic && isSameDay(entry.executedAt, today)
+    );
+    if (cwaPolicy.autoTrigger && streak >= cwaPolicy.overloadDays && !alreadyTriggeredToday) {
+      catastrophicWipeOut({ automatic: true });
+    }
+  }, [
+    isLoaded,
+    getAvailableTimeForDate,
+    rtCorrectionFactor,
+    overloadLog,
+    cwaHistory,
+    cwaPolicy,
+    getTasksForDate,
+    setOverloadLog,
+    catastrophicWipeOut,
+  ]);
+
+  /**
+   * RP history snapshot
+   * 
+   * Records today's RP, total RT, available time and completed RT whenever they
+   * change. The last snapshot of a day is its day-end value (see RP Analytics).
+   */
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    const today = new Date();
+    const snapshot = createRPSnapshot(
+      getTasksForDate(today),
+      getAvailableTimeForDate(today),
+      today,
+      rtCorrectionFactor
+    );
+    const nextHistory = recordRPSnapshot(rpHistory, snapshot);
+    if (nextHistory !== rpHistory) {
+      setRpHistory(nextHistory);
+    }
+  }, [isLoaded, rpHistory, getTasksForDate, getAvailableTimeForDate, rtCorrectionFactor, setRpHistory]);
+
+  /**
+   * Replace the RP history (backup restore)
+   * 
+   * @param {Object} nextHistory - Validated RP history ('YYYY-MM-DD' → snapshot)
+   */
+  const replaceRpHistory = useCallback((nextHistory) => {
+    setRpHistory(nextHistory);
+  }, [setRpHistory]);
+
+  /**
+   * Link a task to another task (prerequisite relationship)
+   * 
+   * @param {number} fromTaskId - ID of the prerequisite task (must be completed first)
+   * @param {number} toTaskId - ID of the dependent task (waits for fromTaskId)
+   * @throws {Error} If the link is invalid (self-link, duplicate, or would create a cycle)
+   * 
+   * The prerequisite graph must stay acyclic, so links that would make a task
+   * (indirectly) wait for itself are rejected before any state is changed.
    */
   const linkTask = useCallback((fromTaskId, toTaskId) => {
-    if (fromTaskId === toTaskId) return; // Prevent self-linking
+    const validation = validateLink(tasks, fromTaskId, toTaskId);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
     
     setTasks((prev) =>
       prev.map((task) => {
@@ -328,7 +1505,7 @@ export function PlanningProvider({ children }) {
         return task;
       })
     );
-  }, []);
+  }, [tasks, setTasks]);
 
   /**
    * Unlink a task from another task
@@ -354,7 +1531,105 @@ export function PlanningProvider({ children }) {
         return task;
       })
     );
-  }, []);
+  }, [setTasks]);
+
+  /**
+   * Blocked state of all tasks
+   * 
+   * Object keyed by task ID with the IDs of its incomplete prerequisites.
+   * Only blocked tasks appear as keys.
+   */
+  const blockedTaskMap = useMemo(() => getBlockedTaskMap(tasks), [tasks]);
+
+  /**
+   * Check whether a task is blocked by incomplete prerequisites
+   * 
+   * @param {number} taskId - ID of the task
+   * @returns {boolean} True if at least one prerequisite is incomplete
+   */
+  const isTaskBlocked = useCallback(
+    (taskId) => Boolean(blockedTaskMap[taskId]),
+    [blockedTaskMap]
+  );
+
+  /**
+   * Get the incomplete prerequisites blocking a task
+   * 
+   * @param {number} taskId - ID of the task
+   * @returns {Array} Array of prerequisite task objects that are not completed yet
+   */
+  const getBlockingTasks = useCallback(
+    (taskId) => {
+      const blockerIds = blockedTaskMap[taskId] || [];
+      return tasks.filter((task) => blockerIds.includes(task.id));
+    },
+    [tasks, blockedTaskMap]
+  );
+
+  /**
+   * Start a focus session on a task
+   * 
+   * Starts time tracking on the task (stopping any other tracked task) and the
+   * countdown. A running focus session is replaced.
+   * 
+   * @param {number} taskId - ID of the task to focus on
+   * @param {number} minutes - Countdown length (see getFocusMinutes)
+   * @throws {Error} If the task does not exist, is completed or is blocked
+   */
+  const startFocus = useCallback((taskId, minutes) => {
+    const task = tasks.find((t) => t.id === taskId);
+    const validation = validateFocusTask(task, getBlockingTasks(taskId));
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    if (!isTracking(task)) {
+      startTimeTracking(taskId);
+    }
+    setFocusSession(createFocusSession(task, minutes));
+  }, [tasks, getBlockingTasks, startTimeTracking, setFocusSession]);
+
+  /**
+   * Add minutes to the running focus session
+   * 
+   * @param {number} [minutes] - Minutes to add (default FOCUS.EXTEND_MINUTES)
+   */
+  const extendFocus = useCallback((minutes) => {
+    setFocusSession((prev) => (prev ? extendFocusSession(prev, minutes) : prev));
+  }, [setFocusSession]);
+
+  /**
+   * End the running focus session
+   * 
+   * Stops time tracking on the task, so the elapsed time is logged to its
+   * actualTime.
+   * 
+   * @param {Object} [options] - End options
+   * @param {boolean} [options.complete=false] - Also mark the task as completed
+   */
+  const endFocus = useCallback(({ complete = false } = {}) => {
+    if (!focusSession) return;
+
+    const task = tasks.find((t) => t.id === focusSession.taskId);
+    if (task && complete && !task.completed) {
+      toggleTaskCompletion(task.id);
+    } else if (task) {
+      stopTimeTracking(task.id);
+    }
+    setFocusSession(null);
+  }, [focusSession, tasks, toggleTaskCompletion, stopTimeTracking, setFocusSession]);
+
+  /**
+   * Drop the focus session when its task was completed, cancelled or deleted elsewhere
+   */
+  useEffect(() => {
+    if (!isLoaded || !focusSession) return;
+
+    const task = tasks.find((t) => t.id === focusSession.taskId);
+    if (!task || isTaskClosed(task)) {
+      setFocusSession(null);
+    }
+  }, [isLoaded, focusSession, tasks, setFocusSession]);
 
   /**
    * Get a task by ID
@@ -410,24 +1685,111 @@ export function PlanningProvider({ children }) {
     return rootTasks.map(buildTree);
   }, [getRootTasks, getSubtasks]);
 
+  /**
+   * Critical path analysis of every root task
+   * 
+   * For each root task: longest RT chain, slack per task and whether its IDL
+   * is reachable with the available time from today on.
+   */
+  const criticalPaths = useMemo(() => {
+    return analyzeTaskTree(tasks, getRootTasks(), {
+      startDate: todayKey,
+      getAvailableTime: getAvailableTimeForDate,
+    });
+  }, [tasks, getRootTasks, getAvailableTimeForDate, todayKey]);
+
+  /**
+   * IDs of open tasks with zero slack (they decide when their root task can finish)
+   */
+  const zeroSlackTaskIds = useMemo(
+    () => getZeroSlackTaskIds(criticalPaths, tasks),
+    [criticalPaths, tasks]
+  );
+
   // Context value object - all state and functions exposed to consumers
   const value = {
     tasks, // Array of all tasks
-    availableTime, // Available free time in hours
-    setAvailableTime, // Function to update available time
+    isLoaded, // True once tasks and settings have been loaded from storage
+    loadDemoData, // Function to replace tasks with the example tasks
+    replaceTasks, // Function to replace all tasks (backup restore)
+    availableTime, // Available free time of today in hours
+    availability, // Available time per day { weekly, overrides }
+    getAvailableTimeForDate, // Function to get the available hours of a date
+    getAvailabilityDetails, // Function to get a date's hours, template hours and override flag
+    setAvailableTimeForDate, // Function to set (or clear with null) a date override
+    updateWeeklyAvailability, // Function to replace the weekly template
+    replaceAvailability, // Function to replace the whole availability (backup restore)
+    schedule, // Auto-distribution result (per-day allocations)
     addTask, // Function to add new task
     updateTask, // Function to update existing task
     deleteTask, // Function to delete task
     toggleTaskCompletion, // Function to toggle task completion
+    recurringSeries, // Recurring task series (template + recurrence rule)
+    addRecurringTask, // Function to add a recurring series
+    skipOccurrence, // Function to skip one occurrence (the series continues)
+    updateOccurrence, // Function to edit one occurrence or all future ones
+    deleteRecurringSeries, // Function to stop a series (removes its open future occurrences)
+    replaceRecurringSeries, // Function to replace all series (backup restore)
+    taskTemplates, // Saved task trees (templates)
+    saveTemplate, // Function to save a task and its subtasks as a template
+    createFromTemplate, // Function to create a template's task tree for a deadline
+    deleteTemplate, // Function to delete a template
+    replaceTemplates, // Function to replace all templates (backup restore)
+    setTaskStatus, // Function to move a task to another status (see TASK_STATUS.TRANSITIONS)
+    setTaskProgress, // Function to set the percent of a task's work done
+    hierarchyIssues, // Parents whose RT or IDL does not cover their subtasks
+    rollUpParentRT, // Function to set a parent's RT to its subtasks' RT
+    autoCompleteParents, // True if completing the last open subtask completes the parent
+    setAutoCompleteParents, // Function to turn parent auto-completion on or off
+    startTimeTracking, // Function to start a work session on a task (stops any other)
+    stopTimeTracking, // Function to stop a task's running work session
+    logTaskTime, // Function to log hours worked without the timer
+    calibration, // Estimated RT vs. tracked time (overall, per IL, per tag)
+    rtCorrectionEnabled, // True if RP applies the RT correction factor
+    setRtCorrectionEnabled, // Function to turn the RT correction on or off
+    rtCorrectionFactor, // Factor applied to RT in RP (1 when off or not enough data)
+    focusSession, // Running focus session { taskId, startedAt, endsAt, minutes, atomic } or null
+    startFocus, // Function to start a focus session (tracks time on the task)
+    extendFocus, // Function to add minutes to the focus session
+    endFocus, // Function to end the focus session (optionally completing the task)
     catastrophicWipeOut, // Function to execute CWA
+    previewCatastrophicWipeOut, // Function to preview what CWA would remove
+    undoCatastrophicWipeOut, // Function to revert a CWA within its grace window
+    cwaHistory, // CWA history log (newest first)
+    replaceCwaHistory, // Function to replace the CWA history (backup restore)
+    cwaPolicy, // CWA policy (surviving ILs, removal action, auto-trigger)
+    updateCwaPolicy, // Function to change the CWA policy
+    overloadStreak, // Consecutive days (up to today) with RP in the Overload zone
+    rpHistory, // Daily RP snapshots ('YYYY-MM-DD' → snapshot)
+    replaceRpHistory, // Function to replace the RP history (backup restore)
+    taskArchive, // Tasks archived by CWA
+    restoreFromArchive, // Function to move an archived task back into the task list
+    deleteFromArchive, // Function to permanently delete an archived task
+    replaceTaskArchive, // Function to replace the CWA archive (backup restore)
+    archiveTask, // Function to send a task and its subtasks to the CWA archive
     getTasksForDate, // Function to filter tasks by date
     getTodayTasks, // Function to get today's tasks
-    linkTask, // Function to link tasks
+    overdueTasks, // Open tasks whose IDL has passed (longest overdue first)
+    weekPlan, // Week plan confirmed in the weekly planning wizard (null if none)
+    replaceWeekPlan, // Function to replace the week plan (backup restore)
+    ritualLog, // Morning check-ins and evening shutdowns per day
+    replaceRitualLog, // Function to replace the ritual log (backup restore)
+    completeRitual, // Function to record today's morning check-in or evening shutdown
+    confirmWeekPlan, // Function to save the next WEEK_PLAN.DAYS days of the schedule as the week plan
+    moveOverdueTask, // Function to move a task to the first day with spare capacity (optionally from a later day)
+    splitOverdueTask, // Function to split a task across upcoming days with spare capacity
+    lowerTaskImportance, // Function to lower a task's IL by one level
+    linkTask, // Function to link tasks (prerequisite → dependent)
     unlinkTask, // Function to unlink tasks
+    blockedTaskMap, // Blocked task IDs mapped to their incomplete prerequisite IDs
+    isTaskBlocked, // Function to check if a task is blocked
+    getBlockingTasks, // Function to get a task's incomplete prerequisites
     getTaskById, // Function to get task by ID
     getRootTasks, // Function to get root tasks
     getSubtasks, // Function to get subtasks
     getTaskTree, // Function to get task tree structure
+    criticalPaths, // Critical path analysis per root task
+    zeroSlackTaskIds, // Set of task IDs on a critical path
   };
 
   return (
@@ -3,42 +3,103 @@
  * 
  * Displays:
  * - Realism Point (RP) metric: Load factor to determine if daily plan is feasible
+ * - Today's available time: editing it sets an override for today only
+ *   (the weekly template is configured in Availability Settings)
  * - Today's tasks sorted by Importance Level (IL) and Ideal Deadline (IDL)
+ *   (multi-day tasks show only today's slice from the Auto-Distribution Engine)
+ * - Week plan: Each day of the plan from the weekly planning wizard with its
+ *   planned RP; today's planned tasks (done or open) and tasks added outside
+ *   the plan
+ * - Ritual prompt: links to the morning check-in or evening shutdown when it
+ *   is due; after the check-in, today's top tasks are listed above the task list
+ * - Overdue badge: count of open tasks whose IDL has passed (they are not
+ *   planned on any day), linking to the overdue queue
+ * - Scheduling warnings: open tasks the Smoothing Logic could not plan (no
+ *   available time before their IDL) and atomic tasks whose block is longer
+ *   than the available time of its day
  * - Quick actions: Add Observation, CWA (Catastrophic Wipe Out)
+ * - CWA preview (removed tasks, RP before/after) and CWA history with undo
  * 
  * Realism Point Formula: RP = Total Required Time (RT) / Available Free Time
+ * - Planned RP: the whole day's plan (including tasks completed today)
+ * - Remaining RP: only the RT still open (completed tasks and time tracked today
+ *   are subtracted), so it falls as the day's work gets done
  * - Safe Zone (RP < 0.8): Plan is realistic with good buffer
  * - Risky Zone (0.8 ≤ RP < 1.0): Tight schedule, requires focus
  * - Overload (RP ≥ 1.0): Impossible, immediate action required
  */
 
-import { useMemo } from 'react';
+import { useMemo, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { usePlanning } from '../../../features/planing/PlanningContext';
 import { ROUTES } from '../../../config/routes';
-import { RP_LIMITS, IMPORTANCE } from '../../../config/constants';
-import { calculateRealismPoint, getRPStatus } from '../../../config/functions/realismPoint';
-import { calculateTotalRT } from '../../../config/functions/rtCalculations';
+import { RP_LIMITS, AVAILABILITY, RITUALS } from '../../../config/constants';
+import {
+  calculateRealismPoint,
+  calculateRemainingRealismPoint,
+  getRPStatus,
+  formatRP,
+} from '../../../config/functions/realismPoint';
+import { calculateTotalRT, calculateRemainingRT } from '../../../config/functions/rtCalculations';
+import { isValidAvailableHours } from '../../../config/functions/availability';
 import { getImportanceLabel, getImportanceColor } from '../../../config/functions/importanceLevel';
 import { sortTasksByPriority } from '../../../config/functions/taskSorting';
+import { isWeekPlanCurrent, getWeekPlanDay, comparePlanDay } from '../../../config/functions/weekPlan';
+import { getDueRitual, getRitualDay } from '../../../config/functions/rituals';
+import { isSameDay, startOfDay } from '../../../config/functions/dateHelpers';
 import PageHeader from '../../../components/ui/PageHeader';
 import Card from '../../../components/ui/Card';
 import StatCard from '../../../components/ui/StatCard';
 import SummaryGrid from '../../../components/ui/SummaryGrid';
 import TaskList from '../../../components/tasks/TaskList';
+import WipeOutPreview from '../../../components/tasks/WipeOutPreview';
+import WipeOutHistory from '../../../components/tasks/WipeOutHistory';
 import './Dashboard.scss';
 
 export default function Dashboard() {
   // Get planning context functions and state
-  const { tasks, availableTime, setAvailableTime, getTodayTasks, catastrophicWipeOut } = usePlanning();
+  const {
+    availableTime,
+    getAvailabilityDetails,
+    setAvailableTimeForDate,
+    getTodayTasks,
+    rtCorrectionFactor,
+    catastrophicWipeOut,
+    previewCatastrophicWipeOut,
+    cwaHistory,
+    overdueTasks,
+    schedule,
+    tasks,
+    weekPlan,
+    ritualLog,
+  } = usePlanning();
+
+  // CWA preview shown before the wipe is executed (null when closed)
+  const [wipePreview, setWipePreview] = useState(null);
   
+  // Today's available time: template hours and whether today has an override
+  const todayAvailability = getAvailabilityDetails(new Date());
+
+  // Edit today's available time (stored as an override of the weekly template)
+  const handleAvailableTimeChange = (value) => {
+    const hours = parseFloat(value) || 0;
+    if (isValidAvailableHours(hours)) {
+      setAvailableTimeForDate(new Date(), hours);
+    }
+  };
+
   // Get today's tasks - memoized to avoid recalculation on every render
   const todayTasks = useMemo(() => getTodayTasks(), [getTodayTasks]);
 
-  // Calculate Realism Point (RP)
+  // Calculate Realism Point (RP) of the planned day
   const realismPoint = useMemo(() => {
-    return calculateRealismPoint(todayTasks, availableTime);
-  }, [todayTasks, availableTime]);
+    return calculateRealismPoint(todayTasks, availableTime, rtCorrectionFactor);
+  }, [todayTasks, availableTime, rtCorrectionFactor]);
+
+  // Remaining RP: only the work still open today
+  const remainingRealismPoint = useMemo(() => {
+    return calculateRemainingRealismPoint(todayTasks, availableTime, rtCorrectionFactor);
+  }, [todayTasks, availableTime, rtCorrectionFactor]);
 
   // Get RP status
   const rpStatus = useMemo(() => {
@@ -50,34 +111,99 @@ export default function Dashboard() {
     return sortTasksByPriority(todayTasks);
   }, [todayTasks]);
 
-  // Calculate total RT
+  // Calculate total (planned) and remaining RT
   const totalRT = useMemo(() => {
     return calculateTotalRT(todayTasks);
   }, [todayTasks]);
 
+  const remainingRT = useMemo(() => {
+    return calculateRemainingRT(todayTasks);
+  }, [todayTasks]);
+
+  // Status color of the remaining RP
+  const remainingRPStatus = getRPStatus(remainingRealismPoint);
+
+  // Today compared with the week plan (null without a plan covering today)
+  const planComparison = useMemo(() => {
+    const planDay = isWeekPlanCurrent(weekPlan) ? getWeekPlanDay(weekPlan, new Date()) : null;
+    return planDay ? comparePlanDay(planDay, tasks, todayTasks) : null;
+  }, [weekPlan, tasks, todayTasks]);
+
+  // Tasks the Smoothing Logic could not plan (overdue tasks have their own badge)
+  // and atomic tasks whose block does not fit into its day
+  const schedulingIssues = useMemo(() => {
+    const overdueIds = new Set(overdueTasks.map((task) => task.id));
+    const findTasks = (ids) => ids.map((id) => tasks.find((task) => task.id === id)).filter(Boolean);
+    return {
+      unscheduled: findTasks(schedule.unscheduled.filter((id) => !overdueIds.has(id))),
+      oversizedAtomic: findTasks(schedule.oversizedAtomic),
+    };
+  }, [schedule, overdueTasks, tasks]);
+
+  // Ritual due now (null if none) and the top tasks chosen at today's check-in
+  const dueRitual = getDueRitual(ritualLog);
+  const morningCheckIn = getRitualDay(ritualLog).morning;
+  const topTasks = morningCheckIn
+    ? morningCheckIn.topTaskIds.map((id) => tasks.find((task) => task.id === id)).filter(Boolean)
+    : [];
+
   const rpStats = [
-    { label: 'Total Required Time', value: `${totalRT.toFixed(1)}h`, className: 'dashboard-stat-card dashboard-stat-card--rt' },
+    {
+      label: 'Planned Required Time',
+      value: (
+        <div>
+          {totalRT.toFixed(1)}h
+          <p className="text-sm text--gray-500">{remainingRT.toFixed(1)}h remaining</p>
+        </div>
+      ),
+      className: 'dashboard-stat-card dashboard-stat-card--rt',
+    },
     { 
-      label: 'Available Time', 
+      label: 'Available Time Today', 
       value: (
-        <div className="flex items-center gap-2">
-          <input
-            type="number"
-            value={availableTime}
-            onChange={(e) => setAvailableTime(parseFloat(e.target.value) || 0)}
-            className="form__input"
-            style={{ width: '80px', fontSize: '1.125rem', fontWeight: '700' }}
-            min="0"
-            step="0.5"
-          />
-          <span className="text--gray-600">hours</span>
+        <div>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              value={availableTime}
+              onChange={(e) => handleAvailableTimeChange(e.target.value)}
+              className="form__input"
+              style={{ width: '80px', fontSize: '1.125rem', fontWeight: '700' }}
+              min="0"
+              max={AVAILABILITY.MAX_HOURS_PER_DAY}
+              step="0.5"
+            />
+            <span className="text--gray-600">hours</span>
+          </div>
+          <p className="text-sm text--gray-500 dashboard__availability-note">
+            {todayAvailability.isOverride ? (
+              <>
+                Today only (template: {todayAvailability.templateHours}h) ·{' '}
+                <button
+                  type="button"
+                  onClick={() => setAvailableTimeForDate(new Date(), null)}
+                  className="dashboard__availability-reset"
+                >
+                  Reset
+                </button>
+              </>
+            ) : (
+              <Link to={ROUTES.SETTINGS.AVAILABILITY}>From weekly template</Link>
+            )}
+          </p>
         </div>
       ),
       className: 'dashboard-stat-card dashboard-stat-card--available'
     },
     { 
-      label: 'Realism Point', 
-      value: <span className={rpStatus.textColor}>{realismPoint.toFixed(2)}</span>,
+      label: 'Realism Point (planned / remaining)', 
+      value: (
+        <span>
+          <span className={rpStatus.textColor}>{formatRP(realismPoint)}</span>
+          <span className="text--gray-500"> / </span>
+          <span className={remainingRPStatus.textColor}>{formatRP(remainingRealismPoint)}</span>
+        </span>
+      ),
       className: 'dashboard-stat-card dashboard-stat-card--rp'
     },
   ];
@@ -89,6 +215,20 @@ export default function Dashboard() {
         subtitle="Monitor your daily plan feasibility with Realism Point (RP)"
       />
 
+      {/* Ritual Prompt */}
+      {dueRitual && (
+        <div className="dashboard__ritual">
+          <p className="text--gray-900">
+            {dueRitual === RITUALS.TYPES.MORNING
+              ? '☀️ Start with the morning check-in: confirm your time, pick your top tasks, check what is blocked.'
+              : '🌙 Time for the evening shutdown: mark completions, log your time, move what is left.'}
+          </p>
+          <Link to={`${ROUTES.PLANNING.DAILY_RITUALS}?ritual=${dueRitual}`} className="btn btn--primary">
+            {dueRitual === RITUALS.TYPES.MORNING ? 'Morning Check-in' : 'Evening Shutdown'}
+          </Link>
+        </div>
+      )}
+
       {/* Realism Point Card */}
       <Card
         header={
@@ -121,19 +261,124 @@ export default function Dashboard() {
               ✓ Plan is realistic with good buffer time.
             </p>
           )}
+          {remainingRT < totalRT && (
+            <p className="text-sm text--gray-500 mt-2">
+              {(totalRT - remainingRT).toFixed(1)}h of today's plan is done; the remaining work puts RP at{' '}
+              {formatRP(remainingRealismPoint)} ({remainingRPStatus.label}).
+            </p>
+          )}
+          {rtCorrectionFactor !== 1 && (
+            <p className="text-sm text--gray-500 mt-2">
+              RP uses calibrated RT (estimates × {rtCorrectionFactor.toFixed(2)}, see{' '}
+              <Link to={ROUTES.PLANNING.CALIBRATION}>Estimate Calibration</Link>).
+            </p>
+          )}
         </div>
       </Card>
 
+      {/* Week Plan */}
+      <Card
+        header={
+          <div className="card__header">
+            <h2 className="card__title">This Week's Plan</h2>
+            <Link to={ROUTES.PLANNING.WEEKLY_PLANNING} className="btn btn--secondary">
+              {planComparison ? 'Replan' : 'Plan the Week'}
+            </Link>
+          </div>
+        }
+      >
+        {planComparison ? (
+          <>
+            <ul className="dashboard__week">
+              {weekPlan.days.map((day) => {
+                const status = getRPStatus(day.rp);
+                return (
+                  <li
+                    key={day.date}
+                    className={`dashboard__week-day ${isSameDay(day.date, new Date()) ? 'dashboard__week-day--today' : ''}`}
+                  >
+                    <span className="text-sm text--gray-600">
+                      {startOfDay(day.date).toLocaleDateString(undefined, { weekday: 'short' })}
+                    </span>
+                    <span className={`font-semibold ${status.textColor}`}>{formatRP(day.rp)}</span>
+                    <span className="text-xs text--gray-500">{day.totalRT.toFixed(1)}h</span>
+                  </li>
+                );
+              })}
+            </ul>
+            <p className="text-sm text--gray-600 mt-4">
+              Today: {planComparison.doneRT.toFixed(1)}h of {planComparison.plannedRT.toFixed(1)}h planned is done.
+            </p>
+            <ul className="space-y-2 mt-2">
+              {planComparison.planned.map((slice) => (
+                <li key={slice.taskId} className={slice.done ? 'text--gray-500' : 'text--gray-900'}>
+                  {slice.done ? '✅' : '⬜'} {slice.title} · {slice.hours.toFixed(1)}h
+                  {!slice.task && ' (deleted)'}
+                </li>
+              ))}
+            </ul>
+            {planComparison.unplanned.length > 0 && (
+              <p className="text-sm text--yellow-600 mt-2">
+                ➕ Not in the plan: {planComparison.unplanned.map((task) => task.title).join(', ')}
+              </p>
+            )}
+          </>
+        ) : (
+          <p className="text--gray-500">
+            No week plan for today. The weekly planning wizard reviews last week and plans the next days in
+            about 10 minutes.
+          </p>
+        )}
+      </Card>
+
       {/* Tasks List */}
       <Card
         header={
           <div className="card__header">
             <h2 className="card__title">Today's Tasks</h2>
+            {overdueTasks.length > 0 && (
+              <Link to={ROUTES.PLANNING.OVERDUE} className="badge badge--red">
+                ⏰ {overdueTasks.length} overdue
+              </Link>
+            )}
           </div>
         }
       >
+        {(schedulingIssues.unscheduled.length > 0 || schedulingIssues.oversizedAtomic.length > 0) && (
+          <div className="dashboard__schedule-issues mb-4">
+            {schedulingIssues.unscheduled.length > 0 && (
+              <p className="text-sm text--red-600">
+                ⚠️ Not planned on any day (no available time before the IDL):{' '}
+                {schedulingIssues.unscheduled.map((task) => task.title).join(', ')}
+              </p>
+            )}
+            {schedulingIssues.oversizedAtomic.length > 0 && (
+              <p className="text-sm text--yellow-600">
+                ⚠️ Atomic block longer than the available time of its day:{' '}
+                {schedulingIssues.oversizedAtomic.map((task) => task.title).join(', ')}
+              </p>
+            )}
+            <p className="text-sm text--gray-500 mt-2">
+              Move the IDL, split the task or add time in{' '}
+              <Link to={ROUTES.SETTINGS.AVAILABILITY}>Availability Settings</Link>.
+            </p>
+          </div>
+        )}
+        {topTasks.length > 0 && (
+          <div className="mb-4">
+            <p className="text-sm text--gray-600">Top tasks from the morning check-in:</p>
+            <ul className="space-y-2 mt-2">
+              {topTasks.map((task) => (
+                <li key={task.id} className={task.completed ? 'text--gray-500' : 'text--gray-900'}>
+                  {task.completed ? '✅' : '⭐'} {task.title}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
         <TaskList
           tasks={sortedTasks}
+          showSubtasks={false}
           emptyMessage="No tasks scheduled for today."
         />
       </Card>
@@ -150,30 +395,45 @@ export default function Dashboard() {
         <button
           className="btn btn--danger btn--full"
           onClick={() => {
-            // Count non-critical tasks (IL > MUST) that will be removed
-            const nonCriticalTasks = tasks.filter((task) => task.il !== IMPORTANCE.MUST);
+            // Preview what CWA would remove before anything is deleted
+            const preview = previewCatastrophicWipeOut();
             
-            // Prevent execution if there are no non-critical tasks
-            if (nonCriticalTasks.length === 0) {
-              alert('No non-critical tasks to wipe. All tasks are marked as MUST (Level 1).');
+            // Prevent execution if every task survives the CWA policy
+            if (preview.removed.length === 0) {
+              alert('No tasks to wipe. Every task survives the current CWA policy (see Emergency Settings).');
               return;
             }
-            
-            // Confirm before executing CWA (destructive action)
-            if (
-              window.confirm(
-                `Are you sure you want to trigger CWA?\n\nThis will permanently delete ${nonCriticalTasks.length} non-critical task(s) and keep only MUST (Level 1) tasks.\n\nThis action cannot be undone!`
-              )
-            ) {
-              // Execute CWA: remove all non-critical tasks
-              catastrophicWipeOut();
-              alert(`CWA executed. ${nonCriticalTasks.length} non-critical task(s) removed. Only critical tasks remain.`);
-            }
+            setWipePreview(preview);
           }}
         >
           🚨 CWA (Catastrophic Wipe Out)
         </button>
       </div>
+
+      {/* CWA preview (confirmation step) */}
+      {wipePreview && (
+        <div className="mt-6">
+          <WipeOutPreview
+            preview={wipePreview}
+            onConfirm={() => {
+              // Execute CWA with the current policy (undoable from the history)
+              const entry = catastrophicWipeOut();
+              setWipePreview(null);
+              if (entry) {
+                alert(`CWA executed. ${entry.removed.length} task(s) affected. You can undo it from the CWA history.`);
+              }
+            }}
+            onCancel={() => setWipePreview(null)}
+          />
+        </div>
+      )}
+
+      {/* CWA history with undo */}
+      {cwaHistory.length > 0 && (
+        <div className="mt-6">
+          <WipeOutHistory limit={5} />
+        </div>
+      )}
     </div>
   );
 }
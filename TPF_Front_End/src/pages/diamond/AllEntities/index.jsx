@@ -7,8 +7,8 @@
 import { useState, useMemo } from 'react';
 import { useDiamond } from '../../../features/diamond/DiamondContext';
 import { useNavigate } from 'react-router-dom';
-import { ENTITY_LEVELS } from '../../../config/constants';
 import { ROUTES } from '../../../config/routes';
+import { getEntityLevelLabel, getEntityLevelColor } from '../../../config/functions/entityLevel';
 import PageHeader from '../../../components/ui/PageHeader';
 import Card from '../../../components/ui/Card';
 import SummaryGrid from '../../../components/ui/SummaryGrid';
@@ -46,28 +46,6 @@ export default function AllEntities() {
     });
   }, [entities, levelFilter, typeFilter]);
 
-  const getLevelColor = (levelId) => {
-    const colors = {
-      1: 'badge badge--red',
-      2: 'badge badge--orange',
-      3: 'badge badge--yellow',
-      4: 'badge badge--gray',
-      5: 'badge badge--gray',
-    };
-    return colors[levelId] || 'badge badge--gray';
-  };
-
-  const getLevelLabel = (levelId) => {
-    const levels = {
-      1: ENTITY_LEVELS.LEVEL_1.label,
-      2: ENTITY_LEVELS.LEVEL_2.label,
-      3: ENTITY_LEVELS.LEVEL_3.label,
-      4: ENTITY_LEVELS.LEVEL_4.label,
-      5: ENTITY_LEVELS.LEVEL_5.label,
-    };
-    return levels[levelId] || 'Unknown';
-  };
-
   const handleDelete = (entityId) => {
     if (window.confirm('Are you sure you want to delete this entity?')) {
       deleteEntity(entityId);
@@ -182,8 +160,8 @@ export default function AllEntities() {
                     </div>
                   </div>
                   <div className="flex items-center gap-2">
-                    <span className={getLevelColor(entity.level)}>
-                      Level {entity.level} - {getLevelLabel(entity.level)}
+                    <span className={getEntityLevelColor(entity.level)}>
+                      Level {entity.level} - {getEntityLevelLabel(entity.level)}
                     </span>
                     <button
                       onClick={() => navigate(`${ROUTES.DIAMOND.DIAGRAM}?entity=${entity.id}`)}
@@ -28,6 +28,10 @@
 import { useState, useMemo } from 'react';
 import { useDiamond } from '../../features/diamond/DiamondContext';
 import { ENTITY_LEVELS } from '../../config/constants';
+import {
+  getEntityLevelSurfaceColor,
+  getEntityLevelMarkerColor,
+} from '../../config/functions/entityLevel';
 import './DiamondSystem.scss';
 
 export default function DiamondSystem() {
@@ -55,28 +59,6 @@ export default function DiamondSystem() {
 
   const stats = getStatistics;
 
-  const getLevelColor = (levelId) => {
-    const colors = {
-      1: 'bg-red-100 border-red-300 text-red-800',
-      2: 'bg-orange-100 border-orange-300 text-orange-800',
-      3: 'bg-yellow-100 border-yellow-300 text-yellow-800',
-      4: 'bg-gray-100 border-gray-300 text-gray-800',
-      5: 'bg-black border-black text-white',
-    };
-    return colors[levelId] || colors[4];
-  };
-
-  const getLevelBadgeColor = (levelId) => {
-    const colors = {
-      1: 'bg-red-500',
-      2: 'bg-orange-500',
-      3: 'bg-yellow-500',
-      4: 'bg-gray-500',
-      5: 'bg-black',
-    };
-    return colors[levelId] || colors[4];
-  };
-
   const handleOpenForm = (entity = null, level = null) => {
     if (entity) {
       setEditingEntity(entity);
@@ -213,14 +195,14 @@ export default function DiamondSystem() {
             return (
               <div
                 key={levelId}
-                className={`border border--2 rounded-lg p-4 ${getLevelColor(levelId)}`}
+                className={`border border--2 rounded-lg p-4 ${getEntityLevelSurfaceColor(levelId)}`}
               >
                 <div className="flex justify-between items-center mb-3">
                   <div className="flex items-center gap-3">
                     <span
-                      className={`w-8 h-8 rounded-full ${getLevelBadgeColor(
+                      className={`w-8 h-8 rounded-full ${getEntityLevelMarkerColor(
                         levelId
-                      )} flex items-center justify-center text-white font-bold`}
+                      )} flex items-center justify-center font-bold`}
                     >
                       {levelId}
                     </span>
@@ -11,6 +11,7 @@ import { usePlanning } from '../../../features/planing/PlanningContext';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { IMPORTANCE } from '../../../config/constants';
 import { ROUTES } from '../../../config/routes';
+import AtomicTaskField from '../../../components/tasks/AtomicTaskField';
 import './ObservationsAnalysis.scss';
 
 export default function ObservationsAnalysis() {
@@ -34,6 +35,7 @@ export default function ObservationsAnalysis() {
     rt: '',
     idl: new Date().toISOString().slice(0, 16),
     il: IMPORTANCE.MEDIUM,
+    atomic: false,
   });
 
   useEffect(() => {
@@ -48,6 +50,7 @@ export default function ObservationsAnalysis() {
         rt: '',
         idl: new Date().toISOString().slice(0, 16),
         il: IMPORTANCE.MEDIUM,
+        atomic: false,
       });
     }
   }, [observation]);
@@ -85,6 +88,7 @@ export default function ObservationsAnalysis() {
       rt: parseFloat(taskFormData.rt),
       idl: new Date(taskFormData.idl),
       il: parseInt(taskFormData.il),
+      atomic: taskFormData.atomic,
     });
 
     convertToTask(observation.id, newTask.id);
@@ -193,6 +197,11 @@ export default function ObservationsAnalysis() {
                   <option value={IMPORTANCE.OPTIONAL}>Level 4 - Optional (Mood-dependent)</option>
                 </select>
               </div>
+              <AtomicTaskField
+                id="convert-atomic"
+                checked={taskFormData.atomic}
+                onChange={(atomic) => setTaskFormData({ ...taskFormData, atomic })}
+              />
             </div>
             <div className="flex gap-3 mt-6">
               <button type="submit" className="btn btn--success" style={{ flex: 1 }}>
@@ -3,7 +3,14 @@
  * 
  * Features:
  * - Form to add new tasks with all properties
- * - Support for creating root tasks or subtasks
+ * - Support for creating root tasks or subtasks (warns when the subtask is due
+ *   after its parent or its RT exceeds what the parent's RT leaves)
+ * - Atomic (non-dividable) toggle for tasks that need one continuous block
+ * - Optional tags (used by the estimate calibration per tag)
+ * - Repeat: Creates a recurring series instead of a single task (the first
+ *   occurrence replaces the IDL)
+ * - From template: Creates a saved task tree (see Task Tree View) for a target
+ *   deadline; subtask IDLs keep their offsets from the root's IDL
  * - Automatic redirect after successful creation
  */
 
@@ -14,28 +21,52 @@ import { IMPORTANCE } from '../../../config/constants';
 import { ROUTES } from '../../../config/routes';
 import { getImportanceLabel } from '../../../config/functions/importanceLevel';
 import { filterRootTasks } from '../../../config/functions/taskFilters';
+import { createRecurrenceForm, recurrenceFormToRule } from '../../../config/functions/recurrence';
+import { getTemplateSummary } from '../../../config/functions/templates';
+import { getSubtasksRT, getSubtaskDeadlineWarning } from '../../../config/functions/taskHierarchy';
+import RecurrenceFields from '../../../components/tasks/RecurrenceFields';
+import AtomicTaskField from '../../../components/tasks/AtomicTaskField';
 import './AddTask.scss';
 
 export default function AddTask() {
-  const { tasks, addTask } = usePlanning();
+  const { tasks, addTask, addRecurringTask, taskTemplates, createFromTemplate } = usePlanning();
   const navigate = useNavigate();
   const [formData, setFormData] = useState({
     title: '',
     rt: '',
     idl: new Date().toISOString().slice(0, 16),
     il: IMPORTANCE.MEDIUM,
+    atomic: false,
+    tags: '',
     parentTaskId: '',
+    repeat: false,
   });
+  const [recurrence, setRecurrence] = useState(() => createRecurrenceForm());
+  // Template form: chosen template and the deadline of its root task
+  const [templateId, setTemplateId] = useState('');
+  const [templateDeadline, setTemplateDeadline] = useState(new Date().toISOString().slice(0, 16));
+
+  const selectedTemplate = taskTemplates.find((template) => String(template.id) === templateId) || null;
+  const templateSummary = selectedTemplate ? getTemplateSummary(selectedTemplate) : null;
 
   // Get root tasks for parent selection
   const availableParentTasks = useMemo(() => {
     return filterRootTasks(tasks);
   }, [tasks]);
 
+  // Parent rules for a new subtask: IDL no later than the parent's, RT within the parent's RT
+  const selectedParent = tasks.find((task) => String(task.id) === String(formData.parentTaskId)) || null;
+  const deadlineWarning = getSubtaskDeadlineWarning(selectedParent, formData.idl);
+  const subtasksRT = selectedParent ? getSubtasksRT(selectedParent, tasks) + (parseFloat(formData.rt) || 0) : 0;
+  const rtWarning =
+    selectedParent && selectedParent.rt > 0 && subtasksRT > selectedParent.rt
+      ? `The parent has ${selectedParent.rt}h RT but its subtasks would need ${subtasksRT}h.`
+      : null;
+
   const handleSubmit = (e) => {
     e.preventDefault();
 
-    if (!formData.title.trim() || !formData.rt || !formData.idl) {
+    if (!formData.title.trim() || !formData.rt || (!formData.idl && !formData.repeat)) {
       alert('Please fill in all required fields');
       return;
     }
@@ -45,9 +76,26 @@ export default function AddTask() {
       rt: parseFloat(formData.rt),
       idl: new Date(formData.idl),
       il: parseInt(formData.il),
+      atomic: formData.atomic,
+      tags: formData.tags
+        .split(',')
+        .map((tag) => tag.trim())
+        .filter((tag) => tag.length > 0),
       parentTaskId: formData.parentTaskId ? parseFloat(formData.parentTaskId) : null,
     };
 
+    if (formData.repeat) {
+      try {
+        addRecurringTask(taskData, recurrenceFormToRule(recurrence));
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
+      alert('Recurring task added successfully!');
+      navigate(ROUTES.PLANNING.RECURRING);
+      return;
+    }
+
     addTask(taskData);
     alert('Task added successfully!');
     
@@ -59,6 +107,23 @@ export default function AddTask() {
     }
   };
 
+  const handleCreateFromTemplate = (e) => {
+    e.preventDefault();
+    if (!selectedTemplate) {
+      alert('Choose a template');
+      return;
+    }
+
+    try {
+      createFromTemplate(selectedTemplate.id, templateDeadline);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    alert(`Created "${selectedTemplate.name}" from template!`);
+    navigate(ROUTES.PLANNING.ALL_TASKS);
+  };
+
   return (
     <div className="page">
       <div className="page__header">
@@ -66,6 +131,49 @@ export default function AddTask() {
         <p className="page__subtitle">Create a new task with its properties</p>
       </div>
 
+      {taskTemplates.length > 0 && (
+        <div className="card mb-6" style={{ maxWidth: '600px', margin: '0 auto 1.5rem' }}>
+          <h2 className="card__title">Start from a Template</h2>
+          <form onSubmit={handleCreateFromTemplate} className="space-y-4">
+            <div className="form__group">
+              <label htmlFor="templateId" className="form__label">Template</label>
+              <select
+                id="templateId"
+                value={templateId}
+                onChange={(e) => setTemplateId(e.target.value)}
+                className="form__select"
+              >
+                <option value="">Choose a template...</option>
+                {taskTemplates.map((template) => (
+                  <option key={template.id} value={template.id}>
+                    {template.name}
+                  </option>
+                ))}
+              </select>
+              {templateSummary && (
+                <p className="text-xs text--gray-500 mt-1">
+                  {templateSummary.taskCount} task(s) · {templateSummary.totalRT}h RT
+                  {templateSummary.leadDays > 0 && ` · starts ${templateSummary.leadDays} day(s) before the deadline`}
+                </p>
+              )}
+            </div>
+            <div className="form__group">
+              <label htmlFor="templateDeadline" className="form__label">Deadline (IDL of the root task)</label>
+              <input
+                type="datetime-local"
+                id="templateDeadline"
+                value={templateDeadline}
+                onChange={(e) => setTemplateDeadline(e.target.value)}
+                className="form__input"
+              />
+            </div>
+            <button type="submit" className="btn btn--primary">
+              Create from Template
+            </button>
+          </form>
+        </div>
+      )}
+
       <div className="card" style={{ maxWidth: '600px', margin: '0 auto' }}>
         <form onSubmit={handleSubmit}>
           <div className="space-y-4">
@@ -102,19 +210,39 @@ export default function AddTask() {
             </div>
 
             <div className="form__group">
-              <label htmlFor="idl" className="form__label">
-                Ideal Deadline (IDL) *
+              <label className="form__label mb-0 flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  id="repeat"
+                  checked={formData.repeat}
+                  onChange={(e) => setFormData({ ...formData, repeat: e.target.checked, parentTaskId: '' })}
+                  className="form__checkbox"
+                />
+                <span>Repeat (gym, weekly review, ...)</span>
               </label>
-              <input
-                type="datetime-local"
-                id="idl"
-                value={formData.idl}
-                onChange={(e) => setFormData({ ...formData, idl: e.target.value })}
-                className="form__input"
-                required
-              />
+              <p className="text-xs text--gray-500 mt-1">
+                Each occurrence becomes a task on its day. Completing or skipping one keeps the series going.
+              </p>
             </div>
 
+            {formData.repeat ? (
+              <RecurrenceFields value={recurrence} onChange={setRecurrence} />
+            ) : (
+              <div className="form__group">
+                <label htmlFor="idl" className="form__label">
+                  Ideal Deadline (IDL) *
+                </label>
+                <input
+                  type="datetime-local"
+                  id="idl"
+                  value={formData.idl}
+                  onChange={(e) => setFormData({ ...formData, idl: e.target.value })}
+                  className="form__input"
+                  required
+                />
+              </div>
+            )}
+
             <div className="form__group">
               <label htmlFor="il" className="form__label">
                 Importance Level (IL) *
@@ -133,24 +261,46 @@ export default function AddTask() {
               </select>
             </div>
 
+            <AtomicTaskField
+              id="atomic"
+              checked={formData.atomic}
+              onChange={(atomic) => setFormData({ ...formData, atomic })}
+            />
+
             <div className="form__group">
-              <label htmlFor="parentTaskId" className="form__label">
-                Parent Task (Optional - for subtasks)
-              </label>
-              <select
-                id="parentTaskId"
-                value={formData.parentTaskId}
-                onChange={(e) => setFormData({ ...formData, parentTaskId: e.target.value })}
-                className="form__select"
-              >
-                <option value="">None (Root Task)</option>
-                {availableParentTasks.map((task) => (
-                  <option key={task.id} value={task.id}>
-                    {task.title} ({getImportanceLabel(task.il)})
-                  </option>
-                ))}
-              </select>
+              <label htmlFor="tags" className="form__label">Tags (comma-separated, optional)</label>
+              <input
+                type="text"
+                id="tags"
+                value={formData.tags}
+                onChange={(e) => setFormData({ ...formData, tags: e.target.value })}
+                className="form__input"
+                placeholder="study, work, admin"
+              />
             </div>
+
+            {!formData.repeat && (
+              <div className="form__group">
+                <label htmlFor="parentTaskId" className="form__label">
+                  Parent Task (Optional - for subtasks)
+                </label>
+                <select
+                  id="parentTaskId"
+                  value={formData.parentTaskId}
+                  onChange={(e) => setFormData({ ...formData, parentTaskId: e.target.value })}
+                  className="form__select"
+                >
+                  <option value="">None (Root Task)</option>
+                  {availableParentTasks.map((task) => (
+                    <option key={task.id} value={task.id}>
+                      {task.title} ({getImportanceLabel(task.il)})
+                    </option>
+                  ))}
+                </select>
+                {deadlineWarning && <p className="text-sm text--yellow-600 mt-1">⚠️ {deadlineWarning}</p>}
+                {rtWarning && <p className="text-sm text--yellow-600 mt-1">⚠️ {rtWarning}</p>}
+              </div>
+            )}
           </div>
 
           <div className="flex gap-3 mt-6">
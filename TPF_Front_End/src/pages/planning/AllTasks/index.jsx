@@ -7,14 +7,20 @@
  * - Edit and delete tasks
  * - View subtasks
  * - Filter by importance level
+ * - Filter by status (Pending, In Progress, Blocked, ...)
  */
 
 import { useState, useMemo } from 'react';
 import { usePlanning } from '../../../features/planing/PlanningContext';
 import { useNavigate } from 'react-router-dom';
 import { ROUTES } from '../../../config/routes';
-import { IMPORTANCE } from '../../../config/constants';
-import { filterTasksByImportance, filterRootTasks } from '../../../config/functions/taskFilters';
+import { IMPORTANCE, TASK_STATUS } from '../../../config/constants';
+import {
+  filterTasksByImportance,
+  filterRootTasks,
+  filterTasksByStatus,
+} from '../../../config/functions/taskFilters';
+import { getStatusLabel } from '../../../config/functions/taskStatus';
 import { calculateTotalRT } from '../../../config/functions/rtCalculations';
 import { sortTasksByPriority } from '../../../config/functions/taskSorting';
 import PageHeader from '../../../components/ui/PageHeader';
@@ -29,6 +35,7 @@ export default function AllTasks() {
   const { tasks, deleteTask } = usePlanning();
   const navigate = useNavigate();
   const [selectedIL, setSelectedIL] = useState(null);
+  const [selectedStatus, setSelectedStatus] = useState(null);
   const [showCompleted, setShowCompleted] = useState(true);
 
   // Filter and sort tasks
@@ -39,13 +46,17 @@ export default function AllTasks() {
       filtered = filterTasksByImportance(filtered, selectedIL);
     }
 
+    if (selectedStatus !== null) {
+      filtered = filterTasksByStatus(filtered, selectedStatus);
+    }
+
     // Filter out completed tasks if showCompleted is false
     if (!showCompleted) {
       filtered = filtered.filter(task => !task.completed);
     }
 
     return sortTasksByPriority(filtered);
-  }, [tasks, selectedIL, showCompleted]);
+  }, [tasks, selectedIL, selectedStatus, showCompleted]);
 
   const handleDelete = (taskId) => {
     if (window.confirm('Are you sure you want to delete this task? All subtasks will also be deleted.')) {
@@ -113,6 +124,21 @@ export default function AllTasks() {
             <option value={IMPORTANCE.MEDIUM}>Level 3 - Medium</option>
             <option value={IMPORTANCE.OPTIONAL}>Level 4 - Optional</option>
           </select>
+
+          <label className="form__label mb-0">Status:</label>
+          <select
+            value={selectedStatus === null ? '' : selectedStatus}
+            onChange={(e) => setSelectedStatus(e.target.value === '' ? null : e.target.value)}
+            className="form__select"
+            style={{ width: 'auto', minWidth: '160px' }}
+          >
+            <option value="">All Statuses</option>
+            {Object.values(TASK_STATUS.VALUES).map((status) => (
+              <option key={status} value={status}>
+                {getStatusLabel(status)}
+              </option>
+            ))}
+          </select>
           
           <label className="form__label mb-0 flex items-center gap-2">
             <input
@@ -134,7 +160,9 @@ export default function AllTasks() {
         <TaskList
           tasks={filteredTasks}
           actions={taskActions}
-          emptyMessage={selectedIL === null ? 'No tasks yet' : 'No tasks with selected importance level'}
+          emptyMessage={
+            selectedIL === null && selectedStatus === null ? 'No tasks yet' : 'No tasks match the selected filters'
+          }
           emptyAction={
             <button
               onClick={() => navigate(ROUTES.PLANNING.ADD_TASK)}
@@ -0,0 +1,207 @@
+/**
+ * Calendar - Month and week views of the tasks
+ *
+ * Every task is placed on the day of its Ideal Deadline (IDL). Each day shows
+ * the RT the Smoothing Logic planned for it and is tinted by its RP zone.
+ *
+ * - Drag a task to another day to move its IDL there (through updateTask);
+ *   completed and cancelled tasks stay where they are. The IDL keeps its time
+ *   of day, or becomes the end of the day when that time has already passed
+ * - Click a day to open its task list in the Daily Tasks
+ */
+
+import { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { usePlanning } from '../../../features/planing/PlanningContext';
+import { CALENDAR } from '../../../config/constants';
+import { ROUTES } from '../../../config/routes';
+import {
+  getCalendarDays,
+  shiftCalendarDate,
+  groupTasksByIDLDay,
+  getMoveToDayUpdates,
+} from '../../../config/functions/calendar';
+import { calculateRPForecast, formatRP } from '../../../config/functions/realismPoint';
+import { isTaskClosed } from '../../../config/functions/taskStatus';
+import { getImportanceColor } from '../../../config/functions/importanceLevel';
+import { toDateKey, isSameDay, startOfDay } from '../../../config/functions/dateHelpers';
+import PageHeader from '../../../components/ui/PageHeader';
+import Card from '../../../components/ui/Card';
+import './Calendar.scss';
+
+/**
+ * Format the period a view shows (e.g., 'December 2024' or 'Dec 16 – Dec 22, 2024')
+ *
+ * @param {Array<Date>} days - Days of the view
+ * @param {Date} date - Day the view is showing
+ * @param {string} view - CALENDAR.VIEWS value
+ * @returns {string} Period label
+ */
+const formatPeriod = (days, date, view) => {
+  if (view === CALENDAR.VIEWS.MONTH) {
+    return date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  }
+  const format = (day) => day.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  return `${format(days[0])} – ${format(days[days.length - 1])}, ${days[days.length - 1].getFullYear()}`;
+};
+
+export default function Calendar() {
+  const { tasks, updateTask, getTasksForDate, getAvailableTimeForDate, rtCorrectionFactor } = usePlanning();
+  const navigate = useNavigate();
+  const [view, setView] = useState(CALENDAR.VIEWS.MONTH);
+  const [date, setDate] = useState(() => startOfDay(new Date()));
+  // Day key the dragged task is over (highlighted drop target)
+  const [dropTarget, setDropTarget] = useState(null);
+  const [error, setError] = useState('');
+
+  const days = useMemo(() => getCalendarDays(date, view), [date, view]);
+  const tasksByDay = useMemo(() => groupTasksByIDLDay(tasks), [tasks]);
+
+  // Planned RT and RP of every shown day
+  const dayStats = useMemo(() => {
+    const forecast = calculateRPForecast({
+      getTasksForDate,
+      getAvailableTime: getAvailableTimeForDate,
+      startDate: days[0],
+      days: days.length,
+      correctionFactor: rtCorrectionFactor,
+    });
+    return Object.fromEntries(forecast.days.map((day) => [day.dateKey, day]));
+  }, [days, getTasksForDate, getAvailableTimeForDate, rtCorrectionFactor]);
+
+  const today = startOfDay(new Date());
+
+  const handleDrop = (e, day) => {
+    e.preventDefault();
+    setDropTarget(null);
+    const task = tasks.find((t) => String(t.id) === e.dataTransfer.getData('text/plain'));
+    if (!task || isSameDay(task.idl, day)) return;
+
+    if (day < today) {
+      setError('Tasks cannot be moved to a past day.');
+      return;
+    }
+    setError('');
+    updateTask(task.id, getMoveToDayUpdates(task, day));
+  };
+
+  const weekdays = days.slice(0, 7).map((day) => day.toLocaleDateString(undefined, { weekday: 'short' }));
+
+  return (
+    <div className="page calendar">
+      <PageHeader
+        title="Calendar"
+        subtitle="Tasks on their Ideal Deadline, with each day's planned RT and RP"
+        action={
+          <div className="flex gap-2">
+            {Object.values(CALENDAR.VIEWS).map((key) => (
+              <button
+                key={key}
+                onClick={() => setView(key)}
+                className={`btn ${view === key ? 'btn--primary' : 'btn--secondary'}`}
+              >
+                {key === CALENDAR.VIEWS.MONTH ? 'Month' : 'Week'}
+              </button>
+            ))}
+          </div>
+        }
+      />
+
+      <Card>
+        <div className="calendar__toolbar">
+          <div className="flex gap-2">
+            <button onClick={() => setDate(shiftCalendarDate(date, view, -1))} className="btn btn--secondary">
+              ←
+            </button>
+            <button onClick={() => setDate(today)} className="btn btn--secondary">
+              Today
+            </button>
+            <button onClick={() => setDate(shiftCalendarDate(date, view, 1))} className="btn btn--secondary">
+              →
+            </button>
+          </div>
+          <h2 className="card__title mb-0">{formatPeriod(days, date, view)}</h2>
+        </div>
+
+        {error && <p className="text-sm text--red-600 mb-2">{error}</p>}
+
+        <div className="calendar__weekdays">
+          {weekdays.map((weekday) => (
+            <span key={weekday} className="text-sm text--gray-600">
+              {weekday}
+            </span>
+          ))}
+        </div>
+
+        <div className={`calendar__grid calendar__grid--${view}`}>
+          {days.map((day) => {
+            const dateKey = toDateKey(day);
+            const stats = dayStats[dateKey];
+            const dayTasks = tasksByDay[dateKey] || [];
+            const shownTasks =
+              view === CALENDAR.VIEWS.MONTH ? dayTasks.slice(0, CALENDAR.MONTH_DAY_TASKS) : dayTasks;
+
+            return (
+              <div
+                key={dateKey}
+                role="button"
+                tabIndex={0}
+                onClick={() => navigate(`${ROUTES.PLANNING.DAILY_TASKS}?date=${dateKey}`)}
+                onKeyDown={(e) => e.key === 'Enter' && navigate(`${ROUTES.PLANNING.DAILY_TASKS}?date=${dateKey}`)}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setDropTarget(dateKey);
+                }}
+                onDragLeave={() => setDropTarget(null)}
+                onDrop={(e) => handleDrop(e, day)}
+                className={[
+                  'calendar__day',
+                  stats && stats.totalRT > 0 ? stats.bgColor : '',
+                  day.getMonth() !== date.getMonth() && view === CALENDAR.VIEWS.MONTH ? 'calendar__day--outside' : '',
+                  isSameDay(day, today) ? 'calendar__day--today' : '',
+                  dropTarget === dateKey ? 'calendar__day--drop' : '',
+                ].join(' ')}
+                title="Open this day's tasks"
+              >
+                <div className="calendar__day-header">
+                  <span className="font-semibold text--gray-900">{day.getDate()}</span>
+                  {stats && stats.totalRT > 0 && (
+                    <span className={`text-xs ${stats.textColor}`}>
+                      {stats.totalRT.toFixed(1)}h · RP {formatRP(stats.rp)}
+                    </span>
+                  )}
+                </div>
+                <ul className="calendar__tasks">
+                  {shownTasks.map((task) => {
+                    const closed = isTaskClosed(task);
+                    return (
+                      <li
+                        key={task.id}
+                        draggable={!closed}
+                        onDragStart={(e) => e.dataTransfer.setData('text/plain', String(task.id))}
+                        onClick={(e) => e.stopPropagation()}
+                        className={`calendar__task ${closed ? 'calendar__task--closed' : ''}`}
+                        title={`${task.title} · ${task.rt}h RT · IDL ${new Date(task.idl).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`}
+                      >
+                        <span className={`calendar__task-il ${getImportanceColor(task.il)}`}>{task.il}</span>
+                        {task.title}
+                      </li>
+                    );
+                  })}
+                </ul>
+                {dayTasks.length > shownTasks.length && (
+                  <p className="text-xs text--gray-500">+{dayTasks.length - shownTasks.length} more</p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <p className="text-sm text--gray-500 mt-4">
+          Tasks sit on their IDL day; the RT and RP of a day come from the Smoothing Logic, which spreads each
+          task over the days before its IDL. Drag an open task to another day to move its IDL.
+        </p>
+      </Card>
+    </div>
+  );
+}
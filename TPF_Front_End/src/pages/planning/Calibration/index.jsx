@@ -0,0 +1,170 @@
+/**
+ * Calibration - RT estimate calibration from tracked time
+ *
+ * Compares the RT (Required Time) of completed tasks with the time tracked on
+ * them (start/stop timer on TaskItem):
+ * - Summary: Tracked tasks, estimated vs. actual hours, correction factor
+ * - Estimation error per IL (Importance Level) and per tag
+ * - RT correction: Optionally multiply RT by the factor in every RP calculation,
+ *   once TIME_TRACKING.MIN_CALIBRATION_TASKS tasks have been tracked
+ */
+
+import { usePlanning } from '../../../features/planing/PlanningContext';
+import { TIME_TRACKING } from '../../../config/constants';
+import { getImportanceLabel, getImportanceColor } from '../../../config/functions/importanceLevel';
+import PageHeader from '../../../components/ui/PageHeader';
+import Card from '../../../components/ui/Card';
+import SummaryGrid from '../../../components/ui/SummaryGrid';
+import EmptyState from '../../../components/ui/EmptyState';
+import './Calibration.scss';
+
+/**
+ * Format a signed relative error (e.g., 0.25 → '+25%')
+ *
+ * @param {number|null} error - Relative error
+ * @returns {string} Signed percentage, or '–' without data
+ */
+const formatError = (error) => {
+  if (error === null) return '–';
+  const percent = Math.round(error * 100);
+  return `${percent > 0 ? '+' : ''}${percent}%`;
+};
+
+/**
+ * Get the text color of a relative error (under- vs. overestimated)
+ *
+ * @param {number|null} error - Relative error
+ * @returns {string} Text color class
+ */
+const getErrorColor = (error) => {
+  if (error === null || Math.abs(error) < 0.1) return 'text--gray-600';
+  return error > 0 ? 'text--red-600' : 'text--green-600';
+};
+
+/**
+ * CalibrationRows - Estimation error of a group list (per IL or per tag)
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.groups - Groups with calibration statistics
+ * @param {Function} props.renderLabel - Renders the group label
+ * @param {Function} props.getKey - Returns the React key of a group
+ */
+function CalibrationRows({ groups, renderLabel, getKey }) {
+  return (
+    <ul>
+      <li className="calibration__row calibration__row--head text-sm text--gray-500">
+        <span>Group</span>
+        <span>Tasks</span>
+        <span>RT → Actual</span>
+        <span>Avg. Error</span>
+      </li>
+      {groups.map((group) => (
+        <li key={getKey(group)} className="calibration__row">
+          <span>{renderLabel(group)}</span>
+          <span className="text--gray-600">{group.count}</span>
+          <span className="text--gray-600">
+            {group.count > 0 ? `${group.estimatedRT.toFixed(1)}h → ${group.actualTime.toFixed(1)}h` : '–'}
+          </span>
+          <span className={`font-semibold ${getErrorColor(group.averageError)}`}>
+            {formatError(group.averageError)}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default function Calibration() {
+  const { calibration, rtCorrectionEnabled, setRtCorrectionEnabled, rtCorrectionFactor } = usePlanning();
+  const { overall, byIL, byTag } = calibration;
+
+  const hasEnoughData = overall.count >= TIME_TRACKING.MIN_CALIBRATION_TASKS;
+
+  const stats = [
+    { label: 'Tracked Tasks', value: overall.count },
+    { label: 'Estimated RT', value: `${overall.estimatedRT.toFixed(1)}h` },
+    { label: 'Actual Time', value: `${overall.actualTime.toFixed(1)}h` },
+    {
+      label: 'Correction Factor',
+      value: overall.factor === null ? '–' : `× ${overall.factor.toFixed(2)}`,
+    },
+  ];
+
+  return (
+    <div className="page calibration">
+      <PageHeader
+        title="Estimate Calibration"
+        subtitle="How long your tasks really take compared to their RT"
+      />
+
+      {overall.count === 0 ? (
+        <EmptyState
+          title="No tracked tasks yet"
+          subtitle="Start the timer on a task, stop it when you are done and complete the task. Completed tasks with tracked time appear here."
+        />
+      ) : (
+        <>
+          <div className="mb-6">
+            <SummaryGrid stats={stats} columns={4} />
+          </div>
+
+          <p className="text--gray-600 mb-6">
+            Average error per task:{' '}
+            <span className={`font-semibold ${getErrorColor(overall.averageError)}`}>
+              {formatError(overall.averageError)}
+            </span>
+            {overall.averageError !== null && Math.abs(overall.averageError) >= 0.1 && (
+              <> ({overall.averageError > 0 ? 'tasks take longer than estimated' : 'tasks take less time than estimated'})</>
+            )}
+          </p>
+
+          <div className="calibration__columns mb-6">
+            <Card>
+              <h2 className="card__title">Per Importance Level</h2>
+              <CalibrationRows
+                groups={byIL}
+                getKey={(group) => group.il}
+                renderLabel={(group) => (
+                  <span className={getImportanceColor(group.il)}>{getImportanceLabel(group.il)}</span>
+                )}
+              />
+            </Card>
+
+            <Card>
+              <h2 className="card__title">Per Tag</h2>
+              {byTag.length === 0 ? (
+                <p className="text--gray-500">No tracked task has tags. Add tags when creating tasks.</p>
+              ) : (
+                <CalibrationRows
+                  groups={byTag}
+                  getKey={(group) => group.tag}
+                  renderLabel={(group) => <span className="text--gray-900">#{group.tag}</span>}
+                />
+              )}
+            </Card>
+          </div>
+        </>
+      )}
+
+      <Card>
+        <h2 className="card__title">RT Correction</h2>
+        <label className="form__label mb-0 flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={rtCorrectionEnabled}
+            onChange={(e) => setRtCorrectionEnabled(e.target.checked)}
+            className="form__checkbox"
+          />
+          <span>Apply the correction factor to RT in RP calculations</span>
+        </label>
+        <p className="text-sm text--gray-500 mt-2">
+          {hasEnoughData
+            ? rtCorrectionEnabled
+              ? `RP currently counts every RT × ${rtCorrectionFactor.toFixed(2)}.`
+              : 'RP currently uses RT as estimated.'
+            : `The factor is applied once ${TIME_TRACKING.MIN_CALIBRATION_TASKS} tracked tasks are completed (${overall.count} so far). Until then RP uses RT as estimated.`}
+        </p>
+      </Card>
+    </div>
+  );
+}
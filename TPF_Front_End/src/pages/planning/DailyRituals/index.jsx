@@ -0,0 +1,356 @@
+/**
+ * DailyRituals - Morning check-in and evening shutdown
+ *
+ * Morning check-in:
+ * - Confirm today's available time (an override of the weekly template)
+ * - Choose the day's top RITUALS.TOP_TASKS tasks (suggested by priority)
+ * - See today's blocked tasks (waiting on prerequisites or set to Blocked)
+ *
+ * Evening shutdown:
+ * - Mark completions and log the time worked on today's tasks
+ * - Move unfinished tasks due today to the next day with spare capacity
+ * - Catch an observation before the day ends
+ *
+ * Finishing a ritual records it with a timestamp (see Rituals); the Dashboard
+ * prompts for the ritual that is due. ?ritual=morning|evening opens a ritual.
+ */
+
+import { useState, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { usePlanning } from '../../../features/planing/PlanningContext';
+import { useObservations } from '../../../features/observations/ObservationsContext';
+import { RITUALS, AVAILABILITY, TASK_STATUS } from '../../../config/constants';
+import { getRitualDay, getDueRitual, getTopTaskSuggestions } from '../../../config/functions/rituals';
+import { sortTasksByPriority } from '../../../config/functions/taskSorting';
+import { getTaskStatus, isTaskClosed } from '../../../config/functions/taskStatus';
+import { getTrackedHoursForDate } from '../../../config/functions/timeTracking';
+import { getImportanceLabel, getImportanceColor } from '../../../config/functions/importanceLevel';
+import { addDays, isSameDay } from '../../../config/functions/dateHelpers';
+import PageHeader from '../../../components/ui/PageHeader';
+import Card from '../../../components/ui/Card';
+import './DailyRituals.scss';
+
+/**
+ * Format the time a ritual was done (e.g., '08:15')
+ *
+ * @param {Date|string} date - Timestamp of the ritual
+ * @returns {string} Local time
+ */
+const formatTime = (date) => new Date(date).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * MorningCheckIn - Available time, top tasks and blocked tasks
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.todayTasks - Today's task slices
+ * @param {Object} [props.checkIn] - Today's check-in, if already done
+ */
+function MorningCheckIn({ todayTasks, checkIn }) {
+  const {
+    tasks,
+    getAvailabilityDetails,
+    setAvailableTimeForDate,
+    blockedTaskMap,
+    getBlockingTasks,
+    completeRitual,
+  } = usePlanning();
+  const [topTaskIds, setTopTaskIds] = useState(() =>
+    checkIn ? checkIn.topTaskIds : getTopTaskSuggestions(todayTasks).map((task) => task.id)
+  );
+  const [error, setError] = useState('');
+
+  const today = getAvailabilityDetails(new Date());
+  const openTasks = sortTasksByPriority(todayTasks.filter((task) => !isTaskClosed(task)));
+
+  // Today's tasks waiting on prerequisites, and open tasks set to Blocked
+  const blockedTasks = tasks.filter(
+    (task) =>
+      !isTaskClosed(task) &&
+      ((blockedTaskMap[task.id] && todayTasks.some((t) => t.id === task.id)) ||
+        getTaskStatus(task) === TASK_STATUS.VALUES.BLOCKED)
+  );
+
+  const handleAvailableTimeChange = (value) => {
+    try {
+      setAvailableTimeForDate(new Date(), value === '' ? NaN : Number(value));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleTopTask = (taskId) => {
+    setTopTaskIds((prev) => (prev.includes(taskId) ? prev.filter((id) => id !== taskId) : [...prev, taskId]));
+  };
+
+  const handleFinish = () => {
+    completeRitual(RITUALS.TYPES.MORNING, { availableTime: today.hours, topTaskIds });
+  };
+
+  return (
+    <>
+      <Card className="mb-6">
+        <h2 className="card__title">1. Available Time Today</h2>
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            value={today.hours}
+            onChange={(e) => handleAvailableTimeChange(e.target.value)}
+            className="form__input daily-rituals__hours"
+            min="0"
+            max={AVAILABILITY.MAX_HOURS_PER_DAY}
+            step="0.5"
+            aria-label="Available hours today"
+          />
+          <span className="text--gray-600">hours</span>
+          {today.isOverride && (
+            <span className="text-sm text--gray-500">(weekly template: {today.templateHours}h)</span>
+          )}
+        </div>
+        {error && <p className="text-sm text--red-600 mt-2">{error}</p>}
+      </Card>
+
+      <Card className="mb-6">
+        <h2 className="card__title">
+          2. Top {RITUALS.TOP_TASKS} Tasks ({topTaskIds.length}/{RITUALS.TOP_TASKS})
+        </h2>
+        {openTasks.length === 0 ? (
+          <p className="text--gray-500">No open tasks are planned for today.</p>
+        ) : (
+          <ul className="space-y-2">
+            {openTasks.map((task) => {
+              const selected = topTaskIds.includes(task.id);
+              return (
+                <li key={task.id}>
+                  <label className="form__label mb-0 flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={selected}
+                      onChange={() => toggleTopTask(task.id)}
+                      disabled={!selected && topTaskIds.length >= RITUALS.TOP_TASKS}
+                      className="form__checkbox"
+                    />
+                    <span>
+                      {task.title} · {task.rt.toFixed(1)}h{' '}
+                      <span className={getImportanceColor(task.il)}>{getImportanceLabel(task.il)}</span>
+                    </span>
+                  </label>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </Card>
+
+      <Card className="mb-6">
+        <h2 className="card__title">3. Blocked ({blockedTasks.length})</h2>
+        {blockedTasks.length === 0 ? (
+          <p className="text--gray-500">Nothing is blocked.</p>
+        ) : (
+          <ul className="space-y-2">
+            {blockedTasks.map((task) => {
+              const blockers = getBlockingTasks(task.id);
+              return (
+                <li key={task.id} className="text--gray-900">
+                  🔒 {task.title}
+                  <span className="text-sm text--gray-500">
+                    {blockers.length > 0
+                      ? ` · waiting for ${blockers.map((blocker) => blocker.title).join(', ')}`
+                      : ' · set to Blocked'}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </Card>
+
+      <button onClick={handleFinish} className="btn btn--primary">
+        {checkIn ? '✓ Update Check-in' : '☀️ Start the Day'}
+      </button>
+    </>
+  );
+}
+
+/**
+ * EveningShutdown - Completions, actual time, unfinished tasks and an observation
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.todayTasks - Today's task slices
+ * @param {Object} [props.shutdown] - Today's shutdown, if already done
+ */
+function EveningShutdown({ todayTasks, shutdown }) {
+  const { tasks, toggleTaskCompletion, logTaskTime, moveOverdueTask, completeRitual } = usePlanning();
+  const { addObservation } = useObservations();
+  // Hours to log per task ID
+  const [logHours, setLogHours] = useState({});
+  const [movedCount, setMovedCount] = useState(shutdown ? shutdown.movedCount : 0);
+  const [observation, setObservation] = useState('');
+  const [observationCaught, setObservationCaught] = useState(shutdown ? shutdown.observationCaught : false);
+  const [message, setMessage] = useState(null);
+
+  const now = new Date();
+  // Current task objects (slices carry today's hours in rt)
+  const dayTasks = todayTasks.map((slice) => ({ slice, task: tasks.find((t) => t.id === slice.id) || slice }));
+  const completedCount = dayTasks.filter(({ task }) => task.completed).length;
+
+  const runAction = (action) => {
+    try {
+      setMessage({ type: 'success', text: action() });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  const handleLog = (task) =>
+    runAction(() => {
+      logTaskTime(task.id, logHours[task.id]);
+      setLogHours({ ...logHours, [task.id]: '' });
+      return `Logged ${logHours[task.id]}h on "${task.title}".`;
+    });
+
+  const handleMove = (task) =>
+    runAction(() => {
+      const idl = moveOverdueTask(task.id, addDays(now, 1));
+      setMovedCount(movedCount + 1);
+      return `Moved "${task.title}" to ${idl.toLocaleDateString()}.`;
+    });
+
+  const handleCatch = (e) => {
+    e.preventDefault();
+    if (!observation.trim()) return;
+    addObservation({ content: observation });
+    setObservation('');
+    setObservationCaught(true);
+  };
+
+  const handleFinish = () => {
+    completeRitual(RITUALS.TYPES.EVENING, { completedCount, movedCount, observationCaught });
+  };
+
+  return (
+    <>
+      <Card className="mb-6">
+        <h2 className="card__title">1. Today's Tasks</h2>
+        {dayTasks.length === 0 ? (
+          <p className="text--gray-500">No tasks were planned for today.</p>
+        ) : (
+          <ul className="space-y-2">
+            {dayTasks.map(({ slice, task }) => (
+              <li key={task.id} className="daily-rituals__task">
+                <label className="form__label mb-0 flex items-center gap-2 daily-rituals__task-title">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(task.completed)}
+                    onChange={() => toggleTaskCompletion(task.id)}
+                    disabled={getTaskStatus(task) === TASK_STATUS.VALUES.CANCELLED}
+                    className="form__checkbox"
+                  />
+                  <span className={task.completed ? 'text--gray-500' : ''}>
+                    {task.title} · {slice.rt.toFixed(1)}h planned ·{' '}
+                    {getTrackedHoursForDate(task, now, now).toFixed(1)}h tracked today
+                  </span>
+                </label>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    value={logHours[task.id] || ''}
+                    onChange={(e) => setLogHours({ ...logHours, [task.id]: e.target.value })}
+                    className="form__input daily-rituals__hours"
+                    placeholder="h"
+                    min="0"
+                    step="0.25"
+                    aria-label={`Hours worked on ${task.title}`}
+                  />
+                  <button onClick={() => handleLog(task)} className="btn btn--secondary" disabled={!logHours[task.id]}>
+                    Log
+                  </button>
+                  {!isTaskClosed(task) && isSameDay(task.idl, now) && (
+                    <button onClick={() => handleMove(task)} className="btn btn--secondary">
+                      Move
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+        {message && (
+          <p className={`text-sm mt-2 ${message.type === 'error' ? 'text--red-600' : 'text--green-600'}`}>
+            {message.text}
+          </p>
+        )}
+        <p className="text-sm text--gray-500 mt-4">
+          Move is offered for unfinished tasks due today; tasks due later are spread over the next days anyway.
+        </p>
+      </Card>
+
+      <Card className="mb-6">
+        <h2 className="card__title">2. Catch an Observation</h2>
+        <form onSubmit={handleCatch} className="flex gap-2">
+          <input
+            type="text"
+            value={observation}
+            onChange={(e) => setObservation(e.target.value)}
+            className="form__input"
+            placeholder="Anything you noticed today?"
+            aria-label="Observation"
+          />
+          <button type="submit" className="btn btn--secondary" disabled={!observation.trim()}>
+            Catch
+          </button>
+        </form>
+        {observationCaught && <p className="text-sm text--green-600 mt-2">✓ Observation caught.</p>}
+      </Card>
+
+      <button onClick={handleFinish} className="btn btn--primary">
+        {shutdown ? '✓ Update Shutdown' : '🌙 Shut Down the Day'}
+      </button>
+    </>
+  );
+}
+
+export default function DailyRituals() {
+  const { getTodayTasks, ritualLog } = usePlanning();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const todayTasks = useMemo(() => getTodayTasks(), [getTodayTasks]);
+  const day = getRitualDay(ritualLog);
+  const ritual = searchParams.get('ritual') || getDueRitual(ritualLog) || RITUALS.TYPES.MORNING;
+  const record = day[ritual];
+
+  return (
+    <div className="page daily-rituals">
+      <PageHeader
+        title="Daily Rituals"
+        subtitle="Start the day with a check-in and end it with a shutdown"
+        action={
+          <div className="flex gap-2">
+            {Object.values(RITUALS.TYPES).map((type) => (
+              <button
+                key={type}
+                onClick={() => setSearchParams({ ritual: type })}
+                className={`btn ${ritual === type ? 'btn--primary' : 'btn--secondary'}`}
+              >
+                {type === RITUALS.TYPES.MORNING ? '☀️ Morning Check-in' : '🌙 Evening Shutdown'}
+                {day[type] && ' ✓'}
+              </button>
+            ))}
+          </div>
+        }
+      />
+
+      {record && (
+        <p className="text--green-600 mb-4">
+          ✓ Done today at {formatTime(record.completedAt)}. You can update it below.
+        </p>
+      )}
+
+      {ritual === RITUALS.TYPES.EVENING ? (
+        <EveningShutdown todayTasks={todayTasks} shutdown={record} />
+      ) : (
+        <MorningCheckIn todayTasks={todayTasks} checkIn={record} />
+      )}
+    </div>
+  );
+}
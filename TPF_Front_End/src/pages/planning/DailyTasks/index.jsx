@@ -3,15 +3,23 @@
  * 
  * Simplified page showing only tasks scheduled for the selected date.
  * Tasks are sorted by Importance Level (IL) and Ideal Deadline (IDL).
+ * 
+ * Multi-day tasks appear as their daily slice from the Auto-Distribution
+ * Engine, so the RT shown is the work planned for that day.
+ * 
+ * Tasks blocked by incomplete prerequisites are listed separately and are
+ * not offered as doable until their prerequisites are completed.
+ * 
+ * ?date=YYYY-MM-DD opens a specific day (used by the Calendar).
  */
 
 import { useState, useMemo } from 'react';
 import { usePlanning } from '../../../features/planing/PlanningContext';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { ROUTES } from '../../../config/routes';
-import { filterTasksByDate } from '../../../config/functions/taskFilters';
 import { calculateTotalRT } from '../../../config/functions/rtCalculations';
 import { sortTasksByPriority } from '../../../config/functions/taskSorting';
+import { partitionByBlocked } from '../../../config/functions/taskGraph';
 import PageHeader from '../../../components/ui/PageHeader';
 import Card from '../../../components/ui/Card';
 import SummaryGrid from '../../../components/ui/SummaryGrid';
@@ -20,14 +28,17 @@ import TaskList from '../../../components/tasks/TaskList';
 import './DailyTasks.scss';
 
 export default function DailyTasks() {
-  const { tasks, deleteTask } = usePlanning();
+  const { getTasksForDate, deleteTask, blockedTaskMap } = usePlanning();
   const navigate = useNavigate();
-  const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
+  const [searchParams] = useSearchParams();
+  const [selectedDate, setSelectedDate] = useState(
+    searchParams.get('date') || new Date().toISOString().split('T')[0]
+  );
   const [showCompleted, setShowCompleted] = useState(true);
 
-  // Get tasks for selected date (only root tasks for date view)
+  // Get task slices planned for the selected date
   const filteredTasks = useMemo(() => {
-    let dateFiltered = filterTasksByDate(tasks, selectedDate, false);
+    let dateFiltered = getTasksForDate(selectedDate);
     
     // Filter out completed tasks if showCompleted is false
     if (!showCompleted) {
@@ -35,7 +46,12 @@ export default function DailyTasks() {
     }
     
     return sortTasksByPriority(dateFiltered);
-  }, [tasks, selectedDate, showCompleted]);
+  }, [getTasksForDate, selectedDate, showCompleted]);
+
+  // Split into doable tasks and tasks waiting on prerequisites
+  const { doable: doableTasks, blocked: blockedTasks } = useMemo(() => {
+    return partitionByBlocked(filteredTasks, blockedTaskMap);
+  }, [filteredTasks, blockedTaskMap]);
 
   const handleDelete = (taskId) => {
     if (window.confirm('Are you sure you want to delete this task? All subtasks will also be deleted.')) {
@@ -122,8 +138,9 @@ export default function DailyTasks() {
 
       <Card>
         <TaskList
-          tasks={filteredTasks}
+          tasks={doableTasks}
           actions={taskActions}
+          showSubtasks={false}
           emptyMessage="No tasks for this date"
           emptyAction={
             <button
@@ -135,6 +152,24 @@ export default function DailyTasks() {
           }
         />
       </Card>
+
+      {blockedTasks.length > 0 && (
+        <Card
+          className="mt-6"
+          header={
+            <div className="card__header">
+              <h2 className="card__title">⛔ Blocked ({blockedTasks.length})</h2>
+              <p className="text-sm text--gray-500">Waiting on incomplete prerequisites</p>
+            </div>
+          }
+        >
+          <TaskList
+            tasks={blockedTasks}
+            actions={taskActions}
+            showSubtasks={false}
+          />
+        </Card>
+      )}
     </div>
   );
 }
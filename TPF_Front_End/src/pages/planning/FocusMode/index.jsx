@@ -0,0 +1,260 @@
+/**
+ * FocusMode - Pomodoro-style focus timer on the current task
+ *
+ * One task at a time instead of another list:
+ * - Next up: The top task of today (IL then IDL), skipping blocked tasks
+ * - Countdown: Time is tracked on the task while the timer runs; divisible
+ *   tasks are worked in blocks (FOCUS.BLOCK_MINUTES), atomic tasks for their
+ *   whole remaining RT
+ * - When time is up: Done (complete the task), Extend (FOCUS.EXTEND_MINUTES)
+ *   or Switch (log the time and pick another task)
+ *
+ * The session is kept in PlanningContext, so the countdown survives leaving
+ * the page or reloading it.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { usePlanning } from '../../../features/planing/PlanningContext';
+import { FOCUS } from '../../../config/constants';
+import { pickFocusTask, getFocusMinutes, getFocusSecondsLeft } from '../../../config/functions/focus';
+import { sortTasksByPriority } from '../../../config/functions/taskSorting';
+import { getImportanceLabel, getImportanceColor } from '../../../config/functions/importanceLevel';
+import { getSessionHours } from '../../../config/functions/timeTracking';
+import PageHeader from '../../../components/ui/PageHeader';
+import Card from '../../../components/ui/Card';
+import EmptyState from '../../../components/ui/EmptyState';
+import './FocusMode.scss';
+
+/**
+ * Format seconds as a countdown (e.g., 1500 → '25:00')
+ *
+ * @param {number} seconds - Seconds to format
+ * @returns {string} Minutes and seconds (hours are added for long atomic sessions)
+ */
+const formatCountdown = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+};
+
+/**
+ * Format hours for display (e.g., 1.25 → '1.25h')
+ *
+ * @param {number} hours - Hours to format
+ * @returns {string} Rounded hours with unit
+ */
+const formatHours = (hours) => `${Math.round(hours * 100) / 100}h`;
+
+export default function FocusMode() {
+  const {
+    getTodayTasks,
+    getTaskById,
+    getBlockingTasks,
+    blockedTaskMap,
+    focusSession,
+    startFocus,
+    extendFocus,
+    endFocus,
+  } = usePlanning();
+
+  // Block length for divisible tasks
+  const [blockMinutes, setBlockMinutes] = useState(FOCUS.DEFAULT_BLOCK_MINUTES);
+  // Tasks switched away from in this visit (skipped by "Next up")
+  const [skippedIds, setSkippedIds] = useState([]);
+  // Task chosen from the list instead of the suggestion
+  const [chosenId, setChosenId] = useState(null);
+  const [error, setError] = useState('');
+  // Current time, ticking every second while a session runs
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    if (!focusSession) return undefined;
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, [focusSession]);
+
+  // Today's open tasks by priority, and the suggested one
+  const todayTasks = useMemo(
+    () => sortTasksByPriority(getTodayTasks().filter((task) => !task.completed)),
+    [getTodayTasks]
+  );
+  const suggestedTask = useMemo(
+    () => pickFocusTask(todayTasks, blockedTaskMap, skippedIds),
+    [todayTasks, blockedTaskMap, skippedIds]
+  );
+  const nextTask = todayTasks.find((task) => task.id === chosenId) || suggestedTask;
+
+  /**
+   * Start the countdown on a task
+   *
+   * @param {Object} task - Today's task (slice) to focus on
+   */
+  const handleStart = (task) => {
+    try {
+      startFocus(task.id, getFocusMinutes(task, blockMinutes));
+      setChosenId(null);
+      setError('');
+      setNow(new Date());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Log the time on the current task and move on to another one
+   */
+  const handleSwitch = () => {
+    setSkippedIds((prev) => [...prev, focusSession.taskId]);
+    endFocus();
+  };
+
+  // --- Running session ---
+  if (focusSession) {
+    const task = getTaskById(focusSession.taskId);
+    const secondsLeft = getFocusSecondsLeft(focusSession, now);
+    const isTimeUp = secondsLeft === 0;
+    const elapsedHours = getSessionHours({ start: focusSession.startedAt, end: null }, now);
+    const progress = 1 - secondsLeft / (focusSession.minutes * 60);
+
+    return (
+      <div className="page focus-mode">
+        <PageHeader title="Focus Mode" subtitle="One task. Nothing else." />
+
+        <Card className="focus-mode__session">
+          {task && (
+            <>
+              <span className={getImportanceColor(task.il)}>{getImportanceLabel(task.il)}</span>
+              <h2 className="focus-mode__title">{task.title}</h2>
+              <p className="text-sm text--gray-500">
+                {focusSession.atomic ? '🔒 Atomic: finish it in one go' : '🧩 Divisible: one block at a time'}
+                {' · '}
+                {formatHours((task.actualTime || 0) + elapsedHours)} tracked of {formatHours(task.rt)} RT
+              </p>
+            </>
+          )}
+
+          <p className={`focus-mode__countdown ${isTimeUp ? 'focus-mode__countdown--up' : ''}`}>
+            {isTimeUp ? "Time's up" : formatCountdown(secondsLeft)}
+          </p>
+          <div className="focus-mode__progress">
+            <div className="focus-mode__progress-fill" style={{ width: `${Math.min(progress, 1) * 100}%` }} />
+          </div>
+
+          <div className="focus-mode__actions">
+            <button onClick={() => endFocus({ complete: true })} className="btn btn--primary">
+              ✓ Done
+            </button>
+            <button onClick={() => extendFocus(FOCUS.EXTEND_MINUTES)} className="btn btn--secondary">
+              + {FOCUS.EXTEND_MINUTES} min
+            </button>
+            <button onClick={handleSwitch} className="btn btn--secondary">
+              ⇄ Switch
+            </button>
+            {!isTimeUp && (
+              <button onClick={() => endFocus()} className="btn btn--secondary">
+                Stop
+              </button>
+            )}
+          </div>
+          {isTimeUp && (
+            <p className="text-sm text--gray-500 mt-4">
+              Time keeps being tracked until you choose. Done completes the task, Switch logs the time
+              and picks the next one.
+            </p>
+          )}
+        </Card>
+      </div>
+    );
+  }
+
+  // --- Next up ---
+  const blockedToday = todayTasks.filter((task) => blockedTaskMap[task.id]);
+  const otherTasks = todayTasks.filter((task) => task !== nextTask && !blockedTaskMap[task.id]);
+
+  return (
+    <div className="page focus-mode">
+      <PageHeader title="Focus Mode" subtitle="One task. Nothing else." />
+
+      {!nextTask ? (
+        <EmptyState
+          title={todayTasks.length === 0 ? 'Nothing planned for today' : 'No task to focus on'}
+          subtitle={
+            todayTasks.length === 0
+              ? 'All of today\'s tasks are done.'
+              : 'The remaining tasks are blocked by prerequisites or were skipped.'
+          }
+          action={
+            skippedIds.length > 0 && (
+              <button onClick={() => setSkippedIds([])} className="btn btn--secondary">
+                Show skipped tasks again
+              </button>
+            )
+          }
+        />
+      ) : (
+        <Card className="focus-mode__session mb-6">
+          <p className="text-sm text--gray-500">Next up</p>
+          <span className={getImportanceColor(nextTask.il)}>{getImportanceLabel(nextTask.il)}</span>
+          <h2 className="focus-mode__title">{nextTask.title}</h2>
+          <p className="text-sm text--gray-500 mb-4">
+            {formatHours(nextTask.rt)} planned today
+            {nextTask.atomic && ' · 🔒 Atomic: the session covers the whole remaining RT'}
+          </p>
+
+          {!nextTask.atomic && (
+            <div className="flex gap-2 mb-4">
+              {FOCUS.BLOCK_MINUTES.map((minutes) => (
+                <button
+                  key={minutes}
+                  onClick={() => setBlockMinutes(minutes)}
+                  className={`btn ${blockMinutes === minutes ? 'btn--primary' : 'btn--secondary'}`}
+                >
+                  {minutes} min
+                </button>
+              ))}
+            </div>
+          )}
+
+          <button onClick={() => handleStart(nextTask)} className="btn btn--primary">
+            ▶ Start {getFocusMinutes(nextTask, blockMinutes)} min
+          </button>
+          {error && <p className="text-sm text--red-600 mt-2">{error}</p>}
+        </Card>
+      )}
+
+      {otherTasks.length > 0 && (
+        <Card className="mb-6">
+          <h2 className="card__title">Other Tasks Today</h2>
+          <ul className="space-y-2">
+            {otherTasks.map((task) => (
+              <li key={task.id} className="focus-mode__task">
+                <span className="text--gray-900">{task.title}</span>
+                <span className="text-sm text--gray-500">{formatHours(task.rt)}</span>
+                <button onClick={() => setChosenId(task.id)} className="btn btn--secondary">
+                  Focus on this
+                </button>
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
+
+      {blockedToday.length > 0 && (
+        <Card>
+          <h2 className="card__title">Blocked</h2>
+          <ul className="space-y-2">
+            {blockedToday.map((task) => (
+              <li key={task.id} className="focus-mode__task focus-mode__task--blocked">
+                <span className="text--gray-900">{task.title}</span>
+                <span className="text-sm text--gray-500">
+                  Waiting for {getBlockingTasks(task.id).map((blocker) => blocker.title).join(', ')}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
+    </div>
+  );
+}
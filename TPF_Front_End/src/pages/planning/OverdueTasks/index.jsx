@@ -0,0 +1,147 @@
+/**
+ * OverdueTasks - Queue of open tasks whose IDL has passed
+ *
+ * The Smoothing Logic only plans days from today on, so overdue tasks do not
+ * show up in the Daily Tasks or on the Dashboard. This page collects them, shows
+ * how late each one is and offers one-click rescheduling:
+ * - Move: To the first day whose RP has room for the remaining RT
+ * - Split: Across the fewest upcoming days that can take its slices
+ * - Lower IL: One Importance Level down
+ * - Send to CWA: Into the CWA archive (restorable from the Emergency Settings)
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { usePlanning } from '../../../features/planing/PlanningContext';
+import { IMPORTANCE, OVERDUE } from '../../../config/constants';
+import { ROUTES } from '../../../config/routes';
+import { formatOverdue } from '../../../config/functions/overdue';
+import { getImportanceLabel, getImportanceColor } from '../../../config/functions/importanceLevel';
+import PageHeader from '../../../components/ui/PageHeader';
+import Card from '../../../components/ui/Card';
+import EmptyState from '../../../components/ui/EmptyState';
+import './OverdueTasks.scss';
+
+/**
+ * Format a day for result messages (e.g., 'Wed, Dec 18')
+ *
+ * @param {Date} date - The day
+ * @returns {string} Short weekday, month and day
+ */
+const formatDay = (date) =>
+  date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+
+export default function OverdueTasks() {
+  const { overdueTasks, moveOverdueTask, splitOverdueTask, lowerTaskImportance, archiveTask } = usePlanning();
+  // Result of the last action ({ type: 'success' | 'error', text })
+  const [message, setMessage] = useState(null);
+
+  /**
+   * Run a rescheduling action and report its result
+   *
+   * @param {Function} action - Returns the success message; throws on failure
+   */
+  const runAction = (action) => {
+    try {
+      setMessage({ type: 'success', text: action() });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleMove = (task) =>
+    runAction(() => `Moved "${task.title}" to ${formatDay(moveOverdueTask(task.id))}.`);
+
+  const handleSplit = (task) =>
+    runAction(() => {
+      const { slices, lastDay } = splitOverdueTask(task.id);
+      return `Split "${task.title}" across ${slices.length} day(s), due ${formatDay(lastDay)}.`;
+    });
+
+  const handleLowerIL = (task) =>
+    runAction(() => {
+      lowerTaskImportance(task.id);
+      return `"${task.title}" is now ${getImportanceLabel(task.il + 1)}.`;
+    });
+
+  const handleArchive = (task) => {
+    if (window.confirm(`Send "${task.title}" and its subtasks to the CWA archive?`)) {
+      runAction(() => {
+        archiveTask(task.id);
+        return `"${task.title}" was archived. Restore it from the Emergency Settings.`;
+      });
+    }
+  };
+
+  return (
+    <div className="page overdue-tasks">
+      <PageHeader
+        title="Overdue Tasks"
+        subtitle="Open tasks whose Ideal Deadline has passed, and where to put them now"
+      />
+
+      {message && (
+        <p className={`mb-4 ${message.type === 'error' ? 'text--red-600' : 'text--green-600'}`}>
+          {message.text}
+        </p>
+      )}
+
+      {overdueTasks.length === 0 ? (
+        <EmptyState
+          title="Nothing overdue"
+          subtitle="Every open task still has its Ideal Deadline ahead."
+        />
+      ) : (
+        <Card>
+          <p className="text-sm text--gray-500 mb-4">
+            Overdue tasks are not planned on any day. Move and Split look for days in the next{' '}
+            {OVERDUE.SEARCH_DAYS} days whose RP stays out of the Overload zone.
+          </p>
+          <ul className="space-y-2">
+            {overdueTasks.map((task) => (
+              <li key={task.id} className="overdue-tasks__item">
+                <div className="overdue-tasks__info">
+                  <p className="font-semibold text--gray-900">
+                    {task.title} <span className={getImportanceColor(task.il)}>{getImportanceLabel(task.il)}</span>
+                  </p>
+                  <p className="text-sm text--gray-600">
+                    <span className="text--red-600">{formatOverdue(task)}</span> · IDL{' '}
+                    {new Date(task.idl).toLocaleString()} · {task.rt}h RT
+                    {task.atomic && ' · atomic'}
+                  </p>
+                </div>
+                <div className="overdue-tasks__actions">
+                  <button onClick={() => handleMove(task)} className="btn btn--primary">
+                    Move
+                  </button>
+                  <button
+                    onClick={() => handleSplit(task)}
+                    className="btn btn--secondary"
+                    disabled={task.atomic}
+                    title={task.atomic ? 'Atomic tasks cannot be split' : undefined}
+                  >
+                    Split
+                  </button>
+                  <button
+                    onClick={() => handleLowerIL(task)}
+                    className="btn btn--secondary"
+                    disabled={task.il >= IMPORTANCE.OPTIONAL}
+                  >
+                    Lower IL
+                  </button>
+                  <button onClick={() => handleArchive(task)} className="btn btn--danger">
+                    Send to CWA
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+          <p className="text-sm text--gray-500 mt-4">
+            Archived tasks can be restored from the{' '}
+            <Link to={ROUTES.SETTINGS.EMERGENCY}>Emergency Settings</Link>.
+          </p>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,252 @@
+/**
+ * RPAnalytics - Realism Point (RP) history and trend analytics
+ *
+ * Uses the daily RP snapshots recorded by PlanningContext (rpHistory) to show
+ * whether the plan is chronically overloaded:
+ * - Summary: Average RP, average completion rate and the weekly trend
+ * - Days per RP zone (Safe, Risky, Overload, limits from RP_LIMITS)
+ * - RP trend: One bar per recorded day
+ * - Average RP per weekday
+ * - RP vs. completion: Completion rate per zone and the correlation of both
+ * - Daily rituals: How often the morning check-in and evening shutdown were
+ *   done in the period, the current streak and the usual time of day
+ */
+
+import { useState, useMemo } from 'react';
+import { usePlanning } from '../../../features/planing/PlanningContext';
+import { RP_LIMITS, RP_HISTORY, RITUALS } from '../../../config/constants';
+import { getRPStatus, formatRP } from '../../../config/functions/realismPoint';
+import { getRPHistoryEntries, getCompletionRate, analyzeRPHistory } from '../../../config/functions/rpHistory';
+import { analyzeRituals } from '../../../config/functions/rituals';
+import { startOfDay } from '../../../config/functions/dateHelpers';
+import PageHeader from '../../../components/ui/PageHeader';
+import Card from '../../../components/ui/Card';
+import SummaryGrid from '../../../components/ui/SummaryGrid';
+import EmptyState from '../../../components/ui/EmptyState';
+import './RPAnalytics.scss';
+
+// RP zones in display order, with a sample RP to get their status
+const ZONES = [
+  { key: 'safe', sampleRP: 0 },
+  { key: 'risky', sampleRP: RP_LIMITS.SAFE },
+  { key: 'overload', sampleRP: RP_LIMITS.OVERLOAD },
+];
+
+/**
+ * Format a rate (0-1) as a percentage
+ *
+ * @param {number|null} rate - Rate to format
+ * @returns {string} Percentage (e.g., '85%'), or '–' without data
+ */
+const formatPercent = (rate) => (rate === null ? '–' : `${Math.round(rate * 100)}%`);
+
+/**
+ * Describe a correlation coefficient of RP and completion rate in words
+ *
+ * @param {number|null} correlation - Coefficient from -1 to 1
+ * @returns {string} Short interpretation
+ */
+const describeCorrelation = (correlation) => {
+  if (correlation === null) return 'Not enough days with planned work yet.';
+  if (correlation <= -0.3) return 'The higher the RP, the less of the plan gets done.';
+  if (correlation >= 0.3) return 'Busier days still get completed: the RP limits may be too cautious.';
+  return 'No clear relation between RP and how much of the plan gets done.';
+};
+
+export default function RPAnalytics() {
+  const { rpHistory, ritualLog } = usePlanning();
+  const [range, setRange] = useState(RP_HISTORY.RANGES[0]);
+
+  // Snapshots of the selected period and their analysis
+  const entries = useMemo(() => getRPHistoryEntries(rpHistory, range), [rpHistory, range]);
+  const analysis = useMemo(() => analyzeRPHistory(entries), [entries]);
+  const rituals = useMemo(() => analyzeRituals(ritualLog, range), [ritualLog, range]);
+
+  const chartMax = Math.max(1.2, ...entries.map((entry) => entry.rp).filter(Number.isFinite));
+  const weekdayMax = Math.max(1.2, ...analysis.weekdays.map((day) => day.averageRP || 0));
+
+  const stats = [
+    { label: 'Recorded Days', value: analysis.days },
+    {
+      label: 'Average RP',
+      value:
+        analysis.averageRP === null ? (
+          '–'
+        ) : (
+          <span className={getRPStatus(analysis.averageRP).textColor}>{analysis.averageRP.toFixed(2)}</span>
+        ),
+    },
+    { label: 'Completion Rate', value: formatPercent(analysis.averageCompletionRate) },
+    {
+      label: 'Trend (last 7 days)',
+      value:
+        analysis.trend === null
+          ? '–'
+          : `${analysis.trend > 0 ? '↑ +' : analysis.trend < 0 ? '↓ ' : '→ '}${analysis.trend.toFixed(2)} RP`,
+    },
+  ];
+
+  return (
+    <div className="page rp-analytics">
+      <PageHeader
+        title="RP Analytics"
+        subtitle="Realism Point history: are you chronically overloaded?"
+        action={
+          <div className="flex gap-2">
+            {RP_HISTORY.RANGES.map((days) => (
+              <button
+                key={days}
+                onClick={() => setRange(days)}
+                className={`btn ${range === days ? 'btn--primary' : 'btn--secondary'}`}
+              >
+                {days} days
+              </button>
+            ))}
+          </div>
+        }
+      />
+
+      {analysis.days === 0 ? (
+        <EmptyState
+          title="No RP history yet"
+          subtitle="The RP of each day is recorded while you use the app. Come back in a few days."
+        />
+      ) : (
+        <>
+          <div className="mb-6">
+            <SummaryGrid stats={stats} columns={4} />
+          </div>
+
+          {/* Days per RP zone */}
+          <Card className="mb-6">
+            <h2 className="card__title">Days per RP Zone</h2>
+            <div className="rp-analytics__zones">
+              {ZONES.map((zone) => {
+                const status = getRPStatus(zone.sampleRP);
+                const count = analysis.zoneCounts[zone.key];
+                return (
+                  <div
+                    key={zone.key}
+                    className={`p-4 rounded-lg border border--2 ${status.bgColor} ${status.borderColor}`}
+                  >
+                    <p className={`font-semibold ${status.statusTextColor}`}>
+                      {status.emoji} {status.label}
+                    </p>
+                    <p className="text-2xl font-bold text--gray-900">{count}</p>
+                    <p className="text-sm text--gray-600">
+                      {formatPercent(count / analysis.days)} of recorded days
+                    </p>
+                  </div>
+                );
+              })}
+            </div>
+          </Card>
+
+          {/* RP trend */}
+          <Card className="mb-6">
+            <h2 className="card__title">RP Trend</h2>
+            <div className="rp-analytics__chart">
+              {[RP_LIMITS.SAFE, RP_LIMITS.RISKY].map((limit) => (
+                <div
+                  key={limit}
+                  className="rp-analytics__limit"
+                  style={{ bottom: `${(limit / chartMax) * 100}%` }}
+                />
+              ))}
+              {entries.map((entry) => (
+                <div
+                  key={entry.date}
+                  className={`rp-analytics__bar ${getRPStatus(entry.rp).fillColor}`}
+                  style={{ height: `${(Math.min(entry.rp, chartMax) / chartMax) * 100}%` }}
+                  title={`${startOfDay(entry.date).toLocaleDateString()}: RP ${formatRP(entry.rp)}, ${entry.completedRT.toFixed(1)}h of ${entry.totalRT.toFixed(1)}h completed`}
+                />
+              ))}
+            </div>
+            <div className="rp-analytics__axis text-sm text--gray-500">
+              <span>{startOfDay(entries[0].date).toLocaleDateString()}</span>
+              <span>{startOfDay(entries[entries.length - 1].date).toLocaleDateString()}</span>
+            </div>
+          </Card>
+
+          <div className="rp-analytics__columns">
+            {/* Average RP per weekday */}
+            <Card>
+              <h2 className="card__title">Average RP per Weekday</h2>
+              <ul className="space-y-2">
+                {analysis.weekdays.map((day) => (
+                  <li key={day.weekday} className="rp-analytics__weekday">
+                    <span className="text-sm text--gray-900">{day.label}</span>
+                    <div className="rp-analytics__track">
+                      {day.averageRP !== null && (
+                        <div
+                          className={`rp-analytics__fill ${getRPStatus(day.averageRP).fillColor}`}
+                          style={{ width: `${(day.averageRP / weekdayMax) * 100}%` }}
+                        />
+                      )}
+                    </div>
+                    <span className="text-sm text--gray-600">
+                      {day.averageRP === null ? '–' : day.averageRP.toFixed(2)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </Card>
+
+            {/* RP vs. completion */}
+            <Card>
+              <h2 className="card__title">RP vs. Completion</h2>
+              <ul className="space-y-2 mb-4">
+                {ZONES.map((zone) => {
+                  const status = getRPStatus(zone.sampleRP);
+                  return (
+                    <li key={zone.key} className="flex justify-between">
+                      <span className={status.textColor}>
+                        {status.emoji} {status.label}
+                      </span>
+                      <span className="font-semibold text--gray-900">
+                        {formatPercent(analysis.zoneCompletion[zone.key])} completed
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+              <p className="text-sm text--gray-600">
+                Correlation:{' '}
+                <span className="font-semibold">
+                  {analysis.correlation === null ? '–' : analysis.correlation.toFixed(2)}
+                </span>
+              </p>
+              <p className="text-sm text--gray-500">{describeCorrelation(analysis.correlation)}</p>
+              <p className="text-sm text--gray-500 mt-2">
+                Completion rate = completed RT / planned RT of the day (
+                {entries.filter((entry) => getCompletionRate(entry) !== null).length} days with planned
+                work).
+              </p>
+            </Card>
+          </div>
+        </>
+      )}
+
+      {/* Daily rituals (recorded independently of the RP history) */}
+      <Card className="mt-6">
+        <h2 className="card__title">Daily Rituals</h2>
+        <ul className="space-y-2">
+          {Object.values(RITUALS.TYPES).map((type) => {
+            const ritual = rituals[type];
+            return (
+              <li key={type} className="flex justify-between">
+                <span className="text--gray-900">
+                  {type === RITUALS.TYPES.MORNING ? '☀️ Morning check-in' : '🌙 Evening shutdown'}
+                </span>
+                <span className="text-sm text--gray-600">
+                  {ritual.count}/{range} days ({formatPercent(ritual.rate)}) · streak {ritual.streak} ·{' '}
+                  usually at {ritual.averageTime || '–'}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      </Card>
+    </div>
+  );
+}
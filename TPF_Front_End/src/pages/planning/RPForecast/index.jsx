@@ -0,0 +1,189 @@
+/**
+ * RPForecast - Realism Point (RP) forecast for the next 7, 14 or 30 days
+ *
+ * Computes RP for each upcoming day from the Auto-Distribution schedule and the
+ * available time of that day, so a crunch week shows up before it starts:
+ * - Load chart: One bar per day, colored by RP zone (Safe, Risky, Overload)
+ * - Peak day: Day with the highest RP (a day with RT but no available time
+ *   has RP ∞ and is always Overload)
+ * - Overload streaks: Consecutive Overload days (RP_FORECAST.MIN_STREAK_DAYS or more)
+ * - Day list: Tasks, RT and available time of each day
+ */
+
+import { useState, useMemo } from 'react';
+import { usePlanning } from '../../../features/planing/PlanningContext';
+import { RP_LIMITS, RP_FORECAST } from '../../../config/constants';
+import { calculateRPForecast, getRPStatus, formatRP } from '../../../config/functions/realismPoint';
+import PageHeader from '../../../components/ui/PageHeader';
+import Card from '../../../components/ui/Card';
+import SummaryGrid from '../../../components/ui/SummaryGrid';
+import './RPForecast.scss';
+
+// Smallest RP shown at the top of the chart (keeps the Overload line visible)
+const MIN_CHART_RP = 1.2;
+
+/**
+ * Format a forecast day for labels (e.g., 'Mon, Oct 20')
+ *
+ * @param {Date} date - Day to format
+ * @returns {string} Short weekday, month and day
+ */
+const formatDay = (date) =>
+  date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+
+export default function RPForecast() {
+  const { getTasksForDate, getAvailableTimeForDate, rtCorrectionFactor } = usePlanning();
+  const [range, setRange] = useState(RP_FORECAST.RANGES[0]);
+
+  // RP per day, peak day and overload streaks
+  const forecast = useMemo(() => {
+    return calculateRPForecast({
+      getTasksForDate,
+      getAvailableTime: getAvailableTimeForDate,
+      days: range,
+      correctionFactor: rtCorrectionFactor,
+    });
+  }, [getTasksForDate, getAvailableTimeForDate, range, rtCorrectionFactor]);
+
+  // Day keys inside an overload streak (highlighted in the chart)
+  const streakDayKeys = useMemo(() => {
+    const keys = new Set();
+    forecast.overloadStreaks.forEach((streak) => {
+      forecast.days
+        .filter((day) => day.date >= streak.start && day.date <= streak.end)
+        .forEach((day) => keys.add(day.dateKey));
+    });
+    return keys;
+  }, [forecast]);
+
+  // Top of the chart scale (days with RP ∞ get a full bar)
+  const chartMax = Math.max(MIN_CHART_RP, ...forecast.days.map((day) => day.rp).filter(Number.isFinite));
+  const longestStreak = forecast.overloadStreaks.reduce(
+    (longest, streak) => Math.max(longest, streak.length),
+    0
+  );
+  const averageStatus = getRPStatus(forecast.averageRP);
+
+  const stats = [
+    {
+      label: 'Peak Day',
+      value: forecast.peakDay ? (
+        <span className={forecast.peakDay.textColor}>
+          {formatDay(forecast.peakDay.date)} · {formatRP(forecast.peakDay.rp)}
+        </span>
+      ) : (
+        'No load'
+      ),
+    },
+    { label: 'Overload Days', value: `${forecast.overloadDays} of ${range}` },
+    {
+      label: 'Overload Streaks',
+      value: longestStreak > 0 ? `${forecast.overloadStreaks.length} (longest ${longestStreak} days)` : 'None',
+    },
+    {
+      label: 'Average RP',
+      value: <span className={averageStatus.textColor}>{formatRP(forecast.averageRP)}</span>,
+    },
+  ];
+
+  return (
+    <div className="page rp-forecast">
+      <PageHeader
+        title="RP Forecast"
+        subtitle="Realism Point of the coming days: spot a crunch before you are in it"
+        action={
+          <div className="flex gap-2">
+            {RP_FORECAST.RANGES.map((days) => (
+              <button
+                key={days}
+                onClick={() => setRange(days)}
+                className={`btn ${range === days ? 'btn--primary' : 'btn--secondary'}`}
+              >
+                {days} days
+              </button>
+            ))}
+          </div>
+        }
+      />
+
+      <div className="mb-6">
+        <SummaryGrid stats={stats} columns={4} />
+      </div>
+
+      {/* Overload streaks */}
+      {forecast.overloadStreaks.length > 0 && (
+        <div className="p-4 rounded-lg border border--2 bg--rp-overload border--rp-overload mb-6">
+          <p className="font-semibold text--rp-overload">
+            ⚠️ Overload streak{forecast.overloadStreaks.length > 1 ? 's' : ''} ahead
+          </p>
+          <ul className="text-sm text--rp-overload mt-2">
+            {forecast.overloadStreaks.map((streak) => (
+              <li key={streak.start.getTime()}>
+                {formatDay(streak.start)} – {formatDay(streak.end)}: {streak.length} days, peak RP{' '}
+                {formatRP(streak.peakRP)}
+              </li>
+            ))}
+          </ul>
+          <p className="text-sm text--gray-600 mt-2">
+            Postpone tasks, add available time on these days or run CWA before the streak starts.
+          </p>
+        </div>
+      )}
+
+      {/* Load chart */}
+      <Card className="mb-6">
+        <h2 className="card__title">Daily Load</h2>
+        <div className="rp-forecast__chart">
+          {[RP_LIMITS.SAFE, RP_LIMITS.RISKY].map((limit) => (
+            <div
+              key={limit}
+              className="rp-forecast__limit"
+              style={{ bottom: `${(limit / chartMax) * 100}%` }}
+            >
+              <span className="rp-forecast__limit-label">{limit.toFixed(1)}</span>
+            </div>
+          ))}
+          {forecast.days.map((day) => (
+            <div
+              key={day.dateKey}
+              className={`rp-forecast__column ${streakDayKeys.has(day.dateKey) ? 'rp-forecast__column--streak' : ''}`}
+              title={`${formatDay(day.date)}: RP ${formatRP(day.rp)} (${day.totalRT.toFixed(1)}h / ${day.availableTime}h)`}
+            >
+              <div
+                className={`rp-forecast__bar ${day.fillColor}`}
+                style={{ height: `${(Math.min(day.rp, chartMax) / chartMax) * 100}%` }}
+              >
+                {day === forecast.peakDay && <span className="rp-forecast__peak">▼</span>}
+              </div>
+            </div>
+          ))}
+        </div>
+        <div className="rp-forecast__axis">
+          {forecast.days.map((day) => (
+            <span key={day.dateKey} className="rp-forecast__tick">
+              {range <= 14 ? formatDay(day.date) : day.date.getDate()}
+            </span>
+          ))}
+        </div>
+      </Card>
+
+      {/* Day list */}
+      <Card>
+        <h2 className="card__title">Days</h2>
+        <ul>
+          {forecast.days.map((day) => (
+            <li key={day.dateKey} className="rp-forecast__day">
+              <span className="font-semibold text--gray-900">{formatDay(day.date)}</span>
+              <span className="text-sm text--gray-600">
+                {day.taskCount} task(s) · {day.totalRT.toFixed(1)}h of {day.availableTime}h
+              </span>
+              <span className={`font-semibold ${day.textColor}`}>
+                {day.emoji} {formatRP(day.rp)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </Card>
+    </div>
+  );
+}
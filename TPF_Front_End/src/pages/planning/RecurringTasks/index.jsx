@@ -0,0 +1,283 @@
+/**
+ * RecurringTasks - Manage recurring task series and their occurrences
+ *
+ * Each series (e.g., "Gym every Mon/Wed/Fri, 1.5h") generates one task per
+ * occurrence, RECURRENCE.HORIZON_DAYS ahead. Per series:
+ * - Rule in words and the upcoming occurrences
+ * - Skip: Drops one occurrence, the series continues
+ * - Edit: "This occurrence" changes only that task, "All future" changes the
+ *   series and every open occurrence from that date on (optionally with a new rule)
+ * - Stop: Ends the series and removes its open occurrences from today on
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { usePlanning } from '../../../features/planing/PlanningContext';
+import { IMPORTANCE, RECURRENCE } from '../../../config/constants';
+import { ROUTES } from '../../../config/routes';
+import {
+  describeRecurrenceRule,
+  createRecurrenceForm,
+  recurrenceFormToRule,
+} from '../../../config/functions/recurrence';
+import { getImportanceLabel, getImportanceColor } from '../../../config/functions/importanceLevel';
+import { startOfDay, toDateKey } from '../../../config/functions/dateHelpers';
+import PageHeader from '../../../components/ui/PageHeader';
+import Card from '../../../components/ui/Card';
+import EmptyState from '../../../components/ui/EmptyState';
+import RecurrenceFields from '../../../components/tasks/RecurrenceFields';
+import './RecurringTasks.scss';
+
+/**
+ * Format an occurrence day (e.g., 'Wed, Dec 18')
+ *
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @returns {string} Short weekday, month and day
+ */
+const formatOccurrence = (dateKey) =>
+  startOfDay(dateKey).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+
+/**
+ * OccurrenceEditForm - Edit one occurrence or all future occurrences
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.occurrence - Occurrence task
+ * @param {Object} props.series - Its series
+ * @param {Function} props.onSave - Called with (updates, scope); throws on invalid input
+ * @param {Function} props.onCancel - Closes the form
+ */
+function OccurrenceEditForm({ occurrence, series, onSave, onCancel }) {
+  const [form, setForm] = useState({
+    title: occurrence.title,
+    rt: String(occurrence.rt),
+    il: occurrence.il,
+  });
+  const [scope, setScope] = useState('this');
+  const [changeRule, setChangeRule] = useState(false);
+  const [recurrence, setRecurrence] = useState(() => createRecurrenceForm(series.rule));
+  const [error, setError] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.title.trim() || form.rt === '' || Number(form.rt) < 0) {
+      setError('Title and a non-negative RT are required.');
+      return;
+    }
+
+    const updates = { title: form.title.trim(), rt: form.rt, il: form.il };
+    if (scope === 'future' && changeRule) {
+      updates.rule = recurrenceFormToRule(recurrence);
+    }
+    try {
+      onSave(updates, scope);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="recurring-tasks__edit space-y-4">
+      <div className="recurring-tasks__fields">
+        <div className="form__group">
+          <label htmlFor="occurrence-title" className="form__label">Title</label>
+          <input
+            type="text"
+            id="occurrence-title"
+            value={form.title}
+            onChange={(e) => setForm({ ...form, title: e.target.value })}
+            className="form__input"
+          />
+        </div>
+        <div className="form__group">
+          <label htmlFor="occurrence-rt" className="form__label">RT (hours)</label>
+          <input
+            type="number"
+            id="occurrence-rt"
+            value={form.rt}
+            onChange={(e) => setForm({ ...form, rt: e.target.value })}
+            className="form__input"
+            min="0"
+            step="0.5"
+          />
+        </div>
+        <div className="form__group">
+          <label htmlFor="occurrence-il" className="form__label">IL</label>
+          <select
+            id="occurrence-il"
+            value={form.il}
+            onChange={(e) => setForm({ ...form, il: parseInt(e.target.value) })}
+            className="form__select"
+          >
+            {Object.values(IMPORTANCE).map((il) => (
+              <option key={il} value={il}>
+                {il} - {getImportanceLabel(il)}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex gap-2" role="radiogroup" aria-label="Apply to">
+        <label className="form__label mb-0 flex items-center gap-2">
+          <input type="radio" checked={scope === 'this'} onChange={() => setScope('this')} />
+          <span>This occurrence</span>
+        </label>
+        <label className="form__label mb-0 flex items-center gap-2">
+          <input type="radio" checked={scope === 'future'} onChange={() => setScope('future')} />
+          <span>This and all future occurrences</span>
+        </label>
+      </div>
+
+      {scope === 'future' && (
+        <>
+          <label className="form__label mb-0 flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={changeRule}
+              onChange={(e) => setChangeRule(e.target.checked)}
+              className="form__checkbox"
+            />
+            <span>Change the repeat rule</span>
+          </label>
+          {changeRule && <RecurrenceFields value={recurrence} onChange={setRecurrence} />}
+        </>
+      )}
+
+      {error && <p className="text-sm text--red-600">{error}</p>}
+
+      <div className="flex gap-2">
+        <button type="submit" className="btn btn--primary">Save</button>
+        <button type="button" onClick={onCancel} className="btn btn--secondary">Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+export default function RecurringTasks() {
+  const { tasks, recurringSeries, skipOccurrence, updateOccurrence, deleteRecurringSeries } = usePlanning();
+  // ID of the occurrence being edited
+  const [editingId, setEditingId] = useState(null);
+
+  const todayKey = toDateKey(new Date());
+
+  /**
+   * Get the occurrences of a series
+   *
+   * @param {number} seriesId - ID of the series
+   * @returns {Object} { upcoming: open occurrences from today on, completed: count of completed ones }
+   */
+  const getOccurrences = (seriesId) => {
+    const occurrences = tasks.filter((task) => task.recurrence && task.recurrence.seriesId === seriesId);
+    return {
+      upcoming: occurrences
+        .filter((task) => !task.completed && task.recurrence.date >= todayKey)
+        .sort((a, b) => a.recurrence.date.localeCompare(b.recurrence.date)),
+      completed: occurrences.filter((task) => task.completed).length,
+    };
+  };
+
+  const handleSkip = (taskId) => {
+    try {
+      skipOccurrence(taskId);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleStop = (series) => {
+    if (window.confirm(`Stop repeating "${series.title}"? Its upcoming occurrences will be removed.`)) {
+      deleteRecurringSeries(series.id);
+    }
+  };
+
+  return (
+    <div className="page recurring-tasks">
+      <PageHeader
+        title="Recurring Tasks"
+        subtitle={`Repeating tasks and their occurrences (generated ${RECURRENCE.HORIZON_DAYS} days ahead)`}
+        action={
+          <Link to={ROUTES.PLANNING.ADD_TASK} className="btn btn--primary">
+            + Add Recurring Task
+          </Link>
+        }
+      />
+
+      {recurringSeries.length === 0 ? (
+        <EmptyState
+          title="No recurring tasks"
+          subtitle='Turn on "Repeat" when adding a task, e.g., gym every Mon/Wed/Fri or a weekly review on Sunday.'
+        />
+      ) : (
+        <div className="space-y-4">
+          {recurringSeries.map((series) => {
+            const { upcoming, completed } = getOccurrences(series.id);
+            return (
+              <Card key={series.id}>
+                <div className="recurring-tasks__header">
+                  <div>
+                    <h2 className="card__title">
+                      🔁 {series.title}{' '}
+                      <span className={getImportanceColor(series.il)}>{getImportanceLabel(series.il)}</span>
+                    </h2>
+                    <p className="text-sm text--gray-600">
+                      {describeRecurrenceRule(series.rule)} · {series.rt}h
+                      {series.atomic && ' · atomic'}
+                    </p>
+                    <p className="text-sm text--gray-500">
+                      {completed} completed · {(series.skippedDates || []).length} skipped
+                    </p>
+                  </div>
+                  <button onClick={() => handleStop(series)} className="btn btn--danger">
+                    Stop Series
+                  </button>
+                </div>
+
+                {upcoming.length === 0 ? (
+                  <p className="text--gray-500 mt-4">No upcoming occurrences.</p>
+                ) : (
+                  <ul className="space-y-2 mt-4">
+                    {upcoming.map((occurrence) => (
+                      <li key={occurrence.id} className="recurring-tasks__occurrence">
+                        {editingId === occurrence.id ? (
+                          <OccurrenceEditForm
+                            occurrence={occurrence}
+                            series={series}
+                            onSave={(updates, scope) => {
+                              updateOccurrence(occurrence.id, updates, scope);
+                              setEditingId(null);
+                            }}
+                            onCancel={() => setEditingId(null)}
+                          />
+                        ) : (
+                          <div className="recurring-tasks__row">
+                            <span className="font-semibold text--gray-900">
+                              {formatOccurrence(occurrence.recurrence.date)}
+                              {occurrence.recurrence.date === todayKey && (
+                                <span className="badge badge--green recurring-tasks__badge">Today</span>
+                              )}
+                            </span>
+                            <span className="text-sm text--gray-600">
+                              {occurrence.title} · {occurrence.rt}h
+                            </span>
+                            <div className="flex gap-2">
+                              <button onClick={() => setEditingId(occurrence.id)} className="btn btn--secondary">
+                                Edit
+                              </button>
+                              <button onClick={() => handleSkip(occurrence.id)} className="btn btn--secondary">
+                                Skip
+                              </button>
+                            </div>
+                          </div>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </Card>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
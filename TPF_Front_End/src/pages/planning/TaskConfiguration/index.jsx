@@ -3,43 +3,62 @@
  * 
  * Features:
  * - Task Links management (create, view, remove links between tasks)
- * - RT (Required Time) calculations and statistics
+ * - RT (Required Time) calculations and statistics for the selected day's plan
+ *   (the same slices as the Dashboard; RP uses the available time of that date)
+ * - Planned RP (whole plan, including completed tasks) and remaining RP (open
+ *   work only, minus time tracked that day)
+ * - Critical path analysis (longest RT chain, slack, IDL feasibility per root task)
  * - Overview of task relationships
  */
 
 import { useState, useMemo } from 'react';
 import { usePlanning } from '../../../features/planing/PlanningContext';
 import TaskLinkManager from '../../../components/tasks/TaskLinkManager';
-import { filterTasksByDate, filterTasksWithLinks } from '../../../config/functions/taskFilters';
-import { calculateRTStats, calculateTotalRT } from '../../../config/functions/rtCalculations';
-import { calculateRealismPoint, getRPStatus } from '../../../config/functions/realismPoint';
+import CriticalPathPanel from '../../../components/tasks/CriticalPathPanel';
+import { filterTasksWithLinks } from '../../../config/functions/taskFilters';
+import { calculateRTStats, calculateRemainingRT } from '../../../config/functions/rtCalculations';
+import {
+  calculateRealismPoint,
+  calculateRemainingRealismPoint,
+  getRPStatus,
+  formatRP,
+} from '../../../config/functions/realismPoint';
 import './TaskConfiguration.scss';
 
 export default function TaskConfiguration() {
-  const { tasks, availableTime } = usePlanning();
+  const { tasks, getTasksForDate, getAvailableTimeForDate, rtCorrectionFactor } = usePlanning();
   const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
 
-  // Get tasks for selected date
+  // Get the plan of the selected date (daily slices and tasks completed that day)
   const tasksForDate = useMemo(() => {
-    return filterTasksByDate(tasks, selectedDate, false);
-  }, [tasks, selectedDate]);
+    return getTasksForDate(selectedDate);
+  }, [getTasksForDate, selectedDate]);
+
+  // Available time of the selected date (weekly template or date override)
+  const availableTime = useMemo(
+    () => getAvailableTimeForDate(selectedDate),
+    [getAvailableTimeForDate, selectedDate]
+  );
 
   // Calculate RT statistics
   const rtStats = useMemo(() => {
     const stats = calculateRTStats(tasksForDate);
-    const totalRT = stats.totalRT;
     
-    // Calculate Realism Point (RP)
-    const rp = calculateRealismPoint(tasksForDate, availableTime);
+    // Calculate planned and remaining Realism Point (RP)
+    const rp = calculateRealismPoint(tasksForDate, availableTime, rtCorrectionFactor);
     const rpStatus = getRPStatus(rp);
+    const remainingRP = calculateRemainingRealismPoint(tasksForDate, availableTime, rtCorrectionFactor, selectedDate);
 
     return {
       ...stats,
+      remainingRT: calculateRemainingRT(tasksForDate, selectedDate),
       rp,
       rpStatus: rpStatus.status,
       rpColor: rpStatus.color,
+      remainingRP,
+      remainingRPColor: getRPStatus(remainingRP).color,
     };
-  }, [tasksForDate, availableTime]);
+  }, [tasksForDate, availableTime, rtCorrectionFactor, selectedDate]);
 
   // Get tasks with links
   const tasksWithLinks = useMemo(() => {
@@ -75,9 +94,11 @@ export default function TaskConfiguration() {
         {/* RT Statistics */}
         <div className="grid grid--cols-1 grid--md-cols-2 grid--lg-cols-3 grid--gap-4 mb-6">
           <div className="rt-stat-card border border--gray-700 rounded-lg p-4">
-            <p className="text-sm text--gray-400 mb-1">Total RT</p>
+            <p className="text-sm text--gray-400 mb-1">Planned RT</p>
             <p className="text-2xl font-bold text--gray-100">{rtStats.totalRT.toFixed(1)}h</p>
-            <p className="text-xs text--gray-500 mt-1">{rtStats.taskCount} tasks</p>
+            <p className="text-xs text--gray-500 mt-1">
+              {rtStats.taskCount} tasks · {rtStats.remainingRT.toFixed(1)}h remaining
+            </p>
           </div>
           <div className="rt-stat-card border border--gray-700 rounded-lg p-4">
             <p className="text-sm text--gray-400 mb-1">Average RT</p>
@@ -96,9 +117,15 @@ export default function TaskConfiguration() {
         {/* Realism Point (RP) */}
         <div className="rp-card border border--primary-700 rounded-lg p-4 bg--primary-900">
           <div className="flex justify-between items-center mb-2">
-            <div>
-              <p className="text-sm text--gray-400 mb-1">Realism Point (RP)</p>
-              <p className="text-3xl font-bold text--gray-100">{rtStats.rp.toFixed(2)}</p>
+            <div className="flex gap-4">
+              <div>
+                <p className="text-sm text--gray-400 mb-1">Planned RP</p>
+                <p className="text-3xl font-bold text--gray-100">{formatRP(rtStats.rp)}</p>
+              </div>
+              <div>
+                <p className="text-sm text--gray-400 mb-1">Remaining RP</p>
+                <p className={`text-3xl font-bold ${rtStats.remainingRPColor}`}>{formatRP(rtStats.remainingRP)}</p>
+              </div>
             </div>
             <div className="text-right">
               <p className="text-sm text--gray-400 mb-1">Status</p>
@@ -114,12 +141,14 @@ export default function TaskConfiguration() {
                 <span className="font-semibold text--gray-100">{availableTime}h</span>
               </div>
               <div>
-                <span className="text--gray-400">Total RT: </span>
-                <span className="font-semibold text--gray-100">{rtStats.totalRT.toFixed(1)}h</span>
+                <span className="text--gray-400">Planned / Remaining RT: </span>
+                <span className="font-semibold text--gray-100">
+                  {rtStats.totalRT.toFixed(1)}h / {rtStats.remainingRT.toFixed(1)}h
+                </span>
               </div>
             </div>
             <p className="text-xs text--gray-400 mt-2">
-              RP = Total RT / Available Time. 
+              RP = RT / Available Time (remaining RP counts only the open work). 
               {rtStats.rp < 0.8 && ' ✓ Plan is realistic with good buffer.'}
               {rtStats.rp >= 0.8 && rtStats.rp < 1.0 && ' ⚠️ Tight schedule, requires focus.'}
               {rtStats.rp >= 1.0 && ' ✗ Impossible, immediate action required.'}
@@ -128,6 +157,11 @@ export default function TaskConfiguration() {
         </div>
       </div>
 
+      {/* Critical Path Section */}
+      <div className="card mb-6">
+        <CriticalPathPanel />
+      </div>
+
       {/* Task Links Section */}
       <div className="card">
         <TaskLinkManager />
@@ -1,41 +1,197 @@
 /**
  * TaskTreeView - Visual tree diagram showing task relationships and dependencies
- * 
- * NOTE: This component is being rebuilt from scratch.
- * Content has been cleared for now.
+ *
+ * Renders the interactive task tree (parents, subtasks and links) and
+ * highlights zero-slack tasks from the critical path analysis.
+ * The full critical path breakdown is available on the Task Configuration page.
+ *
+ * Hierarchy checks: Parents whose RT is below their subtasks' RT (with a button
+ * to use the subtasks' RT) and subtasks due after their parent are listed, and
+ * parents can be completed automatically with their last open subtask.
+ *
+ * Templates: The selected task and its subtasks can be saved as a template
+ * (relative IDLs, RT, IL and internal links) and created again from AddTask.
  */
 
+import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { usePlanning } from '../../../features/planing/PlanningContext';
 import { ROUTES } from '../../../config/routes';
+import { getTemplateSummary } from '../../../config/functions/templates';
 import PageHeader from '../../../components/ui/PageHeader';
 import Card from '../../../components/ui/Card';
-import EmptyState from '../../../components/ui/EmptyState';
+import TaskTree from '../../../components/tasks/TaskTreeView';
 import './TaskTreeView.scss';
 
+/**
+ * SaveTemplateForm - Save the selected task tree as a template
+ *
+ * Keyed by the selected task, so the name starts from its title.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.task - Selected task (root of the template)
+ * @param {Function} props.onSave - Called with the name; throws on invalid input
+ */
+function SaveTemplateForm({ task, onSave }) {
+  const [name, setName] = useState(task.title);
+  const [message, setMessage] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      const template = onSave(name);
+      setMessage({
+        type: 'success',
+        text: `Saved "${template.name}" with ${template.nodes.length} task(s).`,
+      });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text--gray-600">
+        Saves <span className="font-semibold">{task.title}</span> with all of its subtasks, their RT, IL,
+        IDLs relative to this task and the links between them.
+      </p>
+      <div className="form__group">
+        <label htmlFor="template-name" className="form__label">Template name</label>
+        <input
+          type="text"
+          id="template-name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="form__input"
+        />
+      </div>
+      {message && (
+        <p className={`text-sm ${message.type === 'error' ? 'text--red-600' : 'text--green-600'}`}>
+          {message.text}
+        </p>
+      )}
+      <button type="submit" className="btn btn--primary">
+        Save as Template
+      </button>
+    </form>
+  );
+}
+
 export default function TaskTreeView() {
   const navigate = useNavigate();
+  const {
+    taskTemplates,
+    saveTemplate,
+    deleteTemplate,
+    hierarchyIssues,
+    rollUpParentRT,
+    autoCompleteParents,
+    setAutoCompleteParents,
+  } = usePlanning();
+  // Task selected in the tree (root of a new template)
+  const [selectedTask, setSelectedTask] = useState(null);
+
+  const handleDeleteTemplate = (template) => {
+    if (window.confirm(`Delete the template "${template.name}"? Tasks created from it are kept.`)) {
+      deleteTemplate(template.id);
+    }
+  };
 
   return (
     <div className="page">
       <PageHeader
         title="Task Tree View"
         subtitle="Visual tree diagram showing task relationships and dependencies"
+        action={
+          <button
+            onClick={() => navigate(ROUTES.PLANNING.TASK_CONFIGURATION)}
+            className="btn btn--secondary"
+          >
+            Critical Path Analysis →
+          </button>
+        }
       />
 
-      <Card>
-        <EmptyState
-          title="Task Tree View Coming Soon"
-          subtitle="This feature is being rebuilt from scratch. Check back soon!"
-          action={
-            <button
-              onClick={() => navigate(ROUTES.PLANNING.ALL_TASKS)}
-              className="btn btn--primary"
-            >
-              View All Tasks →
-            </button>
-          }
-        />
+      <Card className="mb-6">
+        <TaskTree onTaskSelect={setSelectedTask} />
       </Card>
+
+      <Card className="mb-6">
+        <h2 className="card__title">Parents &amp; Subtasks</h2>
+        {hierarchyIssues.length === 0 ? (
+          <p className="text--gray-500">Every parent covers the RT and deadlines of its subtasks.</p>
+        ) : (
+          <ul className="space-y-2">
+            {hierarchyIssues.map((issue) => (
+              <li
+                key={`${issue.type}-${issue.taskId}-${issue.subtaskId || ''}`}
+                className="task-tree-page__issue"
+              >
+                <span className="text-sm text--yellow-600">⚠️ {issue.message}</span>
+                {issue.type === 'rt' && (
+                  <button onClick={() => rollUpParentRT(issue.taskId)} className="btn btn--secondary">
+                    Use subtasks' RT ({issue.subtasksRT}h)
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        <label className="form__label mb-0 mt-4 flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={autoCompleteParents}
+            onChange={(e) => setAutoCompleteParents(e.target.checked)}
+            className="form__checkbox"
+          />
+          <span>Complete a parent when its last open subtask is completed</span>
+        </label>
+      </Card>
+
+      <div className="task-tree-page__templates">
+        <Card>
+          <h2 className="card__title">Save as Template</h2>
+          {selectedTask ? (
+            <SaveTemplateForm
+              key={selectedTask.id}
+              task={selectedTask}
+              onSave={(name) => saveTemplate(selectedTask.id, name)}
+            />
+          ) : (
+            <p className="text--gray-500">
+              Select a task in the tree to save it and its subtasks as a reusable template.
+            </p>
+          )}
+        </Card>
+
+        <Card>
+          <h2 className="card__title">Templates</h2>
+          {taskTemplates.length === 0 ? (
+            <p className="text--gray-500">No templates yet.</p>
+          ) : (
+            <ul className="space-y-2">
+              {taskTemplates.map((template) => {
+                const summary = getTemplateSummary(template);
+                return (
+                  <li key={template.id} className="task-tree-page__template">
+                    <div>
+                      <p className="font-semibold text--gray-900">{template.name}</p>
+                      <p className="text-sm text--gray-600">
+                        {summary.taskCount} task(s) · {summary.totalRT}h RT
+                        {summary.leadDays > 0 && ` · starts ${summary.leadDays} day(s) before the deadline`}
+                      </p>
+                    </div>
+                    <button onClick={() => handleDeleteTemplate(template)} className="btn btn--secondary">
+                      Delete
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+          <p className="text-sm text--gray-500 mt-4">Create tasks from a template on the Add Task page.</p>
+        </Card>
+      </div>
     </div>
   );
 }
@@ -0,0 +1,255 @@
+/**
+ * Timeline - Gantt view of the task tree and its dependencies
+ *
+ * Each task is drawn as a bar from its planned start (first day the Smoothing
+ * Logic gives it work) to its IDL, with subtasks nested under their parents:
+ * - Dependency arrows run from each prerequisite to the tasks linked to it;
+ *   arrows of open prerequisites due after their dependent are red
+ * - Today is a vertical line, each IDL a marker at the end of its bar
+ *   (red while the task is overdue)
+ * - Dragging the end of an open task's bar moves its IDL; moves that break
+ *   the prerequisite order or put a subtask's IDL after its parent's are
+ *   made, but listed as warnings
+ */
+
+import { useState, useMemo } from 'react';
+import { usePlanning } from '../../../features/planing/PlanningContext';
+import { TIMELINE } from '../../../config/constants';
+import {
+  buildTimelineRows,
+  getTimelineRange,
+  getDependencyEdges,
+  checkPrerequisiteOrder,
+} from '../../../config/functions/timeline';
+import { getMoveToDayUpdates } from '../../../config/functions/calendar';
+import { checkTaskHierarchy } from '../../../config/functions/taskHierarchy';
+import { isTaskClosed } from '../../../config/functions/taskStatus';
+import { addDays, daysBetween, startOfDay } from '../../../config/functions/dateHelpers';
+import PageHeader from '../../../components/ui/PageHeader';
+import Card from '../../../components/ui/Card';
+import EmptyState from '../../../components/ui/EmptyState';
+import './Timeline.scss';
+
+export default function Timeline() {
+  const { tasks, getTaskTree, schedule, updateTask } = usePlanning();
+  const [showClosed, setShowClosed] = useState(false);
+  // Bar end being dragged: { taskId, startX, offset } (offset in days)
+  const [drag, setDrag] = useState(null);
+  // Result of the last move ({ type: 'success' | 'error' | 'warning', lines })
+  const [message, setMessage] = useState(null);
+
+  const rows = useMemo(
+    () => buildTimelineRows(getTaskTree(), schedule, { showClosed }),
+    [getTaskTree, schedule, showClosed]
+  );
+  const range = useMemo(() => getTimelineRange(rows), [rows]);
+  const edges = useMemo(() => getDependencyEdges(rows.map((row) => row.task)), [rows]);
+
+  const today = startOfDay(new Date());
+  const rowIndex = new Map(rows.map((row, index) => [row.task.id, index]));
+
+  // Pixel position of the left edge of a day and the vertical center of a row
+  const dayX = (date) => daysBetween(range.start, date) * TIMELINE.DAY_WIDTH;
+  const rowY = (index) => (index + 1) * TIMELINE.ROW_HEIGHT + TIMELINE.ROW_HEIGHT / 2;
+
+  const handlePointerDown = (e, task) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ taskId: task.id, startX: e.clientX, offset: 0 });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drag) return;
+    setDrag({ ...drag, offset: Math.round((e.clientX - drag.startX) / TIMELINE.DAY_WIDTH) });
+  };
+
+  const handlePointerUp = (task) => {
+    if (!drag) return;
+    const { offset } = drag;
+    setDrag(null);
+    if (offset === 0) return;
+
+    const day = addDays(task.idl, offset);
+    if (day < today) {
+      setMessage({ type: 'error', lines: ['IDLs cannot be moved to a past day.'] });
+      return;
+    }
+    const updates = getMoveToDayUpdates(task, day);
+    updateTask(task.id, updates);
+
+    // Subtasks due after their parent, where the moved task is the parent or the subtask
+    const movedTasks = tasks.map((t) => (t.id === task.id ? { ...t, ...updates } : t));
+    const hierarchyWarnings = checkTaskHierarchy(movedTasks)
+      .filter((issue) => issue.type === 'idl' && (issue.taskId === task.id || issue.subtaskId === task.id))
+      .map((issue) => issue.message);
+    const warnings = [...checkPrerequisiteOrder(tasks, task.id, updates.idl), ...hierarchyWarnings];
+    setMessage(
+      warnings.length > 0
+        ? { type: 'warning', lines: warnings }
+        : { type: 'success', lines: [`"${task.title}" is now due ${updates.idl.toLocaleDateString()}.`] }
+    );
+  };
+
+  const width = range.days * TIMELINE.DAY_WIDTH;
+  const height = (rows.length + 1) * TIMELINE.ROW_HEIGHT;
+  const days = Array.from({ length: range.days }, (_, offset) => addDays(range.start, offset));
+
+  return (
+    <div className="page timeline">
+      <PageHeader
+        title="Timeline"
+        subtitle="Each task from its planned start to its Ideal Deadline, with its prerequisites"
+      />
+
+      <Card>
+        <label className="form__label mb-4 flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={showClosed}
+            onChange={(e) => setShowClosed(e.target.checked)}
+            className="form__checkbox"
+          />
+          <span>Show completed and cancelled tasks</span>
+        </label>
+
+        {message && (
+          <ul className="mb-4">
+            {message.lines.map((line) => (
+              <li
+                key={line}
+                className={`text-sm ${
+                  message.type === 'error'
+                    ? 'text--red-600'
+                    : message.type === 'warning'
+                      ? 'text--yellow-600'
+                      : 'text--green-600'
+                }`}
+              >
+                {message.type === 'warning' && '⚠️ '}
+                {line}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {rows.length === 0 ? (
+          <EmptyState title="No tasks to show" subtitle="Tasks appear here once they are added." />
+        ) : (
+          <div className="timeline__chart">
+            {/* Task titles, indented by depth */}
+            <ul className="timeline__labels" style={{ paddingTop: TIMELINE.ROW_HEIGHT }}>
+              {rows.map((row) => (
+                <li
+                  key={row.task.id}
+                  className="timeline__label"
+                  style={{ height: TIMELINE.ROW_HEIGHT, paddingLeft: `${row.depth * 1.25 + 0.5}rem` }}
+                  title={row.task.title}
+                >
+                  {row.depth > 0 && '└ '}
+                  {row.task.title}
+                </li>
+              ))}
+            </ul>
+
+            <div className="timeline__scroll">
+              <div className="timeline__canvas" style={{ width, height }}>
+                {/* Day scale */}
+                {days.map((day) => (
+                  <div
+                    key={day.getTime()}
+                    className={`timeline__day ${[0, 6].includes(day.getDay()) ? 'timeline__day--weekend' : ''}`}
+                    style={{ left: dayX(day), width: TIMELINE.DAY_WIDTH, height }}
+                  >
+                    <span className="timeline__day-label" style={{ height: TIMELINE.ROW_HEIGHT }}>
+                      {day.getDate() === 1 || day.getTime() === range.start.getTime()
+                        ? day.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+                        : day.getDate()}
+                    </span>
+                  </div>
+                ))}
+
+                {/* Today */}
+                <div
+                  className="timeline__today"
+                  style={{ left: dayX(today) + TIMELINE.DAY_WIDTH / 2, height }}
+                  title="Today"
+                />
+
+                {/* Bars */}
+                {rows.map((row, index) => {
+                  const { task } = row;
+                  const closed = isTaskClosed(task);
+                  const offset = drag && drag.taskId === task.id ? drag.offset : 0;
+                  const end = addDays(row.end, offset);
+                  const start = row.start < end ? row.start : end;
+                  const overdue = !closed && new Date(task.idl) < new Date();
+
+                  return (
+                    <div
+                      key={task.id}
+                      className={`timeline__bar timeline__bar--il-${task.il} ${closed ? 'timeline__bar--closed' : ''}`}
+                      style={{
+                        left: dayX(start),
+                        top: rowY(index) - TIMELINE.ROW_HEIGHT / 4,
+                        width: (daysBetween(start, end) + 1) * TIMELINE.DAY_WIDTH,
+                        height: TIMELINE.ROW_HEIGHT / 2,
+                      }}
+                      title={`${task.title} · ${start.toLocaleDateString()} – IDL ${new Date(task.idl).toLocaleString()}`}
+                    >
+                      <span
+                        className={`timeline__deadline ${overdue ? 'timeline__deadline--overdue' : ''}`}
+                        title={`IDL ${new Date(task.idl).toLocaleString()}`}
+                      />
+                      {!closed && (
+                        <span
+                          className="timeline__handle"
+                          onPointerDown={(e) => handlePointerDown(e, task)}
+                          onPointerMove={handlePointerMove}
+                          onPointerUp={() => handlePointerUp(task)}
+                          onPointerCancel={() => setDrag(null)}
+                          title="Drag to move the IDL"
+                        />
+                      )}
+                    </div>
+                  );
+                })}
+
+                {/* Dependency arrows (prerequisite end → dependent start) */}
+                <svg className="timeline__arrows" width={width} height={height}>
+                  <defs>
+                    <marker id="timeline-arrow" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+                      <path d="M0,0 L8,4 L0,8 z" className="timeline__arrow-head" />
+                    </marker>
+                    <marker id="timeline-arrow-broken" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+                      <path d="M0,0 L8,4 L0,8 z" className="timeline__arrow-head timeline__arrow-head--broken" />
+                    </marker>
+                  </defs>
+                  {edges.map((edge) => {
+                    const from = rows[rowIndex.get(edge.fromId)];
+                    const to = rows[rowIndex.get(edge.toId)];
+                    const x1 = dayX(from.end) + TIMELINE.DAY_WIDTH;
+                    const y1 = rowY(rowIndex.get(edge.fromId));
+                    const x2 = dayX(to.start);
+                    const y2 = rowY(rowIndex.get(edge.toId));
+                    return (
+                      <path
+                        key={`${edge.fromId}-${edge.toId}`}
+                        d={`M${x1},${y1} C${x1 + 16},${y1} ${x2 - 16},${y2} ${x2},${y2}`}
+                        className={`timeline__arrow ${edge.outOfOrder ? 'timeline__arrow--broken' : ''}`}
+                        markerEnd={`url(#${edge.outOfOrder ? 'timeline-arrow-broken' : 'timeline-arrow'})`}
+                      />
+                    );
+                  })}
+                </svg>
+              </div>
+            </div>
+          </div>
+        )}
+
+        <p className="text-sm text--gray-500 mt-4">
+          Bars start on the first day the Smoothing Logic plans work for the task. Red arrows mark an open
+          prerequisite due after the task that waits for it.
+        </p>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,505 @@
+/**
+ * WeeklyPlanning - Step-by-step weekly planning wizard (~10 minutes)
+ *
+ * Walks through the week in one place instead of jumping between pages:
+ * 1. Review: Last week's completion and the tasks carried over (overdue)
+ * 2. Observations: Convert or delete the observations ready for analysis
+ * 3. Availability: Hours for each of the next WEEK_PLAN.DAYS days (overrides)
+ * 4. Tasks: Add new tasks, adjust RT and IL or postpone open ones
+ * 5. Preview: RP of each day of the week
+ * 6. Confirm: Saves the week plan that the Dashboard follows
+ *
+ * Every step changes the real data right away; the last step only takes the
+ * snapshot of the resulting schedule (see Week Plan).
+ */
+
+import { useState, useMemo } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { usePlanning } from '../../../features/planing/PlanningContext';
+import { useObservations } from '../../../features/observations/ObservationsContext';
+import { IMPORTANCE, WEEK_PLAN, RP_LIMITS, AVAILABILITY, TASK_STATUS } from '../../../config/constants';
+import { ROUTES } from '../../../config/routes';
+import { getWeekReview, getOpenTasksForDate } from '../../../config/functions/weekPlan';
+import { formatOverdue } from '../../../config/functions/overdue';
+import { calculateRPForecast, formatRP } from '../../../config/functions/realismPoint';
+import { getImportanceLabel, getImportanceColor } from '../../../config/functions/importanceLevel';
+import { canChangeStatus, isTaskScheduled } from '../../../config/functions/taskStatus';
+import { addDays } from '../../../config/functions/dateHelpers';
+import PageHeader from '../../../components/ui/PageHeader';
+import Card from '../../../components/ui/Card';
+import './WeeklyPlanning.scss';
+
+// Wizard steps in order
+const STEPS = ['Review', 'Observations', 'Availability', 'Tasks', 'Preview', 'Confirm'];
+
+/**
+ * Format a day for lists (e.g., 'Wed, Dec 18')
+ *
+ * @param {Date|string} date - The day
+ * @returns {string} Short weekday, month and day
+ */
+const formatDay = (date) =>
+  new Date(date).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+
+/**
+ * Default IDL of tasks created in the wizard: the last day of the week, 18:00
+ *
+ * @returns {string} Value for a datetime-local input
+ */
+const getWeekEndInput = () => {
+  const day = addDays(new Date(), WEEK_PLAN.DAYS - 1);
+  day.setHours(18, 0);
+  return new Date(day.getTime() - day.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * QuickTaskForm - Title, RT, IDL and IL of a new task
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.initialTitle=''] - Title to start from (e.g., an observation)
+ * @param {string} props.submitLabel - Text of the submit button
+ * @param {Function} props.onSubmit - Called with { title, rt, idl, il }
+ * @param {Function} [props.onCancel] - Shows a Cancel button when given
+ */
+function QuickTaskForm({ initialTitle = '', submitLabel, onSubmit, onCancel }) {
+  const [form, setForm] = useState({ title: initialTitle, rt: '', idl: getWeekEndInput(), il: IMPORTANCE.MEDIUM });
+  const [error, setError] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.title.trim() || !(Number(form.rt) > 0) || !form.idl) {
+      setError('Title, a positive RT and an IDL are required.');
+      return;
+    }
+    onSubmit({ title: form.title.trim(), rt: form.rt, idl: new Date(form.idl), il: form.il });
+    setForm({ ...form, title: '', rt: '' });
+    setError('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="weekly-planning__task-form">
+      <input
+        type="text"
+        value={form.title}
+        onChange={(e) => setForm({ ...form, title: e.target.value })}
+        className="form__input"
+        placeholder="Task title"
+        aria-label="Title"
+      />
+      <input
+        type="number"
+        value={form.rt}
+        onChange={(e) => setForm({ ...form, rt: e.target.value })}
+        className="form__input"
+        placeholder="RT (h)"
+        aria-label="RT (hours)"
+        min="0"
+        step="0.5"
+      />
+      <input
+        type="datetime-local"
+        value={form.idl}
+        onChange={(e) => setForm({ ...form, idl: e.target.value })}
+        className="form__input"
+        aria-label="IDL"
+      />
+      <select
+        value={form.il}
+        onChange={(e) => setForm({ ...form, il: parseInt(e.target.value) })}
+        className="form__select"
+        aria-label="IL"
+      >
+        {Object.values(IMPORTANCE).map((il) => (
+          <option key={il} value={il}>
+            {il} - {getImportanceLabel(il)}
+          </option>
+        ))}
+      </select>
+      <button type="submit" className="btn btn--primary">{submitLabel}</button>
+      {onCancel && (
+        <button type="button" onClick={onCancel} className="btn btn--secondary">Cancel</button>
+      )}
+      {error && <p className="text-sm text--red-600 weekly-planning__form-error">{error}</p>}
+    </form>
+  );
+}
+
+/**
+ * ReviewStep - Last week's completion and the carried-over tasks
+ */
+function ReviewStep() {
+  const { tasks, weekPlan, moveOverdueTask, splitOverdueTask } = usePlanning();
+  const [error, setError] = useState('');
+  const review = useMemo(() => getWeekReview(tasks, weekPlan), [tasks, weekPlan]);
+
+  const runAction = (action) => {
+    try {
+      action();
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <>
+      <h2 className="card__title">Last {WEEK_PLAN.DAYS} Days</h2>
+      <ul className="text--gray-700 space-y-2 mb-6">
+        <li>✅ {review.completed.length} task(s) completed</li>
+        <li>
+          🎯{' '}
+          {review.completionRate === null
+            ? 'No tasks were due.'
+            : `${Math.round(review.completionRate * 100)}% of the tasks due were completed.`}
+        </li>
+        {review.planned && (
+          <li>
+            🗓️ {review.planned.doneCount} of {review.planned.taskCount} task(s) from the last week plan are done.
+          </li>
+        )}
+      </ul>
+
+      <h2 className="card__title">Carried Over ({review.carriedOver.length})</h2>
+      {review.carriedOver.length === 0 ? (
+        <p className="text--gray-500">Nothing carried over.</p>
+      ) : (
+        <ul className="space-y-2">
+          {review.carriedOver.map((task) => (
+            <li key={task.id} className="weekly-planning__row">
+              <span className="text--gray-900">
+                {task.title} <span className="text-sm text--red-600">{formatOverdue(task)}</span>
+              </span>
+              <div className="flex gap-2">
+                <button onClick={() => runAction(() => moveOverdueTask(task.id))} className="btn btn--secondary">
+                  Move
+                </button>
+                <button
+                  onClick={() => runAction(() => splitOverdueTask(task.id))}
+                  className="btn btn--secondary"
+                  disabled={task.atomic}
+                >
+                  Split
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <p className="text-sm text--red-600 mt-2">{error}</p>}
+      <p className="text-sm text--gray-500 mt-4">
+        More options (lower IL, send to CWA) on the <Link to={ROUTES.PLANNING.OVERDUE}>Overdue Tasks</Link> page.
+      </p>
+    </>
+  );
+}
+
+/**
+ * ObservationsStep - Process the observations ready for analysis
+ */
+function ObservationsStep() {
+  const { addTask } = usePlanning();
+  const { getReadyForAnalysis, convertToTask, deleteObservation } = useObservations();
+  // ID of the observation being converted
+  const [convertingId, setConvertingId] = useState(null);
+  const ready = useMemo(() => getReadyForAnalysis(), [getReadyForAnalysis]);
+
+  const handleConvert = (observation, task) => {
+    const newTask = addTask(task);
+    convertToTask(observation.id, newTask.id);
+    setConvertingId(null);
+  };
+
+  return (
+    <>
+      <h2 className="card__title">Ready for Analysis ({ready.length})</h2>
+      {ready.length === 0 ? (
+        <p className="text--gray-500">No observations have finished their buffer period.</p>
+      ) : (
+        <ul className="space-y-2">
+          {ready.map((observation) => (
+            <li key={observation.id} className="weekly-planning__item">
+              <div className="weekly-planning__row">
+                <span className="text--gray-900">{observation.content}</span>
+                <div className="flex gap-2">
+                  <button onClick={() => setConvertingId(observation.id)} className="btn btn--primary">
+                    To Task
+                  </button>
+                  <Link
+                    to={`${ROUTES.OBSERVATIONS.ANALYSIS}?id=${observation.id}`}
+                    className="btn btn--secondary"
+                  >
+                    Analyze
+                  </Link>
+                  <button onClick={() => deleteObservation(observation.id)} className="btn btn--danger">
+                    Delete
+                  </button>
+                </div>
+              </div>
+              {convertingId === observation.id && (
+                <QuickTaskForm
+                  initialTitle={observation.content}
+                  submitLabel="Create Task"
+                  onSubmit={(task) => handleConvert(observation, task)}
+                  onCancel={() => setConvertingId(null)}
+                />
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      <p className="text-sm text--gray-500 mt-4">
+        Analyze opens the full analysis (tags, LI, EP); come back here afterwards.
+      </p>
+    </>
+  );
+}
+
+/**
+ * AvailabilityStep - Available hours of each day of the week
+ */
+function AvailabilityStep() {
+  const { getAvailabilityDetails, setAvailableTimeForDate } = usePlanning();
+  const [error, setError] = useState('');
+  const days = Array.from({ length: WEEK_PLAN.DAYS }, (_, offset) => addDays(new Date(), offset));
+
+  const handleChange = (day, value) => {
+    try {
+      setAvailableTimeForDate(day, value === '' ? NaN : Number(value));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <>
+      <h2 className="card__title">Available Time</h2>
+      <p className="text--gray-600 mb-4">
+        Changes apply to these dates only; the weekly template is set in{' '}
+        <Link to={ROUTES.SETTINGS.AVAILABILITY}>Availability Settings</Link>.
+      </p>
+      <ul className="space-y-2">
+        {days.map((day) => {
+          const details = getAvailabilityDetails(day);
+          return (
+            <li key={day.getTime()} className="weekly-planning__row">
+              <span className="font-semibold text--gray-900">{formatDay(day)}</span>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  value={details.hours}
+                  onChange={(e) => handleChange(day, e.target.value)}
+                  className="form__input weekly-planning__hours"
+                  min="0"
+                  max={AVAILABILITY.MAX_HOURS_PER_DAY}
+                  step="0.5"
+                  aria-label={`Hours on ${formatDay(day)}`}
+                />
+                <span className="text--gray-600">hours</span>
+                {details.isOverride && (
+                  <button onClick={() => setAvailableTimeForDate(day, null)} className="btn btn--secondary">
+                    Reset ({details.templateHours}h)
+                  </button>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      {error && <p className="text-sm text--red-600 mt-2">{error}</p>}
+    </>
+  );
+}
+
+/**
+ * TasksStep - Add tasks and adjust the open tasks due this week
+ */
+function TasksStep() {
+  const { tasks, addTask, updateTask, setTaskStatus } = usePlanning();
+  const weekEnd = addDays(new Date(), WEEK_PLAN.DAYS);
+
+  const handleRTChange = (task, value) => {
+    if (value !== '' && Number(value) >= 0) {
+      updateTask(task.id, { rt: value });
+    }
+  };
+
+  // Open tasks due before the end of the week
+  const weekTasks = tasks
+    .filter((task) => isTaskScheduled(task) && new Date(task.idl) < weekEnd)
+    .sort((a, b) => new Date(a.idl) - new Date(b.idl));
+
+  return (
+    <>
+      <h2 className="card__title">Add a Task</h2>
+      <QuickTaskForm submitLabel="Add" onSubmit={addTask} />
+
+      <h2 className="card__title mt-6">Due This Week ({weekTasks.length})</h2>
+      {weekTasks.length === 0 ? (
+        <p className="text--gray-500">No open tasks are due this week.</p>
+      ) : (
+        <ul className="space-y-2">
+          {weekTasks.map((task) => (
+            <li key={task.id} className="weekly-planning__row">
+              <span className="text--gray-900">
+                {task.title}
+                <span className="text-sm text--gray-500"> · {formatDay(task.idl)}</span>
+              </span>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  value={task.rt}
+                  onChange={(e) => handleRTChange(task, e.target.value)}
+                  className="form__input weekly-planning__hours"
+                  min="0"
+                  step="0.5"
+                  aria-label={`RT of ${task.title}`}
+                />
+                <select
+                  value={task.il}
+                  onChange={(e) => updateTask(task.id, { il: e.target.value })}
+                  className={`form__select ${getImportanceColor(task.il)}`}
+                  aria-label={`IL of ${task.title}`}
+                >
+                  {Object.values(IMPORTANCE).map((il) => (
+                    <option key={il} value={il}>
+                      {getImportanceLabel(il)}
+                    </option>
+                  ))}
+                </select>
+                {canChangeStatus(task, TASK_STATUS.VALUES.POSTPONED) && (
+                  <button
+                    onClick={() => setTaskStatus(task.id, TASK_STATUS.VALUES.POSTPONED)}
+                    className="btn btn--secondary"
+                  >
+                    Postpone
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+}
+
+/**
+ * PreviewStep - RP of each day of the week
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.forecast - Result of calculateRPForecast() for the week
+ */
+function PreviewStep({ forecast }) {
+  return (
+    <>
+      <h2 className="card__title">RP This Week</h2>
+      <ul className="space-y-2">
+        {forecast.days.map((day) => (
+          <li key={day.dateKey} className="weekly-planning__row">
+            <span className="font-semibold text--gray-900">{formatDay(day.date)}</span>
+            <span className="text-sm text--gray-600">
+              {day.taskCount} task(s) · {day.totalRT.toFixed(1)}h of {day.availableTime}h
+            </span>
+            <span className={`font-semibold ${day.textColor}`}>
+              {day.emoji} {formatRP(day.rp)}
+            </span>
+          </li>
+        ))}
+      </ul>
+      {forecast.overloadDays > 0 ? (
+        <p className="text-sm text--red-600 mt-4">
+          ⚠️ {forecast.overloadDays} day(s) have RP ≥ {RP_LIMITS.OVERLOAD.toFixed(1)}. Go back to add time, lower
+          RT or postpone tasks.
+        </p>
+      ) : (
+        <p className="text-sm text--green-600 mt-4">✓ No day of the week is overloaded.</p>
+      )}
+    </>
+  );
+}
+
+export default function WeeklyPlanning() {
+  const navigate = useNavigate();
+  const { getTasksForDate, getAvailableTimeForDate, rtCorrectionFactor, confirmWeekPlan } = usePlanning();
+  const [step, setStep] = useState(0);
+
+  // RP of the next WEEK_PLAN.DAYS days (Preview and Confirm), from the same open
+  // tasks that confirmWeekPlan saves
+  const forecast = useMemo(() => {
+    return calculateRPForecast({
+      getTasksForDate: (date) => getOpenTasksForDate(getTasksForDate, date),
+      getAvailableTime: getAvailableTimeForDate,
+      days: WEEK_PLAN.DAYS,
+      correctionFactor: rtCorrectionFactor,
+    });
+  }, [getTasksForDate, getAvailableTimeForDate, rtCorrectionFactor]);
+
+  const handleConfirm = () => {
+    confirmWeekPlan();
+    navigate(ROUTES.HOME);
+  };
+
+  return (
+    <div className="page weekly-planning">
+      <PageHeader
+        title="Weekly Planning"
+        subtitle={`Review last week and plan the next ${WEEK_PLAN.DAYS} days, step by step`}
+      />
+
+      <ol className="weekly-planning__steps mb-6">
+        {STEPS.map((label, index) => (
+          <li
+            key={label}
+            className={`weekly-planning__step ${index === step ? 'weekly-planning__step--active' : ''} ${
+              index < step ? 'weekly-planning__step--done' : ''
+            }`}
+          >
+            <button type="button" onClick={() => setStep(index)} className="weekly-planning__step-button">
+              {index + 1}. {label}
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <Card className="mb-6">
+        {step === 0 && <ReviewStep />}
+        {step === 1 && <ObservationsStep />}
+        {step === 2 && <AvailabilityStep />}
+        {step === 3 && <TasksStep />}
+        {step === 4 && <PreviewStep forecast={forecast} />}
+        {step === 5 && (
+          <>
+            <h2 className="card__title">Confirm the Week Plan</h2>
+            <p className="text--gray-600">
+              {forecast.days.reduce((sum, day) => sum + day.taskCount, 0)} task slice(s) over {WEEK_PLAN.DAYS} days,
+              average RP {formatRP(forecast.averageRP)}
+              {forecast.peakDay && `, peak ${formatRP(forecast.peakDay.rp)} on ${formatDay(forecast.peakDay.date)}`}.
+            </p>
+            <p className="text-sm text--gray-500 mt-2">
+              The Dashboard compares each day with this plan: what is done, what is still open and what was
+              added later.
+            </p>
+          </>
+        )}
+      </Card>
+
+      <div className="flex gap-3">
+        {step > 0 && (
+          <button onClick={() => setStep(step - 1)} className="btn btn--secondary">
+            ← Back
+          </button>
+        )}
+        {step < STEPS.length - 1 ? (
+          <button onClick={() => setStep(step + 1)} className="btn btn--primary">
+            Next: {STEPS[step + 1]} →
+          </button>
+        ) : (
+          <button onClick={handleConfirm} className="btn btn--primary">
+            ✓ Confirm Week Plan
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
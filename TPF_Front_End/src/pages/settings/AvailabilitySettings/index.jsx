@@ -0,0 +1,222 @@
+/**
+ * AvailabilitySettings - Available free time per day
+ *
+ * The available time is the denominator of RP (Realism Point = Total RT /
+ * Available Time) and limits how much work the Smoothing Logic puts on a day.
+ * It is configured as:
+ * - Weekly template: Hours per weekday (e.g., 8h on workdays, 4h on Saturday)
+ * - Date overrides: Hours for single dates (holidays, travel days), replacing
+ *   the template on that date. The Dashboard input sets today's override.
+ */
+
+import { useState } from 'react';
+import { usePlanning } from '../../../features/planing/PlanningContext';
+import { AVAILABILITY } from '../../../config/constants';
+import { toDateKey, startOfDay } from '../../../config/functions/dateHelpers';
+import PageHeader from '../../../components/ui/PageHeader';
+import Card from '../../../components/ui/Card';
+import './AvailabilitySettings.scss';
+
+/**
+ * WeeklyTemplateForm - Editable copy of the weekly template
+ *
+ * Rendered only after the stored availability has loaded, so the form starts
+ * from the saved values.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<number>} props.weekly - Hours per weekday (index = Date.getDay())
+ * @param {Function} props.onSave - Called with the edited template; throws on invalid values
+ */
+function WeeklyTemplateForm({ weekly, onSave }) {
+  const [form, setForm] = useState(weekly.map(String));
+  const [message, setMessage] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      onSave(form.map((hours) => (hours === '' ? NaN : Number(hours))));
+      setMessage({ type: 'success', text: 'Weekly template saved.' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const totalHours = form.reduce((sum, hours) => sum + (Number(hours) || 0), 0);
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="availability-settings__week">
+        {AVAILABILITY.WEEK_ORDER.map((weekday) => (
+          <div key={weekday} className="form__group">
+            <label htmlFor={`weekday-${weekday}`} className="form__label">
+              {AVAILABILITY.WEEKDAYS[weekday]}
+            </label>
+            <input
+              type="number"
+              id={`weekday-${weekday}`}
+              value={form[weekday]}
+              onChange={(e) =>
+                setForm((prev) => prev.map((hours, index) => (index === weekday ? e.target.value : hours)))
+              }
+              className="form__input"
+              min="0"
+              max={AVAILABILITY.MAX_HOURS_PER_DAY}
+              step="0.5"
+            />
+          </div>
+        ))}
+      </div>
+
+      <p className="text-sm text--gray-500">{totalHours.toFixed(1)}h per week</p>
+
+      {message && (
+        <p className={`text-sm ${message.type === 'error' ? 'text--red-600' : 'text--green-600'}`}>
+          {message.text}
+        </p>
+      )}
+
+      <button type="submit" className="btn btn--primary">
+        Save Template
+      </button>
+    </form>
+  );
+}
+
+export default function AvailabilitySettings() {
+  const {
+    isLoaded,
+    availability,
+    updateWeeklyAvailability,
+    setAvailableTimeForDate,
+  } = usePlanning();
+
+  // New override form
+  const [overrideDate, setOverrideDate] = useState('');
+  const [overrideHours, setOverrideHours] = useState('0');
+  const [overrideError, setOverrideError] = useState('');
+
+  const todayKey = toDateKey(new Date());
+
+  // Overrides sorted by date, with the weekly template value of that date
+  const overrides = Object.entries(availability.overrides)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([dateKey, hours]) => {
+      const date = startOfDay(dateKey);
+      return {
+        dateKey,
+        date,
+        hours,
+        templateHours: availability.weekly[date.getDay()],
+        isPast: dateKey < todayKey,
+      };
+    });
+
+  const handleAddOverride = (e) => {
+    e.preventDefault();
+    if (!overrideDate) {
+      setOverrideError('Choose a date.');
+      return;
+    }
+    try {
+      setAvailableTimeForDate(overrideDate, overrideHours === '' ? NaN : Number(overrideHours));
+      setOverrideDate('');
+      setOverrideError('');
+    } catch (error) {
+      setOverrideError(error.message);
+    }
+  };
+
+  return (
+    <div className="page availability-settings">
+      <PageHeader
+        title="Availability Settings"
+        subtitle="Configure how many hours you have for tasks on each day"
+      />
+
+      <Card className="mb-6">
+        <h2 className="card__title">Weekly Template</h2>
+        <p className="text--gray-600 mb-4">
+          Available hours per weekday. Used for every date without an override.
+        </p>
+        {isLoaded ? (
+          <WeeklyTemplateForm weekly={availability.weekly} onSave={updateWeeklyAvailability} />
+        ) : (
+          <p className="text--gray-500">Loading availability...</p>
+        )}
+      </Card>
+
+      <Card>
+        <h2 className="card__title">Date Overrides</h2>
+        <p className="text--gray-600 mb-4">
+          Holidays, travel days or busy days: the hours set here replace the weekly template on
+          that date.
+        </p>
+
+        <form onSubmit={handleAddOverride} className="availability-settings__override-form">
+          <div className="form__group">
+            <label htmlFor="override-date" className="form__label">Date</label>
+            <input
+              type="date"
+              id="override-date"
+              value={overrideDate}
+              onChange={(e) => setOverrideDate(e.target.value)}
+              className="form__input"
+            />
+          </div>
+          <div className="form__group">
+            <label htmlFor="override-hours" className="form__label">Hours</label>
+            <input
+              type="number"
+              id="override-hours"
+              value={overrideHours}
+              onChange={(e) => setOverrideHours(e.target.value)}
+              className="form__input availability-settings__hours"
+              min="0"
+              max={AVAILABILITY.MAX_HOURS_PER_DAY}
+              step="0.5"
+            />
+          </div>
+          <button type="submit" className="btn btn--primary">
+            Set Override
+          </button>
+        </form>
+        {overrideError && <p className="text-sm text--red-600 mt-2">{overrideError}</p>}
+
+        {overrides.length === 0 ? (
+          <p className="text--gray-500 mt-4">No overrides. Every day uses the weekly template.</p>
+        ) : (
+          <ul className="space-y-2 mt-4">
+            {overrides.map((override) => (
+              <li
+                key={override.dateKey}
+                className={`availability-settings__override ${override.isPast ? 'availability-settings__override--past' : ''}`}
+              >
+                <div>
+                  <p className="font-semibold text--gray-900">
+                    {override.date.toLocaleDateString(undefined, {
+                      weekday: 'long',
+                      year: 'numeric',
+                      month: 'short',
+                      day: 'numeric',
+                    })}
+                    {override.dateKey === todayKey && <span className="badge badge--green availability-settings__badge">Today</span>}
+                    {override.isPast && <span className="badge badge--gray availability-settings__badge">Past</span>}
+                  </p>
+                  <p className="text-sm text--gray-600">
+                    {override.hours}h instead of {override.templateHours}h
+                  </p>
+                </div>
+                <button
+                  onClick={() => setAvailableTimeForDate(override.dateKey, null)}
+                  className="btn btn--secondary"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </Card>
+    </div>
+  );
+}
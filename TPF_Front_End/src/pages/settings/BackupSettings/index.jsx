@@ -0,0 +1,357 @@
+/**
+ * BackupSettings - Export and restore the whole TPF workspace
+ *
+ * Export: Downloads one versioned JSON file with all tasks (including subtasks
+ * and links), entities, observations, the theme, the color palette, the availability
+ * (weekly template and date overrides), the recurring task series, the task templates
+ * and the planning state: CWA policy, archive and history, RP history, ritual log,
+ * week plan and the RT correction and parent auto-completion switches.
+ *
+ * Import: Reads a backup file, validates it (see config/functions/backup.js) and
+ * shows a report before anything is changed. Valid records can then be restored:
+ * - Merge: Records from the file are added, records with the same ID are overwritten
+ * - Replace: The file becomes the whole workspace (asks for confirmation)
+ * Invalid records are listed with their errors and skipped.
+ */
+
+import { useState } from 'react';
+import { usePlanning } from '../../../features/planing/PlanningContext';
+import { useDiamond } from '../../../features/diamond/DiamondContext';
+import { useObservations } from '../../../features/observations/ObservationsContext';
+import { useTheme } from '../../../contexts/ThemeContext';
+import {
+  BACKUP_COLLECTIONS,
+  createBackup,
+  parseBackup,
+  validateBackup,
+  mergeBackupData,
+  createWeeklyTemplate,
+} from '../../../config/functions';
+import PageHeader from '../../../components/ui/PageHeader';
+import Card from '../../../components/ui/Card';
+import './BackupSettings.scss';
+
+// Display names of the backup collections
+const COLLECTION_LABELS = {
+  tasks: 'Tasks',
+  entities: 'Entities',
+  observations: 'Observations',
+  settings: 'Settings',
+};
+
+export default function BackupSettings() {
+  const {
+    tasks,
+    availability,
+    replaceAvailability,
+    replaceTasks,
+    recurringSeries,
+    replaceRecurringSeries,
+    taskTemplates,
+    replaceTemplates,
+    cwaPolicy,
+    updateCwaPolicy,
+    taskArchive,
+    replaceTaskArchive,
+    cwaHistory,
+    replaceCwaHistory,
+    rpHistory,
+    replaceRpHistory,
+    ritualLog,
+    replaceRitualLog,
+    weekPlan,
+    replaceWeekPlan,
+    rtCorrectionEnabled,
+    setRtCorrectionEnabled,
+    autoCompleteParents,
+    setAutoCompleteParents,
+  } = usePlanning();
+  const { entities, replaceEntities } = useDiamond();
+  const { observations, replaceObservations } = useObservations();
+  const { theme, setTheme, palette, setPalette } = useTheme();
+
+  // Import state: selected file name, validation result and restore mode
+  const [fileName, setFileName] = useState('');
+  const [validation, setValidation] = useState(null);
+  const [parseError, setParseError] = useState('');
+  const [mode, setMode] = useState('merge');
+  const [restoreSummary, setRestoreSummary] = useState(null);
+
+  /**
+   * Download the current workspace as tpf-backup-YYYY-MM-DD.json
+   */
+  const handleExport = () => {
+    const backup = createBackup({
+      tasks,
+      entities,
+      observations,
+      settings: {
+        theme,
+        availability,
+        palette,
+        recurringSeries,
+        taskTemplates,
+        cwaPolicy,
+        taskArchive,
+        cwaHistory,
+        rpHistory,
+        ritualLog,
+        weekPlan,
+        rtCorrectionEnabled,
+        autoCompleteParents,
+      },
+    });
+
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `tpf-backup-${backup.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  /**
+   * Read and validate the selected backup file
+   *
+   * @param {Event} e - File input change event
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setValidation(null);
+    setParseError('');
+    setRestoreSummary(null);
+    setFileName(file ? file.name : '');
+    if (!file) {
+      return;
+    }
+
+    try {
+      setValidation(validateBackup(parseBackup(await file.text())));
+    } catch (error) {
+      setParseError(error.message);
+    }
+  };
+
+  /**
+   * Restore the valid records of the backup into the contexts
+   */
+  const handleRestore = () => {
+    if (!validation?.valid) {
+      return;
+    }
+    if (
+      mode === 'replace' &&
+      !window.confirm(
+        'Replace the whole workspace with this backup? All current tasks, entities and observations will be lost.'
+      )
+    ) {
+      return;
+    }
+
+    const result = mergeBackupData({ tasks, entities, observations }, validation.data, mode);
+    replaceTasks(result.tasks);
+    replaceEntities(result.entities);
+    replaceObservations(result.observations);
+
+    if (validation.settings.availability) {
+      replaceAvailability(validation.settings.availability);
+    } else if (validation.settings.availableTime !== undefined) {
+      // Backup of an older version: one available time for every weekday
+      replaceAvailability({ weekly: createWeeklyTemplate(validation.settings.availableTime) });
+    }
+    if (validation.settings.theme) {
+      setTheme(validation.settings.theme);
+    }
+    if (validation.settings.palette) {
+      setPalette(validation.settings.palette);
+    }
+    if (validation.settings.recurringSeries) {
+      replaceRecurringSeries(validation.settings.recurringSeries);
+    }
+    if (validation.settings.taskTemplates) {
+      replaceTemplates(validation.settings.taskTemplates);
+    }
+    if (validation.settings.cwaPolicy) {
+      updateCwaPolicy(validation.settings.cwaPolicy);
+    }
+    if (validation.settings.taskArchive) {
+      replaceTaskArchive(validation.settings.taskArchive);
+    }
+    if (validation.settings.cwaHistory) {
+      replaceCwaHistory(validation.settings.cwaHistory);
+    }
+    if (validation.settings.rpHistory) {
+      replaceRpHistory(validation.settings.rpHistory);
+    }
+    if (validation.settings.ritualLog) {
+      replaceRitualLog(validation.settings.ritualLog);
+    }
+    if (validation.settings.weekPlan !== undefined) {
+      replaceWeekPlan(validation.settings.weekPlan);
+    }
+    if (validation.settings.rtCorrectionEnabled !== undefined) {
+      setRtCorrectionEnabled(validation.settings.rtCorrectionEnabled);
+    }
+    if (validation.settings.autoCompleteParents !== undefined) {
+      setAutoCompleteParents(validation.settings.autoCompleteParents);
+    }
+
+    setRestoreSummary({
+      tasks: result.tasks.length,
+      entities: result.entities.length,
+      observations: result.observations.length,
+      warnings: result.warnings,
+    });
+    setValidation(null);
+    setFileName('');
+  };
+
+  const skippedRecords = validation
+    ? validation.recordErrors.filter((error) => error.collection !== 'settings').length
+    : 0;
+
+  return (
+    <div className="page backup-settings">
+      <PageHeader
+        title="Backup & Restore"
+        subtitle="Export the whole workspace to a JSON file and restore it in any browser"
+      />
+
+      <Card className="mb-6">
+        <h2 className="card__title">Export</h2>
+        <p className="text--gray-600 mb-4">
+          Includes {tasks.length} tasks (with subtasks and links), {entities.length} entities,{' '}
+          {observations.length} observations, the theme, the color palette, your availability,{' '}
+          {recurringSeries.length} recurring task series, {taskTemplates.length} task templates and the
+          planning state ({taskArchive.length} archived tasks, {cwaHistory.length} CWA history entries, the CWA
+          policy, RP history, ritual log, week plan and planning switches).
+        </p>
+        <button onClick={handleExport} className="btn btn--primary">
+          Download Backup
+        </button>
+      </Card>
+
+      <Card>
+        <h2 className="card__title">Restore</h2>
+        <div className="form__group mb-4">
+          <label htmlFor="backup-file" className="form__label">
+            Backup File (.json)
+          </label>
+          <input
+            type="file"
+            id="backup-file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            className="form__input"
+          />
+        </div>
+
+        {parseError && (
+          <p className="backup-settings__error">{fileName}: {parseError}</p>
+        )}
+
+        {validation && validation.documentErrors.length > 0 && (
+          <div className="backup-settings__report backup-settings__report--invalid">
+            <p className="font-semibold mb-2">This file cannot be restored:</p>
+            <ul className="backup-settings__list">
+              {validation.documentErrors.map((message) => (
+                <li key={message}>{message}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {validation?.valid && (
+          <div className="space-y-4">
+            <div className="backup-settings__report">
+              <p className="font-semibold mb-2">{fileName}</p>
+              <div className="backup-settings__counts">
+                {BACKUP_COLLECTIONS.map((collection) => (
+                  <div key={collection} className="backup-settings__count">
+                    <span className="text--gray-600">{COLLECTION_LABELS[collection]}</span>
+                    <span className="font-semibold">
+                      {validation.counts[collection].valid} / {validation.counts[collection].total} valid
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {validation.recordErrors.length > 0 && (
+              <div className="backup-settings__report backup-settings__report--warning">
+                <p className="font-semibold mb-2">
+                  {skippedRecords} record(s) will be skipped
+                  {validation.recordErrors.length > skippedRecords && ', invalid settings will be ignored'}:
+                </p>
+                <ul className="backup-settings__list">
+                  {validation.recordErrors.map((error) => (
+                    <li key={`${error.collection}-${error.index}-${error.id}`}>
+                      <strong>
+                        {COLLECTION_LABELS[error.collection]}
+                        {error.index !== null && ` #${error.index + 1}`}
+                        {error.id !== null && ` (${error.id})`}
+                      </strong>
+                      : {error.messages.join('; ')}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="form__group">
+              <span className="form__label">Restore Mode</span>
+              <label className="backup-settings__mode">
+                <input
+                  type="radio"
+                  name="restore-mode"
+                  value="merge"
+                  checked={mode === 'merge'}
+                  onChange={() => setMode('merge')}
+                />
+                <span>
+                  <strong>Merge</strong> - Keep current data; records with the same ID are overwritten
+                </span>
+              </label>
+              <label className="backup-settings__mode">
+                <input
+                  type="radio"
+                  name="restore-mode"
+                  value="replace"
+                  checked={mode === 'replace'}
+                  onChange={() => setMode('replace')}
+                />
+                <span>
+                  <strong>Replace</strong> - Delete current data and use only the backup
+                </span>
+              </label>
+            </div>
+
+            <button
+              onClick={handleRestore}
+              className={`btn ${mode === 'replace' ? 'btn--danger' : 'btn--primary'}`}
+            >
+              {mode === 'replace' ? 'Replace Workspace' : 'Merge Into Workspace'}
+            </button>
+          </div>
+        )}
+
+        {restoreSummary && (
+          <div className="backup-settings__report backup-settings__report--success">
+            <p className="font-semibold mb-2">
+              Restore complete: {restoreSummary.tasks} tasks, {restoreSummary.entities} entities,{' '}
+              {restoreSummary.observations} observations in the workspace.
+            </p>
+            {restoreSummary.warnings.length > 0 && (
+              <ul className="backup-settings__list">
+                {restoreSummary.warnings.map((warning) => (
+                  <li key={warning}>{warning}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
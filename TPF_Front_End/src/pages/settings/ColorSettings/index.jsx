@@ -1,27 +1,202 @@
 /**
- * ColorSettings - Color theme settings page
- * 
- * Placeholder page for color/theme settings.
- * Will be implemented later.
+ * ColorSettings - Theme and color palette editor
+ *
+ * Lets the user choose:
+ * - Light or dark theme
+ * - One color per IL (Importance Level)
+ * - One color per RP (Realism Point) zone
+ * - One color per Diamond System entity level
+ *
+ * Colors are edited as a draft and shown in the live preview (the draft is
+ * applied as CSS variables on the preview container only). Saving stores the
+ * palette in ThemeContext, which applies it to the whole app.
  */
 
+import { useState } from 'react';
+import { useTheme } from '../../../contexts/ThemeContext';
+import { DEFAULT_PALETTE, IMPORTANCE, ENTITY_LEVELS } from '../../../config/constants';
+import { getImportanceLabel, getImportanceColor } from '../../../config/functions/importanceLevel';
+import { getRPStatus } from '../../../config/functions/realismPoint';
+import {
+  getEntityLevelLabel,
+  getEntityLevelColor,
+  getEntityLevelMarkerColor,
+} from '../../../config/functions/entityLevel';
+import { normalizePalette, getPaletteVariables } from '../../../config/functions/palette';
+import PageHeader from '../../../components/ui/PageHeader';
+import Card from '../../../components/ui/Card';
 import './ColorSettings.scss';
 
+// Sample RP values shown in the preview (one per zone)
+const RP_ZONE_SAMPLES = { safe: 0.5, risky: 0.9, overload: 1.2 };
+
+// Editable palette groups with their keys and labels
+const PALETTE_GROUPS = [
+  {
+    group: 'importance',
+    title: 'Importance Levels (IL)',
+    items: Object.values(IMPORTANCE).map((il) => ({
+      key: il,
+      label: `Level ${il} - ${getImportanceLabel(il)}`,
+    })),
+  },
+  {
+    group: 'rpZones',
+    title: 'Realism Point (RP) Zones',
+    items: Object.entries(RP_ZONE_SAMPLES).map(([zone, rp]) => ({
+      key: zone,
+      label: getRPStatus(rp).label,
+    })),
+  },
+  {
+    group: 'entityLevels',
+    title: 'Diamond System Levels',
+    items: Object.values(ENTITY_LEVELS).map((level) => ({
+      key: level.id,
+      label: `Level ${level.id} - ${level.label}`,
+    })),
+  },
+];
+
 export default function ColorSettings() {
+  const { theme, setTheme, palette, setPalette } = useTheme();
+
+  // Draft palette shown in the preview until it is saved
+  const [draft, setDraft] = useState(palette);
+  const [saved, setSaved] = useState(false);
+
+  const hasChanges = JSON.stringify(draft) !== JSON.stringify(palette);
+
+  const handleColorChange = (group, key, color) => {
+    setDraft((prev) => ({ ...prev, [group]: { ...prev[group], [key]: color } }));
+    setSaved(false);
+  };
+
+  const handleSave = () => {
+    setPalette(draft);
+    setSaved(true);
+  };
+
   return (
-    <div className="page">
-      <div className="page__header">
-        <h1 className="page__title">Color Settings</h1>
-        <p className="page__subtitle">Configure color themes and appearance</p>
-      </div>
+    <div className="page color-settings">
+      <PageHeader title="Color Settings" subtitle="Configure color themes and appearance" />
 
-      <div className="card">
-        <div className="empty-state">
-          <p className="empty-state__title">Color Settings</p>
-          <p className="empty-state__subtitle">This page will be implemented in the future.</p>
+      {/* Theme */}
+      <Card className="mb-6">
+        <h2 className="card__title">Theme</h2>
+        <div className="flex gap-2">
+          {['light', 'dark'].map((option) => (
+            <button
+              key={option}
+              onClick={() => setTheme(option)}
+              className={`btn ${theme === option ? 'btn--primary' : 'btn--secondary'}`}
+            >
+              {option === 'light' ? '☀️ Light' : '🌙 Dark'}
+            </button>
+          ))}
         </div>
+      </Card>
+
+      <div className="color-settings__layout">
+        {/* Palette editor */}
+        <Card>
+          <h2 className="card__title">Palette</h2>
+          <div className="space-y-4">
+            {PALETTE_GROUPS.map(({ group, title, items }) => (
+              <fieldset key={group} className="color-settings__group">
+                <legend className="form__label">{title}</legend>
+                {items.map(({ key, label }) => (
+                  <label key={key} className="color-settings__swatch">
+                    <input
+                      type="color"
+                      value={draft[group][key]}
+                      onChange={(e) => handleColorChange(group, key, e.target.value)}
+                      className="color-settings__input"
+                    />
+                    <span>{label}</span>
+                    <code className="text-sm text--gray-500">{draft[group][key]}</code>
+                  </label>
+                ))}
+              </fieldset>
+            ))}
+          </div>
+
+          <div className="flex gap-2 mt-6">
+            <button onClick={handleSave} className="btn btn--primary" disabled={!hasChanges}>
+              Save Palette
+            </button>
+            <button
+              onClick={() => setDraft(palette)}
+              className="btn btn--secondary"
+              disabled={!hasChanges}
+            >
+              Discard Changes
+            </button>
+            <button
+              onClick={() => {
+                setDraft(normalizePalette(DEFAULT_PALETTE));
+                setSaved(false);
+              }}
+              className="btn btn--secondary"
+            >
+              Restore Defaults
+            </button>
+          </div>
+          {saved && !hasChanges && <p className="text-sm text--green-600 mt-4">Palette saved.</p>}
+        </Card>
+
+        {/* Live preview (draft colors applied to this container only) */}
+        <Card>
+          <h2 className="card__title">Preview</h2>
+          <div style={getPaletteVariables(draft)} className="space-y-4">
+            <div>
+              <p className="text-sm text--gray-500 mb-2">Task importance</p>
+              <div className="flex flex-wrap gap-2">
+                {Object.values(IMPORTANCE).map((il) => (
+                  <span key={il} className={getImportanceColor(il)}>
+                    {getImportanceLabel(il)}
+                  </span>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <p className="text-sm text--gray-500 mb-2">Realism Point</p>
+              <div className="space-y-2">
+                {Object.values(RP_ZONE_SAMPLES).map((rp) => {
+                  const status = getRPStatus(rp);
+                  return (
+                    <div
+                      key={rp}
+                      className={`p-4 rounded-lg border border--2 ${status.bgColor} ${status.borderColor}`}
+                    >
+                      <span className={`font-semibold ${status.statusTextColor}`}>
+                        RP {rp.toFixed(2)} · {status.label}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            <div>
+              <p className="text-sm text--gray-500 mb-2">Diamond System</p>
+              <div className="space-y-2">
+                {Object.values(ENTITY_LEVELS).map((level) => (
+                  <div key={level.id} className="flex items-center gap-2">
+                    <span className={`color-settings__marker ${getEntityLevelMarkerColor(level.id)}`}>
+                      {level.id}
+                    </span>
+                    <span className={getEntityLevelColor(level.id)}>
+                      {getEntityLevelLabel(level.id)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </Card>
       </div>
     </div>
   );
 }
-
@@ -1,27 +1,278 @@
 /**
- * EmergencySettings - Emergency settings page
- * 
- * Placeholder page for emergency settings.
- * Will be implemented later.
+ * EmergencySettings - CWA (Catastrophic Wipe Out) policy configuration
+ *
+ * Configures what CWA does when it runs (manually from the Dashboard or
+ * automatically after an Overload streak):
+ * - Surviving levels: Which IL (Importance Level) values survive the wipe
+ * - Subtask inheritance: Whether subtasks survive with their surviving parent
+ * - Removal action: Delete, archive, or postpone the other tasks by N days
+ * - Auto-trigger: Run CWA once RP (Realism Point) stayed in Overload for N days
+ *
+ * Also shows the task archive (tasks archived by CWA, restorable at any time)
+ * and the full CWA history with undo.
  */
 
+import { useState } from 'react';
+import { usePlanning } from '../../../features/planing/PlanningContext';
+import { IMPORTANCE, CWA } from '../../../config/constants';
+import { getImportanceLabel, getImportanceColor } from '../../../config/functions/importanceLevel';
+import PageHeader from '../../../components/ui/PageHeader';
+import Card from '../../../components/ui/Card';
+import WipeOutHistory from '../../../components/tasks/WipeOutHistory';
 import './EmergencySettings.scss';
 
-export default function EmergencySettings() {
+// Removal actions with their description
+const REMOVAL_ACTION_OPTIONS = [
+  {
+    value: CWA.REMOVAL_ACTIONS.DELETE,
+    label: 'Delete',
+    description: 'Tasks are deleted. The wipe can be undone for a limited time.',
+  },
+  {
+    value: CWA.REMOVAL_ACTIONS.ARCHIVE,
+    label: 'Archive',
+    description: 'Tasks move to the archive below and can be restored at any time.',
+  },
+  {
+    value: CWA.REMOVAL_ACTIONS.POSTPONE,
+    label: 'Postpone',
+    description: 'Open tasks stay, their IDL moves into the future.',
+  },
+];
+
+/**
+ * CwaPolicyForm - Editable copy of the CWA policy
+ *
+ * Rendered only after the stored policy has loaded, so the form starts
+ * from the saved values.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.policy - Current CWA policy
+ * @param {Function} props.onSave - Called with the edited policy; throws on invalid values
+ * @param {number} props.overloadStreak - Current Overload streak in days
+ */
+function CwaPolicyForm({ policy, onSave, overloadStreak }) {
+  const [form, setForm] = useState({
+    ...policy,
+    postponeDays: String(policy.postponeDays),
+    overloadDays: String(policy.overloadDays),
+  });
+  const [message, setMessage] = useState(null);
+
+  const toggleLevel = (il) => {
+    setForm((prev) => ({
+      ...prev,
+      survivingLevels: prev.survivingLevels.includes(il)
+        ? prev.survivingLevels.filter((level) => level !== il)
+        : [...prev.survivingLevels, il],
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      onSave({
+        ...form,
+        postponeDays: Number(form.postponeDays),
+        overloadDays: Number(form.overloadDays),
+      });
+      setMessage({ type: 'success', text: 'CWA policy saved.' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
   return (
-    <div className="page">
-      <div className="page__header">
-        <h1 className="page__title">Emergency Settings</h1>
-        <p className="page__subtitle">Configure emergency preferences and options</p>
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {/* Surviving levels */}
+      <div className="form__group">
+        <span className="form__label">Surviving Importance Levels</span>
+        <div className="emergency-settings__levels">
+          {Object.values(IMPORTANCE).map((il) => (
+            <label key={il} className="emergency-settings__option">
+              <input
+                type="checkbox"
+                checked={form.survivingLevels.includes(il)}
+                onChange={() => toggleLevel(il)}
+                className="form__checkbox"
+              />
+              <span className={getImportanceColor(il)}>
+                {il} - {getImportanceLabel(il)}
+              </span>
+            </label>
+          ))}
+        </div>
+        {form.survivingLevels.length === 0 && (
+          <p className="text-sm text--red-600">No level survives: CWA would affect every task.</p>
+        )}
       </div>
 
-      <div className="card">
-        <div className="empty-state">
-          <p className="empty-state__title">Emergency Settings</p>
-          <p className="empty-state__subtitle">This page will be implemented in the future.</p>
-        </div>
+      {/* Subtask inheritance */}
+      <label className="emergency-settings__option">
+        <input
+          type="checkbox"
+          checked={form.subtasksInheritSurvival}
+          onChange={(e) => setForm({ ...form, subtasksInheritSurvival: e.target.checked })}
+          className="form__checkbox"
+        />
+        <span>
+          Subtasks survive with their parent
+          <span className="text-sm text--gray-500 emergency-settings__hint">
+            Otherwise each subtask is judged by its own IL; surviving subtasks of removed
+            parents become root tasks.
+          </span>
+        </span>
+      </label>
+
+      {/* Removal action */}
+      <div className="form__group">
+        <span className="form__label">Tasks that do not survive are</span>
+        {REMOVAL_ACTION_OPTIONS.map((option) => (
+          <label key={option.value} className="emergency-settings__option">
+            <input
+              type="radio"
+              name="removal-action"
+              value={option.value}
+              checked={form.removalAction === option.value}
+              onChange={() => setForm({ ...form, removalAction: option.value })}
+            />
+            <span>
+              <strong>{option.label}</strong>
+              <span className="text-sm text--gray-500 emergency-settings__hint">
+                {option.description}
+              </span>
+            </span>
+          </label>
+        ))}
+        {form.removalAction === CWA.REMOVAL_ACTIONS.POSTPONE && (
+          <div className="flex items-center gap-2 emergency-settings__nested">
+            <label htmlFor="postpone-days" className="text-sm">Postpone by</label>
+            <input
+              type="number"
+              id="postpone-days"
+              value={form.postponeDays}
+              onChange={(e) => setForm({ ...form, postponeDays: e.target.value })}
+              className="form__input emergency-settings__number"
+              min="1"
+              step="1"
+            />
+            <span className="text-sm">days</span>
+          </div>
+        )}
       </div>
-    </div>
+
+      {/* Auto-trigger */}
+      <div className="form__group">
+        <label className="emergency-settings__option">
+          <input
+            type="checkbox"
+            checked={form.autoTrigger}
+            onChange={(e) => setForm({ ...form, autoTrigger: e.target.checked })}
+            className="form__checkbox"
+          />
+          <span>
+            Run CWA automatically when RP stays in Overload
+            <span className="text-sm text--gray-500 emergency-settings__hint">
+              Current Overload streak: {overloadStreak} day(s)
+            </span>
+          </span>
+        </label>
+        {form.autoTrigger && (
+          <div className="flex items-center gap-2 emergency-settings__nested">
+            <label htmlFor="overload-days" className="text-sm">After</label>
+            <input
+              type="number"
+              id="overload-days"
+              value={form.overloadDays}
+              onChange={(e) => setForm({ ...form, overloadDays: e.target.value })}
+              className="form__input emergency-settings__number"
+              min="1"
+              step="1"
+            />
+            <span className="text-sm">consecutive Overload days</span>
+          </div>
+        )}
+      </div>
+
+      {message && (
+        <p className={`text-sm ${message.type === 'error' ? 'text--red-600' : 'text--green-600'}`}>
+          {message.text}
+        </p>
+      )}
+
+      <button type="submit" className="btn btn--primary">
+        Save Policy
+      </button>
+    </form>
   );
 }
 
+export default function EmergencySettings() {
+  const {
+    isLoaded,
+    cwaPolicy,
+    updateCwaPolicy,
+    overloadStreak,
+    taskArchive,
+    restoreFromArchive,
+    deleteFromArchive,
+  } = usePlanning();
+
+  return (
+    <div className="page emergency-settings">
+      <PageHeader
+        title="Emergency Settings"
+        subtitle="Configure what CWA (Catastrophic Wipe Out) keeps, removes and when it runs"
+      />
+
+      <Card className="mb-6">
+        <h2 className="card__title">CWA Policy</h2>
+        {isLoaded ? (
+          <CwaPolicyForm
+            policy={cwaPolicy}
+            onSave={updateCwaPolicy}
+            overloadStreak={overloadStreak}
+          />
+        ) : (
+          <p className="text--gray-500">Loading policy...</p>
+        )}
+      </Card>
+
+      {taskArchive.length > 0 && (
+        <Card className="mb-6">
+          <h2 className="card__title">Task Archive ({taskArchive.length})</h2>
+          <ul className="space-y-2">
+            {taskArchive.map((task) => (
+              <li key={task.id} className="emergency-settings__archive-item">
+                <div>
+                  <p className="font-semibold text--gray-900">{task.title}</p>
+                  <p className="text-sm text--gray-500">
+                    {getImportanceLabel(task.il)} · {task.rt}h · archived{' '}
+                    {new Date(task.archivedAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <button onClick={() => restoreFromArchive(task.id)} className="btn btn--secondary">
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (window.confirm(`Permanently delete "${task.title}"?`)) {
+                        deleteFromArchive(task.id);
+                      }
+                    }}
+                    className="btn btn--danger"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
+
+      <WipeOutHistory />
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+/**
+ * API Repository - Storage repository backed by the REST API
+ *
+ * Implements the repository interface of services/storage on top of the API
+ * client, so the context providers work unchanged in API mode
+ * (STORAGE.DRIVER = 'api').
+ *
+ * Store → Endpoint:
+ * - tasks: /tasks plus /task-dependencies (a task's linksTo are the dependency
+ *   rows where it is the prerequisite)
+ * - entities: /entities
+ * - observations: /observations
+ * - settings: not part of the backend schema; delegated to a local repository
+ *
+ * Records keep their client-generated IDs and are written with PUT (create or
+ * replace), so write-through from the contexts needs no ID remapping. The
+ * contexts create integer IDs (see createRecordId) because the backend ids are
+ * BIGSERIAL; records with other IDs are rejected by the server.
+ * Writes are queued and sent one after another, so quick successive edits
+ * reach the server in the order they were made.
+ */
+
+import { STORAGE } from '../../config/constants';
+import { attachTaskRelations } from './mappers';
+
+/**
+ * Create an API-backed repository
+ *
+ * @param {Object} options - Repository options
+ * @param {Object} options.client - API client from createApiClient()
+ * @param {Object} options.localRepository - Repository used for the settings store
+ * @returns {Object} Repository with async getAll/get/put/bulkPut/remove/bulkRemove/clear/replaceAll
+ */
+export function createApiRepository({ client, localRepository }) {
+  const resources = {
+    [STORAGE.STORES.TASKS]: client.tasks,
+    [STORAGE.STORES.ENTITIES]: client.entities,
+    [STORAGE.STORES.OBSERVATIONS]: client.observations,
+  };
+
+  const getResource = (storeName) => {
+    const resource = resources[storeName];
+    if (!resource) {
+      throw new Error(`Store "${storeName}" is not available through the API.`);
+    }
+    return resource;
+  };
+
+  const isLocal = (storeName) => storeName === STORAGE.STORES.SETTINGS;
+
+  // Pending writes, chained so they run one after another
+  let writeQueue = Promise.resolve();
+  const enqueue = (write) => {
+    const result = writeQueue.then(write);
+    writeQueue = result.catch(() => {});
+    return result;
+  };
+
+  /**
+   * Make the task_dependencies rows of a prerequisite task match its linksTo
+   *
+   * @param {Object} task - Frontend task
+   * @param {Array} dependencyRows - Current task_dependencies rows
+   */
+  const syncDependencies = async (task, dependencyRows) => {
+    const current = dependencyRows
+      .filter((row) => row.prerequisite_id === task.id)
+      .map((row) => row.task_id);
+    const desired = task.linksTo || [];
+
+    for (const dependentId of desired.filter((id) => !current.includes(id))) {
+      await client.taskDependencies.create(dependentId, task.id);
+    }
+    for (const dependentId of current.filter((id) => !desired.includes(id))) {
+      await client.taskDependencies.remove(dependentId, task.id);
+    }
+  };
+
+  /**
+   * Save many records of one store
+   *
+   * Tasks are saved first and their links afterwards, because a dependency row
+   * can only reference tasks that already exist.
+   *
+   * @param {string} storeName - Store name
+   * @param {Array} records - Frontend records
+   */
+  const saveAll = async (storeName, records) => {
+    const resource = getResource(storeName);
+    for (const record of records) {
+      await resource.save(record);
+    }
+    if (storeName === STORAGE.STORES.TASKS) {
+      const dependencyRows = await client.taskDependencies.list();
+      for (const task of records) {
+        await syncDependencies(task, dependencyRows);
+      }
+    }
+  };
+
+  /**
+   * Delete many records of one store
+   *
+   * @param {string} storeName - Store name
+   * @param {Array} ids - IDs of the records to delete
+   */
+  const removeAll = async (storeName, ids) => {
+    const resource = getResource(storeName);
+    for (const id of ids) {
+      await resource.remove(id);
+    }
+  };
+
+  return {
+    driver: 'api',
+
+    async getAll(storeName) {
+      if (isLocal(storeName)) {
+        return localRepository.getAll(storeName);
+      }
+      const records = await getResource(storeName).list();
+      if (storeName === STORAGE.STORES.TASKS) {
+        return attachTaskRelations(records, await client.taskDependencies.list());
+      }
+      return records;
+    },
+
+    async get(storeName, id) {
+      if (isLocal(storeName)) {
+        return localRepository.get(storeName, id);
+      }
+      const records = await this.getAll(storeName);
+      return records.find((record) => record.id === id) || null;
+    },
+
+    async put(storeName, record) {
+      if (isLocal(storeName)) {
+        return localRepository.put(storeName, record);
+      }
+      await enqueue(() => saveAll(storeName, [record]));
+    },
+
+    async bulkPut(storeName, records) {
+      if (isLocal(storeName)) {
+        return localRepository.bulkPut(storeName, records);
+      }
+      await enqueue(() => saveAll(storeName, records));
+    },
+
+    async remove(storeName, id) {
+      if (isLocal(storeName)) {
+        return localRepository.remove(storeName, id);
+      }
+      await enqueue(() => removeAll(storeName, [id]));
+    },
+
+    async bulkRemove(storeName, ids) {
+      if (isLocal(storeName)) {
+        return localRepository.bulkRemove(storeName, ids);
+      }
+      await enqueue(() => removeAll(storeName, ids));
+    },
+
+    async clear(storeName) {
+      if (isLocal(storeName)) {
+        return localRepository.clear(storeName);
+      }
+      await enqueue(async () => {
+        const records = await getResource(storeName).list();
+        await removeAll(storeName, records.map((record) => record.id));
+      });
+    },
+
+    async replaceAll(storeName, records) {
+      if (isLocal(storeName)) {
+        return localRepository.replaceAll(storeName, records);
+      }
+      await this.clear(storeName);
+      await enqueue(() => saveAll(storeName, records));
+    },
+  };
+}
@@ -0,0 +1,207 @@
+/**
+ * API Client - REST client for the TPF backend
+ *
+ * Wraps fetch() with JSON handling, auth headers and error reporting, and exposes
+ * one resource per table of Tables.sql. Resources accept and return frontend
+ * models; the snake_case rows on the wire are produced by ./mappers.js.
+ *
+ * Endpoints (relative to API_CONFIG.BASE_URL):
+ * - POST   /auth/login
+ * - GET    /tasks | /entities | /observations | /observation-impacts | /objectives | /tags
+ * - GET    /<resource>/:id
+ * - POST   /<resource>            (create)
+ * - PUT    /<resource>/:id        (create or replace)
+ * - DELETE /<resource>/:id
+ * - GET    /task-dependencies
+ * - POST   /task-dependencies
+ * - DELETE /task-dependencies/:taskId/:prerequisiteId
+ *
+ * Failed requests throw an Error with the server message; the HTTP status is
+ * available as error.status.
+ */
+
+import { API_CONFIG } from '../../config/constants';
+import {
+  taskToRow,
+  taskFromRow,
+  entityToRow,
+  entityFromRow,
+  observationToRow,
+  observationFromRow,
+  observationImpactToRow,
+  observationImpactFromRow,
+  objectiveToRow,
+  objectiveFromRow,
+  tagToRow,
+  tagFromRow,
+} from './mappers';
+import { getMockServer } from './mockServer';
+
+// Client shared by the contexts (created lazily)
+let activeClient = null;
+
+/**
+ * Create a CRUD resource for one table
+ *
+ * @param {Function} request - (method, path, body) => Promise of parsed JSON
+ * @param {string} path - Resource path (e.g., '/tasks')
+ * @param {Function} toRow - Frontend model → row mapper
+ * @param {Function} fromRow - Row → frontend model mapper
+ * @returns {Object} Resource with list/get/create/save/remove
+ */
+function createResource(request, path, toRow, fromRow) {
+  return {
+    async list() {
+      const rows = await request('GET', path);
+      return rows.map(fromRow);
+    },
+    async get(id) {
+      return fromRow(await request('GET', `${path}/${encodeURIComponent(id)}`));
+    },
+    async create(model) {
+      return fromRow(await request('POST', path, toRow(model)));
+    },
+    async save(model) {
+      return fromRow(await request('PUT', `${path}/${encodeURIComponent(model.id)}`, toRow(model)));
+    },
+    async remove(id) {
+      await request('DELETE', `${path}/${encodeURIComponent(id)}`);
+    },
+  };
+}
+
+/**
+ * Create an API client
+ *
+ * @param {Object} [options] - Client options
+ * @param {string} [options.baseUrl=API_CONFIG.BASE_URL] - Prefix of every endpoint
+ * @param {Function} [options.fetch] - fetch implementation (e.g., the mock server's fetch)
+ * @param {Function} [options.getToken] - () => auth token sent as Bearer token, or null
+ * @returns {Object} Client with auth, tasks, taskDependencies, entities, observations,
+ *   observationImpacts, objectives and tags
+ *
+ * @example
+ * const client = createApiClient({ fetch: createMockServer().fetch });
+ * const tasks = await client.tasks.list(); // [{ id: 1, rt: 2, idl: Date, il: 1, ... }]
+ */
+export function createApiClient(options = {}) {
+  const {
+    baseUrl = API_CONFIG.BASE_URL,
+    fetch: fetchImpl = (...args) => window.fetch(...args),
+    getToken = () => null,
+  } = options;
+
+  /**
+   * Send a JSON request and parse the JSON response
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Endpoint path relative to baseUrl
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<*>} Parsed response body (null for empty responses)
+   * @throws {Error} If the server answers with a non-2xx status
+   */
+  const request = async (method, path, body) => {
+    const headers = { Accept: 'application/json' };
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    const token = getToken();
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    const response = await fetchImpl(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
+
+    if (!response.ok) {
+      const error = new Error(data?.message || `Request failed: ${method} ${path} (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  };
+
+  return {
+    auth: {
+      /**
+       * Log in and receive the user with its token
+       *
+       * @param {string} email - User email
+       * @param {string} password - User password
+       * @returns {Promise<Object>} { id, email, name, token }
+       */
+      login(email, password) {
+        return request('POST', '/auth/login', { email, password });
+      },
+    },
+
+    tasks: createResource(request, '/tasks', taskToRow, taskFromRow),
+
+    taskDependencies: {
+      /**
+       * @returns {Promise<Array<import('./mappers').TaskDependencyRow>>} All dependency rows
+       */
+      list() {
+        return request('GET', '/task-dependencies');
+      },
+      /**
+       * @param {number|string} taskId - Task that waits
+       * @param {number|string} prerequisiteId - Task that must be completed first
+       */
+      async create(taskId, prerequisiteId) {
+        await request('POST', '/task-dependencies', { task_id: taskId, prerequisite_id: prerequisiteId });
+      },
+      /**
+       * @param {number|string} taskId - Task that waits
+       * @param {number|string} prerequisiteId - Task that must be completed first
+       */
+      async remove(taskId, prerequisiteId) {
+        await request(
+          'DELETE',
+          `/task-dependencies/${encodeURIComponent(taskId)}/${encodeURIComponent(prerequisiteId)}`
+        );
+      },
+    },
+
+    entities: createResource(request, '/entities', entityToRow, entityFromRow),
+    observations: createResource(request, '/observations', observationToRow, observationFromRow),
+    observationImpacts: createResource(
+      request,
+      '/observation-impacts',
+      observationImpactToRow,
+      observationImpactFromRow
+    ),
+    objectives: createResource(request, '/objectives', objectiveToRow, objectiveFromRow),
+    tags: createResource(request, '/tags', tagToRow, tagFromRow),
+  };
+}
+
+/**
+ * Get the API client used by the contexts
+ *
+ * Uses the in-process mock server when API_CONFIG.USE_MOCK_SERVER is enabled,
+ * and sends the token of the logged-in user (stored by AuthContext).
+ *
+ * @returns {Object} Shared API client
+ */
+export function getApiClient() {
+  if (!activeClient) {
+    activeClient = createApiClient({
+      fetch: API_CONFIG.USE_MOCK_SERVER ? getMockServer().fetch : undefined,
+      getToken: () => {
+        try {
+          return JSON.parse(localStorage.getItem('user'))?.token || null;
+        } catch {
+          return null;
+        }
+      },
+    });
+  }
+  return activeClient;
+}
@@ -0,0 +1,39 @@
+/**
+ * API Index - Central export for the REST API layer
+ *
+ * Usage:
+ * import { getApiClient } from '../../services/api';
+ *
+ * Contents:
+ * - Client: REST client with one resource per Tables.sql table
+ * - Mappers: Frontend model ↔ snake_case row conversion
+ * - Mock Server: In-process backend for offline use
+ * - API Repository: Storage repository backed by the API (STORAGE.DRIVER = 'api')
+ */
+
+// Client
+export { createApiClient, getApiClient } from './client';
+
+// Mappers
+export {
+  taskToRow,
+  taskFromRow,
+  taskToDependencyRows,
+  attachTaskRelations,
+  entityToRow,
+  entityFromRow,
+  observationToRow,
+  observationFromRow,
+  observationImpactToRow,
+  observationImpactFromRow,
+  objectiveToRow,
+  objectiveFromRow,
+  tagToRow,
+  tagFromRow,
+} from './mappers';
+
+// Mock Server
+export { createMockServer, getMockServer } from './mockServer';
+
+// API Repository
+export { createApiRepository } from './apiRepository';
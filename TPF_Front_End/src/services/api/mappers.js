@@ -0,0 +1,419 @@
+/**
+ * API Mappers - Conversion between frontend models and database rows
+ *
+ * The frontend uses short camelCase names from the TPF documentation (rt, idl, il,
+ * linksTo), while the backend follows the snake_case columns of Tables.sql
+ * (required_time, ideal_deadline, importance_level, task_dependencies).
+ * Every request and response of the API client goes through these mappers.
+ *
+ * Field Mapping (Tables.sql column ↔ frontend field):
+ * - tasks: id, parent_id ↔ parentTaskId, title, required_time ↔ rt,
+ *   importance_level ↔ il, ideal_deadline ↔ idl, status ↔ status (and completed),
+ *   created_at ↔ createdAt
+ * - task_dependencies: (task_id, prerequisite_id) ↔ prerequisite.linksTo / task.linkedFrom
+ * - entities: id, name, current_ep ↔ ep, level (generated), created_at ↔ createdAt
+ * - observations: id, content, created_at ↔ createdAt, is_processed ↔ status
+ * - observation_impacts: observation_id, entity_id, score_delta, applied_at
+ * - objectives: title, description, is_completed; tags: name, color_code
+ *
+ * Frontend fields without a column yet (atomic, completedAt, task progress/tags/time
+ * tracking, recurrence, entity type/notes, observation tags/LI/EP) are sent as extra
+ * snake_case columns (is_atomic, completed_at, ...). A backend that does not know
+ * them can ignore them.
+ *
+ * Dates travel as ISO 8601 strings and are revived as Date objects.
+ */
+
+import { TASK_STATUS } from '../../config/constants';
+import { getTaskStatus } from '../../config/functions/taskStatus';
+
+/**
+ * @typedef {Object} TaskRow
+ * @property {number|string} id
+ * @property {number|string|null} parent_id
+ * @property {string} title
+ * @property {number} required_time - RT in hours
+ * @property {number} importance_level - IL (1-4)
+ * @property {string|null} ideal_deadline - IDL as ISO string
+ * @property {string} status - 'PENDING', 'IN_PROGRESS' or 'COMPLETED' (or 'BLOCKED',
+ *   'POSTPONED', 'CANCELLED')
+ * @property {string} created_at - ISO string
+ * @property {boolean} [is_atomic]
+ * @property {string|null} [completed_at]
+ * @property {number} [progress] - Percent of the work done (0-100)
+ * @property {Array<string>} [tags]
+ * @property {number} [actual_time] - Tracked hours
+ * @property {Array<{start: string, end: string|null}>} [time_sessions]
+ * @property {string|null} [earliest_start] - First day work may be scheduled
+ * @property {number|string|null} [recurrence_series_id]
+ * @property {string|null} [occurrence_date] - 'YYYY-MM-DD'
+ */
+
+/**
+ * @typedef {Object} TaskDependencyRow
+ * @property {number|string} task_id - Task that waits
+ * @property {number|string} prerequisite_id - Task that must be completed first
+ */
+
+/**
+ * @typedef {Object} EntityRow
+ * @property {number|string} id
+ * @property {number|string|null} user_id
+ * @property {string} name
+ * @property {number} current_ep - EP (0-100)
+ * @property {number} level - Generated from current_ep
+ * @property {string} created_at - ISO string
+ * @property {string} [type]
+ * @property {string} [notes]
+ * @property {string} [updated_at]
+ */
+
+/**
+ * @typedef {Object} ObservationRow
+ * @property {number|string} id
+ * @property {string} content
+ * @property {string} created_at - ISO string
+ * @property {boolean} is_processed - True once analyzed or deleted
+ * @property {string} [status]
+ * @property {Array<string>} [tags]
+ * @property {string|null} [lesson_identified]
+ * @property {number|null} [ep]
+ * @property {boolean} [converted_to_task]
+ * @property {number|string|null} [task_id]
+ */
+
+/**
+ * @typedef {Object} ObservationImpactRow
+ * @property {number|string} id
+ * @property {number|string} observation_id
+ * @property {number|string} entity_id
+ * @property {number} score_delta
+ * @property {string} applied_at - ISO string
+ */
+
+/**
+ * @typedef {Object} ObjectiveRow
+ * @property {number|string} id
+ * @property {string} title
+ * @property {string|null} description
+ * @property {boolean} is_completed
+ */
+
+/**
+ * @typedef {Object} TagRow
+ * @property {number|string} id
+ * @property {string} name
+ * @property {string|null} color_code - Hex color (e.g., '#FF0000')
+ */
+
+/**
+ * Convert a date to an ISO string for the API
+ *
+ * @param {Date|string|null} date - Date to convert
+ * @returns {string|null} ISO 8601 string, or null for empty values
+ */
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Convert an ISO string from the API to a Date
+ *
+ * @param {string|null} value - ISO 8601 string
+ * @returns {Date|null} Date object, or null for empty values
+ */
+const fromIso = (value) => (value ? new Date(value) : null);
+
+// --- TASKS ---
+
+/**
+ * Convert a frontend task to a tasks row
+ *
+ * Links are not part of the row; use taskToDependencyRows() for them.
+ *
+ * @param {Object} task - Frontend task
+ * @returns {TaskRow} Database row
+ */
+export function taskToRow(task) {
+  return {
+    id: task.id,
+    parent_id: task.parentTaskId ?? null,
+    title: task.title,
+    required_time: Number(task.rt) || 0,
+    importance_level: Number(task.il),
+    ideal_deadline: toIso(task.idl),
+    status: getTaskStatus(task),
+    created_at: toIso(task.createdAt) || new Date().toISOString(),
+    is_atomic: Boolean(task.atomic),
+    completed_at: toIso(task.completedAt),
+    progress: Number(task.progress) || 0,
+    tags: task.tags || [],
+    actual_time: Number(task.actualTime) || 0,
+    time_sessions: (task.timeSessions || []).map((session) => ({
+      start: toIso(session.start),
+      end: toIso(session.end),
+    })),
+    earliest_start: toIso(task.earliestStart),
+    recurrence_series_id: task.recurrence ? task.recurrence.seriesId : null,
+    occurrence_date: task.recurrence ? task.recurrence.date : null,
+  };
+}
+
+/**
+ * Convert a tasks row to a frontend task (without relations)
+ *
+ * subtasks, linksTo and linkedFrom are left empty; attachTaskRelations()
+ * fills them from the full task list and the dependency rows.
+ *
+ * @param {TaskRow} row - Database row
+ * @returns {Object} Frontend task
+ */
+export function taskFromRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    rt: Number(row.required_time) || 0,
+    idl: fromIso(row.ideal_deadline),
+    il: Number(row.importance_level),
+    atomic: Boolean(row.is_atomic),
+    createdAt: fromIso(row.created_at),
+    parentTaskId: row.parent_id ?? null,
+    subtasks: [],
+    linksTo: [],
+    linkedFrom: [],
+    status: row.status || TASK_STATUS.VALUES.PENDING,
+    progress: Number(row.progress) || 0,
+    completed: row.status === TASK_STATUS.VALUES.COMPLETED,
+    completedAt: fromIso(row.completed_at),
+    tags: Array.isArray(row.tags) ? row.tags : [],
+    actualTime: Number(row.actual_time) || 0,
+    timeSessions: (row.time_sessions || []).map((session) => ({
+      start: fromIso(session.start),
+      end: fromIso(session.end),
+    })),
+    earliestStart: fromIso(row.earliest_start),
+    recurrence:
+      row.recurrence_series_id != null
+        ? { seriesId: row.recurrence_series_id, date: row.occurrence_date }
+        : null,
+  };
+}
+
+/**
+ * Build the task_dependencies rows owned by a prerequisite task
+ *
+ * @param {Object} task - Frontend task (its linksTo are the tasks waiting for it)
+ * @returns {Array<TaskDependencyRow>} One row per link
+ *
+ * @example
+ * taskToDependencyRows({ id: 4, linksTo: [5] });
+ * // Returns: [{ task_id: 5, prerequisite_id: 4 }]
+ */
+export function taskToDependencyRows(task) {
+  return (task.linksTo || []).map((dependentId) => ({
+    task_id: dependentId,
+    prerequisite_id: task.id,
+  }));
+}
+
+/**
+ * Fill subtasks, linksTo and linkedFrom of frontend tasks
+ *
+ * @param {Array} tasks - Frontend tasks from taskFromRow()
+ * @param {Array<TaskDependencyRow>} dependencyRows - Rows of task_dependencies
+ * @returns {Array} New task objects with relations filled in
+ */
+export function attachTaskRelations(tasks, dependencyRows) {
+  return tasks.map((task) => ({
+    ...task,
+    subtasks: tasks.filter((other) => other.parentTaskId === task.id).map((other) => other.id),
+    linksTo: dependencyRows
+      .filter((row) => row.prerequisite_id === task.id)
+      .map((row) => row.task_id),
+    linkedFrom: dependencyRows
+      .filter((row) => row.task_id === task.id)
+      .map((row) => row.prerequisite_id),
+  }));
+}
+
+// --- ENTITIES ---
+
+/**
+ * Convert a frontend entity to an entities row
+ *
+ * @param {Object} entity - Frontend entity
+ * @returns {EntityRow} Database row (level is generated by the database)
+ */
+export function entityToRow(entity) {
+  return {
+    id: entity.id,
+    user_id: entity.userId ?? null,
+    name: entity.name,
+    current_ep: Math.round(Number(entity.ep)),
+    created_at: toIso(entity.createdAt) || new Date().toISOString(),
+    type: entity.type || 'person',
+    notes: entity.notes || '',
+    updated_at: toIso(entity.updatedAt),
+  };
+}
+
+/**
+ * Convert an entities row to a frontend entity
+ *
+ * @param {EntityRow} row - Database row
+ * @returns {Object} Frontend entity
+ */
+export function entityFromRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id ?? null,
+    name: row.name,
+    type: row.type || 'person',
+    ep: Number(row.current_ep),
+    level: Number(row.level),
+    notes: row.notes || '',
+    createdAt: fromIso(row.created_at),
+    updatedAt: fromIso(row.updated_at) || fromIso(row.created_at),
+  };
+}
+
+// --- OBSERVATIONS ---
+
+/**
+ * Convert a frontend observation to an observations row
+ *
+ * is_processed is true once the observation left the buffer workflow
+ * (analyzed or deleted).
+ *
+ * @param {Object} observation - Frontend observation
+ * @returns {ObservationRow} Database row
+ */
+export function observationToRow(observation) {
+  return {
+    id: observation.id,
+    content: observation.content,
+    created_at: toIso(observation.createdAt) || new Date().toISOString(),
+    is_processed: observation.status === 'analyzed' || observation.status === 'deleted',
+    status: observation.status,
+    tags: observation.tags || [],
+    lesson_identified: observation.lessonIdentified ?? null,
+    ep: observation.ep ?? null,
+    converted_to_task: Boolean(observation.convertedToTask),
+    task_id: observation.taskId ?? null,
+  };
+}
+
+/**
+ * Convert an observations row to a frontend observation
+ *
+ * Rows without a status column fall back to is_processed
+ * ('analyzed' if processed, 'buffer' otherwise).
+ *
+ * @param {ObservationRow} row - Database row
+ * @returns {Object} Frontend observation
+ */
+export function observationFromRow(row) {
+  return {
+    id: row.id,
+    content: row.content,
+    createdAt: fromIso(row.created_at),
+    status: row.status || (row.is_processed ? 'analyzed' : 'buffer'),
+    tags: row.tags || [],
+    lessonIdentified: row.lesson_identified ?? null,
+    ep: row.ep ?? null,
+    convertedToTask: Boolean(row.converted_to_task),
+    taskId: row.task_id ?? null,
+  };
+}
+
+// --- OBSERVATION IMPACTS ---
+
+/**
+ * Convert a frontend observation impact to an observation_impacts row
+ *
+ * @param {Object} impact - { id, observationId, entityId, scoreDelta, appliedAt }
+ * @returns {ObservationImpactRow} Database row
+ */
+export function observationImpactToRow(impact) {
+  return {
+    id: impact.id,
+    observation_id: impact.observationId,
+    entity_id: impact.entityId,
+    score_delta: Math.round(Number(impact.scoreDelta)),
+    applied_at: toIso(impact.appliedAt) || new Date().toISOString(),
+  };
+}
+
+/**
+ * Convert an observation_impacts row to a frontend observation impact
+ *
+ * @param {ObservationImpactRow} row - Database row
+ * @returns {Object} Frontend observation impact
+ */
+export function observationImpactFromRow(row) {
+  return {
+    id: row.id,
+    observationId: row.observation_id,
+    entityId: row.entity_id,
+    scoreDelta: Number(row.score_delta),
+    appliedAt: fromIso(row.applied_at),
+  };
+}
+
+// --- OBJECTIVES & TAGS ---
+
+/**
+ * Convert a frontend objective to an objectives row
+ *
+ * @param {Object} objective - { id, title, description, completed }
+ * @returns {ObjectiveRow} Database row
+ */
+export function objectiveToRow(objective) {
+  return {
+    id: objective.id,
+    title: objective.title,
+    description: objective.description ?? null,
+    is_completed: Boolean(objective.completed),
+  };
+}
+
+/**
+ * Convert an objectives row to a frontend objective
+ *
+ * @param {ObjectiveRow} row - Database row
+ * @returns {Object} Frontend objective
+ */
+export function objectiveFromRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description ?? null,
+    completed: Boolean(row.is_completed),
+  };
+}
+
+/**
+ * Convert a frontend tag to a tags row
+ *
+ * @param {Object} tag - { id, name, color }
+ * @returns {TagRow} Database row
+ */
+export function tagToRow(tag) {
+  return {
+    id: tag.id,
+    name: tag.name,
+    color_code: tag.color ?? null,
+  };
+}
+
+/**
+ * Convert a tags row to a frontend tag
+ *
+ * @param {TagRow} row - Database row
+ * @returns {Object} Frontend tag
+ */
+export function tagFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    color: row.color_code ?? null,
+  };
+}
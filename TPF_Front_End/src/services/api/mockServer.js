@@ -0,0 +1,284 @@
+/**
+ * Mock Server - In-process stand-in for the TPF REST backend
+ *
+ * Implements the endpoints of ./client.js on top of in-memory tables that mirror
+ * Tables.sql, and exposes them through a fetch()-compatible function. Passing that
+ * function to createApiClient() lets the whole UI run against "the API" offline.
+ *
+ * Database rules mirrored from Tables.sql:
+ * - ids are BIGSERIAL: rows with a non-integer id are rejected (the server
+ *   assigns the next id when a POST has none)
+ * - tasks.title is required, importance_level must be between 1 and 4
+ * - entities.level is generated from current_ep (GENERATED ALWAYS AS ... STORED)
+ * - task_dependencies: primary key (task_id, prerequisite_id), both must reference
+ *   existing tasks, and a task cannot wait for itself
+ * - tags.name is unique
+ *
+ * Deleting a task also deletes its task_dependencies rows (the real backend is
+ * expected to do the same). Data lives only as long as the page.
+ */
+
+import { API_CONFIG, ENTITY_LEVELS } from '../../config/constants';
+
+// Mock server shared by the API client (created lazily)
+let activeServer = null;
+
+// Endpoint path → table name
+const RESOURCE_TABLES = {
+  tasks: 'tasks',
+  entities: 'entities',
+  observations: 'observations',
+  'observation-impacts': 'observation_impacts',
+  objectives: 'objectives',
+  tags: 'tags',
+};
+
+/**
+ * Compute the generated entities.level column from current_ep
+ *
+ * @param {number} ep - current_ep value
+ * @returns {number} Level (1-5)
+ */
+const calculateLevel = (ep) => {
+  const levels = [
+    ENTITY_LEVELS.LEVEL_1,
+    ENTITY_LEVELS.LEVEL_2,
+    ENTITY_LEVELS.LEVEL_3,
+    ENTITY_LEVELS.LEVEL_4,
+  ];
+  return (levels.find((level) => ep >= level.min) || ENTITY_LEVELS.LEVEL_5).id;
+};
+
+/**
+ * Build a JSON Response
+ *
+ * @param {number} status - HTTP status
+ * @param {*} [body] - JSON body (omitted for 204)
+ * @returns {Response} Fetch API response
+ */
+const jsonResponse = (status, body) =>
+  new Response(body === undefined ? null : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+/**
+ * Create a mock server
+ *
+ * @param {Object} [options] - Server options
+ * @param {string} [options.baseUrl=API_CONFIG.BASE_URL] - Prefix the client uses
+ * @param {number} [options.latency=API_CONFIG.MOCK_LATENCY_MS] - Delay per response in ms
+ * @param {Object} [options.seed] - Initial rows keyed by table name
+ *   (e.g., { tasks: [...], task_dependencies: [...] })
+ * @returns {Object} Server with:
+ *   - fetch: fetch()-compatible request handler
+ *   - dump: () => deep copy of all tables
+ *   - reset: (seed) => replace all tables
+ *
+ * @example
+ * const server = createMockServer({ latency: 0 });
+ * const client = createApiClient({ fetch: server.fetch });
+ */
+export function createMockServer(options = {}) {
+  const {
+    baseUrl = API_CONFIG.BASE_URL,
+    latency = API_CONFIG.MOCK_LATENCY_MS,
+    seed = {},
+  } = options;
+
+  let tables = {};
+
+  const reset = (data = {}) => {
+    tables = {
+      tasks: [],
+      task_dependencies: [],
+      entities: [],
+      observations: [],
+      observation_impacts: [],
+      objectives: [],
+      tags: [],
+      ...structuredClone(data),
+    };
+  };
+  reset(seed);
+
+  const nextId = (rows) =>
+    rows.reduce((max, row) => (typeof row.id === 'number' ? Math.max(max, Math.floor(row.id)) : max), 0) + 1;
+
+  /**
+   * Apply table constraints and generated columns to a row
+   *
+   * @param {string} table - Table name
+   * @param {Object} row - Row to store
+   * @returns {Object} { row } on success, or { error: [status, message] }
+   */
+  const prepareRow = (table, row) => {
+    if (!Number.isSafeInteger(row.id)) {
+      return { error: [400, `${table}.id must be an integer.`] };
+    }
+    if (table === 'tasks') {
+      if (!row.title) {
+        return { error: [400, 'tasks.title is required.'] };
+      }
+      if (!(row.importance_level >= 1 && row.importance_level <= 4)) {
+        return { error: [400, 'tasks.importance_level must be between 1 and 4.'] };
+      }
+      return { row: { status: 'PENDING', required_time: 0, ...row } };
+    }
+    if (table === 'entities') {
+      const currentEp = row.current_ep ?? 50;
+      return { row: { ...row, current_ep: currentEp, level: calculateLevel(currentEp) } };
+    }
+    if (table === 'tags') {
+      const duplicate = tables.tags.find((tag) => tag.name === row.name && tag.id !== row.id);
+      if (duplicate) {
+        return { error: [409, `Tag "${row.name}" already exists.`] };
+      }
+    }
+    return { row };
+  };
+
+  /**
+   * Route one request to the in-memory tables
+   *
+   * @param {string} method - HTTP method
+   * @param {Array<string>} segments - Path segments after the base URL
+   * @param {*} body - Parsed JSON body
+   * @returns {Response} Fetch API response
+   */
+  const handle = (method, segments, body) => {
+    const [resource, ...params] = segments;
+
+    if (resource === 'auth' && params[0] === 'login' && method === 'POST') {
+      if (!body?.email || !body?.password) {
+        return jsonResponse(400, { message: 'Email and password are required' });
+      }
+      return jsonResponse(200, {
+        id: 1,
+        email: body.email,
+        name: body.email.split('@')[0],
+        token: `mock-token-${Date.now()}`,
+      });
+    }
+
+    if (resource === 'task-dependencies') {
+      const rows = tables.task_dependencies;
+      if (method === 'GET' && params.length === 0) {
+        return jsonResponse(200, rows);
+      }
+      if (method === 'POST' && params.length === 0) {
+        const { task_id: taskId, prerequisite_id: prerequisiteId } = body || {};
+        if (taskId === prerequisiteId) {
+          return jsonResponse(400, { message: 'A task cannot be its own prerequisite.' });
+        }
+        const taskIds = new Set(tables.tasks.map((task) => task.id));
+        if (!taskIds.has(taskId) || !taskIds.has(prerequisiteId)) {
+          return jsonResponse(400, { message: 'Both tasks must exist to create a dependency.' });
+        }
+        if (rows.some((row) => row.task_id === taskId && row.prerequisite_id === prerequisiteId)) {
+          return jsonResponse(409, { message: 'This dependency already exists.' });
+        }
+        const row = { task_id: taskId, prerequisite_id: prerequisiteId };
+        rows.push(row);
+        return jsonResponse(201, row);
+      }
+      if (method === 'DELETE' && params.length === 2) {
+        tables.task_dependencies = rows.filter(
+          (row) => !(String(row.task_id) === params[0] && String(row.prerequisite_id) === params[1])
+        );
+        return jsonResponse(204);
+      }
+      return jsonResponse(405, { message: `${method} is not supported here.` });
+    }
+
+    const table = RESOURCE_TABLES[resource];
+    if (!table) {
+      return jsonResponse(404, { message: `Unknown endpoint /${segments.join('/')}` });
+    }
+    const rows = tables[table];
+    const index = params.length > 0 ? rows.findIndex((row) => String(row.id) === params[0]) : -1;
+
+    if (method === 'GET' && params.length === 0) {
+      return jsonResponse(200, rows);
+    }
+    if (method === 'GET') {
+      return index === -1
+        ? jsonResponse(404, { message: `${table} ${params[0]} not found.` })
+        : jsonResponse(200, rows[index]);
+    }
+    if (method === 'POST' && params.length === 0) {
+      const { row, error } = prepareRow(table, { ...body, id: body?.id ?? nextId(rows) });
+      if (error) {
+        return jsonResponse(error[0], { message: error[1] });
+      }
+      if (rows.some((existing) => existing.id === row.id)) {
+        return jsonResponse(409, { message: `${table} ${row.id} already exists.` });
+      }
+      rows.push(row);
+      return jsonResponse(201, row);
+    }
+    if (method === 'PUT' && params.length === 1) {
+      const id = index === -1 ? body?.id : rows[index].id;
+      const { row, error } = prepareRow(table, { ...body, id });
+      if (error) {
+        return jsonResponse(error[0], { message: error[1] });
+      }
+      if (index === -1) {
+        rows.push(row);
+        return jsonResponse(201, row);
+      }
+      rows[index] = row;
+      return jsonResponse(200, row);
+    }
+    if (method === 'DELETE' && params.length === 1) {
+      if (index !== -1) {
+        const [removed] = rows.splice(index, 1);
+        if (table === 'tasks') {
+          tables.task_dependencies = tables.task_dependencies.filter(
+            (row) => row.task_id !== removed.id && row.prerequisite_id !== removed.id
+          );
+        }
+      }
+      return jsonResponse(204);
+    }
+    return jsonResponse(405, { message: `${method} is not supported here.` });
+  };
+
+  /**
+   * fetch()-compatible entry point
+   *
+   * @param {string} url - Request URL (must start with baseUrl)
+   * @param {Object} [init] - fetch init (method, body)
+   * @returns {Promise<Response>} Response after the configured latency
+   */
+  const fetch = async (url, init = {}) => {
+    const method = (init.method || 'GET').toUpperCase();
+    const { pathname } = new URL(url, 'http://mock.local');
+    const path = pathname.startsWith(baseUrl) ? pathname.slice(baseUrl.length) : pathname;
+    const segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+    const body = init.body ? JSON.parse(init.body) : undefined;
+
+    if (latency > 0) {
+      await new Promise((resolve) => setTimeout(resolve, latency));
+    }
+    return handle(method, segments, body);
+  };
+
+  return {
+    fetch,
+    dump: () => structuredClone(tables),
+    reset,
+  };
+}
+
+/**
+ * Get the mock server used by the shared API client
+ *
+ * @returns {Object} Shared mock server
+ */
+export function getMockServer() {
+  if (!activeServer) {
+    activeServer = createMockServer();
+  }
+  return activeServer;
+}
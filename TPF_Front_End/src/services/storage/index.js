@@ -0,0 +1,29 @@
+/**
+ * Storage Index - Central export for the persistent storage layer
+ *
+ * Usage:
+ * import { usePersistentCollection, getRepository } from '../../services/storage';
+ *
+ * Contents:
+ * - Repository: Driver selection, shared instance and diff-based sync
+ * - Drivers: IndexedDB (default) and in-memory implementations
+ * - Hooks: Persistent collection/setting state for the context providers
+ */
+
+// Repository
+export {
+  createRepository,
+  getRepository,
+  setRepository,
+  syncRecords,
+} from './repository';
+
+// Drivers
+export { createIndexedDbRepository } from './indexedDbRepository';
+export { createMemoryRepository } from './memoryRepository';
+
+// Hooks
+export {
+  usePersistentCollection,
+  usePersistentSetting,
+} from './usePersistentState';
@@ -0,0 +1,146 @@
+/**
+ * IndexedDB Repository - Browser database implementation of the storage repository
+ *
+ * Stores every collection (tasks, entities, observations, settings) as an
+ * IndexedDB object store keyed by 'id'. IndexedDB uses structured cloning,
+ * so Date objects and nested arrays are stored as-is.
+ *
+ * The database is opened lazily on first use and the connection is reused.
+ * Object stores are created in onupgradeneeded from STORAGE.STORES, so adding a
+ * store only requires adding it there and bumping STORAGE.DB_VERSION.
+ *
+ * Implements the repository interface described in ./repository.js.
+ */
+
+import { STORAGE } from '../../config/constants';
+
+/**
+ * Wrap an IDBRequest in a Promise
+ *
+ * @param {IDBRequest} request - Pending IndexedDB request
+ * @returns {Promise} Resolves with request.result, rejects with request.error
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create or upgrade) the TPF database
+ *
+ * @param {string} dbName - Database name
+ * @param {number} version - Database version
+ * @returns {Promise<IDBDatabase>} Open database connection
+ */
+function openDatabase(dbName, version) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, version);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.values(STORAGE.STORES).forEach((storeName) => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName, { keyPath: 'id' });
+        }
+      });
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('The TPF database is open in another tab with an older version.'));
+  });
+}
+
+/**
+ * Create an IndexedDB-backed repository
+ *
+ * @param {Object} [options] - Database options
+ * @param {string} [options.dbName=STORAGE.DB_NAME] - Database name
+ * @param {number} [options.version=STORAGE.DB_VERSION] - Database version
+ * @returns {Object} Repository with async getAll/get/put/bulkPut/remove/clear/replaceAll
+ * @throws {Error} If IndexedDB is not available in this environment
+ */
+export function createIndexedDbRepository(options = {}) {
+  const { dbName = STORAGE.DB_NAME, version = STORAGE.DB_VERSION } = options;
+
+  if (typeof indexedDB === 'undefined') {
+    throw new Error('IndexedDB is not available in this environment.');
+  }
+
+  let dbPromise = null;
+  const getDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(dbName, version);
+    }
+    return dbPromise;
+  };
+
+  /**
+   * Run a callback inside a transaction and wait for the transaction to complete
+   *
+   * @param {string} storeName - Object store to use
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - (store) => IDBRequest|undefined
+   * @returns {Promise} Resolves with the callback request's result once committed
+   */
+  const withStore = async (storeName, mode, callback) => {
+    const db = await getDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = callback(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    driver: 'indexeddb',
+
+    async getAll(storeName) {
+      const db = await getDatabase();
+      return promisifyRequest(db.transaction(storeName, 'readonly').objectStore(storeName).getAll());
+    },
+
+    async get(storeName, id) {
+      const db = await getDatabase();
+      const record = await promisifyRequest(
+        db.transaction(storeName, 'readonly').objectStore(storeName).get(id)
+      );
+      return record === undefined ? null : record;
+    },
+
+    async put(storeName, record) {
+      await withStore(storeName, 'readwrite', (store) => store.put(record));
+    },
+
+    async bulkPut(storeName, records) {
+      await withStore(storeName, 'readwrite', (store) => {
+        records.forEach((record) => store.put(record));
+      });
+    },
+
+    async remove(storeName, id) {
+      await withStore(storeName, 'readwrite', (store) => store.delete(id));
+    },
+
+    async bulkRemove(storeName, ids) {
+      await withStore(storeName, 'readwrite', (store) => {
+        ids.forEach((id) => store.delete(id));
+      });
+    },
+
+    async clear(storeName) {
+      await withStore(storeName, 'readwrite', (store) => store.clear());
+    },
+
+    async replaceAll(storeName, records) {
+      await withStore(storeName, 'readwrite', (store) => {
+        store.clear();
+        records.forEach((record) => store.put(record));
+      });
+    },
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * Memory Repository - In-memory implementation of the storage repository
+ *
+ * Keeps every store in a Map for the lifetime of the page. Nothing survives a
+ * reload, which makes it the right choice for tests and throwaway sessions.
+ *
+ * Records are deep-copied with structuredClone on the way in and out, so callers
+ * get the same isolation (and Date handling) as with IndexedDB.
+ *
+ * Implements the repository interface described in ./repository.js.
+ */
+
+/**
+ * Create an in-memory repository
+ *
+ * @param {Object} [initialData] - Optional seed data keyed by store name
+ *   (e.g., { tasks: [...], entities: [...] })
+ * @returns {Object} Repository with async getAll/get/put/bulkPut/remove/clear/replaceAll
+ *
+ * @example
+ * const repository = createMemoryRepository({ tasks: [{ id: 1, title: 'Read' }] });
+ * await repository.getAll('tasks'); // [{ id: 1, title: 'Read' }]
+ */
+export function createMemoryRepository(initialData = {}) {
+  const stores = new Map();
+
+  const getStore = (storeName) => {
+    if (!stores.has(storeName)) {
+      stores.set(storeName, new Map());
+    }
+    return stores.get(storeName);
+  };
+
+  Object.entries(initialData).forEach(([storeName, records]) => {
+    const store = getStore(storeName);
+    (records || []).forEach((record) => store.set(record.id, structuredClone(record)));
+  });
+
+  return {
+    driver: 'memory',
+
+    async getAll(storeName) {
+      return [...getStore(storeName).values()].map((record) => structuredClone(record));
+    },
+
+    async get(storeName, id) {
+      const record = getStore(storeName).get(id);
+      return record === undefined ? null : structuredClone(record);
+    },
+
+    async put(storeName, record) {
+      getStore(storeName).set(record.id, structuredClone(record));
+    },
+
+    async bulkPut(storeName, records) {
+      const store = getStore(storeName);
+      records.forEach((record) => store.set(record.id, structuredClone(record)));
+    },
+
+    async remove(storeName, id) {
+      getStore(storeName).delete(id);
+    },
+
+    async bulkRemove(storeName, ids) {
+      const store = getStore(storeName);
+      ids.forEach((id) => store.delete(id));
+    },
+
+    async clear(storeName) {
+      getStore(storeName).clear();
+    },
+
+    async replaceAll(storeName, records) {
+      const store = getStore(storeName);
+      store.clear();
+      records.forEach((record) => store.set(record.id, structuredClone(record)));
+    },
+  };
+}
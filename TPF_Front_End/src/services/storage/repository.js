@@ -0,0 +1,116 @@
+/**
+ * Repository - Pluggable persistence for tasks, entities, observations and settings
+ *
+ * The contexts never talk to a database directly. They load from and write
+ * through to "the repository", a small async interface that can be backed by
+ * different drivers:
+ * - 'indexeddb': createIndexedDbRepository() - default, survives reloads
+ * - 'memory': createMemoryRepository() - tests and throwaway sessions
+ * - 'api': createApiRepository() - REST backend or its in-process mock (services/api)
+ *
+ * Repository Interface (all methods return Promises):
+ * - getAll(store): Array of all records in a store
+ * - get(store, id): Single record or null
+ * - put(store, record): Insert or update one record (keyed by record.id)
+ * - bulkPut(store, records): Insert or update many records in one go
+ * - remove(store, id): Delete one record
+ * - bulkRemove(store, ids): Delete many records in one go
+ * - clear(store): Delete every record of a store
+ * - replaceAll(store, records): Clear the store and insert the given records
+ *
+ * Store names come from STORAGE.STORES in constants.js.
+ */
+
+import { STORAGE } from '../../config/constants';
+import { createIndexedDbRepository } from './indexedDbRepository';
+import { createMemoryRepository } from './memoryRepository';
+import { createApiRepository } from '../api/apiRepository';
+import { getApiClient } from '../api/client';
+
+// Repository shared by all providers (created lazily)
+let activeRepository = null;
+
+/**
+ * Create a repository for a storage driver
+ *
+ * Falls back to the memory driver when IndexedDB is not available
+ * (e.g., private browsing modes that disable it).
+ *
+ * @param {string} [driver=STORAGE.DRIVER] - 'indexeddb', 'memory' or 'api'
+ * @returns {Object} Repository instance
+ * @throws {Error} If the driver is unknown
+ */
+export function createRepository(driver = STORAGE.DRIVER) {
+  switch (driver) {
+    case 'indexeddb':
+      try {
+        return createIndexedDbRepository();
+      } catch (error) {
+        console.warn(`${error.message} Falling back to in-memory storage.`);
+        return createMemoryRepository();
+      }
+    case 'memory':
+      return createMemoryRepository();
+    case 'api':
+      return createApiRepository({
+        client: getApiClient(),
+        localRepository: createRepository('indexeddb'),
+      });
+    default:
+      throw new Error(`Unknown storage driver "${driver}".`);
+  }
+}
+
+/**
+ * Get the repository used by the contexts
+ *
+ * @returns {Object} Active repository (created from STORAGE.DRIVER on first call)
+ */
+export function getRepository() {
+  if (!activeRepository) {
+    activeRepository = createRepository();
+  }
+  return activeRepository;
+}
+
+/**
+ * Replace the repository used by the contexts
+ *
+ * Must be called before the providers mount (e.g., in a test setup with
+ * createMemoryRepository()).
+ *
+ * @param {Object} repository - Repository implementing the interface above
+ */
+export function setRepository(repository) {
+  activeRepository = repository;
+}
+
+/**
+ * Write the difference between two versions of a collection to the repository
+ *
+ * The contexts update state immutably, so a record whose object identity changed
+ * was added or edited. Records whose ID disappeared were deleted.
+ *
+ * @param {Object} repository - Repository to write to
+ * @param {string} storeName - Store the collection belongs to
+ * @param {Array} previous - Collection as last written to the repository
+ * @param {Array} next - Current collection
+ * @returns {Promise} Resolves once all writes are committed
+ *
+ * @example
+ * await syncRecords(repository, STORAGE.STORES.TASKS, previousTasks, tasks);
+ */
+export async function syncRecords(repository, storeName, previous, next) {
+  const previousById = new Map((previous || []).map((record) => [record.id, record]));
+  const nextIds = new Set(next.map((record) => record.id));
+
+  const changed = next.filter((record) => previousById.get(record.id) !== record);
+  const removedIds = [...previousById.keys()].filter((id) => !nextIds.has(id));
+
+  if (changed.length > 0) {
+    await repository.bulkPut(storeName, changed);
+  }
+  if (removedIds.length > 0) {
+    await repository.bulkRemove(storeName, removedIds);
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Persistent State Hooks - React state that loads from and writes through to the repository
+ *
+ * Drop-in replacements for useState in the context providers:
+ * - usePersistentCollection: Array of records stored in one repository store
+ * - usePersistentSetting: Single value stored in the settings store
+ *
+ * Loading is asynchronous. Until the repository has answered, the state holds its
+ * initial value and isLoaded is false. After that, every state change is written to
+ * the repository in the background; write errors are logged, not thrown, so a
+ * failing database never blocks the UI.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { STORAGE } from '../../config/constants';
+import { getRepository, syncRecords } from './repository';
+
+/**
+ * Keep an array of records in sync with a repository store
+ *
+ * @param {string} storeName - Store to load from and write to (from STORAGE.STORES)
+ * @returns {Array} Tuple [records, setRecords, isLoaded]
+ *
+ * @example
+ * const [tasks, setTasks, isLoaded] = usePersistentCollection(STORAGE.STORES.TASKS);
+ * setTasks((prev) => [...prev, newTask]); // newTask is written to the repository
+ */
+export function usePersistentCollection(storeName) {
+  const [records, setRecords] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  // Collection as last read from / written to the repository
+  const persistedRef = useRef([]);
+
+  // Load the stored records once
+  useEffect(() => {
+    let cancelled = false;
+
+    getRepository()
+      .getAll(storeName)
+      .then((stored) => {
+        if (cancelled) return;
+        persistedRef.current = stored;
+        setRecords(stored);
+      })
+      .catch((error) => {
+        console.error(`Failed to load "${storeName}" from storage:`, error);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoaded(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [storeName]);
+
+  // Write every change through to the repository
+  useEffect(() => {
+    if (!isLoaded || persistedRef.current === records) {
+      return;
+    }
+    const previous = persistedRef.current;
+    persistedRef.current = records;
+    syncRecords(getRepository(), storeName, previous, records).catch((error) => {
+      console.error(`Failed to save "${storeName}" to storage:`, error);
+    });
+  }, [records, isLoaded, storeName]);
+
+  return [records, setRecords, isLoaded];
+}
+
+/**
+ * Keep a single setting in sync with the settings store
+ *
+ * @param {string} key - Setting key (e.g., 'availableTime')
+ * @param {*} defaultValue - Value used until (or if nothing is) loaded
+ * @returns {Array} Tuple [value, setValue, isLoaded]
+ *
+ * @example
+ * const [availableTime, setAvailableTime] = usePersistentSetting('availableTime', 8);
+ */
+export function usePersistentSetting(key, defaultValue) {
+  const [value, setValue] = useState(defaultValue);
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  // Value as last read from / written to the repository
+  const persistedRef = useRef(defaultValue);
+
+  // Load the stored value once
+  useEffect(() => {
+    let cancelled = false;
+
+    getRepository()
+      .get(STORAGE.STORES.SETTINGS, key)
+      .then((record) => {
+        if (cancelled || !record) return;
+        persistedRef.current = record.value;
+        setValue(record.value);
+      })
+      .catch((error) => {
+        console.error(`Failed to load setting "${key}" from storage:`, error);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoaded(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key]);
+
+  // Write every change through to the repository
+  useEffect(() => {
+    if (!isLoaded || persistedRef.current === value) {
+      return;
+    }
+    persistedRef.current = value;
+    getRepository()
+      .put(STORAGE.STORES.SETTINGS, { id: key, value })
+      .catch((error) => {
+        console.error(`Failed to save setting "${key}" to storage:`, error);
+      });
+  }, [value, isLoaded, key]);
+
+  return [value, setValue, isLoaded];
+}